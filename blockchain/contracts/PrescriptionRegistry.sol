@@ -2,88 +2,417 @@
 pragma solidity ^0.8.19;
 
 contract PrescriptionRegistry {
-    
-    enum Status { ISSUED, DISPENSED }
 
+    // New states are appended so existing numeric values stay stable for clients
+    enum Status { ISSUED, DISPENSED, PARTIALLY_DISPENSED, EXPIRED, CANCELLED }
+
+    // medicationHash and quantity describe the whole prescription: for a single medicine they are
+    // that item's; with several line items medicationHash is keccak256 over the items' hashes and
+    // quantity is the units per fill summed across items.
     struct Prescription {
         uint256 id;
         address issuer;
         bytes32 patientHash;
         bytes32 medicationHash;
-        uint256 quantity; // or other metadata
+        uint256 quantity; // units per fill
         Status status;
         uint256 timestamp;
+        uint256 refillsAllowed; // extra fills after the first one
+        uint256 dispensedQuantity; // running total across all fills
+        uint256 expiresAt; // 0 = no expiry
+    }
+
+    // One medicine on a prescription. Refills and validity are shared by all items.
+    struct LineItem {
+        bytes32 medicationHash;
+        uint256 quantity; // units per fill
+        uint256 dispensedQuantity;
     }
 
+    // Issued off-chain: signed by the doctor (EIP-712) and anchored in a Merkle batch
+    struct SignedPrescription {
+        address doctor;
+        bytes32 patientHash;
+        bytes32 medicationHash;
+        uint256 quantity;
+        uint256 validUntil; // unix time, 0 = no expiry
+        bytes32 nonce;
+    }
+
+    bytes32 public constant SIGNED_PRESCRIPTION_TYPEHASH = keccak256(
+        "SignedPrescription(address doctor,bytes32 patientHash,bytes32 medicationHash,uint256 quantity,uint256 validUntil,bytes32 nonce)"
+    );
+    bytes32 public immutable DOMAIN_SEPARATOR;
+
+    bytes32 public constant DOCTOR_ROLE = keccak256("DOCTOR");
+    bytes32 public constant PHARMACY_ROLE = keccak256("PHARMACY");
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN");
+
+    uint256 public constant MAX_LINE_ITEMS = 10;
+
     mapping(uint256 => Prescription) public prescriptions;
+    mapping(uint256 => LineItem[]) internal lineItems;
     mapping(address => bool) public doctors;
     mapping(address => bool) public pharmacies;
+    mapping(address => bool) public admins;
+
+    // role => account => unix time the suspension ends (0 = not suspended)
+    mapping(bytes32 => mapping(address => uint256)) public suspendedUntil;
+    // role => account => true once the role has been revoked (cleared on re-grant)
+    mapping(bytes32 => mapping(address => bool)) public revoked;
+
+    // Merkle batches of signed prescriptions
+    mapping(uint256 => bytes32) public batchRoots;
+    uint256 public batchCount;
+    // EIP-712 digest => state
+    mapping(bytes32 => bool) public signedDispensed;
+    mapping(bytes32 => bool) public signedCancelled;
 
     address public owner;
     uint256 public prescriptionCount;
 
     event PrescriptionIssued(uint256 indexed id, address indexed issuer, bytes32 patientHash);
     event PrescriptionDispensed(uint256 indexed id, address indexed pharmacy);
+    // dispensedQuantity is the prescription's running total across all items
+    event PrescriptionFilled(uint256 indexed id, address indexed pharmacy, uint256 item, uint256 amount, uint256 dispensedQuantity);
+    event PrescriptionCancelled(uint256 indexed id, address indexed issuer);
     event RoleGranted(bytes32 role, address indexed account);
+    event RoleRevoked(bytes32 role, address indexed account);
+    event RoleSuspended(bytes32 role, address indexed account, uint256 until);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    event BatchAnchored(uint256 indexed batchId, bytes32 root, uint256 size);
+    event SignedPrescriptionDispensed(bytes32 indexed digest, uint256 indexed batchId, address indexed pharmacy);
+    event SignedPrescriptionCancelled(bytes32 indexed digest, address indexed doctor);
 
     modifier onlyOwner() {
         require(msg.sender == owner, "Not owner");
         _;
     }
 
+    modifier onlyAdmin() {
+        require(msg.sender == owner || admins[msg.sender], "Not an admin");
+        _;
+    }
+
     modifier onlyDoctor() {
-        require(doctors[msg.sender], "Not a doctor");
+        require(doctors[msg.sender], revoked[DOCTOR_ROLE][msg.sender] ? "Doctor role revoked" : "Not a doctor");
+        require(suspendedUntil[DOCTOR_ROLE][msg.sender] <= block.timestamp, "Doctor suspended");
         _;
     }
 
     modifier onlyPharmacy() {
-        require(pharmacies[msg.sender], "Not a pharmacy");
+        require(pharmacies[msg.sender], revoked[PHARMACY_ROLE][msg.sender] ? "Pharmacy role revoked" : "Not a pharmacy");
+        require(suspendedUntil[PHARMACY_ROLE][msg.sender] <= block.timestamp, "Pharmacy suspended");
         _;
     }
 
     constructor() {
         owner = msg.sender;
+        DOMAIN_SEPARATOR = keccak256(abi.encode(
+            keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"),
+            keccak256(bytes("PrescriptionRegistry")),
+            keccak256(bytes("1")),
+            block.chainid,
+            address(this)
+        ));
+    }
+
+    // --- Governance ---
+
+    function transferOwnership(address _newOwner) external onlyOwner {
+        require(_newOwner != address(0), "Invalid owner");
+        emit OwnershipTransferred(owner, _newOwner);
+        owner = _newOwner;
+    }
+
+    function addAdmin(address _admin) external onlyOwner {
+        admins[_admin] = true;
+        emit RoleGranted(ADMIN_ROLE, _admin);
     }
 
-    function registerDoctor(address _doctor) external onlyOwner {
+    function removeAdmin(address _admin) external onlyOwner {
+        require(admins[_admin], "Not an admin");
+        admins[_admin] = false;
+        emit RoleRevoked(ADMIN_ROLE, _admin);
+    }
+
+    // --- Role lifecycle ---
+
+    function registerDoctor(address _doctor) external onlyAdmin {
         doctors[_doctor] = true;
-        emit RoleGranted(keccak256("DOCTOR"), _doctor);
+        revoked[DOCTOR_ROLE][_doctor] = false;
+        emit RoleGranted(DOCTOR_ROLE, _doctor);
     }
 
-    function registerPharmacy(address _pharmacy) external onlyOwner {
+    function registerPharmacy(address _pharmacy) external onlyAdmin {
         pharmacies[_pharmacy] = true;
-        emit RoleGranted(keccak256("PHARMACY"), _pharmacy);
+        revoked[PHARMACY_ROLE][_pharmacy] = false;
+        emit RoleGranted(PHARMACY_ROLE, _pharmacy);
+    }
+
+    function revokeDoctor(address _doctor) external onlyAdmin {
+        require(doctors[_doctor], "Not a doctor");
+        doctors[_doctor] = false;
+        revoked[DOCTOR_ROLE][_doctor] = true;
+        emit RoleRevoked(DOCTOR_ROLE, _doctor);
+    }
+
+    function revokePharmacy(address _pharmacy) external onlyAdmin {
+        require(pharmacies[_pharmacy], "Not a pharmacy");
+        pharmacies[_pharmacy] = false;
+        revoked[PHARMACY_ROLE][_pharmacy] = true;
+        emit RoleRevoked(PHARMACY_ROLE, _pharmacy);
+    }
+
+    // Pass _until = 0 (or any past timestamp) to lift a suspension early.
+    function suspendDoctor(address _doctor, uint256 _until) external onlyAdmin {
+        require(doctors[_doctor], "Not a doctor");
+        suspendedUntil[DOCTOR_ROLE][_doctor] = _until;
+        emit RoleSuspended(DOCTOR_ROLE, _doctor, _until);
+    }
+
+    function suspendPharmacy(address _pharmacy, uint256 _until) external onlyAdmin {
+        require(pharmacies[_pharmacy], "Not a pharmacy");
+        suspendedUntil[PHARMACY_ROLE][_pharmacy] = _until;
+        emit RoleSuspended(PHARMACY_ROLE, _pharmacy, _until);
+    }
+
+    function isActiveDoctor(address _account) public view returns (bool) {
+        return doctors[_account] && suspendedUntil[DOCTOR_ROLE][_account] <= block.timestamp;
+    }
+
+    function isActivePharmacy(address _account) public view returns (bool) {
+        return pharmacies[_account] && suspendedUntil[PHARMACY_ROLE][_account] <= block.timestamp;
+    }
+
+    // --- Prescriptions ---
+
+    // _validFor is the validity window in seconds from now (0 = never expires).
+    function issuePrescription(bytes32 _patientHash, bytes32 _medicationHash, uint256 _quantity, uint256 _refills, uint256 _validFor) external onlyDoctor {
+        bytes32[] memory hashes = new bytes32[](1);
+        uint256[] memory quantities = new uint256[](1);
+        hashes[0] = _medicationHash;
+        quantities[0] = _quantity;
+        _issue(_patientHash, hashes, quantities, _refills, _validFor);
+    }
+
+    // Several medicines on one prescription, each with its own quantity per fill.
+    function issuePrescriptionItems(
+        bytes32 _patientHash,
+        bytes32[] calldata _medicationHashes,
+        uint256[] calldata _quantities,
+        uint256 _refills,
+        uint256 _validFor
+    ) external onlyDoctor {
+        _issue(_patientHash, _medicationHashes, _quantities, _refills, _validFor);
     }
 
-    function issuePrescription(bytes32 _patientHash, bytes32 _medicationHash, uint256 _quantity) external {
+    function _issue(bytes32 _patientHash, bytes32[] memory _hashes, uint256[] memory _quantities, uint256 _refills, uint256 _validFor) internal {
+        require(_hashes.length > 0 && _hashes.length <= MAX_LINE_ITEMS, "Invalid number of items");
+        require(_hashes.length == _quantities.length, "Items and quantities differ in length");
+
         prescriptionCount++;
+        uint256 total = 0;
+        for (uint256 i = 0; i < _hashes.length; i++) {
+            require(_quantities[i] > 0, "Quantity must be positive");
+            total += _quantities[i];
+            lineItems[prescriptionCount].push(LineItem({ medicationHash: _hashes[i], quantity: _quantities[i], dispensedQuantity: 0 }));
+        }
+
         prescriptions[prescriptionCount] = Prescription({
             id: prescriptionCount,
             issuer: msg.sender,
             patientHash: _patientHash,
-            medicationHash: _medicationHash,
-            quantity: _quantity,
+            medicationHash: _hashes.length == 1 ? _hashes[0] : keccak256(abi.encodePacked(_hashes)),
+            quantity: total,
             status: Status.ISSUED,
-            timestamp: block.timestamp
+            timestamp: block.timestamp,
+            refillsAllowed: _refills,
+            dispensedQuantity: 0,
+            expiresAt: _validFor == 0 ? 0 : block.timestamp + _validFor
         });
 
         emit PrescriptionIssued(prescriptionCount, msg.sender, _patientHash);
     }
 
-    function dispensePrescription(uint256 _id) external onlyPharmacy {
+    // Hands over `_amount` units of a single-medicine prescription. A single call never spans two
+    // fills, so each refill has to be collected as its own pickup.
+    function dispensePrescription(uint256 _id, uint256 _amount) external onlyPharmacy {
+        require(lineItems[_id].length <= 1, "Prescription has several items, use dispenseItem");
+        _dispense(_id, 0, _amount);
+    }
+
+    // Hands over `_amount` units of one line item. Items are filled independently; the prescription
+    // is DISPENSED once every item has been handed over in full.
+    function dispenseItem(uint256 _id, uint256 _item, uint256 _amount) external onlyPharmacy {
+        _dispense(_id, _item, _amount);
+    }
+
+    function _dispense(uint256 _id, uint256 _item, uint256 _amount) internal {
+        require(_id > 0 && _id <= prescriptionCount, "Invalid ID");
+        Prescription storage p = prescriptions[_id];
+        require(p.status != Status.CANCELLED, "Prescription cancelled");
+        require(!_isExpired(p), "Prescription expired");
+        require(p.status == Status.ISSUED || p.status == Status.PARTIALLY_DISPENSED, "Already dispensed or invalid");
+        require(_item < lineItems[_id].length, "Invalid item");
+        require(_amount > 0, "Amount must be positive");
+        require(_amount <= remainingInItemFill(_id, _item), "Amount exceeds remaining quantity");
+
+        lineItems[_id][_item].dispensedQuantity += _amount;
+        p.dispensedQuantity += _amount;
+        emit PrescriptionFilled(_id, msg.sender, _item, _amount, p.dispensedQuantity);
+
+        // Item totals add up to the prescription's, so this holds exactly when every item is done
+        if (p.dispensedQuantity == totalAllowed(_id)) {
+            p.status = Status.DISPENSED;
+            emit PrescriptionDispensed(_id, msg.sender);
+        } else {
+            p.status = Status.PARTIALLY_DISPENSED;
+        }
+    }
+
+    // Voids the remaining fills of a prescription. Only the issuing doctor may call it.
+    function cancelPrescription(uint256 _id) external {
         require(_id > 0 && _id <= prescriptionCount, "Invalid ID");
-        require(prescriptions[_id].status == Status.ISSUED, "Already dispensed or invalid");
+        Prescription storage p = prescriptions[_id];
+        require(p.issuer == msg.sender, "Not the issuer");
+        require(p.status == Status.ISSUED || p.status == Status.PARTIALLY_DISPENSED, "Cannot cancel in current status");
+
+        p.status = Status.CANCELLED;
+        emit PrescriptionCancelled(_id, msg.sender);
+    }
+
+    function totalAllowed(uint256 _id) public view returns (uint256) {
+        Prescription storage p = prescriptions[_id];
+        return p.quantity * (p.refillsAllowed + 1);
+    }
+
+    // Units still available across all items without starting another refill
+    function remainingInCurrentFill(uint256 _id) public view returns (uint256 remaining) {
+        for (uint256 i = 0; i < lineItems[_id].length; i++) {
+            remaining += remainingInItemFill(_id, i);
+        }
+    }
+
+    function remainingInItemFill(uint256 _id, uint256 _item) public view returns (uint256) {
+        LineItem storage item = lineItems[_id][_item];
+        if (item.dispensedQuantity >= item.quantity * (prescriptions[_id].refillsAllowed + 1)) return 0;
+        return item.quantity - (item.dispensedQuantity % item.quantity);
+    }
+
+    // Number of refills that have been started (0 while on the original fill), on the furthest-along item.
+    function refillsUsed(uint256 _id) external view returns (uint256 used) {
+        for (uint256 i = 0; i < lineItems[_id].length; i++) {
+            LineItem storage item = lineItems[_id][i];
+            if (item.dispensedQuantity == 0) continue;
+            uint256 itemUsed = (item.dispensedQuantity - 1) / item.quantity;
+            if (itemUsed > used) used = itemUsed;
+        }
+    }
+
+    // --- Signed prescriptions (batched) ---
+
+    // One transaction anchors many signed prescriptions. Leaves are keccak256(digest),
+    // pairs are hashed in sorted order.
+    function anchorBatch(bytes32 _root, uint256 _size) external onlyAdmin returns (uint256) {
+        require(_root != bytes32(0), "Empty root");
+        batchCount++;
+        batchRoots[batchCount] = _root;
+        emit BatchAnchored(batchCount, _root, _size);
+        return batchCount;
+    }
+
+    function hashSignedPrescription(SignedPrescription calldata _p) public view returns (bytes32) {
+        bytes32 structHash = keccak256(abi.encode(
+            SIGNED_PRESCRIPTION_TYPEHASH,
+            _p.doctor,
+            _p.patientHash,
+            _p.medicationHash,
+            _p.quantity,
+            _p.validUntil,
+            _p.nonce
+        ));
+        return keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR, structHash));
+    }
+
+    // Dispenses the full quantity of a signed prescription in one go.
+    function dispenseSigned(
+        uint256 _batchId,
+        SignedPrescription calldata _p,
+        bytes calldata _signature,
+        bytes32[] calldata _proof
+    ) external onlyPharmacy {
+        bytes32 root = batchRoots[_batchId];
+        require(root != bytes32(0), "Unknown batch");
+
+        bytes32 digest = hashSignedPrescription(_p);
+        require(_recover(digest, _signature) == _p.doctor, "Invalid doctor signature");
+        require(isActiveDoctor(_p.doctor), doctors[_p.doctor] ? "Doctor suspended" : "Signer is not a doctor");
+        require(_verifyProof(_proof, root, keccak256(abi.encodePacked(digest))), "Invalid Merkle proof");
+        require(!signedCancelled[digest], "Prescription cancelled");
+        require(_p.validUntil == 0 || block.timestamp <= _p.validUntil, "Prescription expired");
+        require(!signedDispensed[digest], "Already dispensed");
+
+        signedDispensed[digest] = true;
+        emit SignedPrescriptionDispensed(digest, _batchId, msg.sender);
+    }
 
-        prescriptions[_id].status = Status.DISPENSED;
-        emit PrescriptionDispensed(_id, msg.sender);
+    function cancelSigned(SignedPrescription calldata _p) external {
+        require(msg.sender == _p.doctor, "Not the issuer");
+        bytes32 digest = hashSignedPrescription(_p);
+        require(!signedDispensed[digest], "Already dispensed");
+        require(!signedCancelled[digest], "Already cancelled");
+
+        signedCancelled[digest] = true;
+        emit SignedPrescriptionCancelled(digest, msg.sender);
+    }
+
+    function _verifyProof(bytes32[] calldata _proof, bytes32 _root, bytes32 _leaf) internal pure returns (bool) {
+        bytes32 hash = _leaf;
+        for (uint256 i = 0; i < _proof.length; i++) {
+            bytes32 sibling = _proof[i];
+            hash = hash < sibling
+                ? keccak256(abi.encodePacked(hash, sibling))
+                : keccak256(abi.encodePacked(sibling, hash));
+        }
+        return hash == _root;
+    }
+
+    function _recover(bytes32 _digest, bytes calldata _signature) internal pure returns (address) {
+        require(_signature.length == 65, "Invalid signature length");
+        bytes32 r;
+        bytes32 s;
+        uint8 v;
+        assembly {
+            r := calldataload(_signature.offset)
+            s := calldataload(add(_signature.offset, 32))
+            v := byte(0, calldataload(add(_signature.offset, 64)))
+        }
+        // Reject malleable (high-s) signatures
+        require(uint256(s) <= 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0, "Invalid signature");
+        address signer = ecrecover(_digest, v, r, s);
+        require(signer != address(0), "Invalid signature");
+        return signer;
     }
 
     function getPrescription(uint256 _id) external view returns (Prescription memory) {
         return prescriptions[_id];
     }
-    
+
+    function getLineItems(uint256 _id) external view returns (LineItem[] memory) {
+        return lineItems[_id];
+    }
+
+    // Effective status: open prescriptions past their validity window report EXPIRED.
     function verifyPrescription(uint256 _id) external view returns (bool, Status) {
         if (_id == 0 || _id > prescriptionCount) return (false, Status.ISSUED);
-        return (true, prescriptions[_id].status);
+        Prescription storage p = prescriptions[_id];
+        if (_isExpired(p)) return (true, Status.EXPIRED);
+        return (true, p.status);
+    }
+
+    function _isExpired(Prescription storage p) internal view returns (bool) {
+        bool open = p.status == Status.ISSUED || p.status == Status.PARTIALLY_DISPENSED;
+        return open && p.expiresAt != 0 && block.timestamp > p.expiresAt;
     }
 }
@@ -1,15 +1,28 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("dotenv").config();
+
+const { STAGING_RPC_URL, DEPLOYER_PRIVATE_KEY } = process.env;
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-    solidity: "0.8.19",
+    solidity: {
+        version: "0.8.19",
+        // Without the optimizer the registry is over the 24 KB contract size limit
+        settings: { optimizer: { enabled: true, runs: 200 } }
+    },
     networks: {
         hardhat: {
             chainId: 31337
         },
         localhost: {
             url: "http://127.0.0.1:8545"
-        }
+        },
+        ...(STAGING_RPC_URL && {
+            staging: {
+                url: STAGING_RPC_URL,
+                accounts: DEPLOYER_PRIVATE_KEY ? [DEPLOYER_PRIVATE_KEY] : []
+            }
+        })
     },
     paths: {
         artifacts: "./artifacts",
@@ -2,18 +2,67 @@ const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
 
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+const ROLES_CONFIG = process.env.ROLES_CONFIG || path.join(__dirname, "..", "config", "roles.json");
+
+// Roles to grant right after deployment, keyed by chainId
+function loadRoleSeed(chainId) {
+    if (!fs.existsSync(ROLES_CONFIG)) return {};
+    const config = JSON.parse(fs.readFileSync(ROLES_CONFIG, "utf8"));
+    return config[chainId] || {};
+}
+
+async function seedRoles(registry, chainId) {
+    const { admins = [], doctors = [], pharmacies = [] } = loadRoleSeed(chainId);
+
+    for (const admin of admins) {
+        await (await registry.addAdmin(admin)).wait();
+        console.log(`  admin    ${admin}`);
+    }
+    for (const doctor of doctors) {
+        await (await registry.registerDoctor(doctor)).wait();
+        console.log(`  doctor   ${doctor}`);
+    }
+    for (const pharmacy of pharmacies) {
+        await (await registry.registerPharmacy(pharmacy)).wait();
+        console.log(`  pharmacy ${pharmacy}`);
+    }
+}
+
 async function main() {
+    const [deployer] = await hre.ethers.getSigners();
+    const { chainId } = await hre.ethers.provider.getNetwork();
+
     const PrescriptionRegistry = await hre.ethers.getContractFactory("PrescriptionRegistry");
     const registry = await PrescriptionRegistry.deploy();
 
     await registry.waitForDeployment(); // Hardhat Runner v2.13+ syntax
 
     const address = await registry.getAddress();
-    console.log(`PrescriptionRegistry deployed to ${address}`);
+    const receipt = await registry.deploymentTransaction().wait();
+    console.log(`PrescriptionRegistry deployed to ${address} (chainId ${chainId}, block ${receipt.blockNumber})`);
+
+    console.log("Seeding roles...");
+    await seedRoles(registry, chainId.toString());
+
+    // One manifest per chain; the client and server pick the one matching their network
+    const artifact = await hre.artifacts.readArtifact("PrescriptionRegistry");
+    const manifest = {
+        contractName: "PrescriptionRegistry",
+        chainId: Number(chainId),
+        network: hre.network.name,
+        address,
+        deployBlock: receipt.blockNumber,
+        deployTx: receipt.hash,
+        deployer: deployer.address,
+        deployedAt: new Date().toISOString(),
+        abi: artifact.abi
+    };
 
-    // Save ABI and Address to a generic location or just log it
-    // For this demo, we can save it to server and client if they exist
-    // But let's just log it first.
+    fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+    const file = path.join(DEPLOYMENTS_DIR, `${chainId}.json`);
+    fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + "\n");
+    console.log(`Manifest written to ${path.relative(process.cwd(), file)}`);
 }
 
 main().catch((error) => {
@@ -0,0 +1,83 @@
+const { expect } = require("chai");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { Status, DAY, deployFixture, issue } = require("./fixtures");
+
+describe("PrescriptionRegistry expiry and cancellation", function () {
+    describe("expiry", function () {
+        it("reports EXPIRED and refuses to dispense after expiresAt", async function () {
+            const { registry, doctor, pharmacy } = await loadFixture(deployFixture);
+            const id = await issue(registry, doctor, { validFor: DAY });
+            const { expiresAt, timestamp } = await registry.getPrescription(id);
+            expect(expiresAt).to.equal(timestamp + BigInt(DAY));
+
+            await registry.connect(pharmacy).dispensePrescription(id, 3);
+            expect(await registry.verifyPrescription(id)).to.deep.equal([true, BigInt(Status.PARTIALLY_DISPENSED)]);
+
+            await time.increaseTo(expiresAt + 1n);
+            expect(await registry.verifyPrescription(id)).to.deep.equal([true, BigInt(Status.EXPIRED)]);
+            await expect(registry.connect(pharmacy).dispensePrescription(id, 1)).to.be.revertedWith("Prescription expired");
+        });
+
+        it("still dispenses at the expiry second itself", async function () {
+            const { registry, doctor, pharmacy } = await loadFixture(deployFixture);
+            const id = await issue(registry, doctor, { validFor: DAY });
+            const { expiresAt } = await registry.getPrescription(id);
+
+            await time.setNextBlockTimestamp(expiresAt);
+            await registry.connect(pharmacy).dispensePrescription(id, 10);
+            expect(await registry.verifyPrescription(id)).to.deep.equal([true, BigInt(Status.DISPENSED)]);
+        });
+
+        it("keeps a fully dispensed prescription DISPENSED after expiry", async function () {
+            const { registry, doctor, pharmacy } = await loadFixture(deployFixture);
+            const id = await issue(registry, doctor, { validFor: DAY });
+            await registry.connect(pharmacy).dispensePrescription(id, 10);
+            await time.increase(2 * DAY);
+            expect(await registry.verifyPrescription(id)).to.deep.equal([true, BigInt(Status.DISPENSED)]);
+        });
+
+        it("never expires with validFor 0, and reports unknown IDs as missing", async function () {
+            const { registry, doctor, pharmacy } = await loadFixture(deployFixture);
+            const id = await issue(registry, doctor);
+            expect((await registry.getPrescription(id)).expiresAt).to.equal(0);
+            await time.increase(365 * DAY);
+            expect(await registry.verifyPrescription(id)).to.deep.equal([true, BigInt(Status.ISSUED)]);
+            await registry.connect(pharmacy).dispensePrescription(id, 10);
+            expect(await registry.verifyPrescription(99)).to.deep.equal([false, BigInt(Status.ISSUED)]);
+        });
+    });
+
+    describe("cancellation", function () {
+        it("lets only the issuer cancel an open prescription", async function () {
+            const { registry, admin, doctor, pharmacy, otherDoctor } = await loadFixture(deployFixture);
+            await registry.connect(admin).registerDoctor(otherDoctor.address);
+            const id = await issue(registry, doctor);
+            await registry.connect(pharmacy).dispensePrescription(id, 4);
+
+            await expect(registry.connect(doctor).cancelPrescription(0)).to.be.revertedWith("Invalid ID");
+            await expect(registry.connect(otherDoctor).cancelPrescription(id)).to.be.revertedWith("Not the issuer");
+            await expect(registry.connect(doctor).cancelPrescription(id))
+                .to.emit(registry, "PrescriptionCancelled").withArgs(id, doctor.address);
+
+            expect((await registry.getPrescription(id)).status).to.equal(Status.CANCELLED);
+            expect(await registry.verifyPrescription(id)).to.deep.equal([true, BigInt(Status.CANCELLED)]);
+            await expect(registry.connect(pharmacy).dispensePrescription(id, 1)).to.be.revertedWith("Prescription cancelled");
+            await expect(registry.connect(doctor).cancelPrescription(id)).to.be.revertedWith("Cannot cancel in current status");
+        });
+
+        it("can't cancel a fully dispensed prescription", async function () {
+            const { registry, doctor, pharmacy } = await loadFixture(deployFixture);
+            const id = await issue(registry, doctor);
+            await registry.connect(pharmacy).dispensePrescription(id, 10);
+            await expect(registry.connect(doctor).cancelPrescription(id)).to.be.revertedWith("Cannot cancel in current status");
+        });
+
+        it("lets a revoked doctor still cancel what they issued", async function () {
+            const { registry, admin, doctor } = await loadFixture(deployFixture);
+            const id = await issue(registry, doctor);
+            await registry.connect(admin).revokeDoctor(doctor.address);
+            await expect(registry.connect(doctor).cancelPrescription(id))
+                .to.emit(registry, "PrescriptionCancelled").withArgs(id, doctor.address);
+        });
+    });
+});
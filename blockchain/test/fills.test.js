@@ -0,0 +1,71 @@
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { Status, deployFixture, issue } = require("./fixtures");
+
+describe("PrescriptionRegistry fills and refills", function () {
+    it("rejects bad IDs and amounts", async function () {
+        const { registry, doctor, pharmacy } = await loadFixture(deployFixture);
+        const id = await issue(registry, doctor);
+
+        await expect(registry.connect(pharmacy).dispensePrescription(0, 1)).to.be.revertedWith("Invalid ID");
+        await expect(registry.connect(pharmacy).dispensePrescription(99, 1)).to.be.revertedWith("Invalid ID");
+        await expect(registry.connect(pharmacy).dispensePrescription(id, 0)).to.be.revertedWith("Amount must be positive");
+        await expect(registry.connect(pharmacy).dispensePrescription(id, 11)).to.be.revertedWith("Amount exceeds remaining quantity");
+    });
+
+    it("dispenses a whole prescription without refills in one go", async function () {
+        const { registry, doctor, pharmacy } = await loadFixture(deployFixture);
+        const id = await issue(registry, doctor);
+
+        await expect(registry.connect(pharmacy).dispensePrescription(id, 10))
+            .to.emit(registry, "PrescriptionFilled").withArgs(id, pharmacy.address, 0, 10, 10)
+            .and.to.emit(registry, "PrescriptionDispensed").withArgs(id, pharmacy.address);
+        expect((await registry.getPrescription(id)).status).to.equal(Status.DISPENSED);
+        expect(await registry.refillsUsed(id)).to.equal(0);
+        await expect(registry.connect(pharmacy).dispensePrescription(id, 1)).to.be.revertedWith("Already dispensed or invalid");
+    });
+
+    it("fills partially and keeps each call within one fill", async function () {
+        const { registry, doctor, pharmacy } = await loadFixture(deployFixture);
+        const id = await issue(registry, doctor, { items: [["AMOX", 10]], refills: 1 });
+        expect(await registry.totalAllowed(id)).to.equal(20);
+
+        await expect(registry.connect(pharmacy).dispensePrescription(id, 4))
+            .to.emit(registry, "PrescriptionFilled").withArgs(id, pharmacy.address, 0, 4, 4);
+        expect((await registry.getPrescription(id)).status).to.equal(Status.PARTIALLY_DISPENSED);
+        expect(await registry.remainingInCurrentFill(id)).to.equal(6);
+        expect(await registry.refillsUsed(id)).to.equal(0);
+
+        // 7 would run into the refill
+        await expect(registry.connect(pharmacy).dispensePrescription(id, 7)).to.be.revertedWith("Amount exceeds remaining quantity");
+        await registry.connect(pharmacy).dispensePrescription(id, 6);
+        expect(await registry.refillsUsed(id)).to.equal(0);
+        expect(await registry.remainingInCurrentFill(id)).to.equal(10);
+        expect((await registry.getPrescription(id)).status).to.equal(Status.PARTIALLY_DISPENSED);
+
+        await registry.connect(pharmacy).dispensePrescription(id, 1);
+        expect(await registry.refillsUsed(id)).to.equal(1);
+        expect(await registry.remainingInCurrentFill(id)).to.equal(9);
+
+        await expect(registry.connect(pharmacy).dispensePrescription(id, 9))
+            .to.emit(registry, "PrescriptionDispensed").withArgs(id, pharmacy.address);
+        const p = await registry.getPrescription(id);
+        expect(p.status).to.equal(Status.DISPENSED);
+        expect(p.dispensedQuantity).to.equal(20);
+        expect(await registry.remainingInCurrentFill(id)).to.equal(0);
+        await expect(registry.connect(pharmacy).dispensePrescription(id, 1)).to.be.revertedWith("Already dispensed or invalid");
+    });
+
+    it("lets another pharmacy carry on from a partial fill", async function () {
+        const { registry, admin, doctor, pharmacy, stranger: secondPharmacy } = await loadFixture(deployFixture);
+        await registry.connect(admin).registerPharmacy(secondPharmacy.address);
+        const id = await issue(registry, doctor, { items: [["AMOX", 10]], refills: 2 });
+
+        await registry.connect(pharmacy).dispensePrescription(id, 10);
+        await expect(registry.connect(secondPharmacy).dispensePrescription(id, 5))
+            .to.emit(registry, "PrescriptionFilled").withArgs(id, secondPharmacy.address, 0, 5, 15);
+        expect(await registry.refillsUsed(id)).to.equal(1);
+        expect(await registry.remainingInCurrentFill(id)).to.equal(5);
+        expect(await registry.verifyPrescription(id)).to.deep.equal([true, BigInt(Status.PARTIALLY_DISPENSED)]);
+    });
+});
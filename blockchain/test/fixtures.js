@@ -0,0 +1,40 @@
+const { ethers } = require("hardhat");
+
+// Shared setup for the PrescriptionRegistry tests
+
+// Matches the contract's Status enum
+const Status = { ISSUED: 0, DISPENSED: 1, PARTIALLY_DISPENSED: 2, EXPIRED: 3, CANCELLED: 4 };
+const DAY = 24 * 60 * 60;
+
+const ROLE = {
+    DOCTOR: ethers.id("DOCTOR"),
+    PHARMACY: ethers.id("PHARMACY"),
+    ADMIN: ethers.id("ADMIN")
+};
+
+const patientHash = ethers.id("patient");
+const medHash = (name) => ethers.id(`medicine:${name}`);
+
+// The owner makes `admin` an admin, who registers one doctor and one pharmacy
+async function deployFixture() {
+    const [owner, admin, doctor, pharmacy, otherDoctor, stranger] = await ethers.getSigners();
+    const registry = await ethers.deployContract("PrescriptionRegistry");
+    await registry.addAdmin(admin.address);
+    await registry.connect(admin).registerDoctor(doctor.address);
+    await registry.connect(admin).registerPharmacy(pharmacy.address);
+    return { registry, owner, admin, doctor, pharmacy, otherDoctor, stranger };
+}
+
+// Issue as `doctor` and return the new prescription's ID
+async function issue(registry, doctor, { items = [["AMOX", 10]], refills = 0, validFor = 0 } = {}) {
+    await registry.connect(doctor).issuePrescriptionItems(
+        patientHash,
+        items.map(([name]) => medHash(name)),
+        items.map(([, quantity]) => quantity),
+        refills,
+        validFor
+    );
+    return registry.prescriptionCount();
+}
+
+module.exports = { Status, DAY, ROLE, patientHash, medHash, deployFixture, issue };
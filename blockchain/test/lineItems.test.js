@@ -0,0 +1,94 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { Status, patientHash, medHash, deployFixture, issue } = require("./fixtures");
+
+describe("PrescriptionRegistry line items", function () {
+    describe("issuance", function () {
+        it("validates the line items", async function () {
+            const { registry, doctor } = await loadFixture(deployFixture);
+            await expect(issue(registry, doctor, { items: [] })).to.be.revertedWith("Invalid number of items");
+            const eleven = Array.from({ length: 11 }, (_, i) => [`MED${i}`, 1]);
+            await expect(issue(registry, doctor, { items: eleven })).to.be.revertedWith("Invalid number of items");
+            await expect(registry.connect(doctor).issuePrescriptionItems(patientHash, [medHash("A"), medHash("B")], [1], 0, 0))
+                .to.be.revertedWith("Items and quantities differ in length");
+            await expect(issue(registry, doctor, { items: [["A", 1], ["B", 0]] })).to.be.revertedWith("Quantity must be positive");
+        });
+
+        it("accepts up to MAX_LINE_ITEMS medicines", async function () {
+            const { registry, doctor } = await loadFixture(deployFixture);
+            expect(await registry.MAX_LINE_ITEMS()).to.equal(10);
+            const ten = Array.from({ length: 10 }, (_, i) => [`MED${i}`, i + 1]);
+            const id = await issue(registry, doctor, { items: ten });
+            expect(await registry.getLineItems(id)).to.have.lengthOf(10);
+            expect((await registry.getPrescription(id)).quantity).to.equal(55);
+        });
+
+        it("summarises a single medicine as that item", async function () {
+            const { registry, doctor } = await loadFixture(deployFixture);
+            await expect(registry.connect(doctor).issuePrescription(patientHash, medHash("AMOX"), 20, 2, 0))
+                .to.emit(registry, "PrescriptionIssued").withArgs(1, doctor.address, patientHash);
+
+            const p = await registry.getPrescription(1);
+            expect(p.issuer).to.equal(doctor.address);
+            expect(p.medicationHash).to.equal(medHash("AMOX"));
+            expect(p.quantity).to.equal(20);
+            expect(p.refillsAllowed).to.equal(2);
+            expect(p.expiresAt).to.equal(0);
+            expect(await registry.totalAllowed(1)).to.equal(60);
+            expect(await registry.getLineItems(1)).to.have.lengthOf(1);
+        });
+
+        it("rolls several items up into one hash and one quantity", async function () {
+            const { registry, doctor } = await loadFixture(deployFixture);
+            const id = await issue(registry, doctor, { items: [["A", 2], ["B", 5], ["C", 3]], refills: 1 });
+
+            const p = await registry.getPrescription(id);
+            expect(p.medicationHash).to.equal(ethers.keccak256(ethers.concat([medHash("A"), medHash("B"), medHash("C")])));
+            expect(p.quantity).to.equal(10);
+            expect(await registry.totalAllowed(id)).to.equal(20);
+
+            const items = await registry.getLineItems(id);
+            expect(items.map(item => item.quantity)).to.deep.equal([2n, 5n, 3n]);
+            expect(items[1].medicationHash).to.equal(medHash("B"));
+        });
+    });
+
+    describe("dispensing by item", function () {
+        it("rejects multi-item calls to dispensePrescription and unknown items", async function () {
+            const { registry, doctor, pharmacy } = await loadFixture(deployFixture);
+            const multi = await issue(registry, doctor, { items: [["A", 2], ["B", 3]] });
+            await expect(registry.connect(pharmacy).dispensePrescription(multi, 1))
+                .to.be.revertedWith("Prescription has several items, use dispenseItem");
+            await expect(registry.connect(pharmacy).dispenseItem(multi, 2, 1)).to.be.revertedWith("Invalid item");
+        });
+
+        it("fills line items independently and completes when all are done", async function () {
+            const { registry, doctor, pharmacy } = await loadFixture(deployFixture);
+            const id = await issue(registry, doctor, { items: [["A", 2], ["B", 5]], refills: 1 });
+            expect(await registry.remainingInCurrentFill(id)).to.equal(7);
+
+            await expect(registry.connect(pharmacy).dispenseItem(id, 1, 5))
+                .to.emit(registry, "PrescriptionFilled").withArgs(id, pharmacy.address, 1, 5, 5);
+            await registry.connect(pharmacy).dispenseItem(id, 1, 3);
+            expect(await registry.remainingInItemFill(id, 0)).to.equal(2);
+            expect(await registry.remainingInItemFill(id, 1)).to.equal(2);
+            expect(await registry.refillsUsed(id)).to.equal(1); // item B is into its refill
+
+            await registry.connect(pharmacy).dispenseItem(id, 1, 2);
+            expect(await registry.remainingInItemFill(id, 1)).to.equal(0);
+            await expect(registry.connect(pharmacy).dispenseItem(id, 1, 1)).to.be.revertedWith("Amount exceeds remaining quantity");
+            expect((await registry.getPrescription(id)).status).to.equal(Status.PARTIALLY_DISPENSED);
+
+            await registry.connect(pharmacy).dispenseItem(id, 0, 2);
+            await expect(registry.connect(pharmacy).dispenseItem(id, 0, 2))
+                .to.emit(registry, "PrescriptionDispensed").withArgs(id, pharmacy.address);
+
+            const items = await registry.getLineItems(id);
+            expect(items.map(item => item.dispensedQuantity)).to.deep.equal([4n, 10n]);
+            const p = await registry.getPrescription(id);
+            expect(p.dispensedQuantity).to.equal(await registry.totalAllowed(id));
+            expect(p.status).to.equal(Status.DISPENSED);
+        });
+    });
+});
@@ -0,0 +1,88 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { DAY, ROLE, deployFixture, issue } = require("./fixtures");
+
+describe("PrescriptionRegistry roles", function () {
+    describe("governance", function () {
+        it("lets only the owner manage admins", async function () {
+            const { registry, admin, stranger } = await loadFixture(deployFixture);
+            await expect(registry.connect(admin).addAdmin(stranger.address)).to.be.revertedWith("Not owner");
+            await expect(registry.removeAdmin(stranger.address)).to.be.revertedWith("Not an admin");
+            await expect(registry.removeAdmin(admin.address))
+                .to.emit(registry, "RoleRevoked").withArgs(ROLE.ADMIN, admin.address);
+            await expect(registry.connect(admin).registerDoctor(stranger.address)).to.be.revertedWith("Not an admin");
+        });
+
+        it("lets the owner act as an admin", async function () {
+            const { registry, stranger } = await loadFixture(deployFixture);
+            await expect(registry.registerDoctor(stranger.address))
+                .to.emit(registry, "RoleGranted").withArgs(ROLE.DOCTOR, stranger.address);
+            expect(await registry.isActiveDoctor(stranger.address)).to.equal(true);
+        });
+
+        it("transfers ownership", async function () {
+            const { registry, owner, stranger } = await loadFixture(deployFixture);
+            await expect(registry.transferOwnership(ethers.ZeroAddress)).to.be.revertedWith("Invalid owner");
+            await expect(registry.transferOwnership(stranger.address))
+                .to.emit(registry, "OwnershipTransferred").withArgs(owner.address, stranger.address);
+            await expect(registry.addAdmin(owner.address)).to.be.revertedWith("Not owner");
+        });
+    });
+
+    describe("role lifecycle", function () {
+        it("tells a revoked doctor apart from one never registered, and clears that on re-grant", async function () {
+            const { registry, admin, doctor, stranger } = await loadFixture(deployFixture);
+            await expect(issue(registry, stranger)).to.be.revertedWith("Not a doctor");
+            await expect(registry.connect(admin).revokeDoctor(stranger.address)).to.be.revertedWith("Not a doctor");
+
+            await expect(registry.connect(admin).revokeDoctor(doctor.address))
+                .to.emit(registry, "RoleRevoked").withArgs(ROLE.DOCTOR, doctor.address);
+            expect(await registry.revoked(ROLE.DOCTOR, doctor.address)).to.equal(true);
+            await expect(issue(registry, doctor)).to.be.revertedWith("Doctor role revoked");
+
+            await expect(registry.connect(admin).registerDoctor(doctor.address))
+                .to.emit(registry, "RoleGranted").withArgs(ROLE.DOCTOR, doctor.address);
+            expect(await registry.revoked(ROLE.DOCTOR, doctor.address)).to.equal(false);
+            await issue(registry, doctor);
+        });
+
+        it("blocks a suspended doctor until the suspension ends or is lifted", async function () {
+            const { registry, admin, doctor, stranger } = await loadFixture(deployFixture);
+            await expect(registry.connect(admin).suspendDoctor(stranger.address, 0)).to.be.revertedWith("Not a doctor");
+
+            const until = (await time.latest()) + DAY;
+            await expect(registry.connect(admin).suspendDoctor(doctor.address, until))
+                .to.emit(registry, "RoleSuspended").withArgs(ROLE.DOCTOR, doctor.address, until);
+            expect(await registry.isActiveDoctor(doctor.address)).to.equal(false);
+            await expect(issue(registry, doctor)).to.be.revertedWith("Doctor suspended");
+
+            await time.increaseTo(until + 1);
+            expect(await registry.isActiveDoctor(doctor.address)).to.equal(true);
+            await issue(registry, doctor);
+
+            await registry.connect(admin).suspendDoctor(doctor.address, (await time.latest()) + DAY);
+            await registry.connect(admin).suspendDoctor(doctor.address, 0);
+            await issue(registry, doctor);
+        });
+
+        it("applies the same lifecycle to pharmacies", async function () {
+            const { registry, admin, doctor, pharmacy, stranger } = await loadFixture(deployFixture);
+            const id = await issue(registry, doctor);
+            await expect(registry.connect(stranger).dispensePrescription(id, 1)).to.be.revertedWith("Not a pharmacy");
+            await expect(registry.connect(admin).revokePharmacy(stranger.address)).to.be.revertedWith("Not a pharmacy");
+            await expect(registry.connect(admin).suspendPharmacy(stranger.address, 0)).to.be.revertedWith("Not a pharmacy");
+
+            await registry.connect(admin).suspendPharmacy(pharmacy.address, (await time.latest()) + DAY);
+            expect(await registry.isActivePharmacy(pharmacy.address)).to.equal(false);
+            await expect(registry.connect(pharmacy).dispensePrescription(id, 1)).to.be.revertedWith("Pharmacy suspended");
+
+            await registry.connect(admin).revokePharmacy(pharmacy.address);
+            await expect(registry.connect(pharmacy).dispensePrescription(id, 1)).to.be.revertedWith("Pharmacy role revoked");
+
+            await registry.connect(admin).registerPharmacy(pharmacy.address);
+            await registry.connect(admin).suspendPharmacy(pharmacy.address, 0);
+            await registry.connect(pharmacy).dispensePrescription(id, 1);
+        });
+    });
+});
@@ -0,0 +1,132 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { DAY, patientHash, medHash, deployFixture } = require("./fixtures");
+
+const SIGNED_TYPES = {
+    SignedPrescription: [
+        { name: "doctor", type: "address" },
+        { name: "patientHash", type: "bytes32" },
+        { name: "medicationHash", type: "bytes32" },
+        { name: "quantity", type: "uint256" },
+        { name: "validUntil", type: "uint256" },
+        { name: "nonce", type: "bytes32" }
+    ]
+};
+
+// Matches PrescriptionRegistry._verifyProof
+const hashPair = (a, b) => (BigInt(a) < BigInt(b)
+    ? ethers.keccak256(ethers.concat([a, b]))
+    : ethers.keccak256(ethers.concat([b, a])));
+
+describe("PrescriptionRegistry signed prescriptions", function () {
+    async function signedFixture() {
+        const base = await deployFixture();
+        const { registry, doctor } = base;
+        const { chainId } = await ethers.provider.getNetwork();
+        const domain = { name: "PrescriptionRegistry", version: "1", chainId, verifyingContract: await registry.getAddress() };
+
+        const sign = async (signer, overrides = {}) => {
+            const value = {
+                doctor: doctor.address,
+                patientHash,
+                medicationHash: medHash("AMOX"),
+                quantity: 10,
+                validUntil: 0,
+                nonce: ethers.hexlify(ethers.randomBytes(32)),
+                ...overrides
+            };
+            const signature = await signer.signTypedData(domain, SIGNED_TYPES, value);
+            return { value, signature, digest: ethers.TypedDataEncoder.hash(domain, SIGNED_TYPES, value) };
+        };
+        // A batch of one: the root is the leaf and the proof is empty
+        const anchor = async (digest) => {
+            await base.registry.connect(base.admin).anchorBatch(ethers.keccak256(digest), 1);
+            return base.registry.batchCount();
+        };
+        return { ...base, sign, anchor };
+    }
+
+    it("dispenses a signed prescription once", async function () {
+        const { registry, doctor, pharmacy, sign, anchor } = await loadFixture(signedFixture);
+        const { value, signature, digest } = await sign(doctor);
+        expect(await registry.hashSignedPrescription(value)).to.equal(digest);
+
+        await expect(registry.connect(pharmacy).dispenseSigned(7, value, signature, [])).to.be.revertedWith("Unknown batch");
+        const batchId = await anchor(digest);
+        await expect(registry.connect(pharmacy).dispenseSigned(batchId, value, signature, [ethers.ZeroHash]))
+            .to.be.revertedWith("Invalid Merkle proof");
+        await expect(registry.connect(pharmacy).dispenseSigned(batchId, value, signature, []))
+            .to.emit(registry, "SignedPrescriptionDispensed").withArgs(digest, batchId, pharmacy.address);
+        await expect(registry.connect(pharmacy).dispenseSigned(batchId, value, signature, [])).to.be.revertedWith("Already dispensed");
+        await expect(registry.connect(doctor).cancelSigned(value)).to.be.revertedWith("Already dispensed");
+    });
+
+    it("rejects empty roots and malformed signatures", async function () {
+        const { registry, admin, doctor, pharmacy, sign, anchor } = await loadFixture(signedFixture);
+        await expect(registry.connect(admin).anchorBatch(ethers.ZeroHash, 0)).to.be.revertedWith("Empty root");
+        await expect(registry.connect(doctor).anchorBatch(ethers.id("root"), 1)).to.be.revertedWith("Not an admin");
+
+        const { value, signature, digest } = await sign(doctor);
+        const batchId = await anchor(digest);
+        await expect(registry.connect(pharmacy).dispenseSigned(batchId, value, signature.slice(0, -2), []))
+            .to.be.revertedWith("Invalid signature length");
+        const badV = signature.slice(0, -2) + "00";
+        await expect(registry.connect(pharmacy).dispenseSigned(batchId, value, badV, []))
+            .to.be.revertedWith("Invalid signature");
+    });
+
+    it("checks the signer and their role", async function () {
+        const { registry, admin, doctor, pharmacy, stranger, sign, anchor } = await loadFixture(signedFixture);
+        const forged = await sign(stranger);
+        await expect(registry.connect(pharmacy).dispenseSigned(await anchor(forged.digest), forged.value, forged.signature, []))
+            .to.be.revertedWith("Invalid doctor signature");
+
+        const byStranger = await sign(stranger, { doctor: stranger.address });
+        await expect(registry.connect(pharmacy).dispenseSigned(await anchor(byStranger.digest), byStranger.value, byStranger.signature, []))
+            .to.be.revertedWith("Signer is not a doctor");
+
+        const { value, signature, digest } = await sign(doctor);
+        const batchId = await anchor(digest);
+        await registry.connect(admin).suspendDoctor(doctor.address, (await time.latest()) + DAY);
+        await expect(registry.connect(pharmacy).dispenseSigned(batchId, value, signature, [])).to.be.revertedWith("Doctor suspended");
+        await registry.connect(admin).revokeDoctor(doctor.address);
+        await expect(registry.connect(pharmacy).dispenseSigned(batchId, value, signature, [])).to.be.revertedWith("Signer is not a doctor");
+    });
+
+    it("honours expiry and cancellation", async function () {
+        const { registry, doctor, pharmacy, stranger, sign, anchor } = await loadFixture(signedFixture);
+        const expiring = await sign(doctor, { validUntil: (await time.latest()) + DAY });
+        const expiringBatch = await anchor(expiring.digest);
+        await time.increase(DAY + 1);
+        await expect(registry.connect(pharmacy).dispenseSigned(expiringBatch, expiring.value, expiring.signature, []))
+            .to.be.revertedWith("Prescription expired");
+
+        const { value, signature, digest } = await sign(doctor);
+        const batchId = await anchor(digest);
+        await expect(registry.connect(stranger).cancelSigned(value)).to.be.revertedWith("Not the issuer");
+        await expect(registry.connect(doctor).cancelSigned(value))
+            .to.emit(registry, "SignedPrescriptionCancelled").withArgs(digest, doctor.address);
+        await expect(registry.connect(doctor).cancelSigned(value)).to.be.revertedWith("Already cancelled");
+        await expect(registry.connect(pharmacy).dispenseSigned(batchId, value, signature, [])).to.be.revertedWith("Prescription cancelled");
+    });
+
+    it("accepts a proof from a batch of several prescriptions", async function () {
+        const { registry, admin, doctor, pharmacy, sign } = await loadFixture(signedFixture);
+        const signed = await Promise.all([sign(doctor), sign(doctor), sign(doctor)]);
+        const leaves = signed.map(({ digest }) => ethers.keccak256(digest));
+        // Sorted-pair tree over three leaves; the odd one is carried up unchanged
+        const pair = hashPair(leaves[0], leaves[1]);
+        const root = hashPair(pair, leaves[2]);
+        await registry.connect(admin).anchorBatch(root, leaves.length);
+        const batchId = await registry.batchCount();
+
+        await expect(registry.connect(pharmacy).dispenseSigned(batchId, signed[1].value, signed[1].signature, [leaves[0], leaves[2]]))
+            .to.emit(registry, "SignedPrescriptionDispensed").withArgs(signed[1].digest, batchId, pharmacy.address);
+        await expect(registry.connect(pharmacy).dispenseSigned(batchId, signed[2].value, signed[2].signature, [pair]))
+            .to.emit(registry, "SignedPrescriptionDispensed").withArgs(signed[2].digest, batchId, pharmacy.address);
+        // A proof for another leaf doesn't open this one
+        await expect(registry.connect(pharmacy).dispenseSigned(batchId, signed[0].value, signed[0].signature, [pair]))
+            .to.be.revertedWith("Invalid Merkle proof");
+    });
+});
@@ -3,6 +3,11 @@ import { useState, useEffect } from 'react';
 import './App.css';
 import DoctorDashboard from './pages/DoctorDashboard';
 import PharmacyDashboard from './pages/PharmacyDashboard';
+import PatientPortal from './pages/PatientPortal';
+import InventoryPage from './pages/InventoryPage';
+import AdminConsole from './pages/AdminConsole';
+import AnalyticsPage from './pages/AnalyticsPage';
+import { login, logout } from './utils/api';
 
 function Landing() {
   return (
@@ -23,12 +28,23 @@ function Landing() {
           <h2>Pharmacy</h2>
           <p style={{ color: 'var(--text-muted)' }}>Verify authenticity and dispense medicine securely.</p>
         </Link>
+        <Link to="/patient" className="card" style={{ textDecoration: 'none', width: '250px', textAlign: 'left' }}>
+          <div style={{ fontSize: '3rem', marginBottom: '1rem' }}>🧑</div>
+          <h2>Patient</h2>
+          <p style={{ color: 'var(--text-muted)' }}>See your prescriptions and what has been dispensed.</p>
+        </Link>
       </div>
     </div>
   );
 }
 
-function Navbar({ account, connectWallet, setupNetwork }) {
+const roleLabel = (roles) => {
+  if (!roles) return '';
+  const held = ['admin', 'doctor', 'pharmacy'].filter(r => roles[r]);
+  return held.length ? held.join(', ') : 'no role';
+};
+
+function Navbar({ account, roles, connectWallet, setupNetwork }) {
   const location = useLocation();
 
   return (
@@ -52,6 +68,10 @@ function Navbar({ account, connectWallet, setupNetwork }) {
             <>
               <Link to="/doctor" className="btn btn-secondary">Doctor</Link>
               <Link to="/pharmacy" className="btn btn-secondary">Pharmacy</Link>
+              <Link to="/inventory" className="btn btn-secondary">Inventory</Link>
+              <Link to="/patient" className="btn btn-secondary">Patient</Link>
+              {roles?.admin && <Link to="/analytics" className="btn btn-secondary">Analytics</Link>}
+              {roles?.owner && <Link to="/admin" className="btn btn-secondary">Admin</Link>}
             </>
           )}
         </div>
@@ -60,7 +80,7 @@ function Navbar({ account, connectWallet, setupNetwork }) {
           <button className="btn btn-secondary" onClick={setupNetwork} title="Setup Local Network">
             ⚙️ Setup
           </button>
-          <button className="btn" onClick={connectWallet}>
+          <button className="btn" onClick={connectWallet} title={account ? `Signed in as ${roleLabel(roles)}` : 'Sign in with your wallet'}>
             {account ? `🟢 ${account.slice(0, 6)}...` : 'Connect Wallet'}
           </button>
         </div>
@@ -71,18 +91,37 @@ function Navbar({ account, connectWallet, setupNetwork }) {
 
 function App() {
   const [account, setAccount] = useState(null);
+  const [roles, setRoles] = useState(null);
 
+  // Connecting also signs in to the API (Sign-In with Ethereum)
   const connectWallet = async () => {
     if (window.ethereum) {
       try {
         const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' });
+        const session = await login(accounts[0]);
         setAccount(accounts[0]);
-      } catch (err) { console.error(err); }
+        setRoles(session.roles);
+      } catch (err) {
+        console.error(err);
+        alert('Sign-in failed: ' + (err.response?.data?.error || err.reason || err.message));
+      }
     } else {
       alert("Please install MetaMask!");
     }
   };
 
+  // A different wallet needs its own session
+  useEffect(() => {
+    if (!window.ethereum) return;
+    const onAccountsChanged = () => {
+      logout();
+      setAccount(null);
+      setRoles(null);
+    };
+    window.ethereum.on('accountsChanged', onAccountsChanged);
+    return () => window.ethereum.removeListener('accountsChanged', onAccountsChanged);
+  }, []);
+
   const setupNetwork = async () => {
     try {
       await window.ethereum.request({
@@ -101,11 +140,15 @@ function App() {
 
   return (
     <Router>
-      <Navbar account={account} connectWallet={connectWallet} setupNetwork={setupNetwork} />
+      <Navbar account={account} roles={roles} connectWallet={connectWallet} setupNetwork={setupNetwork} />
       <Routes>
         <Route path="/" element={<Landing />} />
         <Route path="/doctor" element={<DoctorDashboard account={account} />} />
         <Route path="/pharmacy" element={<PharmacyDashboard account={account} />} />
+        <Route path="/inventory" element={<InventoryPage account={account} />} />
+        <Route path="/admin" element={<AdminConsole account={account} roles={roles} />} />
+        <Route path="/analytics" element={<AnalyticsPage account={account} roles={roles} />} />
+        <Route path="/patient" element={<PatientPortal account={account} />} />
       </Routes>
     </Router>
   );
@@ -0,0 +1,31 @@
+const SEVERITY_COLORS = { major: '#f87171', moderate: '#fbbf24', minor: '#38bdf8' };
+
+const TYPE_LABELS = {
+    INTERACTION: 'Interaction',
+    DUPLICATE_THERAPY: 'Duplicate therapy',
+    OVERLAPPING_SUPPLY: 'Overlapping supply'
+};
+
+// Warnings against the patient's active prescriptions; nothing is signed until the doctor confirms
+const ClinicalWarnings = ({ warnings, loading, onConfirm, onDismiss }) => (
+    <div className="mt-4 animate-fade" style={{ padding: '1rem', borderRadius: 'var(--radius-sm)', background: 'rgba(251, 191, 36, 0.1)', border: '1px solid rgba(251, 191, 36, 0.3)' }}>
+        <strong style={{ color: '#fbbf24' }}>⚠ Check the patient's active prescriptions</strong>
+        <ul style={{ margin: '0.5rem 0 1rem', paddingLeft: '1.25rem' }}>
+            {warnings.map((w, i) => (
+                <li key={i} style={{ marginBottom: '0.25rem' }}>
+                    <span style={{ color: SEVERITY_COLORS[w.severity], fontWeight: 600 }}>{TYPE_LABELS[w.type]} ({w.severity}):</span> {w.message}
+                </li>
+            ))}
+        </ul>
+        <div style={{ display: 'flex', gap: '0.5rem' }}>
+            <button type="button" className="btn" style={{ flex: 1 }} disabled={loading} onClick={onConfirm}>
+                I've reviewed these, issue anyway
+            </button>
+            <button type="button" className="btn btn-secondary" style={{ flex: 1 }} disabled={loading} onClick={onDismiss}>
+                Change prescription
+            </button>
+        </div>
+    </div>
+);
+
+export default ClinicalWarnings;
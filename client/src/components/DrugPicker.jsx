@@ -0,0 +1,66 @@
+import { useState, useEffect } from 'react';
+import api from '../utils/api';
+
+const drugLabel = (drug) => `${drug.name} ${drug.strength} ${drug.unit} ${drug.form}`;
+
+// Medicine input with catalog autocomplete. Typing clears the selection; a
+// prescription can only be issued once an entry has been picked.
+// onSelect receives the catalog entry and its display label.
+const DrugPicker = ({ value, drug, onChange, onSelect }) => {
+    const [suggestions, setSuggestions] = useState([]);
+    const query = value.trim();
+
+    useEffect(() => {
+        if (drug || query.length < 2) return;
+        let cancelled = false;
+        const timer = setTimeout(() => {
+            api.get('/api/drugs', { params: { q: query } })
+                .then(res => { if (!cancelled) setSuggestions(res.data.data); })
+                .catch(() => { if (!cancelled) setSuggestions([]); });
+        }, 250);
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [query, drug]);
+
+    const open = !drug && query.length >= 2;
+
+    return (
+        <div style={{ position: 'relative' }}>
+            <input
+                className="input-field"
+                name="medicine"
+                placeholder="Start typing, e.g. Amoxicillin"
+                autoComplete="off"
+                value={value}
+                onChange={e => onChange(e.target.value)}
+                required
+            />
+            {drug && (
+                <span className="badge badge-success" style={{ position: 'absolute', right: '0.5rem', top: '0.6rem' }}>
+                    {drug.schedule}
+                </span>
+            )}
+            {open && (
+                <div className="card" style={{ position: 'absolute', zIndex: 10, left: 0, right: 0, top: '100%', padding: '0.25rem', maxHeight: '240px', overflowY: 'auto' }}>
+                    {suggestions.length === 0 && (
+                        <p style={{ margin: '0.5rem', fontSize: '0.85rem', color: 'var(--text-muted)' }}>No catalog match</p>
+                    )}
+                    {suggestions.map(d => (
+                        <button
+                            type="button"
+                            key={d.code}
+                            onClick={() => onSelect(d, drugLabel(d))}
+                            style={{ display: 'block', width: '100%', textAlign: 'left', padding: '0.5rem', background: 'none', border: 'none', color: 'var(--text-main)', cursor: 'pointer' }}
+                        >
+                            {drugLabel(d)} <span style={{ fontSize: '0.8rem', color: 'var(--text-muted)' }}>· {d.schedule} · {d.code}</span>
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default DrugPicker;
@@ -0,0 +1,62 @@
+import { useState, useEffect, useCallback } from 'react';
+import api from '../utils/api';
+
+// Risk flags a pharmacist escalated to this doctor. Confirming releases the prescription
+// for dispensing; to stop it instead, cancel it below. Bump `reloadKey` to reload.
+const EscalatedFlags = ({ reloadKey }) => {
+    const [flags, setFlags] = useState([]);
+    const [error, setError] = useState('');
+    const [busy, setBusy] = useState(null);
+
+    const load = useCallback(() =>
+        api.get('/api/risk-reviews', { params: { as: 'doctor' } })
+            .then(res => {
+                setFlags(res.data.data.filter(f => f.review.status === 'ESCALATED'));
+                setError('');
+            })
+            .catch(err => setError(err.response?.data?.error || err.message)), []);
+
+    useEffect(() => {
+        load();
+    }, [load, reloadKey]);
+
+    const confirm = async (flag) => {
+        setBusy(flag.ref);
+        try {
+            const path = flag.kind === 'signed' ? 'signed-prescriptions' : 'prescriptions';
+            await api.post(`/api/${path}/${flag.ref}/review`, { action: 'CONFIRM' });
+            await load();
+        } catch (err) {
+            setError(err.response?.data?.error || err.message);
+        }
+        setBusy(null);
+    };
+
+    if (!flags.length && !error) return null;
+
+    return (
+        <div className="card mt-4" style={{ maxWidth: '600px', margin: '2rem auto 0' }}>
+            <h3 style={{ marginTop: 0 }}>Escalated Risk Flags</h3>
+            {error && <p style={{ color: '#f87171' }}>{error}</p>}
+            {flags.map(flag => (
+                <div key={flag.ref} className="mt-2" style={{ padding: '1rem', borderRadius: 'var(--radius-sm)', background: 'rgba(0,0,0,0.2)' }}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', gap: '1rem', alignItems: 'center' }}>
+                        <strong style={{ wordBreak: 'break-all' }}>
+                            {flag.kind === 'signed' ? flag.ref.slice(0, 10) + '…' : `#${flag.ref}`} · {flag.medicine}
+                        </strong>
+                        <span className="badge badge-error">{Math.round(flag.risk.score * 100)}%</span>
+                    </div>
+                    <ul style={{ margin: '0.5rem 0', paddingLeft: '1.25rem', fontSize: '0.9rem', color: 'var(--text-muted)' }}>
+                        {flag.risk.reasons.map(r => <li key={r}>{r}</li>)}
+                    </ul>
+                    {flag.review.reason && <p style={{ fontSize: '0.9rem', margin: '0 0 0.5rem' }}>Pharmacist: "{flag.review.reason}"</p>}
+                    <button className="btn btn-secondary" disabled={busy === flag.ref} onClick={() => confirm(flag)}>
+                        Confirm, OK to Dispense
+                    </button>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default EscalatedFlags;
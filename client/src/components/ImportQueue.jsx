@@ -0,0 +1,88 @@
+import { useState, useEffect, useCallback } from 'react';
+import api from '../utils/api';
+
+const fhirError = (err) => err.response?.data?.issue?.map(i => i.diagnostics).join(' ') || err.response?.data?.error || err.message;
+
+// MedicationRequests imported from an EHR as a FHIR Bundle. "Load" copies one into the
+// issue form; it leaves the queue once the doctor has issued (or signed) it.
+const ImportQueue = ({ activeId, onLoad, reloadKey }) => {
+    const [items, setItems] = useState([]);
+    const [message, setMessage] = useState('');
+    const [busy, setBusy] = useState(false);
+
+    const load = useCallback(() =>
+        api.get('/api/fhir/imports')
+            .then(res => setItems(res.data.data))
+            .catch(err => setMessage(err.response?.data?.error || err.message)), []);
+
+    useEffect(() => {
+        load();
+    }, [load, reloadKey]);
+
+    const upload = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        setBusy(true);
+        try {
+            const bundle = JSON.parse(await file.text());
+            const res = await api.post('/api/fhir/Bundle', bundle, { headers: { 'Content-Type': 'application/fhir+json' } });
+            const statuses = res.data.entry.map(entry => entry.response.status);
+            const rejected = res.data.entry
+                .map((entry, i) => entry.response.outcome && `#${i + 1}: ${entry.response.outcome.issue.map(x => x.diagnostics).join('; ')}`)
+                .filter(Boolean);
+            setMessage([
+                `${statuses.filter(s => s.startsWith('201')).length} queued`,
+                `${statuses.filter(s => s.startsWith('200')).length} already queued`,
+                `${rejected.length} rejected`
+            ].join(', ') + (rejected.length ? ` (${rejected.join(' | ')})` : ''));
+            await load();
+        } catch (err) {
+            setMessage('Import failed: ' + (err instanceof SyntaxError ? 'not a JSON file' : fhirError(err)));
+        }
+        setBusy(false);
+    };
+
+    const dismiss = async (item) => {
+        try {
+            await api.post(`/api/fhir/imports/${item._id}/dismiss`);
+            await load();
+        } catch (err) {
+            setMessage(err.response?.data?.error || err.message);
+        }
+    };
+
+    return (
+        <div className="card mt-4" style={{ maxWidth: '600px', margin: '2rem auto 0' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                <h3 style={{ margin: 0 }}>Imported Requests</h3>
+                <label className="btn btn-secondary" style={{ display: 'inline-flex', alignItems: 'center' }}>
+                    {busy ? '...' : '📥 Import FHIR Bundle'}
+                    <input type="file" accept=".json,application/json,application/fhir+json" onChange={upload} disabled={busy} style={{ display: 'none' }} />
+                </label>
+            </div>
+            {message && <p style={{ fontSize: '0.9rem', color: 'var(--text-muted)' }}>{message}</p>}
+            {!items.length && <p style={{ fontSize: '0.9rem', color: 'var(--text-muted)' }}>Nothing waiting to be issued.</p>}
+            {items.map(item => (
+                <div key={item._id} className="mt-2" style={{
+                    display: 'flex', justifyContent: 'space-between', gap: '1rem', alignItems: 'center',
+                    padding: '0.75rem 1rem', borderRadius: 'var(--radius-sm)',
+                    background: item._id === activeId ? 'rgba(56, 189, 248, 0.15)' : 'rgba(0,0,0,0.2)'
+                }}>
+                    <div style={{ fontSize: '0.9rem' }}>
+                        <strong>{item.medicineDetails.name} {item.medicineDetails.dosage}</strong> × {item.medicineDetails.quantity}
+                        <div style={{ color: 'var(--text-muted)' }}>
+                            {item.patient ? `${item.patient.name} · ${item.patient.patientId}` : `${item.patientId} (no longer registered)`}
+                        </div>
+                    </div>
+                    <div style={{ display: 'flex', gap: '0.5rem' }}>
+                        <button type="button" className="btn" disabled={!item.patient} onClick={() => onLoad(item)}>Load</button>
+                        <button type="button" className="btn btn-secondary" onClick={() => dismiss(item)}>Dismiss</button>
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default ImportQueue;
@@ -0,0 +1,119 @@
+import { useState } from 'react';
+import api from '../utils/api';
+
+const labelStyle = { fontSize: '0.9rem', color: 'var(--text-muted)' };
+
+// Find a registered patient by name (+ date of birth) or patient ID, or register a new one.
+// `query` is the name being searched, so voice/AI fill can pre-populate it.
+const PatientPicker = ({ query, onQueryChange, patient, onSelect }) => {
+    const [dateOfBirth, setDateOfBirth] = useState('');
+    const [wallet, setWallet] = useState('');
+    const [results, setResults] = useState(null);
+    const [accessCode, setAccessCode] = useState(null);
+    const [error, setError] = useState('');
+    const [busy, setBusy] = useState(false);
+
+    const run = async (request) => {
+        setBusy(true);
+        setError('');
+        try {
+            await request();
+        } catch (err) {
+            setError(err.response?.data?.error || err.message);
+        }
+        setBusy(false);
+    };
+
+    const search = () => run(async () => {
+        const text = query.trim();
+        const params = /^P-/i.test(text) ? { patientId: text } : { name: text, dateOfBirth: dateOfBirth || undefined };
+        const res = await api.get('/api/patients', { params });
+        setResults(res.data.data);
+    });
+
+    const register = () => run(async () => {
+        const res = await api.post('/api/patients', { name: query, dateOfBirth, wallet: wallet || undefined });
+        setResults(null);
+        onSelect(res.data.data);
+    });
+
+    const issueAccessCode = () => run(async () => {
+        const res = await api.post(`/api/patients/${patient.patientId}/access-codes`);
+        setAccessCode(res.data.data);
+    });
+
+    if (patient) {
+        return (
+            <div style={{ padding: '0.75rem 1rem', borderRadius: 'var(--radius-sm)', background: 'rgba(0,0,0,0.2)' }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '0.5rem' }}>
+                    <span>
+                        <strong>{patient.name}</strong> · {patient.dateOfBirth} ({patient.age})
+                        <span style={{ marginLeft: '0.5rem', fontFamily: 'monospace', color: 'var(--text-muted)' }}>{patient.patientId}</span>
+                    </span>
+                    <span style={{ display: 'flex', gap: '0.5rem' }}>
+                        <button type="button" className="btn btn-secondary" style={{ padding: '0.4rem 0.8rem' }} disabled={busy} onClick={issueAccessCode}>
+                            Portal Code
+                        </button>
+                        <button type="button" className="btn btn-secondary" style={{ padding: '0.4rem 0.8rem' }} onClick={() => { setAccessCode(null); onSelect(null); }}>
+                            Change
+                        </button>
+                    </span>
+                </div>
+                {accessCode && (
+                    <p style={{ margin: '0.5rem 0 0', fontSize: '0.9rem' }}>
+                        Patient portal code: <strong style={{ fontFamily: 'monospace', fontSize: '1.1rem' }}>{accessCode.code}</strong>{' '}
+                        <span style={{ color: 'var(--text-muted)' }}>(single use, with ID {patient.patientId}, until {new Date(accessCode.expiresAt).toLocaleString()})</span>
+                    </p>
+                )}
+                {error && <p style={{ color: '#f87171', margin: '0.5rem 0 0' }}>{error}</p>}
+            </div>
+        );
+    }
+
+    return (
+        <div>
+            <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr auto', gap: '0.5rem', alignItems: 'end' }}>
+                <div>
+                    <label style={labelStyle}>Patient (name or ID)</label>
+                    <input className="input-field" placeholder="John Doe or P-XXXXXXXX" value={query} onChange={e => { setResults(null); onQueryChange(e.target.value); }} />
+                </div>
+                <div>
+                    <label style={labelStyle}>Date of Birth</label>
+                    <input className="input-field" type="date" value={dateOfBirth} onChange={e => { setResults(null); setDateOfBirth(e.target.value); }} />
+                </div>
+                <button type="button" className="btn btn-secondary" style={{ marginBottom: '1rem' }} disabled={busy || !query.trim()} onClick={search}>
+                    Find
+                </button>
+            </div>
+
+            {results && (
+                <div style={{ display: 'grid', gap: '0.25rem' }}>
+                    {results.map(p => (
+                        <button
+                            type="button"
+                            key={p.patientId}
+                            className="btn btn-secondary"
+                            style={{ textAlign: 'left' }}
+                            onClick={() => { setResults(null); onSelect(p); }}
+                        >
+                            {p.name} · {p.dateOfBirth} ({p.age}) <span style={{ fontFamily: 'monospace', color: 'var(--text-muted)' }}>{p.patientId}</span>
+                        </button>
+                    ))}
+                    {!results.length && (
+                        <p style={{ ...labelStyle, margin: 0 }}>No registered patient matches. Check the spelling, or register them:</p>
+                    )}
+                    <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr', gap: '0.5rem', marginTop: '0.5rem' }}>
+                        <input className="input-field" style={{ marginBottom: 0 }} placeholder="Patient wallet (optional, for the portal)" value={wallet} onChange={e => setWallet(e.target.value)} />
+                        <button type="button" className="btn btn-secondary" disabled={busy || !query.trim() || !dateOfBirth} onClick={register} title={dateOfBirth ? '' : 'Date of birth is required'}>
+                            + New Patient
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {error && <p style={{ color: '#f87171' }}>{error}</p>}
+        </div>
+    );
+};
+
+export default PatientPicker;
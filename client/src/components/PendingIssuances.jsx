@@ -0,0 +1,87 @@
+import { useState, useEffect, useCallback } from 'react';
+import { resumeOutbox, removeEntry } from '../utils/outbox';
+
+const RETRY_MS = 15000;
+
+const LABELS = {
+    PREPARED: 'Waiting for the wallet',
+    SENT: 'Transaction pending',
+    MINED: 'Issued on chain, saving details',
+    FAILED: 'Failed'
+};
+
+// Issuances from the local outbox that haven't reached the server yet. Resumes them on load,
+// when the browser comes back online and periodically while any are still in flight
+// (not while `paused`, i.e. while the dashboard is issuing one itself).
+const PendingIssuances = ({ account, paused, reloadKey, onDelivered }) => {
+    const [entries, setEntries] = useState([]);
+    const [busy, setBusy] = useState(false);
+
+    const resume = useCallback(() =>
+        resumeOutbox(account, onDelivered)
+            .then(setEntries)
+            .catch(err => console.warn('Outbox unavailable:', err.message)), [account, onDelivered]);
+
+    useEffect(() => {
+        resume();
+    }, [resume, reloadKey]);
+
+    const inFlight = entries.some(e => ['PREPARED', 'SENT', 'MINED'].includes(e.status));
+
+    useEffect(() => {
+        if (paused) return;
+        window.addEventListener('online', resume);
+        const timer = inFlight ? setInterval(resume, RETRY_MS) : null;
+        return () => {
+            window.removeEventListener('online', resume);
+            clearInterval(timer);
+        };
+    }, [resume, inFlight, paused]);
+
+    const retry = async () => {
+        setBusy(true);
+        await resume();
+        setBusy(false);
+    };
+
+    const dismiss = async (entry) => {
+        const warning = entry.blockchainId
+            ? `Prescription #${entry.blockchainId} is on chain. Dismissing discards its details and QR code for good. Continue?`
+            : 'Stop tracking this issuance? If the transaction still goes through, its details will not be saved.';
+        if (!window.confirm(warning)) return;
+        await removeEntry(entry.id);
+        await resume();
+    };
+
+    if (!entries.length) return null;
+
+    return (
+        <div className="card mt-4" style={{ maxWidth: '600px', margin: '2rem auto 0' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                <h3 style={{ margin: 0 }}>Unfinished Issuances</h3>
+                <button type="button" className="btn btn-secondary" disabled={busy} onClick={retry}>
+                    {busy ? '...' : 'Retry now'}
+                </button>
+            </div>
+            {entries.map(entry => (
+                <div key={entry.id} className="mt-2" style={{ padding: '0.75rem 1rem', borderRadius: 'var(--radius-sm)', background: 'rgba(0,0,0,0.2)', fontSize: '0.9rem' }}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', gap: '1rem' }}>
+                        <strong>
+                            {entry.blockchainId ? `#${entry.blockchainId} · ` : ''}{entry.handoff.medicine} for {entry.handoff.patientName}
+                        </strong>
+                        <span className={entry.status === 'FAILED' ? 'badge badge-error' : 'badge badge-success'}>{LABELS[entry.status]}</span>
+                    </div>
+                    {entry.txHash && <div style={{ fontFamily: 'monospace', color: 'var(--text-muted)', wordBreak: 'break-all' }}>{entry.txHash}</div>}
+                    {entry.error && <p style={{ color: '#f87171', margin: '0.5rem 0 0' }}>{entry.error}</p>}
+                    <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.5rem' }}>
+                        {['PREPARED', 'FAILED', 'MINED'].includes(entry.status) && (
+                            <button type="button" className="btn btn-secondary" onClick={() => dismiss(entry)}>Dismiss</button>
+                        )}
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default PendingIssuances;
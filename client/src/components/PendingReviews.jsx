@@ -0,0 +1,47 @@
+import { useState, useEffect } from 'react';
+import api from '../utils/api';
+
+// Risk flags on prescriptions this pharmacy redeemed or filled. OPEN ones wait for the
+// pharmacist to override or escalate them; ESCALATED ones for the issuing doctor.
+// Bump `reloadKey` to reload.
+const PendingReviews = ({ onOpen, reloadKey }) => {
+    const [flags, setFlags] = useState([]);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        let cancelled = false;
+        api.get('/api/risk-reviews', { params: { as: 'pharmacy' } })
+            .then(res => {
+                if (cancelled) return;
+                setFlags(res.data.data);
+                setError('');
+            })
+            .catch(err => { if (!cancelled) setError(err.response?.data?.error || err.message); });
+        return () => { cancelled = true; };
+    }, [reloadKey]);
+
+    if (!flags.length && !error) return null;
+
+    return (
+        <div className="card mt-4" style={{ maxWidth: '600px', margin: '2rem auto 0' }}>
+            <h3 style={{ marginTop: 0 }}>Risk Flags Awaiting Review</h3>
+            {error && <p style={{ color: '#f87171' }}>{error}</p>}
+            {flags.map(flag => (
+                <div key={flag.ref} className="mt-2" style={{ padding: '1rem', borderRadius: 'var(--radius-sm)', background: 'rgba(0,0,0,0.2)' }}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', gap: '1rem', alignItems: 'center' }}>
+                        <strong>#{flag.ref} · {flag.medicine}</strong>
+                        <span className="badge badge-error">
+                            {flag.review.status === 'OPEN' ? 'Needs your review' : 'With the doctor'} · {Math.round(flag.risk.score * 100)}%
+                        </span>
+                    </div>
+                    <ul style={{ margin: '0.5rem 0', paddingLeft: '1.25rem', fontSize: '0.9rem', color: 'var(--text-muted)' }}>
+                        {flag.risk.reasons.map(r => <li key={r}>{r}</li>)}
+                    </ul>
+                    <button className="btn btn-secondary" onClick={() => onOpen({ blockchainId: flag.ref })}>Open</button>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default PendingReviews;
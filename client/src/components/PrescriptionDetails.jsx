@@ -0,0 +1,90 @@
+import api from '../utils/api';
+import { lineItemsOf } from '../utils/hashing';
+
+// MedicationRequests (one per line item) plus their MedicationDispenses as one FHIR collection Bundle, saved as a file
+const exportFhir = async (id) => {
+    const [requests, dispenses] = await Promise.all([
+        api.get('/api/fhir/MedicationRequest', { params: { prescription: `rx-${id}` } }),
+        api.get('/api/fhir/MedicationDispense', { params: { prescription: `rx-${id}` } })
+    ]);
+    const bundle = {
+        resourceType: 'Bundle',
+        type: 'collection',
+        entry: [...requests.data.entry, ...dispenses.data.entry].map(({ fullUrl, resource }) => ({ fullUrl, resource }))
+    };
+    const url = URL.createObjectURL(new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/fhir+json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `prescription-${id}.fhir.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+const row = (label, value) => (
+    <p><strong style={{ color: 'var(--text-muted)' }}>{label}:</strong> {value}</p>
+);
+
+// Read-only view of one of the doctor's own prescriptions, opened from the history table
+const PrescriptionDetails = ({ log, onCancel, onClose }) => {
+    const { medicineDetails: med, chain } = log;
+    const items = lineItemsOf(med);
+    const fills = (med.refills || 0) + 1;
+    const cancellable = ['ISSUED', 'PARTIALLY_DISPENSED'].includes(chain?.status);
+
+    return (
+        <div className="card mt-4 animate-fade" style={{ maxWidth: '600px', margin: '2rem auto 0' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem' }}>
+                <h3 style={{ margin: 0 }}>#{log.blockchainId}</h3>
+                <span className={chain?.status === 'CANCELLED' ? 'badge badge-error' : 'badge badge-success'}>{chain?.status || 'UNSYNCED'}</span>
+            </div>
+
+            <div style={{ display: 'grid', gap: '0.5rem' }}>
+                {row('Patient', `${log.patientName} (Age: ${log.patientAge})`)}
+                {items.map((item, i) => (
+                    <div key={item.code || item.name}>
+                        {row(items.length > 1 ? `Medicine ${i + 1}` : 'Medicine', `${item.name} ${item.dosage || ''}${item.schedule ? ` (${item.schedule})` : ''}`)}
+                        {row('Quantity', `${item.quantity} per fill, ${chain?.itemsDispensed?.[i] || 0} / ${item.quantity * fills} dispensed`)}
+                    </div>
+                ))}
+                {row('Refills', med.refills || 0)}
+                {row('Issued', new Date(log.issuedAt).toLocaleString())}
+                {row('Valid Until', log.validUntil ? new Date(log.validUntil).toLocaleString() : 'No expiry')}
+                {log.notes && row('Notes', log.notes)}
+                {log.risk?.level && log.risk.level !== 'LOW' && row('Risk', `${log.risk.level}: ${log.risk.reasons.join(' ')}`)}
+                {log.clinicalWarnings?.length > 0 && row(log.warningsAcknowledgedAt ? 'Acknowledged warnings' : 'Clinical warnings', log.clinicalWarnings.map(w => w.message).join(' '))}
+            </div>
+
+            {chain?.fills?.length > 0 && (
+                <table className="data-table mt-2">
+                    <thead>
+                        <tr><th>Pharmacy</th><th>Medicine</th><th>Amount</th><th>Tx</th></tr>
+                    </thead>
+                    <tbody>
+                        {chain.fills.map(f => (
+                            <tr key={f.txHash + (f.item || 0)}>
+                                <td style={{ fontFamily: 'monospace' }}>{f.pharmacy.slice(0, 10)}…</td>
+                                <td>{items[f.item || 0]?.name}</td>
+                                <td>{f.amount}</td>
+                                <td style={{ fontFamily: 'monospace' }}>{f.txHash.slice(0, 10)}…</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+
+            <div className="mt-4" style={{ display: 'flex', gap: '0.5rem' }}>
+                {cancellable && (
+                    <button className="btn" style={{ flex: 1, background: 'linear-gradient(135deg, #ef4444, #b91c1c)' }} onClick={() => onCancel(log.blockchainId)}>
+                        Cancel Rx
+                    </button>
+                )}
+                <button className="btn btn-secondary" style={{ flex: 1 }} onClick={() => exportFhir(log.blockchainId).catch(err => alert('Export failed: ' + err.message))}>
+                    Export FHIR
+                </button>
+                <button className="btn btn-secondary" style={{ flex: 1 }} onClick={onClose}>Close</button>
+            </div>
+        </div>
+    );
+};
+
+export default PrescriptionDetails;
@@ -0,0 +1,119 @@
+import { useState, useEffect } from 'react';
+import api from '../utils/api';
+import { lineItemsOf } from '../utils/hashing';
+
+const STATUSES = ['ISSUED', 'PARTIALLY_DISPENSED', 'DISPENSED', 'CANCELLED'];
+const EMPTY_FILTERS = { patient: '', medicine: '', status: '', from: '', to: '' };
+
+// Paginated history from GET /api/prescriptions. `as` is the role whose view to load
+// (doctor: issued by me, pharmacy: redeemed or dispensed by me); rows open via `onOpen`.
+const PrescriptionHistory = ({ as, onOpen, reloadKey }) => {
+    const [draft, setDraft] = useState(EMPTY_FILTERS);
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [page, setPage] = useState(1);
+    const [result, setResult] = useState({ rows: [], pagination: null });
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        let cancelled = false;
+        const params = { as, page, limit: 10 };
+        for (const [key, value] of Object.entries(filters)) if (value) params[key] = value;
+        if (filters.to) params.to = `${filters.to}T23:59:59.999`; // include the whole end day
+
+        api.get('/api/prescriptions', { params })
+            .then(res => {
+                if (cancelled) return;
+                setResult({ rows: res.data.data, pagination: res.data.pagination });
+                setError('');
+            })
+            .catch(err => { if (!cancelled) setError(err.response?.data?.error || err.message); });
+        return () => { cancelled = true; };
+    }, [as, page, filters, reloadKey]);
+
+    const search = (e) => {
+        e.preventDefault();
+        setPage(1);
+        setFilters(draft);
+    };
+
+    const setField = (e) => setDraft({ ...draft, [e.target.name]: e.target.value });
+    const { rows, pagination } = result;
+
+    return (
+        <div className="card mt-4" style={{ maxWidth: '900px', margin: '2rem auto 0' }}>
+            <h3 style={{ marginTop: 0 }}>{as === 'pharmacy' ? 'Dispensing History' : 'Issued Prescriptions'}</h3>
+
+            <form onSubmit={search} style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '0.5rem' }}>
+                <input className="input-field" name="patient" placeholder="Patient ID (P-...)" value={draft.patient} onChange={setField} />
+                <input className="input-field" name="medicine" placeholder="Medicine or code" value={draft.medicine} onChange={setField} />
+                <select className="input-field" name="status" value={draft.status} onChange={setField}>
+                    <option value="">Any status</option>
+                    {STATUSES.map(s => <option key={s} value={s}>{s}</option>)}
+                </select>
+                <input className="input-field" name="from" type="date" value={draft.from} onChange={setField} title="Issued from" />
+                <input className="input-field" name="to" type="date" value={draft.to} onChange={setField} title="Issued until" />
+                <button className="btn" style={{ marginBottom: '1rem' }}>Search</button>
+                <button
+                    type="button"
+                    className="btn btn-secondary"
+                    style={{ marginBottom: '1rem' }}
+                    onClick={() => { setDraft(EMPTY_FILTERS); setFilters(EMPTY_FILTERS); setPage(1); }}
+                >
+                    Clear
+                </button>
+            </form>
+
+            {error && <p style={{ color: '#f87171' }}>{error}</p>}
+
+            <div style={{ overflowX: 'auto' }}>
+                <table className="data-table">
+                    <thead>
+                        <tr>
+                            <th>ID</th>
+                            <th>Issued</th>
+                            <th>Patient</th>
+                            <th>Medicine</th>
+                            <th>Qty</th>
+                            <th>Status</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rows.map(log => (
+                            <tr key={log.blockchainId} className="clickable" onClick={() => onOpen(log)}>
+                                <td>#{log.blockchainId}</td>
+                                <td>{new Date(log.issuedAt).toLocaleDateString()}</td>
+                                <td>{log.patientName}{log.patientAge ? ` (${log.patientAge})` : ''}</td>
+                                <td>{lineItemsOf(log.medicineDetails).map(item => <div key={item.code || item.name}>{item.name} {item.dosage}</div>)}</td>
+                                <td>
+                                    {lineItemsOf(log.medicineDetails).map(item => (
+                                        <div key={item.code || item.name}>{item.quantity}{log.medicineDetails.refills ? ` ×${log.medicineDetails.refills + 1}` : ''}</div>
+                                    ))}
+                                </td>
+                                <td>
+                                    <span className={log.chain?.status === 'CANCELLED' ? 'badge badge-error' : 'badge badge-success'}>
+                                        {log.chain?.status || 'UNSYNCED'}
+                                    </span>
+                                </td>
+                            </tr>
+                        ))}
+                        {!rows.length && (
+                            <tr><td colSpan="6" style={{ color: 'var(--text-muted)', textAlign: 'center' }}>No prescriptions found</td></tr>
+                        )}
+                    </tbody>
+                </table>
+            </div>
+
+            {pagination && pagination.pages > 1 && (
+                <div className="mt-2" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <button className="btn btn-secondary" disabled={page <= 1} onClick={() => setPage(page - 1)}>← Prev</button>
+                    <span style={{ color: 'var(--text-muted)', fontSize: '0.9rem' }}>
+                        Page {pagination.page} of {pagination.pages} ({pagination.total} total)
+                    </span>
+                    <button className="btn btn-secondary" disabled={page >= pagination.pages} onClick={() => setPage(page + 1)}>Next →</button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default PrescriptionHistory;
@@ -0,0 +1,27 @@
+import { QRCodeSVG } from 'qrcode.react';
+import { encodeHandoff } from '../utils/qr';
+
+// Printable handoff slip the patient takes to the pharmacy
+const PrescriptionQR = ({ handoff, patientName, medicine }) => {
+    const label = handoff.digest ? `${handoff.digest.slice(0, 10)}…` : `#${handoff.id}`;
+
+    return (
+        <div className="card mt-4 print-area" style={{ maxWidth: '600px', margin: '2rem auto 0', textAlign: 'center' }}>
+            <h3 style={{ marginTop: 0 }}>Prescription {label}</h3>
+            <p style={{ color: 'var(--text-muted)', fontSize: '0.9rem' }}>
+                {patientName} · {medicine}
+            </p>
+            <div style={{ background: 'white', padding: '1rem', display: 'inline-block', borderRadius: 'var(--radius-sm)' }}>
+                <QRCodeSVG value={encodeHandoff(handoff)} size={200} level="M" />
+            </div>
+            <p style={{ color: 'var(--text-muted)', fontSize: '0.8rem' }}>
+                Show this code at the pharmacy. It can only be redeemed by one pharmacy.
+            </p>
+            <button type="button" className="btn btn-secondary no-print" onClick={() => window.print()}>
+                🖨️ Print
+            </button>
+        </div>
+    );
+};
+
+export default PrescriptionQR;
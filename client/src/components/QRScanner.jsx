@@ -0,0 +1,102 @@
+import { useState, useEffect, useRef } from 'react';
+import jsQR from 'jsqr';
+
+// Reads a QR code from the device camera or an uploaded photo and hands the text to `onScan`
+const QRScanner = ({ onScan, onError }) => {
+    const [scanning, setScanning] = useState(false);
+    const videoRef = useRef(null);
+    const canvasRef = useRef(null);
+    const handlersRef = useRef({ onScan, onError });
+
+    useEffect(() => {
+        handlersRef.current = { onScan, onError };
+    });
+
+    const decodeFrom = (source, width, height) => {
+        const canvas = canvasRef.current;
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(source, 0, 0, width, height);
+        const { data } = ctx.getImageData(0, 0, width, height);
+        return jsQR(data, width, height)?.data;
+    };
+
+    useEffect(() => {
+        if (!scanning) return;
+        let stream = null;
+        let frame = null;
+        let stopped = false;
+
+        const tick = () => {
+            const video = videoRef.current;
+            if (video && video.readyState === video.HAVE_ENOUGH_DATA) {
+                const text = decodeFrom(video, video.videoWidth, video.videoHeight);
+                if (text) {
+                    setScanning(false);
+                    handlersRef.current.onScan(text);
+                    return;
+                }
+            }
+            frame = requestAnimationFrame(tick);
+        };
+
+        navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } })
+            .then(s => {
+                stream = s;
+                if (stopped) return;
+                videoRef.current.srcObject = s;
+                videoRef.current.play();
+                frame = requestAnimationFrame(tick);
+            })
+            .catch(err => {
+                setScanning(false);
+                handlersRef.current.onError?.('Camera unavailable: ' + err.message);
+            });
+
+        return () => {
+            stopped = true;
+            cancelAnimationFrame(frame);
+            stream?.getTracks().forEach(t => t.stop());
+        };
+    }, [scanning]);
+
+    const handleUpload = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const bitmap = await createImageBitmap(file);
+            const text = decodeFrom(bitmap, bitmap.width, bitmap.height);
+            if (text) onScan(text);
+            else onError?.('No QR code found in that image.');
+        } catch (err) {
+            onError?.('Could not read image: ' + err.message);
+        }
+    };
+
+    return (
+        <div>
+            <div style={{ display: 'flex', gap: '0.5rem' }}>
+                <button type="button" className="btn btn-secondary" onClick={() => setScanning(s => !s)}>
+                    {scanning ? '⏹ Stop Camera' : '📷 Scan QR'}
+                </button>
+                <label className="btn btn-secondary" style={{ display: 'inline-flex', alignItems: 'center' }}>
+                    🖼️ Upload QR
+                    <input type="file" accept="image/*" onChange={handleUpload} style={{ display: 'none' }} />
+                </label>
+            </div>
+            {scanning && (
+                <video
+                    ref={videoRef}
+                    muted
+                    playsInline
+                    style={{ width: '100%', marginTop: '1rem', borderRadius: 'var(--radius-sm)', background: 'black' }}
+                />
+            )}
+            <canvas ref={canvasRef} style={{ display: 'none' }} />
+        </div>
+    );
+};
+
+export default QRScanner;
@@ -0,0 +1,72 @@
+import { useState } from 'react';
+
+const boxStyle = {
+    padding: '1rem',
+    borderRadius: 'var(--radius-sm)',
+    background: 'rgba(239, 68, 68, 0.15)',
+    color: '#f87171',
+    border: '1px solid rgba(239, 68, 68, 0.2)'
+};
+
+// Fraud-monitoring result for a prescription, with the pharmacist's override / escalate actions
+const RiskReviewPanel = ({ risk, review, loading, onDecide }) => {
+    const [reason, setReason] = useState('');
+
+    if (!risk || risk.level === 'LOW') return null;
+
+    const reasons = (
+        <ul style={{ margin: '0.5rem 0 0', paddingLeft: '1.25rem' }}>
+            {risk.reasons.map(r => <li key={r}>{r}</li>)}
+        </ul>
+    );
+
+    if (review?.status === 'OPEN') {
+        return (
+            <div className="mt-4" style={boxStyle}>
+                <strong>⚠ High risk ({Math.round(risk.score * 100)}%): review before dispensing</strong>
+                {reasons}
+                <textarea
+                    className="input-field mt-2"
+                    rows="2"
+                    placeholder="Override reason (e.g. confirmed with the doctor by phone)"
+                    value={reason}
+                    onChange={e => setReason(e.target.value)}
+                />
+                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                    <button className="btn" style={{ flex: 1 }} disabled={loading || !reason.trim()} onClick={() => onDecide('OVERRIDE', reason)}>
+                        Override &amp; Allow
+                    </button>
+                    <button className="btn btn-secondary" style={{ flex: 1 }} disabled={loading} onClick={() => onDecide('ESCALATE', reason)}>
+                        Escalate to Doctor
+                    </button>
+                </div>
+            </div>
+        );
+    }
+
+    if (review?.status === 'ESCALATED') {
+        return (
+            <div className="mt-4" style={boxStyle}>
+                <strong>⏸ Escalated to the issuing doctor: dispensing is on hold until they confirm.</strong>
+                {reasons}
+            </div>
+        );
+    }
+
+    // MEDIUM score, or a HIGH flag someone already decided on
+    return (
+        <div className="mt-4" style={{ fontSize: '0.9rem', color: 'var(--text-muted)' }}>
+            <strong>Risk {risk.level.toLowerCase()} ({Math.round(risk.score * 100)}%)</strong>
+            {reasons}
+            {review?.decidedBy && (
+                <p style={{ margin: '0.5rem 0 0' }}>
+                    {review.status === 'CONFIRMED' ? 'Confirmed by doctor' : 'Overridden by'}{' '}
+                    <span style={{ fontFamily: 'monospace' }}>{review.decidedBy}</span>
+                    {review.reason && `: "${review.reason}"`}
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default RiskReviewPanel;
@@ -0,0 +1,58 @@
+import RiskReviewPanel from './RiskReviewPanel';
+import { reviewPending } from '../utils/risk';
+
+// Details of an off-chain (EIP-712 signed, Merkle-batched) prescription for the pharmacy.
+// `inStock` is the pharmacy's dispensable units of the medicine, when known.
+const SignedPrescriptionCard = ({ signed, inStock, loading, onDispense, onReview }) => {
+    const { record, verified, status } = signed;
+    const canDispense = status === 'ANCHORED' && verified;
+    const onHold = reviewPending(record.review);
+
+    const reason = {
+        QUEUED: 'Waiting to be anchored in the next batch.',
+        DISPENSED: 'Already dispensed.',
+        CANCELLED: 'Cancelled by the issuing doctor.',
+        EXPIRED: 'Validity window has passed.'
+    }[status];
+
+    return (
+        <div className="mt-4 animate-fade" style={{ background: 'rgba(0,0,0,0.2)', padding: '1.5rem', borderRadius: 'var(--radius-sm)' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem', gap: '1rem' }}>
+                <h3 style={{ margin: 0, fontSize: '1rem', fontFamily: 'monospace', wordBreak: 'break-all' }}>{record.digest}</h3>
+                <span className={canDispense ? 'badge badge-success' : 'badge badge-error'}>{status}</span>
+            </div>
+
+            <p style={{ margin: '0 0 1rem', fontSize: '0.9rem', color: verified ? '#4ade80' : '#f87171' }}>
+                {verified
+                    ? '✓ Doctor signature and metadata verified'
+                    : '⚠ Signature or metadata does not match the signed prescription'}
+            </p>
+
+            <div style={{ display: 'grid', gap: '0.5rem', color: 'var(--text-main)' }}>
+                <p><strong style={{ color: 'var(--text-muted)' }}>Patient:</strong> {record.patientName} (Age: {record.patientAge})</p>
+                <p><strong style={{ color: 'var(--text-muted)' }}>Medicine:</strong> {record.medicineDetails.name} {record.medicineDetails.dosage}{record.medicineDetails.schedule && ` (${record.medicineDetails.schedule})`}</p>
+                <p><strong style={{ color: 'var(--text-muted)' }}>Quantity:</strong> {record.medicineDetails.quantity}{inStock !== undefined && ` (${inStock} in stock)`}</p>
+                <p><strong style={{ color: 'var(--text-muted)' }}>Notes:</strong> {record.notes}</p>
+                <p><strong style={{ color: 'var(--text-muted)' }}>Batch:</strong> {record.batchId ? `#${record.batchId}` : 'not anchored yet'}</p>
+                <p><strong style={{ color: 'var(--text-muted)' }}>Doctor:</strong> <span style={{ fontFamily: 'monospace', fontSize: '0.9em' }}>{record.prescription.doctor}</span></p>
+            </div>
+
+            {reason && <p className="mt-2" style={{ color: '#f87171' }}>Cannot dispense: {reason}</p>}
+
+            {canDispense && <RiskReviewPanel key={record.digest} risk={record.risk} review={record.review} loading={loading} onDecide={onReview} />}
+
+            {canDispense && (
+                <button
+                    className="btn mt-4"
+                    style={{ width: '100%', background: 'linear-gradient(135deg, var(--secondary), #db2777)' }}
+                    onClick={onDispense}
+                    disabled={loading || onHold}
+                >
+                    Dispense Medicine
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default SignedPrescriptionCard;
@@ -1,65 +1,103 @@
 import { useState, useEffect, useRef } from 'react';
+import { LANGUAGES, normalizeSpeech, parseCommand } from '../utils/voiceCommands';
 
-const VoiceAssistant = ({ onTranscript, onStatusChange }) => {
+const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+const LANG_KEY = 'blockrx.voiceLang';
+
+// Dictation with spoken commands. A finished utterance that matches the command grammar goes to
+// `onCommand` (which may return text to read aloud); everything else is normalised and streamed
+// to `onTranscript`.
+const VoiceAssistant = ({ onTranscript, onStatusChange, onCommand }) => {
     const [isListening, setIsListening] = useState(false);
     const [interimText, setInterimText] = useState('');
+    const [lang, setLang] = useState(() => localStorage.getItem(LANG_KEY) || 'en-US');
     const recognitionRef = useRef(null);
+    const handlersRef = useRef({ onTranscript, onStatusChange, onCommand });
 
     useEffect(() => {
-        if ('webkitSpeechRecognition' in window || 'SpeechRecognition' in window) {
-            const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-            const rec = new SpeechRecognition();
-            rec.continuous = true; // Keep listening
-            rec.interimResults = true; // Show results immediately
-            rec.lang = 'en-US';
-
-            rec.onstart = () => {
-                setIsListening(true);
-                if (onStatusChange) onStatusChange('Listening...');
-            };
-
-            rec.onend = () => {
-                setIsListening(false);
-                if (onStatusChange) onStatusChange('Mic stopped.');
-            };
-
-            rec.onresult = (event) => {
-                let finalTranscript = '';
-                let currentInterim = '';
-
-                for (let i = event.resultIndex; i < event.results.length; ++i) {
-                    if (event.results[i].isFinal) {
-                        finalTranscript += event.results[i][0].transcript + ' ';
-                    } else {
-                        currentInterim += event.results[i][0].transcript;
-                    }
-                }
+        handlersRef.current = { onTranscript, onStatusChange, onCommand };
+    });
+
+    useEffect(() => {
+        const { onStatusChange: status } = handlersRef.current;
+        if (!SpeechRecognition) {
+            if (status) status('Speech API not supported.');
+            return;
+        }
+        const rec = new SpeechRecognition();
+        rec.continuous = true; // Keep listening
+        rec.interimResults = true; // Show results immediately
+        rec.lang = lang;
+
+        const speak = (text) => {
+            if (!window.speechSynthesis) return;
+            const utterance = new SpeechSynthesisUtterance(text);
+            utterance.lang = lang;
+            window.speechSynthesis.speak(utterance);
+        };
+
+        const runCommand = async (command, spoken) => {
+            const { onCommand: handle, onStatusChange: report } = handlersRef.current;
+            if (report) report(`Command: "${spoken}"`);
+            try {
+                const reply = await handle?.(command);
+                if (typeof reply === 'string') speak(reply);
+            } catch (err) {
+                if (report) report('Error: ' + err.message);
+            }
+        };
+
+        rec.onstart = () => {
+            setIsListening(true);
+            if (handlersRef.current.onStatusChange) handlersRef.current.onStatusChange('Listening...');
+        };
+
+        rec.onend = () => {
+            setIsListening(false);
+            if (handlersRef.current.onStatusChange) handlersRef.current.onStatusChange('Mic stopped.');
+        };
 
-                setInterimText(currentInterim);
+        rec.onresult = (event) => {
+            // Don't transcribe our own read-back
+            if (window.speechSynthesis?.speaking) return;
 
-                // If we have final text, send it up. 
-                // We might want to send interim too if we want "live" parsing, 
-                // but usually parsing requires stable text.
-                // Let's send a combo for the parent to display.
-                if (finalTranscript || currentInterim) {
-                    // We send the latest chunk of final + current interim
-                    // Note: Ideally parent manages full state, but here we just stream chunks
-                    if (onTranscript) onTranscript(finalTranscript, currentInterim);
+            let finalTranscript = '';
+            let currentInterim = '';
+
+            for (let i = event.resultIndex; i < event.results.length; ++i) {
+                const spoken = event.results[i][0].transcript.trim();
+                if (!event.results[i].isFinal) {
+                    currentInterim += spoken + ' ';
+                    continue;
                 }
-            };
+                // Each final result is one utterance: either a command or more dictation
+                const command = parseCommand(spoken, lang);
+                if (command) runCommand(command, spoken);
+                else finalTranscript += normalizeSpeech(spoken, lang) + ' ';
+            }
 
-            rec.onerror = (event) => {
-                console.error(event.error);
-                if (event.error === 'no-speech') return;
-                setIsListening(false);
-                if (onStatusChange) onStatusChange('Error: ' + event.error);
-            };
+            currentInterim = normalizeSpeech(currentInterim, lang);
+            setInterimText(currentInterim);
 
-            recognitionRef.current = rec;
-        } else {
-            if (onStatusChange) onStatusChange('Speech API not supported.');
-        }
-    }, [onTranscript, onStatusChange]);
+            // Stream the new final text plus the current interim chunk; the parent keeps the full transcript
+            if ((finalTranscript || currentInterim) && handlersRef.current.onTranscript) {
+                handlersRef.current.onTranscript(finalTranscript, currentInterim);
+            }
+        };
+
+        rec.onerror = (event) => {
+            console.error(event.error);
+            if (event.error === 'no-speech') return;
+            setIsListening(false);
+            if (handlersRef.current.onStatusChange) handlersRef.current.onStatusChange('Error: ' + event.error);
+        };
+
+        recognitionRef.current = rec;
+        return () => {
+            rec.onend = rec.onresult = rec.onerror = null;
+            rec.abort();
+        };
+    }, [lang]);
 
     const toggleListen = (e) => {
         e.preventDefault();
@@ -73,7 +111,12 @@ const VoiceAssistant = ({ onTranscript, onStatusChange }) => {
         }
     };
 
-    if (!recognitionRef.current) return null;
+    const changeLang = (code) => {
+        localStorage.setItem(LANG_KEY, code);
+        setLang(code);
+    };
+
+    if (!SpeechRecognition) return null;
 
     return (
         <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '0.5rem' }}>
@@ -101,6 +144,16 @@ const VoiceAssistant = ({ onTranscript, onStatusChange }) => {
                     <span style={{ fontSize: '1.8rem' }}>🎙️</span>
                 )}
             </button>
+            <select
+                className="input-field"
+                style={{ marginBottom: 0, padding: '0.25rem 0.5rem', fontSize: '0.85rem', width: 'auto' }}
+                value={lang}
+                onChange={e => changeLang(e.target.value)}
+                disabled={isListening}
+                title="Recognition language"
+            >
+                {LANGUAGES.map(l => <option key={l.code} value={l.code}>{l.label}</option>)}
+            </select>
             {isListening && interimText && (
                 <div style={{
                     maxWidth: '300px',
@@ -0,0 +1,279 @@
+import { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import api from '../utils/api';
+import { getRegistry } from '../utils/contract';
+
+const ROLES = ['doctor', 'pharmacy', 'admin'];
+// Registry calls per role
+const GRANT = { doctor: 'registerDoctor', pharmacy: 'registerPharmacy', admin: 'addAdmin' };
+const REVOKE = { doctor: 'revokeDoctor', pharmacy: 'revokePharmacy', admin: 'removeAdmin' };
+const ORGANISATION_OF = { doctor: 'clinic', pharmacy: 'pharmacy', admin: 'other' };
+
+const EMPTY_FORM = { address: '', role: 'doctor', organisationType: 'clinic', name: '', licenseNumber: '', contact: '' };
+const EMPTY_FILTERS = { q: '', role: '', includeRevoked: false };
+
+const roleBadge = (key, state) => {
+    if (!state.held) return <span key={key} className="badge badge-error" style={{ marginRight: '0.25rem' }}>{key} (revoked)</span>;
+    const suspended = state.suspendedUntil && state.suspendedUntil * 1000 > Date.now();
+    return (
+        <span key={key} className={suspended ? 'badge badge-error' : 'badge badge-success'} style={{ marginRight: '0.25rem' }}>
+            {key}{suspended && ` (suspended until ${new Date(state.suspendedUntil * 1000).toLocaleDateString()})`}
+        </span>
+    );
+};
+
+// Registry governance for the contract owner: grant and revoke roles from the owner's wallet,
+// browse role holders (replayed from the indexed RoleGranted events) with their activity, and
+// keep the off-chain directory of who each address belongs to
+const AdminConsole = ({ account, roles }) => {
+    const [stats, setStats] = useState(null);
+    const [accounts, setAccounts] = useState([]);
+    const [draft, setDraft] = useState(EMPTY_FILTERS);
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [reloadKey, setReloadKey] = useState(0);
+    const [loading, setLoading] = useState(false);
+    const [status, setStatus] = useState('');
+
+    const isOwner = Boolean(account && roles?.owner);
+
+    useEffect(() => {
+        if (!isOwner) return;
+        let cancelled = false;
+        const params = { includeRevoked: filters.includeRevoked };
+        if (filters.q) params.q = filters.q;
+        if (filters.role) params.role = filters.role;
+        Promise.all([api.get('/api/admin/stats'), api.get('/api/admin/accounts', { params })])
+            .then(([statsRes, accountsRes]) => {
+                if (cancelled) return;
+                setStats(statsRes.data.data);
+                setAccounts(accountsRes.data.data);
+            })
+            .catch(err => { if (!cancelled) setStatus('Error loading registry: ' + (err.response?.data?.error || err.message)); });
+        return () => { cancelled = true; };
+    }, [isOwner, filters, reloadKey]);
+
+    const setField = (e) => {
+        const { name, value } = e.target;
+        setForm(prev => (name === 'role'
+            ? { ...prev, role: value, organisationType: ORGANISATION_OF[value] }
+            : { ...prev, [name]: value }));
+    };
+
+    const saveDirectory = () => api.put(`/api/admin/directory/${form.address.trim()}`, {
+        organisationType: form.organisationType,
+        name: form.name.trim(),
+        licenseNumber: form.licenseNumber.trim() || undefined,
+        contact: form.contact.trim() || undefined
+    });
+
+    // Grant from the owner's wallet, then record the directory details if any were given
+    const grant = async (e) => {
+        e.preventDefault();
+        const address = form.address.trim();
+        if (!ethers.isAddress(address)) return setStatus('That is not a valid address.');
+        setLoading(true);
+        try {
+            const contract = await getRegistry({ withSigner: true });
+            const tx = await contract[GRANT[form.role]](address);
+            setStatus(`Granting ${form.role} to ${address}...`);
+            await tx.wait();
+            if (form.name.trim()) await saveDirectory();
+            setStatus(`Granted ${form.role} to ${address}. It shows up below once the indexer has picked it up.`);
+            setForm(EMPTY_FORM);
+            setReloadKey(k => k + 1);
+        } catch (error) {
+            console.error(error);
+            setStatus('Error granting role: ' + (error.reason || error.response?.data?.error || error.message));
+        }
+        setLoading(false);
+    };
+
+    const saveDetails = async () => {
+        setLoading(true);
+        try {
+            await saveDirectory();
+            setStatus(`Saved directory details for ${form.address.trim()}.`);
+            setForm(EMPTY_FORM);
+            setReloadKey(k => k + 1);
+        } catch (error) {
+            setStatus('Error saving details: ' + (error.response?.data?.error || error.message));
+        }
+        setLoading(false);
+    };
+
+    const revoke = async (address, role) => {
+        if (!window.confirm(`Revoke the ${role} role from ${address}?`)) return;
+        setLoading(true);
+        try {
+            const contract = await getRegistry({ withSigner: true });
+            const tx = await contract[REVOKE[role]](address);
+            setStatus(`Revoking ${role} from ${address}...`);
+            await tx.wait();
+            setStatus(`Revoked ${role} from ${address}.`);
+            setReloadKey(k => k + 1);
+        } catch (error) {
+            console.error(error);
+            setStatus('Error revoking role: ' + (error.reason || error.message));
+        }
+        setLoading(false);
+    };
+
+    const edit = (holder) => {
+        const heldRole = ROLES.find(r => holder.roles[r]?.held) || 'doctor';
+        setForm({
+            address: holder.address,
+            role: heldRole,
+            organisationType: holder.directory?.organisationType || ORGANISATION_OF[heldRole],
+            name: holder.directory?.name || '',
+            licenseNumber: holder.directory?.licenseNumber || '',
+            contact: holder.directory?.contact || ''
+        });
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    };
+
+    if (!isOwner) {
+        return (
+            <div className="container animate-fade">
+                <h2 className="center-text">Admin Console</h2>
+                <p className="center-text" style={{ color: 'var(--text-muted)' }}>
+                    {account ? 'Only the registry owner can open the admin console.' : 'Connect the registry owner\'s wallet.'}
+                </p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="container animate-fade">
+            <h2 className="center-text">Admin Console</h2>
+
+            {stats && (
+                <div className="card" style={{ maxWidth: '900px', margin: '2rem auto 0' }}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', gap: '1rem', flexWrap: 'wrap' }}>
+                        <h3 style={{ margin: 0 }}>{stats.prescriptionCount} prescriptions issued</h3>
+                        <span style={{ fontFamily: 'monospace', fontSize: '0.85rem', color: 'var(--text-muted)' }}>
+                            {stats.contractAddress} · chain {stats.chainId}
+                        </span>
+                    </div>
+                    <div className="mt-2" style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '1rem' }}>
+                        <div>
+                            <strong>Doctors: {stats.roles.doctor.holders}</strong>
+                            {stats.roles.doctor.suspended > 0 && ` (${stats.roles.doctor.suspended} suspended)`}
+                            <p style={{ margin: '0.25rem 0 0', color: 'var(--text-muted)', fontSize: '0.9rem' }}>
+                                {stats.roles.doctor.issued} issued on chain, {stats.roles.doctor.signed} signed, {stats.roles.doctor.cancelled} cancelled
+                            </p>
+                        </div>
+                        <div>
+                            <strong>Pharmacies: {stats.roles.pharmacy.holders}</strong>
+                            {stats.roles.pharmacy.suspended > 0 && ` (${stats.roles.pharmacy.suspended} suspended)`}
+                            <p style={{ margin: '0.25rem 0 0', color: 'var(--text-muted)', fontSize: '0.9rem' }}>{stats.roles.pharmacy.fills} fills</p>
+                        </div>
+                        <div>
+                            <strong>Admins: {stats.roles.admin.holders}</strong>
+                            <p style={{ margin: '0.25rem 0 0', color: 'var(--text-muted)', fontSize: '0.9rem' }}>{stats.roles.admin.batchesAnchored} batches anchored</p>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            <form className="card" onSubmit={grant} style={{ maxWidth: '900px', margin: '2rem auto 0' }}>
+                <h3 style={{ marginTop: 0 }}>Grant a Role</h3>
+                <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr', gap: '0.5rem' }}>
+                    <input className="input-field" name="address" placeholder="Wallet address (0x...)" value={form.address} onChange={setField} required />
+                    <select className="input-field" name="role" value={form.role} onChange={setField}>
+                        {ROLES.map(r => <option key={r} value={r}>{r}</option>)}
+                    </select>
+                </div>
+                <p style={{ margin: '0 0 0.5rem', color: 'var(--text-muted)', fontSize: '0.9rem' }}>Directory details (off chain)</p>
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 2fr 1fr', gap: '0.5rem' }}>
+                    <select className="input-field" name="organisationType" value={form.organisationType} onChange={setField}>
+                        <option value="clinic">Clinic</option>
+                        <option value="pharmacy">Pharmacy</option>
+                        <option value="other">Other</option>
+                    </select>
+                    <input className="input-field" name="name" placeholder="Clinic or pharmacy name" value={form.name} onChange={setField} />
+                    <input className="input-field" name="licenseNumber" placeholder="Licence number" value={form.licenseNumber} onChange={setField} />
+                </div>
+                <input className="input-field" name="contact" placeholder="Contact (optional)" value={form.contact} onChange={setField} />
+                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                    <button className="btn" style={{ flex: 1 }} disabled={loading}>{loading ? '...' : `Grant ${form.role}`}</button>
+                    <button
+                        type="button"
+                        className="btn btn-secondary"
+                        disabled={loading || !form.address.trim() || !form.name.trim()}
+                        onClick={saveDetails}
+                    >
+                        Save Details Only
+                    </button>
+                </div>
+            </form>
+
+            {status && <p className="center-text mt-2" style={{ color: 'var(--text-muted)' }}>{status}</p>}
+
+            <div className="card mt-4" style={{ maxWidth: '900px', margin: '2rem auto 0' }}>
+                <h3 style={{ marginTop: 0 }}>Role Holders</h3>
+                <form
+                    onSubmit={e => { e.preventDefault(); setFilters(draft); }}
+                    style={{ display: 'grid', gridTemplateColumns: '2fr 1fr auto auto', gap: '0.5rem', alignItems: 'center' }}
+                >
+                    <input className="input-field" placeholder="Address, name or licence number" value={draft.q} onChange={e => setDraft({ ...draft, q: e.target.value })} />
+                    <select className="input-field" value={draft.role} onChange={e => setDraft({ ...draft, role: e.target.value })}>
+                        <option value="">Any role</option>
+                        {ROLES.map(r => <option key={r} value={r}>{r}</option>)}
+                    </select>
+                    <label style={{ fontSize: '0.9rem', color: 'var(--text-muted)', marginBottom: '1rem', whiteSpace: 'nowrap' }}>
+                        <input type="checkbox" checked={draft.includeRevoked} onChange={e => setDraft({ ...draft, includeRevoked: e.target.checked })} /> Revoked
+                    </label>
+                    <button className="btn" style={{ marginBottom: '1rem' }}>Search</button>
+                </form>
+
+                <div style={{ overflowX: 'auto' }}>
+                    <table className="data-table">
+                        <thead>
+                            <tr>
+                                <th>Account</th>
+                                <th>Roles</th>
+                                <th>Activity</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {accounts.map(holder => (
+                                <tr key={holder.address}>
+                                    <td>
+                                        {holder.directory && (
+                                            <div>
+                                                <strong>{holder.directory.name}</strong>
+                                                {holder.directory.licenseNumber && <span style={{ color: 'var(--text-muted)' }}> · {holder.directory.licenseNumber}</span>}
+                                            </div>
+                                        )}
+                                        <span style={{ fontFamily: 'monospace', fontSize: '0.85rem' }}>{holder.address}</span>
+                                    </td>
+                                    <td>{Object.entries(holder.roles).map(([key, state]) => roleBadge(key, state))}</td>
+                                    <td style={{ fontSize: '0.9rem' }}>
+                                        {holder.roles.doctor && <div>{holder.activity.issued} issued, {holder.activity.signed} signed, {holder.activity.cancelled} cancelled</div>}
+                                        {holder.roles.pharmacy && <div>{holder.activity.fills} fills</div>}
+                                        {holder.activity.lastBlock && <div style={{ color: 'var(--text-muted)' }}>last active in block {holder.activity.lastBlock}</div>}
+                                    </td>
+                                    <td style={{ whiteSpace: 'nowrap' }}>
+                                        <button className="btn btn-secondary" disabled={loading} onClick={() => edit(holder)}>Edit</button>
+                                        {ROLES.filter(r => holder.roles[r]?.held).map(r => (
+                                            <button key={r} className="btn btn-secondary" style={{ marginLeft: '0.25rem' }} disabled={loading} onClick={() => revoke(holder.address, r)}>
+                                                Revoke {r}
+                                            </button>
+                                        ))}
+                                    </td>
+                                </tr>
+                            ))}
+                            {!accounts.length && (
+                                <tr><td colSpan="4" style={{ color: 'var(--text-muted)', textAlign: 'center' }}>No accounts found</td></tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default AdminConsole;
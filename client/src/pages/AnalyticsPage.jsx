@@ -0,0 +1,227 @@
+import { useState, useEffect } from 'react';
+import api from '../utils/api';
+
+const INTERVALS = ['day', 'week', 'month'];
+const EMPTY_FILTERS = { from: '', to: '', interval: 'week' };
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+const partyLabel = (row) => row.name || shortAddress(row.address);
+
+// Quote every field; a leading = + - @ would otherwise run as a formula in a spreadsheet
+const csvField = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return `"${(/^[=+\-@]/.test(text) ? `'${text}` : text).replace(/"/g, '""')}"`;
+};
+
+const downloadCsv = (filename, columns, rows) => {
+    const lines = [columns.map(csvField).join(','), ...rows.map(row => columns.map(c => csvField(row[c])).join(','))];
+    const url = URL.createObjectURL(new Blob([lines.join('\r\n') + '\r\n'], { type: 'text/csv' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+// Horizontal bars scaled to the largest value
+const BarList = ({ rows, label, value, detail }) => {
+    const max = Math.max(1, ...rows.map(value));
+    if (!rows.length) return <p style={{ color: 'var(--text-muted)' }}>No data in this range</p>;
+    return rows.map((row, i) => (
+        <div key={i} style={{ display: 'grid', gridTemplateColumns: '12rem 1fr 8rem', gap: '0.75rem', alignItems: 'center', fontSize: '0.9rem', marginTop: '0.4rem' }}>
+            <span title={label(row)} style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{label(row)}</span>
+            <div style={{ background: 'rgba(0,0,0,0.2)', borderRadius: 'var(--radius-sm)', height: '0.9rem' }}>
+                <div style={{ width: `${(value(row) / max) * 100}%`, height: '100%', borderRadius: 'var(--radius-sm)', background: 'var(--primary)' }} />
+            </div>
+            <span style={{ color: 'var(--text-muted)' }}>{detail(row)}</span>
+        </div>
+    ));
+};
+
+// Issued per period as columns, with the dispensed share shaded in
+const VolumeChart = ({ rows }) => {
+    const max = Math.max(1, ...rows.map(r => r.issued));
+    if (!rows.length) return <p style={{ color: 'var(--text-muted)' }}>No prescriptions in this range</p>;
+    return (
+        <div style={{ display: 'flex', alignItems: 'flex-end', gap: '3px', height: '180px', overflowX: 'auto', paddingTop: '1rem' }}>
+            {rows.map(row => (
+                <div
+                    key={row.period}
+                    title={`${row.period}: ${row.issued} issued, ${row.dispensed} dispensed, ${row.cancelled} cancelled`}
+                    style={{ flex: '1 0 14px', height: `${(row.issued / max) * 100}%`, display: 'flex', flexDirection: 'column', justifyContent: 'flex-end', background: 'var(--primary)', borderRadius: '2px 2px 0 0' }}
+                >
+                    <div style={{ height: `${(row.dispensed / row.issued) * 100}%`, background: 'var(--secondary)' }} />
+                </div>
+            ))}
+        </div>
+    );
+};
+
+const Section = ({ title, onDownload, children }) => (
+    <div className="card mt-4" style={{ maxWidth: '900px', margin: '2rem auto 0' }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+            <h3 style={{ margin: 0 }}>{title}</h3>
+            <button type="button" className="btn btn-secondary" onClick={onDownload}>Download CSV</button>
+        </div>
+        {children}
+    </div>
+);
+
+const hoursLabel = (hours) => {
+    if (hours === null) return '—';
+    return hours >= 48 ? `${Math.round(hours / 24 * 10) / 10} days` : `${hours} h`;
+};
+
+// Prescribing analytics for admins: issuance volume, top medicines, per-doctor and per-pharmacy
+// counts and time to dispense, over a date range of issue dates (UTC)
+const AnalyticsPage = ({ account, roles }) => {
+    const [draft, setDraft] = useState(EMPTY_FILTERS);
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [data, setData] = useState(null);
+    const [status, setStatus] = useState('');
+
+    const isAdmin = Boolean(account && roles?.admin);
+
+    useEffect(() => {
+        if (!isAdmin) return;
+        let cancelled = false;
+        const params = { interval: filters.interval, top: 15 };
+        if (filters.from) params.from = `${filters.from}T00:00:00.000Z`;
+        if (filters.to) params.to = `${filters.to}T23:59:59.999Z`;
+        api.get('/api/analytics', { params })
+            .then(res => {
+                if (cancelled) return;
+                setData(res.data.data);
+                setStatus('');
+            })
+            .catch(err => { if (!cancelled) setStatus('Error loading analytics: ' + (err.response?.data?.error || err.message)); });
+        return () => { cancelled = true; };
+    }, [isAdmin, filters]);
+
+    if (!isAdmin) {
+        return (
+            <div className="container animate-fade">
+                <h2 className="center-text">Prescribing Analytics</h2>
+                <p className="center-text" style={{ color: 'var(--text-muted)' }}>
+                    {account ? 'Analytics are available to registry admins.' : 'Connect an admin wallet.'}
+                </p>
+            </div>
+        );
+    }
+
+    const suffix = `${filters.from || 'start'}_${filters.to || 'now'}`;
+
+    return (
+        <div className="container animate-fade">
+            <h2 className="center-text">Prescribing Analytics</h2>
+
+            <form
+                className="card"
+                onSubmit={e => { e.preventDefault(); setFilters(draft); }}
+                style={{ maxWidth: '900px', margin: '2rem auto 0', display: 'grid', gridTemplateColumns: '1fr 1fr 1fr auto', gap: '0.5rem', alignItems: 'end' }}
+            >
+                <label style={{ fontSize: '0.9rem', color: 'var(--text-muted)' }}>
+                    Issued from
+                    <input type="date" className="input-field" value={draft.from} onChange={e => setDraft({ ...draft, from: e.target.value })} />
+                </label>
+                <label style={{ fontSize: '0.9rem', color: 'var(--text-muted)' }}>
+                    Issued to
+                    <input type="date" className="input-field" value={draft.to} onChange={e => setDraft({ ...draft, to: e.target.value })} />
+                </label>
+                <label style={{ fontSize: '0.9rem', color: 'var(--text-muted)' }}>
+                    Group by
+                    <select className="input-field" value={draft.interval} onChange={e => setDraft({ ...draft, interval: e.target.value })}>
+                        {INTERVALS.map(i => <option key={i} value={i}>{i}</option>)}
+                    </select>
+                </label>
+                <button className="btn" style={{ marginBottom: '1rem' }}>Apply</button>
+            </form>
+
+            {status && <p className="center-text mt-2" style={{ color: 'var(--text-muted)' }}>{status}</p>}
+
+            {data && (
+                <>
+                    <Section
+                        title="Time to Dispense"
+                        onDownload={() => downloadCsv(`dispense-times_${suffix}.csv`,
+                            ['medianHoursToFirstFill', 'medianHoursToDispensed', 'filledCount', 'dispensedCount', 'incomplete'], [data.dispenseTimes])}
+                    >
+                        <div className="mt-2" style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem' }}>
+                            <div>
+                                <strong style={{ fontSize: '1.5rem' }}>{hoursLabel(data.dispenseTimes.medianHoursToFirstFill)}</strong>
+                                <p style={{ margin: '0.25rem 0 0', color: 'var(--text-muted)', fontSize: '0.9rem' }}>
+                                    median from issue to first fill ({data.dispenseTimes.filledCount} prescriptions)
+                                </p>
+                            </div>
+                            <div>
+                                <strong style={{ fontSize: '1.5rem' }}>{hoursLabel(data.dispenseTimes.medianHoursToDispensed)}</strong>
+                                <p style={{ margin: '0.25rem 0 0', color: 'var(--text-muted)', fontSize: '0.9rem' }}>
+                                    median from issue to fully dispensed ({data.dispenseTimes.dispensedCount} prescriptions)
+                                </p>
+                            </div>
+                        </div>
+                        {data.dispenseTimes.incomplete > 0 && (
+                            <p style={{ margin: '0.5rem 0 0', color: 'var(--text-muted)', fontSize: '0.85rem' }}>
+                                {data.dispenseTimes.incomplete} filled prescriptions were indexed before block times were recorded and are left out.
+                            </p>
+                        )}
+                    </Section>
+
+                    <Section
+                        title={`Issued per ${data.range.interval}`}
+                        onDownload={() => downloadCsv(`volume-${data.range.interval}_${suffix}.csv`, ['period', 'issued', 'dispensed', 'cancelled'], data.volume)}
+                    >
+                        <VolumeChart rows={data.volume} />
+                        {data.volume.length > 0 && (
+                            <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.8rem', color: 'var(--text-muted)', marginTop: '0.25rem' }}>
+                                <span>{data.volume[0].period}</span>
+                                <span>
+                                    <span style={{ color: 'var(--primary)' }}>■</span> issued <span style={{ color: 'var(--secondary)' }}>■</span> of which fully dispensed
+                                </span>
+                                <span>{data.volume[data.volume.length - 1].period}</span>
+                            </div>
+                        )}
+                    </Section>
+
+                    <Section
+                        title="Top Medicines"
+                        onDownload={() => downloadCsv(`top-medicines_${suffix}.csv`, ['code', 'name', 'prescriptions', 'quantity'], data.topMedicines)}
+                    >
+                        <BarList
+                            rows={data.topMedicines}
+                            label={row => row.name || row.code}
+                            value={row => row.prescriptions}
+                            detail={row => `${row.prescriptions} Rx · ${row.quantity} units`}
+                        />
+                    </Section>
+
+                    <Section
+                        title="Per Doctor"
+                        onDownload={() => downloadCsv(`doctors_${suffix}.csv`, ['address', 'name', 'issued', 'cancelled'], data.doctors)}
+                    >
+                        <BarList
+                            rows={data.doctors}
+                            label={partyLabel}
+                            value={row => row.issued}
+                            detail={row => `${row.issued} issued${row.cancelled ? `, ${row.cancelled} cancelled` : ''}`}
+                        />
+                    </Section>
+
+                    <Section
+                        title="Per Pharmacy"
+                        onDownload={() => downloadCsv(`pharmacies_${suffix}.csv`, ['address', 'name', 'fills', 'units', 'prescriptions'], data.pharmacies)}
+                    >
+                        <BarList
+                            rows={data.pharmacies}
+                            label={partyLabel}
+                            value={row => row.fills}
+                            detail={row => `${row.fills} fills · ${row.units} units`}
+                        />
+                    </Section>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default AnalyticsPage;
@@ -1,30 +1,93 @@
-import { useState } from 'react';
-import { ethers } from 'ethers';
-import axios from 'axios';
+import { useState, useCallback } from 'react';
 import VoiceAssistant from '../components/VoiceAssistant';
+import PrescriptionQR from '../components/PrescriptionQR';
+import EscalatedFlags from '../components/EscalatedFlags';
+import DrugPicker from '../components/DrugPicker';
+import PatientPicker from '../components/PatientPicker';
+import ClinicalWarnings from '../components/ClinicalWarnings';
+import PrescriptionHistory from '../components/PrescriptionHistory';
+import PrescriptionDetails from '../components/PrescriptionDetails';
+import ImportQueue from '../components/ImportQueue';
+import PendingIssuances from '../components/PendingIssuances';
+import api from '../utils/api';
+import { getRegistry } from '../utils/contract';
+import { newSalt, patientRefHash, medicationHash as hashMedication } from '../utils/hashing';
+import { getDomain, SIGNED_PRESCRIPTION_TYPES } from '../utils/eip712';
+import { prepareEntry, recordSent, confirmEntry, deliver, removeEntry } from '../utils/outbox';
+import { useLiveEvents } from '../utils/events';
 
-// Placeholder ABI & Address (Replace after deployment)
-const CONTRACT_ADDRESS = "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0"; // Localhost default
-const ABI = [
-    "function issuePrescription(bytes32 _patientHash, bytes32 _medicationHash, uint256 _quantity) external",
-    "event PrescriptionIssued(uint256 indexed id, address indexed issuer, bytes32 patientHash)"
-];
+const SECONDS_PER_DAY = 24 * 60 * 60;
+const LOW_CONFIDENCE = 0.7; // parsed fields below this are highlighted for the doctor to check
+const MAX_ITEMS = 10; // PrescriptionRegistry.MAX_LINE_ITEMS
+
+const FIELD_LABELS = { patientName: 'patient', medicine: 'medicine', quantity: 'quantity', refills: 'refills', validDays: 'validity', notes: 'notes' };
+
+// One medicine row of the form: search text, selected catalog entry, units per fill
+const EMPTY_ITEM = { medicine: '', drug: null, quantity: 1 };
+
+// Line item flags are keyed "medicine.0", "quantity.1", ...
+const itemKey = (field, index) => `${field}.${index}`;
+
+const itemLabels = (items) => items.map(item => item.medicine).filter(Boolean).join(', ');
+
+const flagStyle = { outline: '2px solid #f59e0b', outlineOffset: '4px', borderRadius: 'var(--radius-sm)' };
 
 const DoctorDashboard = ({ account }) => {
     const [formData, setFormData] = useState({
-        patientName: '',
-        age: '',
-        medicine: '',
-        quantity: 1,
+        patientName: '', // patient search text
+        patient: null, // selected registry patient
+        items: [EMPTY_ITEM],
+        refills: 0, // shared by every item
+        validDays: 30,
         notes: ''
     });
+    const [cancelId, setCancelId] = useState('');
+    const [issueMode, setIssueMode] = useState('onchain'); // onchain | signed
+    const [handoff, setHandoff] = useState(null); // QR slip for the last issued prescription
+    const [warnings, setWarnings] = useState(null); // interaction checks awaiting confirmation
+    const [selected, setSelected] = useState(null); // history row being viewed
+    const [historyKey, setHistoryKey] = useState(0); // bump to reload the history table
+    const [importId, setImportId] = useState(null); // FHIR import loaded into the form
+    const [importsKey, setImportsKey] = useState(0);
+    const [outboxKey, setOutboxKey] = useState(0); // bump to re-read the issuance outbox
+    const [flagsKey, setFlagsKey] = useState(0); // bump to reload escalated risk flags
+    const [lowConfidence, setLowConfidence] = useState({}); // form field -> confidence of the parsed value
     const [loading, setLoading] = useState(false);
     const [status, setStatus] = useState('');
     const [statusType, setStatusType] = useState('info'); // info, success, error
 
     const [fullTranscript, setFullTranscript] = useState('');
 
-    const handleChange = (e) => setFormData({ ...formData, [e.target.name]: e.target.value });
+    // Any edit invalidates warnings the doctor was looking at
+    const updateForm = (patch, touched = Object.keys(patch)) => {
+        setFormData(prev => ({ ...prev, ...patch }));
+        setWarnings(null);
+        // Touching a parsed field counts as checking it
+        setLowConfidence(prev => Object.fromEntries(Object.entries(prev).filter(([field]) => !touched.includes(field))));
+    };
+
+    const updateItem = (index, patch) => updateForm(
+        { items: formData.items.map((item, i) => (i === index ? { ...item, ...patch } : item)) },
+        Object.keys(patch).map(field => itemKey(field, index))
+    );
+
+    const addItem = () => updateForm({ items: [...formData.items, EMPTY_ITEM] }, []);
+
+    // Later rows move up, so their flags no longer line up; drop them
+    const removeItem = (index) => updateForm(
+        { items: formData.items.filter((_, i) => i !== index) },
+        Object.keys(lowConfidence).filter(key => /\.\d+$/.test(key) && Number(key.split('.')[1]) >= index)
+    );
+
+    const flagged = (field) => (field in lowConfidence ? flagStyle : undefined);
+
+    const confidenceHint = (field) => field in lowConfidence && (
+        <small style={{ color: '#fbbf24' }}>
+            Check this: parsed with {Math.round(lowConfidence[field] * 100)}% confidence
+        </small>
+    );
+
+    const handleChange = (e) => updateForm({ [e.target.name]: e.target.value });
 
     // NLP Parsing Logic (LLM Powered)
     const handleVoiceTranscript = (finalChunk, interimChunk) => {
@@ -42,6 +105,45 @@ const DoctorDashboard = ({ account }) => {
         }
     };
 
+    const readBack = () => [
+        `Patient ${formData.patient ? formData.patient.name : formData.patientName || 'not set'}`,
+        ...formData.items.map((item, i) => [
+            `${formData.items.length > 1 ? `medicine ${i + 1}` : 'medicine'} ${item.medicine ? item.medicine + (item.drug ? '' : ', not yet picked from the catalog') : 'not set'}`,
+            `quantity ${item.quantity || 'not set'}`
+        ].join(', ')),
+        `${issueMode === 'signed' ? 0 : formData.refills || 0} refills`,
+        Number(formData.validDays) > 0 ? `valid for ${formData.validDays} days` : 'no expiry',
+        formData.notes && `notes: ${formData.notes}`
+    ].filter(Boolean).join('. ') + '.';
+
+    // Spoken commands ("set quantity to 20", "clear notes", "read back", "issue prescription").
+    // Medicine and quantity apply to the last line item. A returned string is read aloud.
+    const handleVoiceCommand = ({ type, field, value }) => {
+        if (type === 'readBack') return readBack();
+        if (type === 'issue') {
+            if (loading) return 'Still working on the last prescription.';
+            submit();
+            return issueMode === 'signed' ? 'Signing. Confirm in your wallet.' : 'Issuing. Confirm in your wallet.';
+        }
+
+        const text = type === 'clear' ? '' : value;
+        const last = formData.items.length - 1;
+        if (['quantity', 'refills', 'validDays'].includes(field)) {
+            const number = parseInt(text, 10);
+            if (type === 'set' && !Number.isInteger(number)) return `I didn't catch a number for ${FIELD_LABELS[field]}.`;
+            if (field === 'quantity') updateItem(last, { quantity: type === 'clear' ? '' : number });
+            else updateForm({ [field]: type === 'clear' ? '' : number });
+        } else if (field === 'medicine') {
+            updateItem(last, { medicine: text, drug: null });
+        } else if (field === 'patientName') {
+            updateForm({ patientName: text, patient: null });
+        } else {
+            updateForm({ [field]: text });
+        }
+        setStatus(type === 'clear' ? `Cleared ${FIELD_LABELS[field]}` : `Set ${FIELD_LABELS[field]} to ${text}`);
+        setStatusType('info');
+    };
+
     const processWithAI = async (text) => {
         if (!text || text.length < 5) return;
 
@@ -49,22 +151,42 @@ const DoctorDashboard = ({ account }) => {
         setStatusType('info');
 
         try {
-            const res = await axios.post('http://localhost:5000/api/parse-prescription', { transcript: text });
+            const res = await api.post('/api/parse-prescription', { transcript: text });
             if (res.data.success) {
                 const aiData = res.data.data;
-                console.log("AI Data:", aiData);
+                // "500 mg" -> "500mg" so the catalog search reads it as a strength
+                const parsedItems = aiData.items.map((item, i) => ({
+                    medicine: item.medicine && [item.medicine, item.dosage?.replace(/\s+/g, '')].filter(Boolean).join(' '),
+                    quantity: item.quantity,
+                    confidence: aiData.confidence.items[i]
+                }));
 
+                // Parsed medicines replace the rows; the doctor picks each catalog match
                 setFormData(prev => ({
                     ...prev,
                     patientName: aiData.patientName || prev.patientName,
-                    age: aiData.age || prev.age,
-                    medicine: aiData.medicine || prev.medicine,
-                    quantity: aiData.quantity || prev.quantity,
+                    patient: aiData.patientName ? null : prev.patient, // doctor confirms the registry match
+                    items: parsedItems.length
+                        ? parsedItems.map(item => ({ medicine: item.medicine || '', drug: null, quantity: item.quantity || 1 }))
+                        : prev.items,
                     notes: aiData.notes || prev.notes
                 }));
 
-                setStatus('AI Updated Form');
-                setStatusType('success');
+                // Only fields the parser actually filled in can be flagged
+                const scores = {
+                    patientName: aiData.patientName && aiData.confidence.patientName,
+                    notes: aiData.notes && aiData.confidence.notes
+                };
+                parsedItems.forEach((item, i) => {
+                    scores[itemKey('medicine', i)] = item.medicine && Math.min(item.confidence.medicine, aiData.items[i].dosage ? item.confidence.dosage : 1);
+                    scores[itemKey('quantity', i)] = item.quantity && item.confidence.quantity;
+                });
+                const low = Object.fromEntries(Object.entries(scores).filter(([, score]) => typeof score === 'number' && score < LOW_CONFIDENCE));
+                setLowConfidence(low);
+
+                const unchecked = Object.keys(low).length;
+                setStatus(`Form filled by the ${aiData.provider} parser` + (unchecked ? ` (${unchecked} field${unchecked > 1 ? 's' : ''} to check)` : ''));
+                setStatusType(unchecked ? 'info' : 'success');
             }
         } catch (err) {
             console.error("AI Error:", err);
@@ -72,60 +194,253 @@ const DoctorDashboard = ({ account }) => {
         }
     };
 
-    const issuePrescription = async (e) => {
-        e.preventDefault();
+    // Pre-fill the form from a queued FHIR MedicationRequest
+    const loadImport = (item) => {
+        const { medicineDetails: med, validUntil } = item;
+        updateForm({
+            patientName: item.patient.name,
+            patient: item.patient,
+            items: [{
+                medicine: `${med.name} ${med.dosage}`,
+                drug: { code: med.code, name: med.name, schedule: med.schedule },
+                quantity: med.quantity
+            }],
+            refills: med.refills || 0,
+            validDays: validUntil ? Math.max(1, Math.ceil((new Date(validUntil) - Date.now()) / (SECONDS_PER_DAY * 1000))) : 0,
+            notes: item.notes || ''
+        });
+        setImportId(item._id);
+        setStatus('Imported request loaded. Review it, then issue or sign.');
+        setStatusType('info');
+    };
+
+    // Issued from the import queue: drop it from the list
+    const importDone = () => {
+        if (!importId) return;
+        setImportId(null);
+        setImportsKey(k => k + 1);
+    };
+
+    // An issuance from an earlier session (or a failed save) reached the server via the outbox
+    const onRecovered = useCallback((entry, record) => {
+        setStatus(`Prescription #${record.blockchainId} recovered and saved.`);
+        setStatusType('success');
+        setHistoryKey(k => k + 1);
+        setImportsKey(k => k + 1);
+        setHandoff({ id: record.blockchainId, secret: entry.secret, ...entry.handoff });
+    }, []);
+
+    // Pharmacies filling, and risk decisions on, this doctor's prescriptions as they happen
+    useLiveEvents(account, (event) => {
+        if (event.type.startsWith('risk.')) setFlagsKey(k => k + 1);
+        if (event.kind !== 'prescription') return;
+        setHistoryKey(k => k + 1);
+        if (selected && String(selected.blockchainId) === event.ref) {
+            api.get(`/api/prescriptions/${event.ref}`)
+                .then(res => setSelected(res.data.data))
+                .catch(err => console.warn('Live update failed:', err.message));
+        }
+        if (loading) return; // don't talk over an issuance in progress
+        if (event.type === 'prescription.filled') {
+            setStatus(`Prescription #${event.ref}: ${event.amount} units handed over at a pharmacy.`);
+            setStatusType('info');
+        } else if (event.type === 'prescription.dispensed') {
+            setStatus(`Prescription #${event.ref} has been fully dispensed.`);
+            setStatusType('success');
+        }
+    });
+
+    // Catalog selection for every item. Resolves to the items with their quantities as numbers.
+    const checkItems = () => {
+        if (!formData.patient) throw new Error('Find or register the patient first');
+        const items = formData.items.map(item => ({ ...item, quantity: Number(item.quantity) }));
+        for (const [i, item] of items.entries()) {
+            const which = items.length > 1 ? ` for item ${i + 1}` : '';
+            if (!item.drug) throw new Error(`Pick the medicine${which} from the catalog suggestions`);
+            if (items.findIndex(other => other.drug?.code === item.drug.code) !== i) throw new Error(`${item.medicine} is listed twice`);
+        }
+        return items;
+    };
+
+    // The server's pre-issue check, run before anything is signed: per-schedule limits (an error
+    // stops issuance) and interaction / duplicate-therapy / overlapping-supply warnings.
+    // Returns true when issuance may go ahead.
+    const preIssueCheck = async (items, refills, acknowledged) => {
+        const res = await api.post('/api/prescriptions/check', {
+            patientId: formData.patient.patientId,
+            medicineDetails: { items: items.map(item => ({ code: item.drug.code, quantity: item.quantity })), refills }
+        });
+        if (acknowledged || !res.data.data.length) return true;
+        setWarnings(res.data.data);
+        setStatus('Review the warnings below before issuing.');
+        setStatusType('error');
+        return false;
+    };
+
+    const issuePrescription = async (acknowledged) => {
         if (!account) return alert("Connect Wallet first!");
         setLoading(true);
         setStatus('Preparing transaction...');
         setStatusType('info');
+        setHandoff(null);
 
         try {
-            // 1. Hash the data (Client-side simulation)
-            const patientHash = ethers.keccak256(ethers.toUtf8Bytes(formData.patientName + formData.age));
-            const medHash = ethers.keccak256(ethers.toUtf8Bytes(formData.medicine));
+            const refills = Number(formData.refills) || 0;
+            const items = checkItems();
+            if (!(await preIssueCheck(items, refills, acknowledged))) return setLoading(false);
+            setWarnings(null);
 
-            // 2. Interact with Blockchain
-            const provider = new ethers.BrowserProvider(window.ethereum);
-            const signer = await provider.getSigner();
-            const contract = new ethers.Contract(CONTRACT_ADDRESS, ABI, signer);
+            // 1. Hash the data with a fresh per-prescription salt; each line item gets its own medication hash
+            const salt = newSalt();
+            const patientHash = patientRefHash(salt, formData.patient.ref);
+            const medHashes = items.map(item => hashMedication(salt, item.drug.code));
 
-            const tx = await contract.issuePrescription(patientHash, medHash, formData.quantity);
-            setStatus('Transaction sent... waiting for confirmation');
+            const validFor = Math.round(Number(formData.validDays || 0) * SECONDS_PER_DAY);
+
+            // One-time code for the patient's QR slip; the server only keeps its hash
+            const secret = newSalt();
 
-            const receipt = await tx.wait();
-
-            // Parse event to find ID (Simplification)
-            const iface = new ethers.Interface(ABI);
-            let pId = 0;
-            // Best effort log parsing
-            for (const log of receipt.logs) {
-                try {
-                    const parsed = iface.parseLog(log);
-                    if (parsed && parsed.name === 'PrescriptionIssued') {
-                        pId = Number(parsed.args[0]);
-                        break;
-                    }
-                } catch (e) { }
+            // 2. Record everything in the outbox first, so nothing is lost if we crash after sending
+            const contract = await getRegistry({ withSigner: true });
+            let entry = await prepareEntry({
+                account,
+                contract,
+                patientHash,
+                secret,
+                handoff: { patientName: formData.patient.name, medicine: itemLabels(items) },
+                metadata: {
+                    doctorAddress: account,
+                    patientId: formData.patient.patientId,
+                    medicineDetails: {
+                        items: items.map(({ drug, quantity }) => ({ code: drug.code, name: drug.name, quantity })),
+                        refills
+                    },
+                    notes: formData.notes,
+                    salt,
+                    warningsAcknowledged: acknowledged,
+                    importId
+                }
+            });
+
+            // 3. Interact with Blockchain
+            let tx;
+            try {
+                tx = await contract.issuePrescriptionItems(patientHash, medHashes, items.map(item => item.quantity), refills, validFor);
+            } catch (err) {
+                await removeEntry(entry.id); // rejected in the wallet: nothing was sent
+                throw err;
             }
+            entry = await recordSent(entry, tx);
+            setStatus('Transaction sent... waiting for confirmation');
+
+            entry = await confirmEntry(entry, tx, contract);
+            if (entry.status === 'FAILED') throw new Error(entry.error);
+            const pId = entry.blockchainId;
 
             setStatus(`On-chain success! Issued ID: ${pId}. Saving metadata...`);
 
-            // 3. Save Metadata to Backend
-            await axios.post('http://localhost:5000/api/prescriptions', {
-                blockchainId: pId,
-                doctorAddress: account,
-                patientName: formData.patientName,
-                patientAge: formData.age,
+            // 4. Save Metadata to Backend (retried from the outbox if this fails)
+            if (!(await deliver(entry))) throw new Error(`Prescription #${pId} is on chain but its details were not saved; see Unfinished Issuances below`);
+
+            setStatus(`Success! Prescription #${pId} Issued.`);
+            setStatusType('success');
+            setHistoryKey(k => k + 1);
+            importDone();
+            setCancelId(String(pId));
+            setHandoff({ id: pId, secret, patientName: formData.patient.name, medicine: itemLabels(items) });
+
+        } catch (error) {
+            console.error(error);
+            setStatus('Error: ' + (error.reason || error.response?.data?.error || error.message));
+            setStatusType('error');
+        }
+        setOutboxKey(k => k + 1);
+        setLoading(false);
+    };
+
+    // Gasless mode: sign EIP-712 typed data; the server anchors it in the next Merkle batch.
+    // Signed prescriptions hold one medicine and are dispensed in one go, so refills don't apply.
+    const issueSigned = async (acknowledged) => {
+        if (!account) return alert("Connect Wallet first!");
+        setLoading(true);
+        setStatus('Preparing signature...');
+        setStatusType('info');
+        setHandoff(null);
+
+        try {
+            if (formData.items.length > 1) throw new Error('A signed prescription holds a single medicine; issue it on-chain or remove the extra items');
+            const items = checkItems();
+            if (!(await preIssueCheck(items, 0, acknowledged))) return setLoading(false);
+            const [{ drug, quantity }] = items;
+            setWarnings(null);
+            const salt = newSalt();
+            const validFor = Math.round(Number(formData.validDays || 0) * SECONDS_PER_DAY);
+
+            const contract = await getRegistry({ withSigner: true });
+            const signer = contract.runner;
+            const { chainId } = await signer.provider.getNetwork();
+
+            const prescription = {
+                doctor: await signer.getAddress(),
+                patientHash: patientRefHash(salt, formData.patient.ref),
+                medicationHash: hashMedication(salt, drug.code),
+                quantity: String(quantity),
+                validUntil: String(validFor ? Math.floor(Date.now() / 1000) + validFor : 0),
+                nonce: newSalt()
+            };
+
+            setStatus('Please sign the prescription in your wallet...');
+            const domain = getDomain(chainId, await contract.getAddress());
+            const signature = await signer.signTypedData(domain, SIGNED_PRESCRIPTION_TYPES, prescription);
+
+            const res = await api.post('/api/signed-prescriptions', {
+                prescription,
+                signature,
+                patientId: formData.patient.patientId,
                 medicineDetails: {
-                    name: formData.medicine,
-                    quantity: formData.quantity
+                    code: drug.code,
+                    name: drug.name,
+                    quantity
                 },
-                notes: formData.notes
+                notes: formData.notes,
+                salt,
+                warningsAcknowledged: acknowledged,
+                importId
             });
 
-            setStatus(`Success! Prescription #${pId} Issued.`);
+            setStatus(`Signed & queued for batch anchoring. Reference: ${res.data.data.digest}`);
             setStatusType('success');
+            importDone();
+            setHandoff({ digest: res.data.data.digest, patientName: formData.patient.name, medicine: itemLabels(items) });
+        } catch (error) {
+            console.error(error);
+            setStatus('Error: ' + (error.reason || error.response?.data?.error || error.message));
+            setStatusType('error');
+        }
+        setLoading(false);
+    };
+
+    const submit = (acknowledged = false) =>
+        (issueMode === 'signed' ? issueSigned : issuePrescription)(acknowledged);
+
+    const cancelPrescription = async (id = cancelId) => {
+        if (!account) return alert("Connect Wallet first!");
+        if (!id) return;
+        if (!window.confirm(`Cancel prescription #${id}? This cannot be undone.`)) return;
+        setLoading(true);
+        setStatus(`Cancelling prescription #${id}...`);
+        setStatusType('info');
+
+        try {
+            const contract = await getRegistry({ withSigner: true });
+
+            const tx = await contract.cancelPrescription(id);
+            await tx.wait();
 
+            setStatus(`Prescription #${id} cancelled.`);
+            setStatusType('success');
+            setSelected(null);
+            setHistoryKey(k => k + 1);
         } catch (error) {
             console.error(error);
             setStatus('Error: ' + (error.reason || error.message));
@@ -141,6 +456,7 @@ const DoctorDashboard = ({ account }) => {
             <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', marginBottom: '2rem' }}>
                 <VoiceAssistant
                     onTranscript={handleVoiceTranscript}
+                    onCommand={handleVoiceCommand}
                     onStatusChange={(s) => {
                         if (s.includes('Error')) setStatusType('error');
                         else setStatusType('info');
@@ -170,45 +486,104 @@ const DoctorDashboard = ({ account }) => {
                 </div>
                 <p className="center-text" style={{ fontSize: '0.8rem', color: 'var(--text-muted)', marginTop: '0.5rem' }}>
                     Tip: Speak naturally, then click "✨ AI Fill". <br />
-                    <em>"Patient John Doe Age 40 Medicine Aspirin Quantity 10"</em>
+                    <em>"Patient John Doe Age 40 Medicine Aspirin Quantity 10 Medicine Omeprazole Quantity 14"</em> <br />
+                    Commands: <em>"set quantity to twenty"</em>, <em>"change medicine to ibuprofen"</em>, <em>"clear notes"</em>, <em>"read back"</em>, <em>"issue prescription"</em>
                 </p>
             </div>
 
             <div className="card" style={{ maxWidth: '600px', margin: '0 auto' }}>
-                <form onSubmit={issuePrescription} style={{ display: 'flex', flexDirection: 'column', gap: '1rem' }}>
+                <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '1.5rem' }}>
+                    <button
+                        type="button"
+                        className={issueMode === 'onchain' ? 'btn' : 'btn btn-secondary'}
+                        style={{ flex: 1, padding: '0.5rem' }}
+                        onClick={() => setIssueMode('onchain')}
+                    >
+                        ⛓️ On-chain (1 tx)
+                    </button>
+                    <button
+                        type="button"
+                        className={issueMode === 'signed' ? 'btn' : 'btn btn-secondary'}
+                        style={{ flex: 1, padding: '0.5rem' }}
+                        onClick={() => setIssueMode('signed')}
+                        title="Sign off-chain; anchored later in a Merkle batch"
+                    >
+                        ✍️ Signed batch (no gas)
+                    </button>
+                </div>
 
-                    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem' }}>
-                        <div>
-                            <label style={{ fontSize: '0.9rem', color: 'var(--text-muted)' }}>Patient Name</label>
-                            <input className="input-field" name="patientName" placeholder="John Doe" value={formData.patientName} onChange={handleChange} required />
-                        </div>
-                        <div>
-                            <label style={{ fontSize: '0.9rem', color: 'var(--text-muted)' }}>Age</label>
-                            <input className="input-field" name="age" placeholder="45" type="number" value={formData.age} onChange={handleChange} required />
-                        </div>
+                <form onSubmit={e => { e.preventDefault(); submit(); }} style={{ display: 'flex', flexDirection: 'column', gap: '1rem' }}>
+
+                    <div style={flagged('patientName')}>
+                        <PatientPicker
+                            query={formData.patientName}
+                            onQueryChange={patientName => updateForm({ patientName, patient: null })}
+                            patient={formData.patient}
+                            onSelect={patient => updateForm({ patient, patientName: patient ? patient.name : formData.patientName })}
+                        />
+                        {confidenceHint('patientName')}
                     </div>
 
-                    <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr', gap: '1rem' }}>
+                    {formData.items.map((item, i) => (
+                        <div key={i} style={{ display: 'grid', gridTemplateColumns: formData.items.length > 1 ? '2fr 1fr auto' : '2fr 1fr', gap: '1rem', alignItems: 'end' }}>
+                            <div style={flagged(itemKey('medicine', i))}>
+                                <label style={{ fontSize: '0.9rem', color: 'var(--text-muted)' }}>{formData.items.length > 1 ? `Medicine ${i + 1}` : 'Medicine'}</label>
+                                <DrugPicker
+                                    value={item.medicine}
+                                    drug={item.drug}
+                                    onChange={medicine => updateItem(i, { medicine, drug: null })}
+                                    onSelect={(drug, label) => updateItem(i, { medicine: label, drug })}
+                                />
+                                {confidenceHint(itemKey('medicine', i))}
+                            </div>
+                            <div style={flagged(itemKey('quantity', i))}>
+                                <label style={{ fontSize: '0.9rem', color: 'var(--text-muted)' }}>Qty</label>
+                                <input className="input-field" name="quantity" placeholder="10" type="number" min="1" value={item.quantity} onChange={e => updateItem(i, { quantity: e.target.value })} required />
+                                {confidenceHint(itemKey('quantity', i))}
+                            </div>
+                            {formData.items.length > 1 && (
+                                <button type="button" className="btn btn-secondary" style={{ marginBottom: '1rem' }} onClick={() => removeItem(i)} title="Remove this medicine">✕</button>
+                            )}
+                        </div>
+                    ))}
+
+                    {issueMode === 'onchain' && formData.items.length < MAX_ITEMS && (
+                        <button type="button" className="btn btn-secondary" style={{ alignSelf: 'flex-start', padding: '0.4rem 1rem' }} onClick={addItem}>
+                            + Add medicine
+                        </button>
+                    )}
+
+                    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem' }}>
                         <div>
-                            <label style={{ fontSize: '0.9rem', color: 'var(--text-muted)' }}>Medicine</label>
-                            <input className="input-field" name="medicine" placeholder="Amoxicillin" value={formData.medicine} onChange={handleChange} required />
+                            <label style={{ fontSize: '0.9rem', color: 'var(--text-muted)' }}>Refills</label>
+                            <input className="input-field" name="refills" placeholder="0" type="number" min="0" value={issueMode === 'signed' ? 0 : formData.refills} onChange={handleChange} disabled={issueMode === 'signed'} />
                         </div>
                         <div>
-                            <label style={{ fontSize: '0.9rem', color: 'var(--text-muted)' }}>Qty</label>
-                            <input className="input-field" name="quantity" placeholder="10" type="number" value={formData.quantity} onChange={handleChange} required />
+                            <label style={{ fontSize: '0.9rem', color: 'var(--text-muted)' }}>Valid For (days, 0 = no expiry)</label>
+                            <input className="input-field" name="validDays" placeholder="30" type="number" min="0" value={formData.validDays} onChange={handleChange} />
                         </div>
                     </div>
 
-                    <div>
+                    <div style={flagged('notes')}>
                         <label style={{ fontSize: '0.9rem', color: 'var(--text-muted)' }}>Notes</label>
                         <textarea className="input-field" name="notes" rows="3" placeholder="Dosage: 500mg twice daily..." value={formData.notes} onChange={handleChange} />
+                        {confidenceHint('notes')}
                     </div>
 
                     <button className="btn" disabled={loading} style={{ marginTop: '1rem' }}>
-                        {loading ? 'Processing...' : 'Issue Prescription'}
+                        {loading ? 'Processing...' : (issueMode === 'signed' ? 'Sign Prescription' : 'Issue Prescription')}
                     </button>
                 </form>
 
+                {warnings && (
+                    <ClinicalWarnings
+                        warnings={warnings}
+                        loading={loading}
+                        onConfirm={() => submit(true)}
+                        onDismiss={() => setWarnings(null)}
+                    />
+                )}
+
                 {status && (
                     <div className={`mt-4 fade-in`} style={{
                         padding: '1rem',
@@ -221,6 +596,47 @@ const DoctorDashboard = ({ account }) => {
                     </div>
                 )}
             </div>
+
+            {handoff && <PrescriptionQR handoff={handoff} patientName={handoff.patientName} medicine={handoff.medicine} />}
+
+            {account && <EscalatedFlags reloadKey={flagsKey} />}
+
+            {account && <PendingIssuances account={account} paused={loading} reloadKey={outboxKey} onDelivered={onRecovered} />}
+
+            {account && <ImportQueue activeId={importId} onLoad={loadImport} reloadKey={importsKey} />}
+
+            <div className="card mt-4" style={{ maxWidth: '600px', margin: '2rem auto 0' }}>
+                <h3 style={{ marginTop: 0 }}>Cancel a Prescription</h3>
+                <p style={{ fontSize: '0.9rem', color: 'var(--text-muted)' }}>
+                    Voids any remaining fills of a prescription you issued by mistake.
+                </p>
+                <div style={{ display: 'flex', gap: '1rem' }}>
+                    <input
+                        className="input-field"
+                        style={{ marginBottom: 0 }}
+                        placeholder="Prescription ID"
+                        type="number"
+                        min="1"
+                        value={cancelId}
+                        onChange={e => setCancelId(e.target.value)}
+                    />
+                    <button
+                        type="button"
+                        className="btn"
+                        style={{ background: 'linear-gradient(135deg, #ef4444, #b91c1c)', whiteSpace: 'nowrap' }}
+                        onClick={() => cancelPrescription()}
+                        disabled={loading || !cancelId}
+                    >
+                        Cancel Rx
+                    </button>
+                </div>
+            </div>
+
+            {selected && (
+                <PrescriptionDetails log={selected} onCancel={cancelPrescription} onClose={() => setSelected(null)} />
+            )}
+
+            {account && <PrescriptionHistory as="doctor" onOpen={setSelected} reloadKey={historyKey} />}
         </div>
     );
 };
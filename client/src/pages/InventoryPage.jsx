@@ -0,0 +1,190 @@
+import { useState, useEffect } from 'react';
+import DrugPicker from '../components/DrugPicker';
+import api from '../utils/api';
+
+const EMPTY_LOT = { medicine: '', drug: null, lotNumber: '', expiresAt: '', quantity: '' };
+
+const dateOf = (value) => new Date(value).toLocaleDateString();
+
+// The pharmacy's own stock: alerts, lots (soonest expiry first) and CSV import.
+// Dispensing reserves from these lots first-expiry-first-out.
+const InventoryPage = ({ account }) => {
+    const [lots, setLots] = useState([]);
+    const [alerts, setAlerts] = useState(null);
+    const [reloadKey, setReloadKey] = useState(0);
+    const [lot, setLot] = useState(EMPTY_LOT);
+    const [importResult, setImportResult] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [status, setStatus] = useState('');
+
+    useEffect(() => {
+        if (!account) return;
+        let cancelled = false;
+        Promise.all([api.get('/api/inventory'), api.get('/api/inventory/alerts')])
+            .then(([lotsRes, alertsRes]) => {
+                if (cancelled) return;
+                setLots(lotsRes.data.data);
+                setAlerts(alertsRes.data.data);
+            })
+            .catch(err => { if (!cancelled) setStatus('Error loading stock: ' + (err.response?.data?.error || err.message)); });
+        return () => { cancelled = true; };
+    }, [account, reloadKey]);
+
+    // Adds the lot, or corrects its count if the lot number is already on file
+    const saveLot = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        try {
+            await api.post('/api/inventory/lots', {
+                code: lot.drug.code,
+                lotNumber: lot.lotNumber,
+                expiresAt: lot.expiresAt,
+                quantity: Number(lot.quantity)
+            });
+            setLot(EMPTY_LOT);
+            setStatus(`Saved lot ${lot.lotNumber}.`);
+            setReloadKey(k => k + 1);
+        } catch (err) {
+            setStatus('Error saving lot: ' + (err.response?.data?.error || err.message));
+        }
+        setLoading(false);
+    };
+
+    const importCsv = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // allow picking the same file again
+        if (!file) return;
+        setLoading(true);
+        try {
+            const res = await api.post('/api/inventory/import', { csv: await file.text() });
+            setImportResult(res.data.data);
+            setStatus('');
+            setReloadKey(k => k + 1);
+        } catch (err) {
+            setStatus('Import failed: ' + (err.response?.data?.error || err.message));
+        }
+        setLoading(false);
+    };
+
+    if (!account) {
+        return (
+            <div className="container animate-fade">
+                <h2 className="center-text">Inventory</h2>
+                <p className="center-text" style={{ color: 'var(--text-muted)' }}>Connect your pharmacy wallet to manage stock.</p>
+            </div>
+        );
+    }
+
+    const now = new Date();
+    const nearExpiry = new Set(alerts?.nearExpiry.map(l => l._id));
+
+    return (
+        <div className="container animate-fade">
+            <h2 className="center-text">Inventory</h2>
+
+            {alerts && (alerts.lowStock.length > 0 || alerts.nearExpiry.length > 0 || alerts.expired.length > 0) && (
+                <div className="card" style={{ maxWidth: '900px', margin: '2rem auto 0', border: '1px solid rgba(239, 68, 68, 0.3)' }}>
+                    <h3 style={{ marginTop: 0 }}>Alerts</h3>
+                    <ul style={{ margin: 0, paddingLeft: '1.25rem', display: 'grid', gap: '0.25rem' }}>
+                        {alerts.lowStock.map(d => (
+                            <li key={`low-${d.code}`}>
+                                <strong>Low stock:</strong> {d.name} {d.dosage}, {d.available} left (reorder below {d.threshold})
+                            </li>
+                        ))}
+                        {alerts.expired.map(l => (
+                            <li key={`expired-${l._id}`} style={{ color: '#f87171' }}>
+                                <strong>Expired:</strong> {l.name} lot {l.lotNumber}, {l.quantity} units expired {dateOf(l.expiresAt)}. Remove them from the shelf and set the lot to 0.
+                            </li>
+                        ))}
+                        {alerts.nearExpiry.map(l => (
+                            <li key={`soon-${l._id}`}>
+                                <strong>Expiring soon:</strong> {l.name} lot {l.lotNumber}, {l.quantity} units on {dateOf(l.expiresAt)}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1.5rem', maxWidth: '900px', margin: '2rem auto 0' }}>
+                <form className="card" onSubmit={saveLot}>
+                    <h3 style={{ marginTop: 0 }}>Add or Correct a Lot</h3>
+                    <DrugPicker
+                        value={lot.medicine}
+                        drug={lot.drug}
+                        onChange={medicine => setLot({ ...lot, medicine, drug: null })}
+                        onSelect={(drug, label) => setLot({ ...lot, medicine: label, drug })}
+                    />
+                    <input className="input-field" placeholder="Lot number" value={lot.lotNumber} onChange={e => setLot({ ...lot, lotNumber: e.target.value })} required />
+                    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.5rem' }}>
+                        <input className="input-field" type="date" title="Expiry date" value={lot.expiresAt} onChange={e => setLot({ ...lot, expiresAt: e.target.value })} required />
+                        <input className="input-field" type="number" min="0" placeholder="Units on hand" value={lot.quantity} onChange={e => setLot({ ...lot, quantity: e.target.value })} required />
+                    </div>
+                    <button className="btn" style={{ width: '100%' }} disabled={loading || !lot.drug}>Save Lot</button>
+                </form>
+
+                <div className="card">
+                    <h3 style={{ marginTop: 0 }}>Import CSV</h3>
+                    <p style={{ color: 'var(--text-muted)', fontSize: '0.9rem' }}>
+                        Header row <code>code,lotNumber,expiresAt,quantity</code>, one lot per line. The quantity replaces the lot&apos;s count,
+                        so a stock take can be imported as is.
+                    </p>
+                    <input type="file" accept=".csv,text/csv" disabled={loading} onChange={importCsv} />
+                    {importResult && (
+                        <div className="mt-2" style={{ fontSize: '0.9rem' }}>
+                            <p style={{ margin: 0 }}>Imported {importResult.imported} lots.</p>
+                            {importResult.rejected.length > 0 && (
+                                <ul style={{ margin: '0.5rem 0 0', paddingLeft: '1.25rem', color: '#f87171' }}>
+                                    {importResult.rejected.map(r => <li key={r.row}>Row {r.row}: {r.error}</li>)}
+                                </ul>
+                            )}
+                        </div>
+                    )}
+                </div>
+            </div>
+
+            {status && <p className="center-text mt-2" style={{ color: 'var(--text-muted)' }}>{status}</p>}
+
+            <div className="card mt-4" style={{ maxWidth: '900px', margin: '2rem auto 0' }}>
+                <h3 style={{ marginTop: 0 }}>Stock</h3>
+                <div style={{ overflowX: 'auto' }}>
+                    <table className="data-table">
+                        <thead>
+                            <tr>
+                                <th>Medicine</th>
+                                <th>Lot</th>
+                                <th>Expires</th>
+                                <th>On hand</th>
+                                <th>Reserved</th>
+                                <th>Available</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {lots.map(l => {
+                                const expired = new Date(l.expiresAt) <= now;
+                                return (
+                                    <tr key={l._id}>
+                                        <td>{l.name} {l.dosage} <span style={{ fontSize: '0.8rem', color: 'var(--text-muted)' }}>{l.code}</span></td>
+                                        <td style={{ fontFamily: 'monospace' }}>{l.lotNumber}</td>
+                                        <td>
+                                            {dateOf(l.expiresAt)}
+                                            {expired && <span className="badge badge-error" style={{ marginLeft: '0.5rem' }}>EXPIRED</span>}
+                                            {nearExpiry.has(l._id) && <span className="badge badge-error" style={{ marginLeft: '0.5rem' }}>SOON</span>}
+                                        </td>
+                                        <td>{l.quantity}</td>
+                                        <td>{l.reserved}</td>
+                                        <td>{expired ? 0 : l.quantity - l.reserved}</td>
+                                    </tr>
+                                );
+                            })}
+                            {!lots.length && (
+                                <tr><td colSpan="6" style={{ color: 'var(--text-muted)', textAlign: 'center' }}>No stock recorded yet</td></tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default InventoryPage;
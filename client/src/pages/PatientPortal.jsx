@@ -0,0 +1,127 @@
+import { useState } from 'react';
+import api, { getPatientSession, loginWithAccessCode, logoutPatient } from '../utils/api';
+
+const DONE = ['DISPENSED', 'CANCELLED', 'EXPIRED'];
+
+// Patients see their own prescriptions, signed in either with the wallet their doctor
+// linked to their record or with a one-time access code from the doctor
+const PatientPortal = ({ account }) => {
+    const [patientId, setPatientId] = useState('');
+    const [code, setCode] = useState('');
+    const [result, setResult] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [status, setStatus] = useState('');
+
+    const load = async (session) => {
+        setLoading(true);
+        setStatus('');
+        try {
+            const res = await api.get('/api/patients/me/prescriptions', session
+                ? { headers: { Authorization: `Bearer ${session.token}` } }
+                : undefined);
+            setResult(res.data.data);
+        } catch (error) {
+            console.error(error);
+            if (session && error.response?.status === 401) logoutPatient();
+            setStatus('Error: ' + (error.response?.data?.error || error.message));
+        }
+        setLoading(false);
+    };
+
+    const signInWithCode = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        try {
+            const session = await loginWithAccessCode(patientId.trim(), code.trim());
+            setCode('');
+            await load(session);
+        } catch (error) {
+            setStatus('Error: ' + (error.response?.data?.error || error.message));
+            setLoading(false);
+        }
+    };
+
+    const signOut = () => {
+        logoutPatient();
+        setResult(null);
+    };
+
+    const existing = getPatientSession();
+
+    return (
+        <div className="container animate-fade">
+            <h2 className="center-text">My Prescriptions</h2>
+
+            {!result && (
+                <div className="card" style={{ maxWidth: '500px', margin: '2rem auto' }}>
+                    {account && (
+                        <>
+                            <button className="btn" style={{ width: '100%' }} disabled={loading} onClick={() => load()}>
+                                🦊 View with my wallet
+                            </button>
+                            <p className="center-text" style={{ color: 'var(--text-muted)', fontSize: '0.9rem' }}>or</p>
+                        </>
+                    )}
+                    {existing && (
+                        <button className="btn btn-secondary mt-2" style={{ width: '100%' }} disabled={loading} onClick={() => load(existing)}>
+                            Continue as {existing.patientId}
+                        </button>
+                    )}
+                    <form onSubmit={signInWithCode} className="mt-4">
+                        <label style={{ fontSize: '0.9rem', color: 'var(--text-muted)' }}>Patient ID</label>
+                        <input className="input-field" placeholder="P-XXXXXXXX" value={patientId} onChange={e => setPatientId(e.target.value)} required />
+                        <label style={{ fontSize: '0.9rem', color: 'var(--text-muted)' }}>Access code from your doctor</label>
+                        <input className="input-field" placeholder="XXXX-XXXX" value={code} onChange={e => setCode(e.target.value)} required />
+                        <button className="btn" style={{ width: '100%' }} disabled={loading}>
+                            {loading ? '...' : 'Sign in with code'}
+                        </button>
+                    </form>
+                    {status && <p className="mt-2" style={{ color: '#f87171' }}>{status}</p>}
+                </div>
+            )}
+
+            {result && (
+                <div className="card" style={{ maxWidth: '900px', margin: '2rem auto' }}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                        <h3 style={{ margin: 0 }}>{result.patient.name} <span style={{ fontFamily: 'monospace', color: 'var(--text-muted)', fontSize: '0.9rem' }}>{result.patient.patientId}</span></h3>
+                        <button className="btn btn-secondary" onClick={signOut}>Sign out</button>
+                    </div>
+
+                    <div className="mt-4" style={{ overflowX: 'auto' }}>
+                        <table className="data-table">
+                            <thead>
+                                <tr>
+                                    <th>Prescription</th>
+                                    <th>Issued</th>
+                                    <th>Medicine</th>
+                                    <th>Dispensed</th>
+                                    <th>Valid Until</th>
+                                    <th>Status</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {result.prescriptions.map(p => (
+                                    <tr key={p.ref}>
+                                        <td style={{ fontFamily: 'monospace' }}>{p.kind === 'signed' ? p.ref.slice(0, 10) + '…' : `#${p.ref}`}</td>
+                                        <td>{new Date(p.issuedAt).toLocaleDateString()}</td>
+                                        <td>{p.items.map(item => <div key={`${item.name} ${item.dosage}`}>{item.name} {item.dosage}</div>)}</td>
+                                        <td>{p.items.map(item => <div key={`${item.name} ${item.dosage}`}>{item.dispensedQuantity} / {item.totalQuantity}</div>)}</td>
+                                        <td>{p.validUntil ? new Date(p.validUntil).toLocaleDateString() : 'No expiry'}</td>
+                                        <td>
+                                            <span className={DONE.includes(p.status) ? 'badge badge-error' : 'badge badge-success'}>{p.status}</span>
+                                        </td>
+                                    </tr>
+                                ))}
+                                {!result.prescriptions.length && (
+                                    <tr><td colSpan="6" style={{ color: 'var(--text-muted)', textAlign: 'center' }}>No prescriptions yet</td></tr>
+                                )}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default PatientPortal;
@@ -1,13 +1,111 @@
 import { useState } from 'react';
 import { ethers } from 'ethers';
-import axios from 'axios';
+import SignedPrescriptionCard from '../components/SignedPrescriptionCard';
+import QRScanner from '../components/QRScanner';
+import RiskReviewPanel from '../components/RiskReviewPanel';
+import PendingReviews from '../components/PendingReviews';
+import PrescriptionHistory from '../components/PrescriptionHistory';
+import api from '../utils/api';
+import { getRegistry } from '../utils/contract';
+import { patientHashOf, medicationHash, medicineKeyOf, lineItemsOf } from '../utils/hashing';
+import { getDomain, SIGNED_PRESCRIPTION_TYPES } from '../utils/eip712';
+import { decodeHandoff } from '../utils/qr';
+import { reviewPending } from '../utils/risk';
+import { dispenseWithStock, fetchAvailability } from '../utils/inventory';
+import { useLiveEvents } from '../utils/events';
 
-const CONTRACT_ADDRESS = "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0";
-const ABI = [
-    "function getPrescription(uint256 _id) external view returns (tuple(uint256 id, address issuer, bytes32 patientHash, bytes32 medicationHash, uint256 quantity, uint8 status, uint256 timestamp))",
-    "function dispensePrescription(uint256 _id) external",
-    "event PrescriptionDispensed(uint256 indexed id, address indexed pharmacy)"
-];
+// Signed (batched) prescriptions are referenced by their EIP-712 digest instead of a numeric ID
+const DIGEST_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+// Index matches the contract's Status enum
+const STATUS_LABELS = ['ISSUED', 'DISPENSED', 'PARTIALLY_DISPENSED', 'EXPIRED', 'CANCELLED'];
+const DISPENSABLE = ['ISSUED', 'PARTIALLY_DISPENSED'];
+
+// Why a prescription can't be dispensed, or null when it can
+const blockedReason = (chain) => {
+    switch (chain.status) {
+        case 'DISPENSED': return 'All fills have already been dispensed.';
+        case 'CANCELLED': return 'Cancelled by the issuing doctor.';
+        case 'EXPIRED': return `Expired on ${chain.expiresAt.toLocaleString()}.`;
+        default: return null;
+    }
+};
+
+// Recompute the salted hashes locally so the pharmacist doesn't have to trust the API
+const metadataMatchesChain = (meta, chain) => {
+    if (!meta.salt) return false;
+    const items = lineItemsOf(meta.medicineDetails);
+    return patientHashOf(meta.salt, meta) === chain.patientHash
+        && items.length === chain.items.length
+        && items.every((item, i) => medicationHash(meta.salt, medicineKeyOf(item)) === chain.items[i].medicationHash
+            && Number(item.quantity) === chain.items[i].quantity)
+        && meta.doctorAddress.toLowerCase() === chain.issuer.toLowerCase();
+};
+
+// Check the doctor's signature and the salted hashes, then read the on-chain flags
+const readSignedData = async (contract, record) => {
+    const { chainId } = await contract.runner.getNetwork();
+    const domain = getDomain(chainId, await contract.getAddress());
+    const p = record.prescription;
+
+    const signer = ethers.verifyTypedData(domain, SIGNED_PRESCRIPTION_TYPES, p, record.signature);
+    const verified = signer.toLowerCase() === p.doctor.toLowerCase()
+        && ethers.TypedDataEncoder.hash(domain, SIGNED_PRESCRIPTION_TYPES, p) === record.digest
+        && patientHashOf(record.salt, record) === p.patientHash
+        && medicationHash(record.salt, medicineKeyOf(record.medicineDetails)) === p.medicationHash;
+
+    const cancelled = await contract.signedCancelled(record.digest);
+    const dispensed = await contract.signedDispensed(record.digest);
+    const expired = p.validUntil !== '0' && Date.now() / 1000 > Number(p.validUntil);
+
+    let status = record.batchId ? 'ANCHORED' : 'QUEUED';
+    if (expired) status = 'EXPIRED';
+    if (dispensed) status = 'DISPENSED';
+    if (cancelled) status = 'CANCELLED';
+
+    return { record, verified, status };
+};
+
+// Each line item is filled on its own; the prescription's status and totals roll up from them
+const readChainData = async (contract, id) => {
+    const p = await contract.getPrescription(id);
+    // verifyPrescription reports EXPIRED, which the stored struct status never does
+    const [, effectiveStatus] = await contract.verifyPrescription(id);
+    const lineItems = await contract.getLineItems(id);
+    const refillsAllowed = Number(p.refillsAllowed);
+
+    const items = await Promise.all(lineItems.map(async (item, i) => {
+        const quantity = Number(item.quantity);
+        const dispensed = Number(item.dispensedQuantity);
+        const total = quantity * (refillsAllowed + 1);
+        return {
+            medicationHash: item.medicationHash,
+            quantity,
+            dispensed,
+            total,
+            remaining: total - dispensed,
+            remainingInFill: Number(await contract.remainingInItemFill(id, i)),
+            currentFill: Math.min(Math.floor(dispensed / quantity), refillsAllowed) + 1
+        };
+    }));
+    const dispensed = Number(p.dispensedQuantity);
+    const total = Number(p.quantity) * (refillsAllowed + 1);
+
+    return {
+        status: STATUS_LABELS[Number(effectiveStatus)],
+        expiresAt: p.expiresAt === 0n ? null : new Date(Number(p.expiresAt) * 1000),
+        issuer: p.issuer,
+        patientHash: p.patientHash,
+        refillsAllowed,
+        items,
+        dispensed,
+        total,
+        remaining: total - dispensed
+    };
+};
+
+// Pre-fill each item's amount with what is left of its current fill
+const defaultAmounts = (chain) => chain.items.map(item => item.remainingInFill || '');
 
 const PharmacyDashboard = ({ account }) => {
     const [searchId, setSearchId] = useState('');
@@ -15,17 +113,103 @@ const PharmacyDashboard = ({ account }) => {
     const [chainData, setChainData] = useState(null); // Blockchain Data
     const [loading, setLoading] = useState(false);
     const [status, setStatus] = useState('');
+    const [amounts, setAmounts] = useState([]); // per line item
+    const [metadataVerified, setMetadataVerified] = useState(false);
+    const [signed, setSigned] = useState(null); // Signed (batched) prescription
+    const [historyKey, setHistoryKey] = useState(0); // bump to reload the history table
+    const [stock, setStock] = useState({}); // dispensable units per catalog code in this pharmacy
+
+    // Best effort: the reservation made before dispensing is what actually enforces stock
+    const loadStock = (medicineDetails) =>
+        fetchAvailability(lineItemsOf(medicineDetails).map(item => item.code).filter(Boolean))
+            .then(setStock)
+            .catch(err => console.warn('Stock unavailable:', err.message));
+
+    // Re-read whatever an event changed on the open prescription
+    const refreshOpen = async (event) => {
+        try {
+            if (event.kind === 'signed') {
+                const res = await api.get(`/api/signed-prescriptions/${event.ref}`);
+                setSigned(await readSignedData(await getRegistry(), res.data.data));
+            } else if (event.type.startsWith('risk.')) {
+                const res = await api.get(`/api/prescriptions/${event.ref}`);
+                setData(res.data.data);
+            } else {
+                setChainData(await readChainData(await getRegistry(), event.ref));
+            }
+        } catch (error) {
+            console.warn('Live update failed:', error.message);
+        }
+    };
+
+    // Fills from other counters, cancellations and risk decisions show up without a reload
+    useLiveEvents(account, (event) => {
+        if (event.kind === 'prescription') setHistoryKey(k => k + 1);
+        const open = event.kind === 'signed' ? signed?.record.digest : data && String(data.blockchainId);
+        if (event.ref !== open) return;
+        if (event.type.endsWith('.cancelled')) setStatus('The issuing doctor has just cancelled this prescription.');
+        if (event.type === 'risk.reviewed' && event.action === 'CONFIRM') setStatus('The issuing doctor confirmed the escalated risk flag.');
+        refreshOpen(event);
+    });
+
+    const lookupSigned = async (digest) => {
+        setLoading(true);
+        setStatus('Fetching signed prescription...');
+        setData(null);
+        setChainData(null);
+        setSigned(null);
+
+        try {
+            const res = await api.get(`/api/signed-prescriptions/${digest}`);
+            const contract = await getRegistry();
+            setSigned(await readSignedData(contract, res.data.data));
+            loadStock(res.data.data.medicineDetails);
+            setStatus('');
+        } catch (error) {
+            console.error(error);
+            setStatus('Error fetching data: ' + (error.response?.data?.error || error.response?.data?.message || error.message));
+        }
+        setLoading(false);
+    };
+
+    const dispenseSigned = async () => {
+        if (!account) return alert('Connect Wallet!');
+        setLoading(true);
+        try {
+            const contract = await getRegistry({ withSigner: true });
+            const { record } = signed;
+
+            setStatus('Reserving stock...');
+            await dispenseWithStock(
+                { digest: record.digest },
+                () => contract.dispenseSigned(record.batchId, record.prescription, record.signature, record.proof),
+                () => setStatus('Dispensing transaction sent...')
+            );
+
+            setSigned(prev => ({ ...prev, status: 'DISPENSED' }));
+            loadStock(record.medicineDetails);
+            setStatus('Dispensed Successfully!');
+        } catch (error) {
+            console.error(error);
+            setStatus('Error dispensing: ' + (error.response?.data?.error || error.reason || error.message));
+        }
+        setLoading(false);
+    };
 
-    const handleSearch = async () => {
-        if (!searchId) return;
+    // `secret` comes from the patient's QR code; without it only prescriptions
+    // this pharmacy already redeemed can be opened
+    const lookupPrescription = async (id, secret) => {
         setLoading(true);
         setStatus('Fetching details...');
         setData(null);
         setChainData(null);
+        setSigned(null);
 
         try {
             // 1. Get Off-chain Metadata
-            const res = await axios.get(`http://localhost:5000/api/prescriptions/${searchId}`);
+            const res = secret
+                ? await api.post(`/api/prescriptions/${id}/handoff`, { secret })
+                : await api.get(`/api/prescriptions/${id}`);
             if (res.data.success) {
                 setData(res.data.data);
             } else {
@@ -35,42 +219,94 @@ const PharmacyDashboard = ({ account }) => {
             }
 
             // 2. Get On-chain Status
-            const provider = new ethers.BrowserProvider(window.ethereum);
-            const contract = new ethers.Contract(CONTRACT_ADDRESS, ABI, provider);
-            const p = await contract.getPrescription(searchId);
-
-            // p is a Result object or struct
-            setChainData({
-                status: p.status === 0n ? 'ISSUED' : 'DISPENSED', // 0=ISSUED, 1=DISPENSED
-                issuer: p.issuer
-            });
+            const contract = await getRegistry();
+            const chain = await readChainData(contract, id);
+            setChainData(chain);
+            setMetadataVerified(metadataMatchesChain(res.data.data, chain));
+            setAmounts(defaultAmounts(chain));
+            loadStock(res.data.data.medicineDetails);
             setStatus('');
 
         } catch (error) {
             console.error(error);
-            setStatus('Error fetching data: ' + error.message);
+            setStatus('Error fetching data: ' + (error.response?.data?.error || error.response?.data?.message || error.message));
+        }
+        setLoading(false);
+    };
+
+    const handleSearch = () => {
+        const id = searchId.trim();
+        if (!id) return;
+        if (DIGEST_PATTERN.test(id)) return lookupSigned(id.toLowerCase());
+        return lookupPrescription(id);
+    };
+
+    const handleScan = (text) => {
+        const handoff = decodeHandoff(text);
+        if (!handoff) return setStatus('That QR code is not a BlockRx prescription.');
+        if (handoff.digest) {
+            setSearchId(handoff.digest);
+            return lookupSigned(handoff.digest.toLowerCase());
+        }
+        setSearchId(handoff.id);
+        return lookupPrescription(handoff.id, handoff.secret);
+    };
+
+    // Override or escalate a high-risk flag; dispensing stays disabled until it is overridden
+    const review = async (action, reason) => {
+        setLoading(true);
+        try {
+            if (signed) {
+                const res = await api.post(`/api/signed-prescriptions/${signed.record.digest}/review`, { action, reason });
+                setSigned(prev => ({ ...prev, record: res.data.data }));
+            } else {
+                const res = await api.post(`/api/prescriptions/${data.blockchainId}/review`, { action, reason });
+                setData(res.data.data);
+            }
+            setStatus(action === 'OVERRIDE' ? 'Risk flag overridden.' : 'Escalated to the issuing doctor.');
+            setHistoryKey(k => k + 1);
+        } catch (error) {
+            console.error(error);
+            setStatus('Error recording review: ' + (error.response?.data?.error || error.message));
         }
         setLoading(false);
     };
 
-    const dispense = async () => {
+    // History rows reopen the verify view; prescriptions there were already redeemed by this pharmacy
+    const openFromHistory = (log) => {
+        const id = String(log.blockchainId);
+        setSearchId(id);
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+        return lookupPrescription(id);
+    };
+
+    const dispense = async (index) => {
         if (!account) return alert('Connect Wallet!');
+        const amount = amounts[index];
+        const { name } = lineItemsOf(data.medicineDetails)[index];
         setLoading(true);
         try {
-            const provider = new ethers.BrowserProvider(window.ethereum);
-            const signer = await provider.getSigner();
-            const contract = new ethers.Contract(CONTRACT_ADDRESS, ABI, signer);
+            const contract = await getRegistry({ withSigner: true });
 
-            const tx = await contract.dispensePrescription(searchId);
-            setStatus('Dispensing transaction sent...');
-            await tx.wait();
+            setStatus('Reserving stock...');
+            await dispenseWithStock(
+                { blockchainId: data.blockchainId, item: index, amount: Number(amount) },
+                () => contract.dispenseItem(searchId, index, amount),
+                () => setStatus('Dispensing transaction sent...')
+            );
 
-            setStatus('Dispensed Successfully!');
-            setChainData(prev => ({ ...prev, status: 'DISPENSED' }));
+            const chain = await readChainData(contract, searchId);
+            setChainData(chain);
+            setAmounts(defaultAmounts(chain));
+            loadStock(data.medicineDetails);
+            setStatus(chain.status === 'DISPENSED'
+                ? 'Dispensed Successfully! Prescription fully filled.'
+                : `Handed over ${amount} ${name}. ${chain.items[index].remaining} of it remaining.`);
+            setHistoryKey(k => k + 1);
 
         } catch (error) {
             console.error(error);
-            setStatus('Error dispensing: ' + error.reason);
+            setStatus('Error dispensing: ' + (error.response?.data?.error || error.reason || error.message));
         }
         setLoading(false);
     };
@@ -83,7 +319,7 @@ const PharmacyDashboard = ({ account }) => {
                     <input
                         className="input-field"
                         style={{ marginBottom: 0 }}
-                        placeholder="Enter Prescription ID"
+                        placeholder="Enter Prescription ID or signed reference (0x...)"
                         value={searchId}
                         onChange={e => setSearchId(e.target.value)}
                     />
@@ -92,33 +328,98 @@ const PharmacyDashboard = ({ account }) => {
                     </button>
                 </div>
 
+                <div className="mt-2">
+                    <QRScanner onScan={handleScan} onError={setStatus} />
+                </div>
+
                 {status && <p className="mt-2" style={{ color: 'var(--text-muted)' }}>{status}</p>}
 
+                {signed && <SignedPrescriptionCard signed={signed} inStock={stock[signed.record.medicineDetails.code]} loading={loading} onDispense={dispenseSigned} onReview={review} />}
+
                 {data && chainData && (
                     <div className="mt-4 animate-fade" style={{ background: 'rgba(0,0,0,0.2)', padding: '1.5rem', borderRadius: 'var(--radius-sm)' }}>
                         <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem' }}>
                             <h3 style={{ margin: 0 }}>#{data.blockchainId}</h3>
-                            <span className={chainData.status === 'ISSUED' ? 'badge badge-success' : 'badge badge-error'}>
+                            <span className={DISPENSABLE.includes(chainData.status) ? 'badge badge-success' : 'badge badge-error'}>
                                 {chainData.status}
                             </span>
                         </div>
 
+                        <p style={{ margin: '0 0 1rem', fontSize: '0.9rem', color: metadataVerified ? '#4ade80' : '#f87171' }}>
+                            {metadataVerified
+                                ? '✓ Metadata verified against chain'
+                                : '⚠ Metadata could not be verified against the on-chain record'}
+                        </p>
+
                         <div style={{ display: 'grid', gap: '0.5rem', color: 'var(--text-main)' }}>
-                            <p><strong style={{ color: 'var(--text-muted)' }}>Patient:</strong> {data.patientName} (Age: {data.patientAge})</p>
-                            <p><strong style={{ color: 'var(--text-muted)' }}>Medicine:</strong> {data.medicineDetails.name}</p>
-                            <p><strong style={{ color: 'var(--text-muted)' }}>Quantity:</strong> {data.medicineDetails.quantity}</p>
+                            <p><strong style={{ color: 'var(--text-muted)' }}>Patient:</strong> {data.patientName} (Age: {data.patientAge}){data.patientId && <span style={{ fontFamily: 'monospace', color: 'var(--text-muted)' }}> {data.patientId}</span>}</p>
+                            <p><strong style={{ color: 'var(--text-muted)' }}>Dispensed:</strong> {chainData.dispensed} / {chainData.total} across {chainData.items.length === 1 ? '1 medicine' : `${chainData.items.length} medicines`} ({chainData.remaining} remaining)</p>
                             <p><strong style={{ color: 'var(--text-muted)' }}>Notes:</strong> {data.notes}</p>
+                            <p><strong style={{ color: 'var(--text-muted)' }}>Valid Until:</strong> {chainData.expiresAt ? chainData.expiresAt.toLocaleString() : 'No expiry'}</p>
                             <p><strong style={{ color: 'var(--text-muted)' }}>Doctor:</strong> <span style={{ fontFamily: 'monospace', fontSize: '0.9em' }}>{data.doctorAddress}</span></p>
                         </div>
 
-                        {chainData.status === 'ISSUED' && (
-                            <button className="btn mt-4" style={{ width: '100%', background: 'linear-gradient(135deg, var(--secondary), #db2777)' }} onClick={dispense}>
-                                Dispense Medicine
-                            </button>
+                        {blockedReason(chainData) && (
+                            <div className="mt-4" style={{ padding: '1rem', borderRadius: 'var(--radius-sm)', background: 'rgba(239, 68, 68, 0.15)', color: '#f87171', border: '1px solid rgba(239, 68, 68, 0.2)' }}>
+                                Cannot dispense: {blockedReason(chainData)}
+                            </div>
+                        )}
+
+                        {DISPENSABLE.includes(chainData.status) && (
+                            <RiskReviewPanel key={data.blockchainId} risk={data.risk} review={data.review} loading={loading} onDecide={review} />
                         )}
+
+                        <div className="mt-4" style={{ display: 'grid', gap: '0.75rem' }}>
+                            {lineItemsOf(data.medicineDetails).map((med, i) => {
+                                const item = chainData.items[i];
+                                if (!item) return null;
+                                const amount = amounts[i];
+                                return (
+                                    <div key={med.code || med.name} style={{ padding: '0.75rem 1rem', borderRadius: 'var(--radius-sm)', background: 'rgba(255,255,255,0.04)' }}>
+                                        <div style={{ display: 'flex', justifyContent: 'space-between', gap: '1rem' }}>
+                                            <strong>{med.name} {med.dosage}{med.schedule && ` (${med.schedule})`}</strong>
+                                            <span className={item.remaining ? 'badge badge-success' : 'badge badge-error'}>
+                                                {item.remaining ? `${item.dispensed} / ${item.total}` : 'DISPENSED'}
+                                            </span>
+                                        </div>
+                                        <p style={{ margin: '0.25rem 0 0', fontSize: '0.9rem', color: 'var(--text-muted)' }}>
+                                            {item.quantity} per fill{chainData.refillsAllowed > 0 && ` (fill ${item.currentFill} of ${chainData.refillsAllowed + 1})`}
+                                            {item.remainingInFill > 0 && ` · up to ${item.remainingInFill} more this fill`}
+                                            {med.code in stock && ` · ${stock[med.code]} in stock`}
+                                        </p>
+                                        {DISPENSABLE.includes(chainData.status) && item.remainingInFill > 0 && (
+                                            <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', marginTop: '0.5rem' }}>
+                                                <input
+                                                    className="input-field"
+                                                    style={{ marginBottom: 0 }}
+                                                    type="number"
+                                                    min="1"
+                                                    max={item.remainingInFill}
+                                                    aria-label={`Amount of ${med.name} handed over`}
+                                                    value={amount ?? ''}
+                                                    onChange={e => setAmounts(prev => prev.map((a, j) => (j === i ? e.target.value : a)))}
+                                                />
+                                                <button
+                                                    className="btn"
+                                                    style={{ whiteSpace: 'nowrap', background: 'linear-gradient(135deg, var(--secondary), #db2777)' }}
+                                                    onClick={() => dispense(i)}
+                                                    disabled={loading || reviewPending(data.review) || !amount || Number(amount) < 1 || Number(amount) > item.remainingInFill}
+                                                >
+                                                    Dispense
+                                                </button>
+                                            </div>
+                                        )}
+                                    </div>
+                                );
+                            })}
+                        </div>
                     </div>
                 )}
             </div>
+
+            {account && <PendingReviews onOpen={openFromHistory} reloadKey={historyKey} />}
+
+            {account && <PrescriptionHistory as="pharmacy" onOpen={openFromHistory} reloadKey={historyKey} />}
         </div>
     );
 };
@@ -0,0 +1,64 @@
+import axios from 'axios';
+import { getProvider } from './contract';
+
+const TOKEN_KEY = 'blockrx.session';
+const PATIENT_TOKEN_KEY = 'blockrx.patient';
+
+// Backend client; attaches the wallet session token unless the request brings its own
+const api = axios.create({ baseURL: 'http://localhost:5000' });
+
+api.interceptors.request.use(config => {
+    const session = getSession();
+    if (session && !config.headers.Authorization) config.headers.Authorization = `Bearer ${session.token}`;
+    return config;
+});
+
+export const getSession = () => {
+    try {
+        return JSON.parse(sessionStorage.getItem(TOKEN_KEY));
+    } catch {
+        return null;
+    }
+};
+
+export const logout = () => sessionStorage.removeItem(TOKEN_KEY);
+
+// Sign-in with Ethereum: fetch a one-time message, sign it, trade the signature for a token
+export const login = async (address) => {
+    const existing = getSession();
+    if (existing && existing.address.toLowerCase() === address.toLowerCase()) {
+        try {
+            const me = await api.get('/api/auth/me');
+            return { ...existing, roles: me.data.data.roles };
+        } catch {
+            logout();
+        }
+    }
+
+    const { data: nonceRes } = await api.post('/api/auth/nonce', { address });
+    const signer = await getProvider().getSigner(address);
+    const signature = await signer.signMessage(nonceRes.data.message);
+
+    const { data } = await api.post('/api/auth/verify', { address, signature });
+    sessionStorage.setItem(TOKEN_KEY, JSON.stringify({ token: data.data.token, address: data.data.address }));
+    return data.data;
+};
+
+// Patient portal sessions from a one-time access code, kept apart from the wallet session
+export const getPatientSession = () => {
+    try {
+        return JSON.parse(sessionStorage.getItem(PATIENT_TOKEN_KEY));
+    } catch {
+        return null;
+    }
+};
+
+export const loginWithAccessCode = async (patientId, code) => {
+    const { data } = await api.post('/api/patients/session', { patientId, code });
+    sessionStorage.setItem(PATIENT_TOKEN_KEY, JSON.stringify(data.data));
+    return data.data;
+};
+
+export const logoutPatient = () => sessionStorage.removeItem(PATIENT_TOKEN_KEY);
+
+export default api;
@@ -0,0 +1,30 @@
+import { ethers } from 'ethers';
+
+// Manifests written by blockchain/scripts/deploy.js, one per chainId
+const manifests = import.meta.glob('../../../blockchain/deployments/*.json', { eager: true, import: 'default' });
+
+const deployments = Object.fromEntries(
+    Object.values(manifests).map(m => [String(m.chainId), m])
+);
+
+export const getDeployment = (chainId) => {
+    const deployment = deployments[String(chainId)];
+    if (!deployment) {
+        throw new Error(`PrescriptionRegistry is not deployed on chain ${chainId}. Run the deploy script for this network or switch networks.`);
+    }
+    return deployment;
+};
+
+export const getProvider = () => {
+    if (!window.ethereum) throw new Error('Please install MetaMask!');
+    return new ethers.BrowserProvider(window.ethereum);
+};
+
+// Registry bound to the wallet's current network. Pass `withSigner` for write calls.
+export const getRegistry = async ({ withSigner = false } = {}) => {
+    const provider = getProvider();
+    const { chainId } = await provider.getNetwork();
+    const { address, abi } = getDeployment(chainId);
+    const runner = withSigner ? await provider.getSigner() : provider;
+    return new ethers.Contract(address, abi, runner);
+};
@@ -0,0 +1,19 @@
+// Must stay in sync with server/services/eip712.js and the contract's SIGNED_PRESCRIPTION_TYPEHASH
+
+export const SIGNED_PRESCRIPTION_TYPES = {
+    SignedPrescription: [
+        { name: 'doctor', type: 'address' },
+        { name: 'patientHash', type: 'bytes32' },
+        { name: 'medicationHash', type: 'bytes32' },
+        { name: 'quantity', type: 'uint256' },
+        { name: 'validUntil', type: 'uint256' },
+        { name: 'nonce', type: 'bytes32' }
+    ]
+};
+
+export const getDomain = (chainId, verifyingContract) => ({
+    name: 'PrescriptionRegistry',
+    version: '1',
+    chainId,
+    verifyingContract
+});
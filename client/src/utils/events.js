@@ -0,0 +1,33 @@
+import { useEffect, useRef } from 'react';
+import api, { getSession } from './api';
+
+const EVENT_TYPES = [
+    'prescription.issued',
+    'prescription.filled',
+    'prescription.dispensed',
+    'prescription.cancelled',
+    'signed.dispensed',
+    'signed.cancelled',
+    'risk.flagged',
+    'risk.reviewed'
+];
+
+// Live events from GET /api/events (Server-Sent Events) for the signed-in wallet. `onEvent` gets
+// { type, kind, ref, status, ... } for prescriptions this wallet may see; EventSource reconnects
+// by itself after a drop. Reopened when `account` changes, since the session goes with it.
+export const useLiveEvents = (account, onEvent) => {
+    const handlerRef = useRef(onEvent);
+
+    useEffect(() => {
+        handlerRef.current = onEvent;
+    });
+
+    useEffect(() => {
+        const session = getSession();
+        if (!account || !session) return;
+        const source = new EventSource(`${api.defaults.baseURL}/api/events?token=${encodeURIComponent(session.token)}`);
+        const listener = (e) => handlerRef.current(JSON.parse(e.data));
+        for (const type of EVENT_TYPES) source.addEventListener(type, listener);
+        return () => source.close();
+    }, [account]);
+};
@@ -0,0 +1,32 @@
+import { ethers } from 'ethers';
+
+// Must stay in sync with server/services/hashing.js.
+// Each prescription gets its own random salt so the on-chain hashes can't be
+// brute-forced from a small name/age space; the salt only lives off-chain.
+
+export const newSalt = () => ethers.hexlify(ethers.randomBytes(32));
+
+export const patientHash = (salt, name, age) =>
+    ethers.solidityPackedKeccak256(['bytes32', 'string', 'uint256'], [salt, String(name).trim(), Number(age) || 0]);
+
+// Registry patients are hashed through their stable on-chain identifier instead of name + age
+export const patientRefHash = (salt, patientRef) =>
+    ethers.solidityPackedKeccak256(['bytes32', 'bytes32'], [salt, patientRef]);
+
+// On-chain patientHash for stored metadata, whichever scheme it was issued under
+export const patientHashOf = (salt, { patientRef, patientName, patientAge }) =>
+    (patientRef ? patientRefHash(salt, patientRef) : patientHash(salt, patientName, patientAge));
+
+export const medicationHash = (salt, medicine) =>
+    ethers.solidityPackedKeccak256(['bytes32', 'string'], [salt, String(medicine).trim()]);
+
+// What medicationHash is taken over: the catalog code, or the typed name for pre-catalog prescriptions
+export const medicineKeyOf = (medicineDetails) => medicineDetails?.code || medicineDetails?.name;
+
+// A prescription's line items. Records from before line items keep their one medicine in the flat fields.
+export const lineItemsOf = (medicineDetails) =>
+    (medicineDetails?.items?.length ? medicineDetails.items : medicineDetails?.name ? [medicineDetails] : []);
+
+// One-time QR handoff code, bound to the prescription ID and its on-chain patient hash
+export const handoffHash = (id, onChainPatientHash, secret) =>
+    ethers.solidityPackedKeccak256(['uint256', 'bytes32', 'bytes32'], [id, onChainPatientHash, secret]);
@@ -0,0 +1,39 @@
+import api from './api';
+
+// Stock is held before a dispense transaction is sent and taken off the shelf once it confirms.
+// `target` is { blockchainId, item, amount } or { digest }; `send()` resolves to the sent
+// transaction and `onSent(tx)` reports it. Resolves to the receipt.
+export const dispenseWithStock = async (target, send, onSent) => {
+    const { data } = await api.post('/api/inventory/reservations', target);
+    const reservation = data.data;
+
+    let tx = null;
+    let receipt;
+    try {
+        tx = await send();
+        onSent?.(tx);
+        receipt = await tx.wait();
+    } catch (err) {
+        // Rejected in the wallet or reverted: nothing left the shelf. Anything else (a dropped
+        // connection while waiting) keeps the hold; the server commits it when it sees the fill.
+        if (!tx || err.code === 'CALL_EXCEPTION') {
+            api.delete(`/api/inventory/reservations/${reservation._id}`)
+                .catch(releaseErr => console.warn('Stock hold not released:', releaseErr.message));
+        }
+        throw err;
+    }
+
+    try {
+        await api.post(`/api/inventory/reservations/${reservation._id}/commit`, { txHash: receipt.hash });
+    } catch (err) {
+        console.warn('Stock commit deferred to the indexer:', err.response?.data?.error || err.message);
+    }
+    return receipt;
+};
+
+// Units per catalog code that can still be dispensed (unexpired, not held for another dispense)
+export const fetchAvailability = async (codes) => {
+    if (!codes.length) return {};
+    const res = await api.get('/api/inventory/availability', { params: { codes: codes.join(',') } });
+    return res.data.data;
+};
@@ -0,0 +1,167 @@
+import api from './api';
+import { getRegistry } from './contract';
+import { handoffHash } from './hashing';
+
+// Crash-safe issuance: everything needed to store a prescription's metadata is written to
+// IndexedDB before the transaction is sent, so a reload, a dropped connection or a server
+// error after the transaction is mined never loses it. Entries move through
+//   PREPARED (waiting for the wallet) -> SENT (tx hash known) -> MINED (prescription ID known)
+// and are deleted once the server has the metadata. FAILED waits for the doctor.
+
+const DB_NAME = 'blockrx';
+const STORE = 'outbox';
+
+let dbPromise = null;
+
+const openDb = () => {
+    dbPromise ||= new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: 'id' });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    return dbPromise;
+};
+
+const run = async (mode, operation) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, mode);
+        const request = operation(tx.objectStore(STORE));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+    });
+};
+
+export const saveEntry = (entry) => run('readwrite', store => store.put(entry)).then(() => entry);
+
+export const removeEntry = (id) => run('readwrite', store => store.delete(id));
+
+export const listEntries = async (account) => {
+    const entries = await run('readonly', store => store.getAll());
+    return entries
+        .filter(e => e.account.toLowerCase() === String(account).toLowerCase())
+        .sort((a, b) => a.createdAt - b.createdAt);
+};
+
+// The PrescriptionIssued event in a receipt
+const issuedFrom = (contract, receipt) => {
+    for (const log of receipt.logs) {
+        const parsed = contract.interface.parseLog(log);
+        if (parsed?.name === 'PrescriptionIssued') return { blockchainId: Number(parsed.args.id), txHash: receipt.hash };
+    }
+    return null;
+};
+
+// The salted patient hash is unique to this prescription, so an issuance by this doctor carrying it
+// is ours, whichever transaction (original or a wallet speed-up) put it there
+const findIssuance = async (contract, entry) => {
+    const events = await contract.queryFilter(contract.filters.PrescriptionIssued(null, entry.account), entry.fromBlock);
+    const event = events.find(e => e.args.patientHash === entry.patientHash);
+    return event ? { blockchainId: Number(event.args.id), txHash: event.transactionHash } : null;
+};
+
+// Record the prepared issuance before asking the wallet to send it
+export const prepareEntry = async ({ account, contract, patientHash, secret, metadata, handoff }) => {
+    const provider = contract.runner.provider;
+    const { chainId } = await provider.getNetwork();
+    return saveEntry({
+        id: metadata.salt,
+        account,
+        chainId: Number(chainId),
+        fromBlock: await provider.getBlockNumber(),
+        status: 'PREPARED',
+        patientHash,
+        secret, // the patient's one-time QR code; deleted with the entry
+        metadata,
+        handoff,
+        createdAt: Date.now()
+    });
+};
+
+export const recordSent = (entry, tx) =>
+    saveEntry({ ...entry, status: 'SENT', txHash: tx.hash, from: tx.from, nonce: tx.nonce });
+
+// Wait for the live transaction. Network errors propagate and leave the entry SENT for resumeOutbox.
+export const confirmEntry = async (entry, tx, contract) => {
+    let receipt;
+    try {
+        receipt = await tx.wait();
+    } catch (err) {
+        if (err.code === 'TRANSACTION_REPLACED' && err.reason === 'repriced') {
+            receipt = err.receipt; // sped up in the wallet: same call, new hash
+        } else if (err.code === 'TRANSACTION_REPLACED') {
+            return saveEntry({ ...entry, status: 'FAILED', error: 'The transaction was cancelled or replaced in the wallet' });
+        } else if (err.code === 'CALL_EXCEPTION') {
+            return saveEntry({ ...entry, status: 'FAILED', error: 'The transaction reverted' });
+        } else {
+            throw err;
+        }
+    }
+    const issued = issuedFrom(contract, receipt);
+    if (!issued) return saveEntry({ ...entry, status: 'FAILED', error: 'The transaction did not issue a prescription' });
+    return saveEntry({ ...entry, ...issued, status: 'MINED' });
+};
+
+// Work out what happened to a PREPARED or SENT entry after a reload
+export const reconcile = async (entry) => {
+    // Older versions parked entries whose metadata met new warnings; the server now records those
+    if (entry.status === 'NEEDS_ACK') return saveEntry({ ...entry, status: 'MINED', warnings: undefined, error: undefined });
+    if (!['PREPARED', 'SENT'].includes(entry.status)) return entry;
+    const contract = await getRegistry();
+    const provider = contract.runner;
+    const { chainId } = await provider.getNetwork();
+    if (Number(chainId) !== entry.chainId) return entry; // the wallet is on another network; try later
+
+    const issued = await findIssuance(contract, entry);
+    if (issued) return saveEntry({ ...entry, ...issued, status: 'MINED' });
+    if (!entry.txHash) return entry; // the wallet may still be asking
+
+    const tx = await provider.getTransaction(entry.txHash);
+    if (tx && tx.blockNumber === null) return entry; // still pending
+    if (tx) return saveEntry({ ...entry, status: 'FAILED', error: 'The transaction was mined without issuing a prescription' });
+
+    const used = await provider.getTransactionCount(entry.from, 'latest');
+    return saveEntry({
+        ...entry,
+        status: 'FAILED',
+        error: used > entry.nonce ? 'The transaction was replaced by another one from this wallet' : 'The transaction was dropped by the network'
+    });
+};
+
+// Store a MINED entry's metadata. Resolves to the server record, or null when the server turned
+// it down for good (the entry then needs the doctor). Network and 5xx errors propagate.
+export const deliver = async (entry) => {
+    const { metadata, blockchainId, txHash, patientHash, secret } = entry;
+    try {
+        const res = await api.post('/api/prescriptions', {
+            ...metadata,
+            blockchainId,
+            txHash,
+            handoffHash: handoffHash(blockchainId, patientHash, secret)
+        });
+        await removeEntry(entry.id);
+        return res.data.data;
+    } catch (err) {
+        const status = err.response?.status;
+        if (!status || status >= 500 || status === 401) throw err;
+        await saveEntry({ ...entry, status: 'FAILED', error: err.response.data?.error || err.message });
+        return null;
+    }
+};
+
+// Push every unfinished entry of this account as far as it will go. `onDelivered(entry, record)`
+// is called for each one that reaches the server. Resolves to the entries still outstanding.
+export const resumeOutbox = async (account, onDelivered) => {
+    for (const stored of await listEntries(account)) {
+        try {
+            const entry = await reconcile(stored);
+            if (entry.status !== 'MINED') continue;
+            const record = await deliver(entry);
+            if (record) onDelivered?.(entry, record);
+        } catch (err) {
+            console.warn('Outbox entry not resumed:', err.message);
+        }
+    }
+    return listEntries(account);
+};
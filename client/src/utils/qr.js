@@ -0,0 +1,17 @@
+// Payload printed in the patient's QR code.
+// On-chain prescriptions carry the ID plus a one-time secret; signed ones only need their digest.
+
+export const encodeHandoff = ({ id, secret, digest }) =>
+    JSON.stringify(digest ? { v: 1, ref: digest } : { v: 1, id, s: secret });
+
+export const decodeHandoff = (text) => {
+    try {
+        const payload = JSON.parse(text);
+        if (payload.v !== 1) return null;
+        if (payload.ref) return { digest: payload.ref };
+        if (payload.id && payload.s) return { id: String(payload.id), secret: payload.s };
+    } catch {
+        // not one of ours
+    }
+    return null;
+};
@@ -0,0 +1,3 @@
+// A HIGH risk flag holds dispensing until the pharmacist overrides it
+// or the issuing doctor confirms an escalation (see server/services/riskReview.js)
+export const reviewPending = (review) => review?.status === 'OPEN' || review?.status === 'ESCALATED';
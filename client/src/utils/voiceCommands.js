@@ -0,0 +1,157 @@
+// Spoken-command grammar for the dictation assistant, plus normalisation of number words and
+// dosage units in recognised speech. Languages without a grammar still dictate; they just get
+// no commands and no normalisation.
+
+export const LANGUAGES = [
+    { code: 'en-US', label: 'English (US)' },
+    { code: 'en-GB', label: 'English (UK)' },
+    { code: 'en-IN', label: 'English (India)' },
+    { code: 'es-ES', label: 'Español' },
+    { code: 'fr-FR', label: 'Français' },
+    { code: 'de-DE', label: 'Deutsch' },
+    { code: 'hi-IN', label: 'हिन्दी' }
+];
+
+// Per language: number words (summed), words that multiply by a hundred or close a thousand group,
+// words that may join parts of one number, spoken units, field names and the command patterns
+const en = {
+    numbers: {
+        zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+        eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19,
+        twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90
+    },
+    hundred: ['hundred'],
+    thousand: ['thousand'],
+    joiners: ['and'],
+    units: [
+        [/\bmilli ?gram(?:me)?s?\b/g, 'mg'],
+        [/\bmicro ?gram(?:me)?s?\b/g, 'mcg'],
+        [/\bgram(?:me)?s?\b/g, 'g'],
+        [/\bmilli ?lit(?:er|re)s?\b/g, 'ml'],
+        [/\binternational units?\b/g, 'IU']
+    ],
+    fields: {
+        quantity: 'quantity', qty: 'quantity', amount: 'quantity',
+        medicine: 'medicine', medication: 'medicine', drug: 'medicine',
+        patient: 'patientName', 'patient name': 'patientName', name: 'patientName',
+        notes: 'notes', note: 'notes', instructions: 'notes',
+        refills: 'refills', refill: 'refills',
+        validity: 'validDays', 'valid days': 'validDays', days: 'validDays'
+    },
+    commands: [
+        [/^(?:set|change|make|update)\s+(?:the\s+)?(.+?)\s+(?:to|as)\s+(.+)$/, ([, field, value]) => ({ type: 'set', field, value })],
+        [/^(?:clear|erase|delete)\s+(?:the\s+)?(.+)$/, ([, field]) => ({ type: 'clear', field })],
+        [/^(?:read back|read it back|readback|repeat the prescription)$/, () => ({ type: 'readBack' })],
+        [/^(?:issue|sign|submit)\s+(?:the\s+)?prescription$/, () => ({ type: 'issue' })]
+    ]
+};
+
+const es = {
+    numbers: {
+        cero: 0, uno: 1, una: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7, ocho: 8, nueve: 9, diez: 10,
+        once: 11, doce: 12, trece: 13, catorce: 14, quince: 15, dieciséis: 16, diecisiete: 17, dieciocho: 18, diecinueve: 19,
+        veinte: 20, veintiuno: 21, veintidós: 22, veintitrés: 23, veinticuatro: 24, veinticinco: 25,
+        veintiséis: 26, veintisiete: 27, veintiocho: 28, veintinueve: 29,
+        treinta: 30, cuarenta: 40, cincuenta: 50, sesenta: 60, setenta: 70, ochenta: 80, noventa: 90,
+        cien: 100, ciento: 100, doscientos: 200, trescientos: 300, cuatrocientos: 400, quinientos: 500,
+        seiscientos: 600, setecientos: 700, ochocientos: 800, novecientos: 900
+    },
+    hundred: [],
+    thousand: ['mil'],
+    joiners: ['y'],
+    units: [
+        [/\bmiligramos?\b/g, 'mg'],
+        [/\bmicrogramos?\b/g, 'mcg'],
+        [/\bgramos?\b/g, 'g'],
+        [/\bmililitros?\b/g, 'ml'],
+        [/\bunidades internacionales\b/g, 'IU']
+    ],
+    fields: {
+        cantidad: 'quantity',
+        medicamento: 'medicine', medicina: 'medicine',
+        paciente: 'patientName', nombre: 'patientName',
+        notas: 'notes', nota: 'notes', instrucciones: 'notes',
+        repeticiones: 'refills',
+        validez: 'validDays', días: 'validDays'
+    },
+    commands: [
+        [/^(?:cambiar|cambia|poner|pon)\s+(?:la\s+|el\s+|las\s+)?(.+?)\s+(?:a|en)\s+(.+)$/, ([, field, value]) => ({ type: 'set', field, value })],
+        [/^(?:borrar|borra|limpiar|limpia)\s+(?:la\s+|el\s+|las\s+)?(.+)$/, ([, field]) => ({ type: 'clear', field })],
+        [/^(?:leer|lee|repetir|repite)(?:\s+la\s+receta)?$/, () => ({ type: 'readBack' })],
+        [/^(?:emitir|emite|firmar|firma)\s+(?:la\s+)?receta$/, () => ({ type: 'issue' })]
+    ]
+};
+
+const GRAMMARS = { en, es };
+
+const grammarFor = (lang) => GRAMMARS[String(lang).slice(0, 2)];
+
+// "one hundred and twenty five" -> "125", "veinte" -> "20"
+const replaceNumberWords = (text, grammar) => {
+    const out = [];
+    let run = null; // { total, current, words } while inside a number
+    const flush = () => {
+        if (!run) return;
+        // A trailing "and" belongs to the sentence, not the number
+        const trailing = grammar.joiners.includes(run.words[run.words.length - 1]) ? run.words.pop() : null;
+        out.push(String(run.total + run.current));
+        if (trailing) out.push(trailing);
+        run = null;
+    };
+
+    for (const word of text.split(/\s+/)) {
+        const key = word.toLowerCase();
+        if (key in grammar.numbers) {
+            run ||= { total: 0, current: 0, words: [] };
+            run.current += grammar.numbers[key];
+        } else if (run && grammar.hundred.includes(key)) {
+            run.current = (run.current || 1) * 100;
+        } else if (grammar.thousand.includes(key)) {
+            run ||= { total: 0, current: 0, words: [] };
+            run.total += (run.current || 1) * 1000;
+            run.current = 0;
+        } else if (run && grammar.joiners.includes(key)) {
+            run.words.push(key);
+            continue;
+        } else {
+            flush();
+            out.push(word);
+            continue;
+        }
+        run.words.push(key);
+    }
+    flush();
+    return out.join(' ');
+};
+
+// Number words to digits and spoken units to their abbreviations: "five hundred milligrams" -> "500 mg"
+export const normalizeSpeech = (text, lang) => {
+    const grammar = grammarFor(lang);
+    const spaced = String(text).replace(/(\p{L})-(\p{L})/gu, '$1 $2').replace(/\s+/g, ' ').trim();
+    if (!grammar) return spaced;
+    let normalized = replaceNumberWords(spaced, grammar);
+    for (const [pattern, unit] of grammar.units) {
+        normalized = normalized.replace(new RegExp(pattern.source, 'giu'), unit);
+    }
+    return normalized.replace(/(\d)(mg|mcg|g|ml|IU)\b/g, '$1 $2');
+};
+
+// Recognise a whole utterance as a command: { type: 'set', field, value } | { type: 'clear', field }
+// | { type: 'readBack' } | { type: 'issue' }, with `field` mapped to the form's field name.
+// Returns null for ordinary dictation (including commands naming a field we don't know).
+export const parseCommand = (utterance, lang) => {
+    const grammar = grammarFor(lang);
+    if (!grammar) return null;
+    const text = normalizeSpeech(utterance, lang).replace(/[.!?]+$/, '').trim();
+
+    for (const [pattern, build] of grammar.commands) {
+        const match = new RegExp(pattern.source, 'i').exec(text);
+        if (!match) continue;
+        const command = build(match);
+        if (!('field' in command)) return command;
+        const field = grammar.fields[command.field.toLowerCase()];
+        if (!field) return null;
+        return { ...command, field, value: command.value?.trim() };
+    }
+    return null;
+};
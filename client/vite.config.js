@@ -4,4 +4,8 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    // Deployment manifests are read from ../blockchain/deployments
+    fs: { allow: ['..'] },
+  },
 })
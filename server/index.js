@@ -8,45 +8,53 @@ app.use(cors());
 app.use(express.json());
 
 const prescriptionRoutes = require('./routes/prescriptions');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const indexerRoutes = require('./routes/indexer');
+const signedPrescriptionRoutes = require('./routes/signedPrescriptions');
+const authRoutes = require('./routes/auth');
+const riskReviewRoutes = require('./routes/riskReviews');
+const drugRoutes = require('./routes/drugs');
+const patientRoutes = require('./routes/patients');
+const fhirRoutes = require('./routes/fhir');
+const inventoryRoutes = require('./routes/inventory');
+const eventRoutes = require('./routes/events');
+const adminRoutes = require('./routes/admin');
+const analyticsRoutes = require('./routes/analytics');
+const { authenticate, requireRole } = require('./middleware/auth');
+const { getRegistry } = require('./services/blockchain');
+const { startIndexer } = require('./services/indexer');
+const { startBatcher } = require('./services/batcher');
+const { parsePrescription } = require('./services/prescriptionParser');
+const { checkKeyring } = require('./services/encryption');
 
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+// Patient records can't be read or looked up without the keyring, so don't start half-working
+try {
+    checkKeyring();
+} catch (err) {
+    console.error('PII keyring:', err.message);
+    process.exit(1);
+}
 
+app.use('/api/auth', authRoutes);
 app.use('/api/prescriptions', prescriptionRoutes);
+app.use('/api/indexer', indexerRoutes);
+app.use('/api/signed-prescriptions', signedPrescriptionRoutes);
+app.use('/api/risk-reviews', riskReviewRoutes);
+app.use('/api/drugs', drugRoutes);
+app.use('/api/patients', patientRoutes);
+app.use('/api/fhir', fhirRoutes);
+app.use('/api/inventory', inventoryRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/analytics', analyticsRoutes);
 
-app.post('/api/parse-prescription', async (req, res) => {
+// Dictated text -> form fields. Each field carries a confidence so the dashboard can flag what to check.
+app.post('/api/parse-prescription', authenticate, requireRole('doctor'), async (req, res) => {
     try {
-        const { transcript } = req.body;
-        if (!transcript) return res.status(400).json({ success: false, error: 'No transcript provided' });
-
-        const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-        const prompt = `
-            You are a helpful medical assistant. Extract the following details from the doctor's spoken text:
-            - patientName (String)
-            - age (Number or String)
-            - medicine (String, include dosage if present)
-            - quantity (Number)
-            - notes (String summary of instructions)
-
-            Return ONLY a valid JSON object. Do not use Markdown code blocks. Keys: patientName, age, medicine, quantity, notes.
-            If a value is not found, set it to null.
-            
-            Text: "${transcript}"
-        `;
-
-        const result = await model.generateContent(prompt);
-        const response = await result.response;
-        let text = response.text();
-
-        // Cleanup if model returns markdown
-        text = text.replace(/```json/g, '').replace(/```/g, '').trim();
-
-        const data = JSON.parse(text);
-        res.json({ success: true, data });
-
+        const { fields, confidence, rejected, provider } = await parsePrescription(req.body.transcript);
+        res.json({ success: true, data: { ...fields, confidence, rejected, provider } });
     } catch (error) {
-        console.error('AI Parse Error:', error);
-        res.status(500).json({ success: false, error: error.message });
+        console.error('Parse Error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
     }
 });
 
@@ -56,8 +64,17 @@ app.get('/', (req, res) => {
 
 // MongoDB Connection
 mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/blockchain-prescription')
-    .then(() => console.log('MongoDB Connected'))
+    .then(() => {
+        console.log('MongoDB Connected');
+        if (process.env.INDEXER_ENABLED !== 'false') startIndexer();
+        if (process.env.BATCHER_ENABLED !== 'false') startBatcher();
+    })
     .catch(err => console.error('MongoDB Connection Error:', err));
 
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+
+// Contract address/ABI come from the deployment manifest matching RPC_URL's chainId
+getRegistry()
+    .then(({ chainId, deployment }) => console.log(`PrescriptionRegistry ${deployment.address} loaded for chain ${chainId}`))
+    .catch(err => console.warn('Blockchain unavailable:', err.message));
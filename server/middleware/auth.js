@@ -0,0 +1,70 @@
+const { verifyToken, verifyPatientToken, resolveRoles } = require('../services/auth');
+
+const bearerOf = (req) => {
+    const header = req.headers.authorization || '';
+    return header.startsWith('Bearer ') ? header.slice(7) : null;
+};
+
+// Requires a valid bearer token; sets req.user = { address, roles }
+const authenticate = async (req, res, next) => {
+    const token = bearerOf(req);
+    if (!token) return res.status(401).json({ success: false, error: 'Sign in with your wallet first' });
+
+    let address;
+    try {
+        address = verifyToken(token);
+    } catch (err) {
+        return res.status(401).json({ success: false, error: 'Session expired or invalid, please sign in again' });
+    }
+
+    try {
+        req.user = { address, roles: await resolveRoles(address) };
+        next();
+    } catch (err) {
+        res.status(503).json({ success: false, error: 'Could not resolve roles from blockchain: ' + err.message });
+    }
+};
+
+// EventSource can't send headers, so the event stream also takes the session token as ?token=
+const tokenFromQuery = (req, res, next) => {
+    if (!req.headers.authorization && typeof req.query.token === 'string') {
+        req.headers.authorization = `Bearer ${req.query.token}`;
+    }
+    next();
+};
+
+// Patient portal: an access-code session sets req.patientSession = { patientId },
+// a wallet session sets req.patientSession = { wallet } (the route finds the linked patient)
+const authenticatePatient = (req, res, next) => {
+    const token = bearerOf(req);
+    if (!token) return res.status(401).json({ success: false, error: 'Sign in with your wallet or an access code' });
+    try {
+        req.patientSession = { patientId: verifyPatientToken(token) };
+        return next();
+    } catch (err) {
+        // not an access-code session, try a wallet one
+    }
+    try {
+        req.patientSession = { wallet: verifyToken(token) };
+        next();
+    } catch (err) {
+        res.status(401).json({ success: false, error: 'Session expired or invalid, please sign in again' });
+    }
+};
+
+// Allows the request if the user holds any of the given roles (doctor, pharmacy, admin)
+const requireRole = (...roles) => (req, res, next) => {
+    if (roles.some(role => req.user.roles[role])) return next();
+    res.status(403).json({ success: false, error: `Requires role: ${roles.join(' or ')}` });
+};
+
+const isSameAddress = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+// Pharmacies see a prescription only after redeeming its QR code. Records stored before QR handoff
+// have no code to redeem; those stay closed to every pharmacy that hasn't already filled them.
+const pharmacyMayRead = (log, address) => {
+    if (log.handoff?.secretHash) return isSameAddress(log.handoff.claimedBy, address);
+    return (log.chain?.fills || []).some(fill => isSameAddress(fill.pharmacy, address));
+};
+
+module.exports = { authenticate, authenticatePatient, tokenFromQuery, requireRole, isSameAddress, pharmacyMayRead };
@@ -0,0 +1,11 @@
+const mongoose = require('mongoose');
+
+// Single-use sign-in challenges; Mongo drops them after 5 minutes
+const AuthNonceSchema = new mongoose.Schema({
+    address: { type: String, required: true, unique: true }, // lowercase
+    nonce: { type: String, required: true },
+    message: { type: String, required: true },
+    createdAt: { type: Date, default: Date.now, expires: 300 }
+});
+
+module.exports = mongoose.model('AuthNonce', AuthNonceSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Raw registry events as seen by the indexer. Chain state on PrescriptionLog is
+// rebuilt from these, so a reorg only has to delete the orphaned rows.
+const ChainEventSchema = new mongoose.Schema({
+    chainId: { type: Number, required: true },
+    name: { type: String, required: true }, // PrescriptionIssued, RoleGranted, ...
+    blockchainId: { type: Number }, // prescription events only
+    digest: { type: String }, // signed (batched) prescription events only
+    account: { type: String }, // role events only
+    role: { type: String },
+    args: { type: mongoose.Schema.Types.Mixed },
+    blockNumber: { type: Number, required: true },
+    blockHash: { type: String, required: true },
+    at: { type: Date }, // block timestamp
+    txHash: { type: String, required: true },
+    logIndex: { type: Number, required: true }
+});
+
+ChainEventSchema.index({ chainId: 1, txHash: 1, logIndex: 1 }, { unique: true });
+ChainEventSchema.index({ chainId: 1, blockchainId: 1, blockNumber: 1, logIndex: 1 });
+ChainEventSchema.index({ chainId: 1, digest: 1, blockNumber: 1, logIndex: 1 });
+ChainEventSchema.index({ chainId: 1, blockNumber: 1 });
+
+module.exports = mongoose.model('ChainEvent', ChainEventSchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Off-chain directory of the organisations behind registry wallets, kept by the contract owner.
+// The chain decides who holds a role; this only says who the address belongs to.
+const DirectoryEntrySchema = new mongoose.Schema({
+    address: { type: String, required: true, unique: true }, // lowercased wallet address
+    organisationType: { type: String, enum: ['clinic', 'pharmacy', 'other'], required: true },
+    name: { type: String, required: true, trim: true, maxlength: 200 },
+    licenseNumber: { type: String, trim: true, maxlength: 100 },
+    contact: { type: String, trim: true, maxlength: 200 },
+    updatedBy: { type: String },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+DirectoryEntrySchema.index({ name: 1 });
+DirectoryEntrySchema.index({ licenseNumber: 1 });
+
+module.exports = mongoose.model('DirectoryEntry', DirectoryEntrySchema);
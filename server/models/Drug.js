@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Local drug catalog, loaded with `npm run drugs:import`
+const DrugSchema = new mongoose.Schema({
+    code: { type: String, required: true, unique: true }, // canonical code, hashed on chain
+    name: { type: String, required: true }, // generic name
+    strength: { type: String, required: true }, // e.g. "500"
+    unit: { type: String, required: true }, // unit of the strength, e.g. "mg"
+    form: { type: String, required: true }, // capsule, tablet, oral solution, ...
+    schedule: { type: String, required: true }, // key of config/schedules.json
+    active: { type: Boolean, default: true }
+});
+
+DrugSchema.index({ name: 1 });
+
+module.exports = mongoose.model('Drug', DrugSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+const encryptedPii = require('./plugins/encryptedPii');
+
+// A MedicationRequest received in a FHIR Bundle, waiting for the doctor to issue it on chain
+const ImportedRequestSchema = new mongoose.Schema({
+    doctorAddress: { type: String, required: true }, // the doctor who imported it and will sign it
+    sourceKey: { type: String, required: true }, // "<system>|<value>" of the sender's identifier, or the entry fullUrl
+    bundleId: { type: String },
+    patientId: { type: String, required: true },
+    medicineDetails: {
+        code: { type: String, required: true },
+        name: { type: String, required: true },
+        dosage: { type: String },
+        schedule: { type: String },
+        quantity: { type: Number, required: true },
+        refills: { type: Number, default: 0 }
+    },
+    validUntil: { type: Date },
+    status: { type: String, enum: ['QUEUED', 'ISSUED', 'DISMISSED'], default: 'QUEUED' },
+    // What the request became: a registry prescription ID or a signed prescription digest
+    issuedAs: {
+        kind: { type: String, enum: ['prescription', 'signed'] },
+        ref: { type: String }
+    },
+    createdAt: { type: Date, default: Date.now },
+    resolvedAt: { type: Date }
+});
+
+// Re-sending the same Bundle doesn't queue its requests twice
+ImportedRequestSchema.index({ doctorAddress: 1, sourceKey: 1 }, { unique: true });
+ImportedRequestSchema.index({ doctorAddress: 1, status: 1, createdAt: 1 });
+
+// Instructions from the sender (dosageInstruction / note) are PII like any prescription notes
+ImportedRequestSchema.plugin(encryptedPii, { fields: { notes: String } });
+
+module.exports = mongoose.model('ImportedRequest', ImportedRequestSchema);
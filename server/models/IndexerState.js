@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// One checkpoint per chain
+const IndexerStateSchema = new mongoose.Schema({
+    chainId: { type: Number, required: true, unique: true },
+    contractAddress: { type: String, required: true },
+    lastBlock: { type: Number, required: true },
+    // Hashes of recently checkpointed blocks, newest last, used to find the fork point on a reorg
+    recentBlocks: [{
+        _id: false,
+        number: Number,
+        hash: String
+    }],
+    updatedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('IndexerState', IndexerStateSchema);
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// History the fraud monitor scores against: one row per issuance, per prescribed medicine and per fill
+const MonitoringEventSchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true }, // issue:<ref>, item:<ref>:<index> or fill:<txHash>:<logIndex>
+    kind: { type: String, enum: ['ISSUE', 'ITEM', 'FILL'], required: true }, // ISSUE rows from before ITEM existed carry the medicine themselves
+    ref: { type: String, required: true }, // blockchainId, or digest for signed prescriptions
+    patientId: { type: String }, // Patient registry ID
+    doctor: { type: String },
+    pharmacy: { type: String },
+    medicine: { type: String }, // catalog code (normalised name for pre-catalog prescriptions)
+    quantity: { type: Number },
+    at: { type: Date, default: Date.now }
+});
+
+MonitoringEventSchema.index({ patientId: 1, kind: 1, at: -1 });
+MonitoringEventSchema.index({ doctor: 1, kind: 1, at: -1 });
+MonitoringEventSchema.index({ medicine: 1, kind: 1 });
+
+module.exports = mongoose.model('MonitoringEvent', MonitoringEventSchema);
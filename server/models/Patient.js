@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+const encryptedPii = require('./plugins/encryptedPii');
+
+// Patient registry. Prescriptions point at `patientId`; only `ref`, salted with each
+// prescription's own salt, ever reaches the chain.
+const PatientSchema = new mongoose.Schema({
+    patientId: { type: String, required: true, unique: true }, // pseudonymous, printable, e.g. P-7KQ2MX9D
+    ref: { type: String, required: true, unique: true }, // bytes32 = keccak256(identifierSalt, patientId)
+    identifierSalt: { type: String, required: true },
+    nameKey: { type: String, index: true }, // blind index of the normalised name
+    lookupKey: { type: String, index: true }, // blind index of name + date of birth
+    wallet: { type: String, index: true }, // optional, lets the patient open the portal with their wallet
+    createdBy: { type: String },
+    createdAt: { type: Date, default: Date.now }
+});
+
+PatientSchema.plugin(encryptedPii, {
+    fields: { name: String, dateOfBirth: String }, // dateOfBirth as YYYY-MM-DD
+    required: ['name', 'dateOfBirth']
+});
+
+module.exports = mongoose.model('Patient', PatientSchema);
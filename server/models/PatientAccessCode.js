@@ -0,0 +1,11 @@
+const mongoose = require('mongoose');
+
+// One-time portal codes handed to patients without a wallet; only the hash is stored
+const PatientAccessCodeSchema = new mongoose.Schema({
+    patientId: { type: String, required: true, index: true },
+    codeHash: { type: String, required: true },
+    createdBy: { type: String },
+    expiresAt: { type: Date, required: true, expires: 0 } // Mongo drops it once expired
+});
+
+module.exports = mongoose.model('PatientAccessCode', PatientAccessCodeSchema);
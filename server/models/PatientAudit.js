@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Append-only trail of changes to who can open a patient's portal: linked wallets and handed-out access codes
+const PatientAuditSchema = new mongoose.Schema({
+    patientId: { type: String, required: true },
+    action: { type: String, enum: ['WALLET_LINKED', 'WALLET_UNLINKED', 'ACCESS_CODE_CREATED'], required: true },
+    actor: { type: String, required: true }, // wallet address of the doctor or admin
+    previousWallet: { type: String },
+    wallet: { type: String },
+    createdAt: { type: Date, default: Date.now, immutable: true }
+});
+
+PatientAuditSchema.index({ patientId: 1, createdAt: 1 });
+
+// Entries are written once and never changed
+const appendOnly = function () {
+    throw new Error('Patient audit entries cannot be modified or deleted');
+};
+for (const op of ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete']) {
+    PatientAuditSchema.pre(op, appendOnly);
+}
+PatientAuditSchema.pre('save', function () {
+    if (!this.isNew) throw new Error('Patient audit entries cannot be modified or deleted');
+});
+
+module.exports = mongoose.model('PatientAudit', PatientAuditSchema);
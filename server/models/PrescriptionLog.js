@@ -1,17 +1,92 @@
 const mongoose = require('mongoose');
+const encryptedPii = require('./plugins/encryptedPii');
+const riskReview = require('./plugins/riskReview');
 
 const PrescriptionSchema = new mongoose.Schema({
     blockchainId: { type: Number, required: true, unique: true },
+    txHash: { type: String, unique: true, sparse: true }, // issuing transaction; POSTs are idempotent on it
     doctorAddress: { type: String, required: true },
-    patientName: { type: String, required: true }, // Off-chain PII
-    patientAge: { type: Number },
     medicineDetails: {
-        name: { type: String, required: true },
+        // One per medicine, in on-chain line item order
+        items: [{
+            _id: false,
+            code: { type: String, required: true }, // drug catalog code; the item's medicationHash is over this
+            name: { type: String, required: true },
+            dosage: { type: String },
+            schedule: { type: String },
+            quantity: { type: Number, required: true } // per fill
+        }],
+        // Records issued before line items hold their single medicine here
+        code: { type: String },
+        name: { type: String },
         dosage: { type: String },
-        quantity: { type: Number, required: true }
+        schedule: { type: String },
+        quantity: { type: Number },
+        refills: { type: Number, default: 0 } // shared by all items
     },
-    notes: { type: String },
-    issuedAt: { type: Date, default: Date.now }
+    validUntil: { type: Date }, // null = no expiry
+    salt: { type: String }, // per-prescription salt behind the on-chain hashes
+    patientId: { type: String }, // Patient registry ID
+    patientRef: { type: String }, // the patient's on-chain identifier; patientHash = keccak256(salt, patientRef)
+    verifiedAt: { type: Date }, // when the metadata was checked against the chain
+    // QR handoff: only the hash of the patient's one-time code is kept
+    handoff: {
+        secretHash: { type: String },
+        claimedBy: { type: String }, // pharmacy that redeemed the code
+        claimedAt: { type: Date }
+    },
+    issuedAt: { type: Date, default: Date.now },
+    // Interaction / duplicate-therapy warnings the doctor confirmed when issuing
+    clinicalWarnings: [{
+        _id: false,
+        type: { type: String },
+        severity: String,
+        ref: String,
+        message: String
+    }],
+    warningsAcknowledgedAt: { type: Date },
+    // Mirrored from registry events by services/indexer.js
+    chain: {
+        status: { type: String, enum: ['ISSUED', 'PARTIALLY_DISPENSED', 'DISPENSED', 'CANCELLED'] },
+        issuer: { type: String },
+        issuedTxHash: { type: String },
+        issuedBlock: { type: Number },
+        issuedAt: { type: Date }, // block timestamp; the top-level issuedAt is when the metadata was saved
+        dispensedQuantity: { type: Number, default: 0 },
+        itemsDispensed: [Number], // per line item, same order as medicineDetails.items
+        fills: [{
+            _id: false,
+            pharmacy: String,
+            item: Number, // line item index
+            amount: Number,
+            txHash: String,
+            blockNumber: Number,
+            at: Date // block timestamp
+        }],
+        dispensedBy: { type: String },
+        dispensedTxHash: { type: String },
+        dispensedAt: { type: Date },
+        cancelledTxHash: { type: String },
+        syncedAt: { type: Date }
+    }
 });
 
+// History / search views (GET /api/prescriptions)
+PrescriptionSchema.index({ doctorAddress: 1, issuedAt: -1 });
+PrescriptionSchema.index({ 'chain.fills.pharmacy': 1, issuedAt: -1 });
+PrescriptionSchema.index({ 'handoff.claimedBy': 1, issuedAt: -1 });
+PrescriptionSchema.index({ patientId: 1, issuedAt: -1 });
+PrescriptionSchema.index({ 'medicineDetails.code': 1, issuedAt: -1 });
+PrescriptionSchema.index({ 'medicineDetails.items.code': 1, issuedAt: -1 });
+PrescriptionSchema.index({ 'chain.status': 1, issuedAt: -1 });
+PrescriptionSchema.index({ issuedAt: -1 });
+
+// Off-chain PII: patientName, patientAge (a snapshot at issue time) and notes are encrypted at rest
+PrescriptionSchema.plugin(encryptedPii, {
+    fields: { patientName: String, patientAge: Number, notes: String },
+    required: ['patientName']
+});
+
+PrescriptionSchema.plugin(riskReview);
+
 module.exports = mongoose.model('PrescriptionLog', PrescriptionSchema);
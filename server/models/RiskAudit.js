@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Append-only trail of every risk flag and every decision taken on it
+const RiskAuditSchema = new mongoose.Schema({
+    kind: { type: String, enum: ['prescription', 'signed'], required: true },
+    ref: { type: String, required: true }, // blockchainId or digest
+    action: { type: String, enum: ['FLAGGED', 'OVERRIDE', 'ESCALATE', 'CONFIRM'], required: true },
+    actor: { type: String, required: true }, // wallet address, or 'monitor'
+    reason: { type: String },
+    risk: { // snapshot at the time of the action
+        score: Number,
+        level: String,
+        reasons: [String]
+    },
+    createdAt: { type: Date, default: Date.now, immutable: true }
+});
+
+RiskAuditSchema.index({ ref: 1, createdAt: 1 });
+
+// Entries are written once and never changed
+const appendOnly = function () {
+    throw new Error('Risk audit entries cannot be modified or deleted');
+};
+for (const op of ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete']) {
+    RiskAuditSchema.pre(op, appendOnly);
+}
+RiskAuditSchema.pre('save', function () {
+    if (!this.isNew) throw new Error('Risk audit entries cannot be modified or deleted');
+});
+
+module.exports = mongoose.model('RiskAudit', RiskAuditSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const encryptedPii = require('./plugins/encryptedPii');
+const riskReview = require('./plugins/riskReview');
+
+// Off-chain EIP-712 prescriptions waiting for (or included in) a Merkle batch
+const SignedPrescriptionSchema = new mongoose.Schema({
+    digest: { type: String, required: true, unique: true }, // EIP-712 hash, the public reference
+    prescription: { // the signed typed-data value, exactly as signed
+        doctor: { type: String, required: true },
+        patientHash: { type: String, required: true },
+        medicationHash: { type: String, required: true },
+        quantity: { type: String, required: true },
+        validUntil: { type: String, required: true },
+        nonce: { type: String, required: true }
+    },
+    signature: { type: String, required: true },
+    // Off-chain metadata behind the hashes (patient PII is in the encrypted `pii` blob)
+    medicineDetails: {
+        code: { type: String }, // drug catalog code; the on-chain medicationHash is over this
+        name: { type: String, required: true },
+        dosage: { type: String },
+        schedule: { type: String },
+        quantity: { type: Number, required: true }
+    },
+    salt: { type: String, required: true },
+    patientId: { type: String, index: true }, // Patient registry ID
+    patientRef: { type: String }, // the patient's on-chain identifier; patientHash = keccak256(salt, patientRef)
+    // Interaction / duplicate-therapy warnings the doctor confirmed when issuing
+    clinicalWarnings: [{
+        _id: false,
+        type: { type: String },
+        severity: String,
+        ref: String,
+        message: String
+    }],
+    warningsAcknowledgedAt: { type: Date },
+    status: { type: String, enum: ['QUEUED', 'ANCHORED', 'DISPENSED', 'CANCELLED'], default: 'QUEUED' },
+    batchId: { type: Number },
+    proof: [String],
+    anchorTxHash: { type: String },
+    dispensedBy: { type: String },
+    dispensedTxHash: { type: String },
+    cancelledTxHash: { type: String },
+    createdAt: { type: Date, default: Date.now }
+});
+
+SignedPrescriptionSchema.index({ status: 1, createdAt: 1 });
+
+SignedPrescriptionSchema.plugin(encryptedPii, {
+    fields: { patientName: String, patientAge: Number, notes: String },
+    required: ['patientName']
+});
+
+SignedPrescriptionSchema.plugin(riskReview);
+
+module.exports = mongoose.model('SignedPrescription', SignedPrescriptionSchema);
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// One lot of a catalog drug on a pharmacy's shelf. `reserved` units are held for dispenses whose
+// transaction hasn't confirmed yet, so what can still be promised is quantity - reserved.
+const StockLotSchema = new mongoose.Schema({
+    pharmacy: { type: String, required: true }, // lowercased wallet address
+    code: { type: String, required: true }, // drug catalog code
+    name: { type: String, required: true }, // catalog name and dosage at the time of import
+    dosage: { type: String },
+    lotNumber: { type: String, required: true },
+    expiresAt: { type: Date, required: true },
+    quantity: { type: Number, required: true, min: 0 }, // units on hand
+    reserved: { type: Number, default: 0, min: 0 },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+StockLotSchema.index({ pharmacy: 1, code: 1, lotNumber: 1 }, { unique: true });
+StockLotSchema.index({ pharmacy: 1, code: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('StockLot', StockLotSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Units set aside from a pharmacy's lots for one dispense. HELD until the dispense transaction
+// confirms (COMMITTED, the units leave the lots), the pharmacist gives up (RELEASED) or the hold
+// runs out (EXPIRED). A late confirmation still commits a RELEASED or EXPIRED reservation.
+const StockReservationSchema = new mongoose.Schema({
+    pharmacy: { type: String, required: true }, // lowercased wallet address
+    kind: { type: String, enum: ['prescription', 'signed'], required: true },
+    ref: { type: String, required: true }, // blockchainId or digest
+    item: { type: Number, default: 0 }, // line item; always 0 for signed prescriptions
+    code: { type: String, required: true },
+    amount: { type: Number, required: true, min: 1 },
+    // Taken first-expiry-first-out
+    allocations: [{
+        _id: false,
+        lot: { type: mongoose.Schema.Types.ObjectId, ref: 'StockLot', required: true },
+        lotNumber: String,
+        expiresAt: Date,
+        quantity: { type: Number, required: true }
+    }],
+    status: { type: String, enum: ['HELD', 'COMMITTED', 'RELEASED', 'EXPIRED'], default: 'HELD' },
+    holdUntil: { type: Date, required: true },
+    txHash: { type: String },
+    createdAt: { type: Date, default: Date.now },
+    resolvedAt: { type: Date }
+});
+
+StockReservationSchema.index({ pharmacy: 1, status: 1, holdUntil: 1 });
+StockReservationSchema.index({ kind: 1, ref: 1, item: 1, status: 1 });
+StockReservationSchema.index({ txHash: 1 }, { sparse: true });
+
+module.exports = mongoose.model('StockReservation', StockReservationSchema);
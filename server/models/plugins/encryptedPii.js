@@ -0,0 +1,78 @@
+const { encrypt, decrypt } = require('../../services/encryption');
+
+// Keeps the listed fields encrypted in a single `pii` blob.
+//
+// The fields are virtuals: assigning them (or passing them to the constructor)
+// marks the record for re-sealing on save. Reading them returns undefined until
+// a route that has authorized the caller calls `doc.decryptPii()`, and
+// `toAuthorizedJSON()` is the only serializer that includes them.
+// `fields` maps each field to a caster (String, Number, ...) applied on assignment.
+module.exports = function encryptedPii(schema, { fields, required = [] }) {
+    schema.add({
+        pii: {
+            iv: String,
+            tag: String,
+            data: String
+        },
+        keyVersion: { type: Number }
+    });
+
+    const aadOf = (doc) => `${doc.constructor.modelName}:${doc._id}`;
+
+    schema.methods.decryptPii = function () {
+        if (!this.$locals.pii) {
+            this.$locals.pii = this.pii && this.pii.data ? decrypt(this.pii, this.keyVersion, aadOf(this)) : {};
+        }
+        return this.$locals.pii;
+    };
+
+    // Seal with the current key version (used on save and by the re-encryption migration)
+    schema.methods.sealPii = function () {
+        const { keyVersion, sealed } = encrypt(this.decryptPii(), aadOf(this));
+        this.pii = sealed;
+        this.keyVersion = keyVersion;
+        this.$locals.piiDirty = false;
+    };
+
+    schema.methods.toAuthorizedJSON = function () {
+        const json = this.toJSON();
+        return { ...json, ...this.decryptPii() };
+    };
+
+    for (const [field, cast] of Object.entries(fields)) {
+        schema.virtual(field)
+            .get(function () {
+                return this.$locals.pii ? this.$locals.pii[field] : undefined;
+            })
+            .set(function (value) {
+                if (!this.isNew) this.decryptPii(); // keep the other fields when updating one
+                const empty = value === undefined || value === null || value === '';
+                this.$locals.pii = { ...(this.$locals.pii || {}), [field]: empty ? value : cast(value) };
+                this.$locals.piiDirty = true;
+            });
+    }
+
+    schema.pre('validate', function (next) {
+        if (!this.$locals.piiDirty) return next();
+        for (const field of required) {
+            const value = this.$locals.pii[field];
+            if (value === undefined || value === null || value === '') {
+                this.invalidate(field, `Path \`${field}\` is required.`);
+            }
+        }
+        try {
+            this.sealPii();
+            next();
+        } catch (err) {
+            next(err);
+        }
+    });
+
+    // Never serialize the ciphertext
+    schema.set('toJSON', {
+        transform: (doc, ret) => {
+            delete ret.pii;
+            return ret;
+        }
+    });
+};
@@ -0,0 +1,23 @@
+// Fraud-monitoring result (`risk`, written by services/monitoring.js) and the
+// pharmacist/doctor review of a high-risk flag (`review`, see services/riskReview.js)
+module.exports = function riskReview(schema) {
+    schema.add({
+        risk: {
+            score: { type: Number },
+            level: { type: String, enum: ['LOW', 'MEDIUM', 'HIGH'] },
+            rules: [String],
+            reasons: [String],
+            evaluatedAt: { type: Date }
+        },
+        review: {
+            status: { type: String, enum: ['OPEN', 'OVERRIDDEN', 'ESCALATED', 'CONFIRMED'] },
+            rules: [String], // rules the flag was raised for; a new one reopens it
+            openedAt: { type: Date },
+            decidedBy: { type: String },
+            decidedAt: { type: Date },
+            reason: { type: String }
+        }
+    });
+
+    schema.index({ 'review.status': 1, 'review.openedAt': 1 });
+};
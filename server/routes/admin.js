@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const { roleHolders, registryStats, saveDirectoryEntry } = require('../services/registryAdmin');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+// Registry governance console; roles themselves are granted from the owner's wallet
+router.use(authenticate, requireRole('owner'));
+
+// prescriptionCount, role holders and activity per role
+router.get('/stats', async (req, res) => {
+    try {
+        res.json({ success: true, data: await registryStats() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Role holders replayed from the indexed role events. ?q= address prefix, name or licence number;
+// ?role=doctor|pharmacy|admin; ?includeRevoked=true adds accounts whose roles were all revoked.
+router.get('/accounts', async (req, res) => {
+    try {
+        const data = await roleHolders({
+            q: req.query.q,
+            role: req.query.role,
+            includeRevoked: req.query.includeRevoked === 'true'
+        });
+        res.json({ success: true, data });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// { organisationType: clinic | pharmacy | other, name, licenseNumber, contact }
+router.put('/directory/:address', async (req, res) => {
+    try {
+        res.json({ success: true, data: await saveDirectoryEntry(req.params.address, req.body, req.user.address) });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { prescribingAnalytics } = require('../services/analytics');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+// Aggregate prescribing figures for the compliance team. Counts and addresses only, no patient data.
+router.use(authenticate, requireRole('admin'));
+
+// ?from=&to= (issuedAt range) and the other GET /api/prescriptions filters;
+// ?interval=day|week|month (default week); ?top= number of medicines (default 10, max 50)
+router.get('/', async (req, res) => {
+    try {
+        res.json({ success: true, data: await prescribingAnalytics(req.query) });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const { createChallenge, verifyChallenge, issueToken, resolveRoles } = require('../services/auth');
+const { authenticate } = require('../middleware/auth');
+
+// Step 1: get a one-time message to sign
+router.post('/nonce', async (req, res) => {
+    try {
+        const { address } = req.body;
+        if (!address) return res.status(400).json({ success: false, error: 'address is required' });
+        res.json({ success: true, data: await createChallenge(address) });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// Step 2: exchange the signature for a session token
+router.post('/verify', async (req, res) => {
+    try {
+        const { address, signature } = req.body;
+        if (!address || !signature) return res.status(400).json({ success: false, error: 'address and signature are required' });
+
+        let signer;
+        try {
+            signer = await verifyChallenge(address, signature);
+        } catch (err) {
+            return res.status(401).json({ success: false, error: err.message });
+        }
+
+        res.json({ success: true, data: { token: issueToken(signer), address: signer, roles: await resolveRoles(signer) } });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Current session and live roles
+router.get('/me', authenticate, (req, res) => {
+    res.json({ success: true, data: req.user });
+});
+
+module.exports = router;
@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const { loadSchedules, searchDrugs, findDrug, checkCounts, checkLimits } = require('../services/catalog');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+// Autocomplete: ?q= matches the start of the name or code
+router.get('/', authenticate, async (req, res) => {
+    try {
+        const limit = Math.min(Number(req.query.limit) || 10, 50);
+        res.json({ success: true, data: await searchDrugs(req.query.q, limit) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Per-schedule quantity limits
+router.get('/schedules', authenticate, (req, res) => {
+    try {
+        res.json({ success: true, data: loadSchedules() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Check quantity/refills before the doctor sends the transaction;
+// POST /api/prescriptions applies the same limits afterwards
+router.post('/validate', authenticate, requireRole('doctor'), async (req, res) => {
+    try {
+        const drug = await findDrug(req.body.code);
+        if (!drug) return res.status(404).json({ success: false, error: 'Not found' });
+        const countError = checkCounts(req.body);
+        if (countError) return res.status(400).json({ success: false, error: countError });
+        const problems = checkLimits(drug, req.body);
+        if (problems.length) return res.status(422).json({ success: false, error: problems.join('; '), problems });
+        res.json({ success: true, data: drug });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+router.get('/:code', authenticate, async (req, res) => {
+    try {
+        const drug = await findDrug(req.params.code);
+        if (!drug) return res.status(404).json({ success: false, error: 'Not found' });
+        res.json({ success: true, data: drug });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const { subscribe } = require('../services/events');
+const { authenticate, requireRole, tokenFromQuery } = require('../middleware/auth');
+
+// Live prescription, dispense, cancellation and risk-flag events for the signed-in wallet (SSE)
+router.get('/', tokenFromQuery, authenticate, requireRole('doctor', 'pharmacy', 'admin'), (req, res) => {
+    subscribe(req, res, req.headers.authorization.slice(7));
+});
+
+module.exports = router;
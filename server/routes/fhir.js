@@ -0,0 +1,113 @@
+const express = require('express');
+const router = express.Router();
+const PrescriptionLog = require('../models/PrescriptionLog');
+const SignedPrescription = require('../models/SignedPrescription');
+const ImportedRequest = require('../models/ImportedRequest');
+const { parseResourceId, medicationRequestsOf, medicationDispensesOf, bundleOf, operationOutcome, importBundle } = require('../services/fhir');
+const { findPatient, summaryOf } = require('../services/patients');
+const { authenticate, requireRole, isSameAddress, pharmacyMayRead } = require('../middleware/auth');
+
+// FHIR clients post application/fhir+json, which the app-wide JSON parser skips
+router.use(express.json({ type: 'application/fhir+json', limit: '1mb' }));
+
+const sendResource = (res, status, resource) => res.status(status).type('application/fhir+json').send(resource);
+
+const sendError = (res, error) =>
+    sendResource(res, error.status || 500, error.outcome || operationOutcome(error.message, error.status ? 'invalid' : 'exception'));
+
+// Same access rules as the JSON endpoints: the issuing doctor, or a pharmacy allowed to open it.
+// Resolves to { record, item } (item is set for the line item ids of multi-medicine prescriptions).
+const loadReadable = async (id, user) => {
+    const key = parseResourceId(id);
+    const record = key.digest
+        ? await SignedPrescription.findOne({ digest: key.digest })
+        : await PrescriptionLog.findOne({ blockchainId: key.blockchainId });
+    if (!record) throw Object.assign(new Error(`MedicationRequest/${id} not found`), { status: 404 });
+
+    const issuer = key.digest ? record.prescription.doctor : record.doctorAddress;
+    const pharmacyOk = user.roles.pharmacy && (key.digest || pharmacyMayRead(record, user.address));
+    if (!isSameAddress(issuer, user.address) && !pharmacyOk) {
+        throw Object.assign(new Error('Not allowed to view this prescription'), { status: 403 });
+    }
+    record.decryptPii();
+    return { record, item: key.item };
+};
+
+const prescriptionParam = (query) => {
+    const id = String(query.prescription || '').replace(/^MedicationRequest\//, '');
+    if (!id) throw Object.assign(new Error('The prescription search parameter is required'), { status: 400 });
+    return id;
+};
+
+// GET /MedicationRequest?prescription=rx-12 — every line item of a prescription
+router.get('/MedicationRequest', authenticate, async (req, res) => {
+    try {
+        const { record } = await loadReadable(prescriptionParam(req.query), req.user);
+        sendResource(res, 200, bundleOf('searchset', medicationRequestsOf(record)));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// A prescription with several medicines has no rx-12 resource, only rx-12.1, rx-12.2, …
+router.get('/MedicationRequest/:id', authenticate, async (req, res) => {
+    try {
+        const { record } = await loadReadable(req.params.id, req.user);
+        const resource = medicationRequestsOf(record).find(r => r.id === req.params.id);
+        if (!resource) throw Object.assign(new Error(`MedicationRequest/${req.params.id} not found`), { status: 404 });
+        sendResource(res, 200, resource);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// GET /MedicationDispense?prescription=rx-12 — one dispense per on-chain fill (rx-12.2: that item's only)
+router.get('/MedicationDispense', authenticate, async (req, res) => {
+    try {
+        const { record, item } = await loadReadable(prescriptionParam(req.query), req.user);
+        sendResource(res, 200, bundleOf('searchset', medicationDispensesOf(record, item)));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Import a Bundle of MedicationRequests into the signed-in doctor's issuance queue
+router.post('/Bundle', authenticate, requireRole('doctor'), async (req, res) => {
+    try {
+        const response = await importBundle(req.body, req.user.address);
+        sendResource(res, 200, response);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// The doctor's queued imports, with the patient and drug resolved for pre-filling the issue form
+router.get('/imports', authenticate, requireRole('doctor'), async (req, res) => {
+    try {
+        const queued = await ImportedRequest.find({ doctorAddress: req.user.address, status: 'QUEUED' }).sort({ createdAt: 1 }).limit(100);
+        const data = [];
+        for (const item of queued) {
+            const patient = await findPatient(item.patientId);
+            data.push({ ...item.toAuthorizedJSON(), patient: patient ? summaryOf(patient) : null });
+        }
+        res.json({ success: true, data });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+router.post('/imports/:id/dismiss', authenticate, requireRole('doctor'), async (req, res) => {
+    try {
+        const item = await ImportedRequest.findOneAndUpdate(
+            { _id: req.params.id, doctorAddress: req.user.address, status: 'QUEUED' },
+            { status: 'DISMISSED', resolvedAt: new Date() },
+            { new: true }
+        );
+        if (!item) return res.status(404).json({ success: false, error: 'Not found' });
+        res.json({ success: true, data: item.toJSON() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
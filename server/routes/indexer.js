@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const { getIndexerStatus, reconciliationReport } = require('../services/indexer');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+router.use(authenticate, requireRole('admin'));
+
+// Checkpoint vs chain head
+router.get('/status', async (req, res) => {
+    try {
+        res.json({ success: true, data: await getIndexerStatus() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Orphaned on-chain IDs and DB rows with no chain record
+router.get('/reconciliation', async (req, res) => {
+    try {
+        res.json({ success: true, data: await reconciliationReport() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,119 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const PrescriptionLog = require('../models/PrescriptionLog');
+const SignedPrescription = require('../models/SignedPrescription');
+const StockReservation = require('../models/StockReservation');
+const {
+    saveLot, importStock, reserve, commitReservation, releaseReservation, listLots, availability, stockAlerts
+} = require('../services/inventory');
+const { lineItemsOf } = require('../services/hashing');
+const { authenticate, requireRole, pharmacyMayRead } = require('../middleware/auth');
+
+// Everything here is scoped to the signed-in pharmacy's own stock
+
+// Lots, soonest expiry first within each drug; ?code= narrows to one drug
+router.get('/', authenticate, requireRole('pharmacy'), async (req, res) => {
+    try {
+        res.json({ success: true, data: await listLots(req.user.address, { code: req.query.code }) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+router.get('/alerts', authenticate, requireRole('pharmacy'), async (req, res) => {
+    try {
+        res.json({ success: true, data: await stockAlerts(req.user.address) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ?codes=AMOX500CAP,IBU400TAB -> { AMOX500CAP: 120, IBU400TAB: 0 }
+router.get('/availability', authenticate, requireRole('pharmacy'), async (req, res) => {
+    try {
+        const codes = String(req.query.codes || '').split(',').map(c => c.trim()).filter(Boolean);
+        res.json({ success: true, data: await availability(req.user.address, codes) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Add a lot or correct its count: { code, lotNumber, expiresAt, quantity }
+router.post('/lots', authenticate, requireRole('pharmacy'), async (req, res) => {
+    try {
+        res.json({ success: true, data: await saveLot(req.user.address, req.body) });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// { csv } with a header row code,lotNumber,expiresAt,quantity
+router.post('/import', authenticate, requireRole('pharmacy'), async (req, res) => {
+    try {
+        if (!req.body.csv) return res.status(400).json({ success: false, error: 'csv is required' });
+        res.json({ success: true, data: await importStock(req.user.address, req.body.csv) });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Hold stock before sending the dispense transaction: { blockchainId, item, amount } for a
+// registry prescription, { digest } for a signed one (always dispensed whole)
+router.post('/reservations', authenticate, requireRole('pharmacy'), async (req, res) => {
+    try {
+        let target;
+        if (req.body.digest) {
+            const record = await SignedPrescription.findOne({ digest: String(req.body.digest).toLowerCase() });
+            if (!record) return res.status(404).json({ success: false, error: 'Not found' });
+            const { code, quantity } = record.medicineDetails;
+            target = { kind: 'signed', ref: record.digest, item: 0, code, amount: quantity };
+        } else {
+            const log = await PrescriptionLog.findOne({ blockchainId: Number(req.body.blockchainId) });
+            if (!log) return res.status(404).json({ success: false, error: 'Not found' });
+            if (!pharmacyMayRead(log, req.user.address)) {
+                return res.status(403).json({ success: false, error: 'Scan the patient\'s QR code to open this prescription' });
+            }
+            const item = Number(req.body.item) || 0;
+            const line = lineItemsOf(log.medicineDetails)[item];
+            if (!line) return res.status(404).json({ success: false, error: `Prescription has no item ${item}` });
+            target = { kind: 'prescription', ref: String(log.blockchainId), item, code: line.code, amount: Number(req.body.amount) };
+        }
+        if (!target.code) {
+            return res.status(422).json({ success: false, error: 'This medicine has no catalog code, so its stock cannot be tracked' });
+        }
+
+        const reservation = await reserve({ pharmacy: req.user.address, ...target });
+        res.status(201).json({ success: true, data: reservation });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+const findOwnReservation = (req) => (mongoose.isValidObjectId(req.params.id)
+    ? StockReservation.findOne({ _id: req.params.id, pharmacy: req.user.address.toLowerCase() })
+    : null);
+
+// The dispense transaction confirmed: { txHash }. Checked against the receipt before stock goes down.
+router.post('/reservations/:id/commit', authenticate, requireRole('pharmacy'), async (req, res) => {
+    try {
+        const reservation = await findOwnReservation(req);
+        if (!reservation) return res.status(404).json({ success: false, error: 'Not found' });
+        res.json({ success: true, data: await commitReservation(reservation, req.body.txHash) });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// The dispense was abandoned (rejected in the wallet or reverted): give the units back
+router.delete('/reservations/:id', authenticate, requireRole('pharmacy'), async (req, res) => {
+    try {
+        const reservation = await findOwnReservation(req);
+        if (!reservation) return res.status(404).json({ success: false, error: 'Not found' });
+        res.json({ success: true, data: await releaseReservation(reservation) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
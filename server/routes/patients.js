@@ -0,0 +1,126 @@
+const express = require('express');
+const router = express.Router();
+const Patient = require('../models/Patient');
+const PrescriptionLog = require('../models/PrescriptionLog');
+const SignedPrescription = require('../models/SignedPrescription');
+const { summaryOf, createPatient, findPatients, findPatient, mayManagePatient, linkWallet, createAccessCode, redeemAccessCode } = require('../services/patients');
+const { issuePatientToken } = require('../services/auth');
+const { authenticate, authenticatePatient, requireRole } = require('../middleware/auth');
+const { lineItemsOf } = require('../services/hashing');
+
+// Doctor lookup: ?patientId=, or ?name= with optional &dateOfBirth=YYYY-MM-DD (exact match)
+router.get('/', authenticate, requireRole('doctor'), async (req, res) => {
+    try {
+        const patients = await findPatients(req.query);
+        res.json({ success: true, data: patients.map(summaryOf) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+router.post('/', authenticate, requireRole('doctor'), async (req, res) => {
+    try {
+        const { name, dateOfBirth, wallet } = req.body;
+        const patient = await createPatient({ name, dateOfBirth, wallet, createdBy: req.user.address });
+        res.status(201).json({ success: true, data: summaryOf(patient) });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Link (or change) the wallet a patient uses for the portal. Only the registering doctor, a doctor
+// who has prescribed for the patient, or an admin may; every change goes to the patient audit trail.
+router.patch('/:patientId', authenticate, requireRole('doctor', 'admin'), async (req, res) => {
+    try {
+        const patient = await findPatient(req.params.patientId);
+        if (!patient) return res.status(404).json({ success: false, error: 'Not found' });
+        if (!(await mayManagePatient(patient, req.user))) {
+            return res.status(403).json({ success: false, error: 'Only the patient\'s registering or treating doctor, or an admin, may change their wallet' });
+        }
+        await linkWallet(patient, req.body.wallet, req.user.address);
+        res.json({ success: true, data: summaryOf(patient) });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// One-time portal code for a patient without a wallet; shown to the doctor once. The code opens all
+// of the patient's prescriptions, so the same doctors who may change their wallet may create one.
+router.post('/:patientId/access-codes', authenticate, requireRole('doctor'), async (req, res) => {
+    try {
+        const patient = await findPatient(req.params.patientId);
+        if (!patient) return res.status(404).json({ success: false, error: 'Not found' });
+        if (!(await mayManagePatient(patient, req.user))) {
+            return res.status(403).json({ success: false, error: 'Only the patient\'s registering or treating doctor may create an access code' });
+        }
+        res.status(201).json({ success: true, data: await createAccessCode(patient.patientId, req.user.address) });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Trade a patient ID + access code for a short portal session
+router.post('/session', async (req, res) => {
+    try {
+        const { patientId, code } = req.body;
+        if (!patientId || !code) return res.status(400).json({ success: false, error: 'patientId and code are required' });
+        if (!(await redeemAccessCode(patientId, code))) {
+            return res.status(401).json({ success: false, error: 'Invalid or expired access code' });
+        }
+        const id = String(patientId).toUpperCase();
+        res.json({ success: true, data: { token: issuePatientToken(id), patientId: id } });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// The signed-in patient's own prescriptions and dispensing status
+router.get('/me/prescriptions', authenticatePatient, async (req, res) => {
+    try {
+        const { patientId, wallet } = req.patientSession;
+        const patient = patientId ? await findPatient(patientId) : await Patient.findOne({ wallet });
+        if (!patient) return res.status(404).json({ success: false, error: 'No patient record is linked to this wallet' });
+
+        const [logs, signed] = await Promise.all([
+            PrescriptionLog.find({ patientId: patient.patientId }).sort({ issuedAt: -1 }),
+            SignedPrescription.find({ patientId: patient.patientId }).sort({ createdAt: -1 })
+        ]);
+
+        const prescriptions = [
+            ...logs.map(log => ({
+                kind: 'prescription',
+                ref: String(log.blockchainId),
+                issuedAt: log.issuedAt,
+                doctor: log.doctorAddress,
+                items: lineItemsOf(log.medicineDetails).map(({ name, dosage, quantity }, i) => ({
+                    name,
+                    dosage,
+                    dispensedQuantity: log.chain?.itemsDispensed?.[i] || 0,
+                    totalQuantity: quantity * ((log.medicineDetails.refills || 0) + 1)
+                })),
+                validUntil: log.validUntil,
+                status: log.chain?.status || 'ISSUED'
+            })),
+            ...signed.map(s => ({
+                kind: 'signed',
+                ref: s.digest,
+                issuedAt: s.createdAt,
+                doctor: s.prescription.doctor,
+                items: [{
+                    name: s.medicineDetails.name,
+                    dosage: s.medicineDetails.dosage,
+                    dispensedQuantity: s.status === 'DISPENSED' ? s.medicineDetails.quantity : 0,
+                    totalQuantity: s.medicineDetails.quantity
+                }],
+                validUntil: s.prescription.validUntil === '0' ? null : new Date(Number(s.prescription.validUntil) * 1000),
+                status: s.status
+            }))
+        ].sort((a, b) => b.issuedAt - a.issuedAt);
+
+        res.json({ success: true, data: { patient: { patientId: patient.patientId, name: patient.decryptPii().name }, prescriptions } });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
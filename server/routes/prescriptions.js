@@ -1,34 +1,277 @@
 const express = require('express');
 const router = express.Router();
 const PrescriptionLog = require('../models/PrescriptionLog');
+const { rebuildPrescription } = require('../services/indexer');
+const { verifyAgainstChain, issuanceFromTx } = require('../services/verification');
+const { resolveLineItems, findDrug } = require('../services/catalog');
+const { checkInteractions } = require('../services/interactions');
+const { buildListFilter, parsePage } = require('../services/prescriptionQuery');
+const { getRegistry } = require('../services/blockchain');
+const { handoffHash } = require('../services/hashing');
+const { findPatient, ageOn } = require('../services/patients');
+const { monitorIssuance } = require('../services/monitoring');
+const { markImportIssued } = require('../services/fhir');
+const { decide } = require('../services/riskReview');
+const { authenticate, requireRole, isSameAddress, pharmacyMayRead } = require('../middleware/auth');
 
-// Store Prescription Metadata (Called by Frontend after Blockchain Tx)
-router.post('/', async (req, res) => {
+// Views of the history list; each one but admin pins the list to the caller's own records
+const LIST_VIEWS = ['doctor', 'pharmacy', 'admin'];
+
+const BYTES32 = /^0x[0-9a-fA-F]{64}$/;
+
+// Registry IDs are positive integers; anything else would reach Mongo as a CastError
+const parseBlockchainId = (value) => (/^[1-9]\d*$/.test(String(value)) ? Number(value) : null);
+
+// Paginated history. Doctors only see what they issued and pharmacies what they redeemed or
+// dispensed (?as=pharmacy for accounts holding both roles); admins may filter freely but get no PII.
+router.get('/', authenticate, requireRole('doctor', 'pharmacy', 'admin'), async (req, res) => {
+    try {
+        const { roles, address } = req.user;
+        const query = { ...req.query };
+        const as = query.as || (roles.admin ? 'admin' : roles.doctor ? 'doctor' : 'pharmacy');
+        if (!LIST_VIEWS.includes(as)) {
+            return res.status(400).json({ success: false, error: `as must be one of ${LIST_VIEWS.join(', ')}` });
+        }
+        if (!Object.prototype.hasOwnProperty.call(roles, as) || !roles[as]) return res.status(403).json({ success: false, error: `Requires role: ${as}` });
+        if (as === 'doctor') query.doctor = address;
+        if (as === 'pharmacy') query.pharmacy = address;
+
+        const filter = buildListFilter(query);
+        const { page, limit, skip } = parsePage(query);
+        const [logs, total] = await Promise.all([
+            PrescriptionLog.find(filter).sort({ issuedAt: -1 }).skip(skip).limit(limit),
+            PrescriptionLog.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            data: logs.map(log => (as === 'admin' ? log.toJSON() : log.toAuthorizedJSON())),
+            pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Pre-issue check, called by the dashboard before anything is signed or sent. Quantities and
+// refills must be whole numbers (400), within the per-schedule limits (422 when exceeded), then interaction, duplicate-therapy and
+// overlapping-supply warnings against the patient's active prescriptions and between the items.
+// The registry itself doesn't know the schedules, so a transaction sent without this check
+// still goes through; its metadata is then refused and it shows up in the indexer's reconciliation.
+router.post('/check', authenticate, requireRole('doctor'), async (req, res) => {
     try {
-        const { blockchainId, doctorAddress, patientName, patientAge, medicineDetails, notes } = req.body;
+        const { patientId, medicineDetails } = req.body;
+        const requested = medicineDetails?.items?.length ? medicineDetails.items : [medicineDetails];
+        const drugs = await Promise.all(requested.map(item => findDrug(item?.code)));
+        const missing = requested.filter((item, i) => !drugs[i]).map(item => item?.code ?? '(none)');
+        if (missing.length) {
+            return res.status(404).json({ success: false, error: `Not in the drug catalog: ${missing.join(', ')}` });
+        }
+        const { error: limitError, status: limitStatus } = await resolveLineItems(medicineDetails);
+        if (limitError) return res.status(limitStatus || 422).json({ success: false, error: limitError });
+        const warnings = await checkInteractions({ patientId, medicineNames: drugs.map(drug => drug.name) });
+        res.json({ success: true, data: warnings });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Store Prescription Metadata (Called by Frontend after Blockchain Tx).
+// With `txHash` the prescription ID is read from the transaction receipt, and sending the same
+// issuance again (a client retrying after a lost response) returns the stored record. Without
+// it an integer `blockchainId` is required, and a second POST for that ID is refused.
+router.post('/', authenticate, requireRole('doctor'), async (req, res) => {
+    try {
+        const { doctorAddress, patientId, notes, salt, handoffHash: handoffSecretHash, warningsAcknowledged, importId } = req.body;
+        const txHash = req.body.txHash ? String(req.body.txHash).toLowerCase() : undefined;
+        let blockchainId = req.body.blockchainId;
+        if (!isSameAddress(doctorAddress, req.user.address)) {
+            return res.status(403).json({ success: false, error: 'doctorAddress must be the signed-in wallet' });
+        }
+        // Without a QR code no pharmacy could open the record before filling it
+        if (!BYTES32.test(String(handoffSecretHash))) {
+            return res.status(400).json({ success: false, error: 'handoffHash (the hash of the patient\'s QR code) is required' });
+        }
+
+        if (txHash) {
+            if (!BYTES32.test(txHash)) return res.status(400).json({ success: false, error: 'txHash must be a transaction hash' });
+
+            // Idempotent on the issuing transaction only
+            const existing = await PrescriptionLog.findOne({ txHash });
+            if (existing) {
+                if (!isSameAddress(existing.doctorAddress, req.user.address)) {
+                    return res.status(409).json({ success: false, error: 'Metadata for this prescription is already stored' });
+                }
+                return res.json({ success: true, data: existing.toAuthorizedJSON() });
+            }
+
+            let issuance;
+            try {
+                issuance = await issuanceFromTx(txHash);
+            } catch (err) {
+                return res.status(503).json({ success: false, error: 'Could not read the transaction: ' + err.message });
+            }
+            if (!issuance) {
+                return res.status(422).json({ success: false, error: 'Transaction did not issue a prescription (pending, reverted or not a registry call)' });
+            }
+            if (blockchainId !== undefined && blockchainId !== null && Number(blockchainId) !== issuance.blockchainId) {
+                return res.status(422).json({ success: false, error: `blockchainId does not match the transaction (#${issuance.blockchainId})` });
+            }
+            blockchainId = issuance.blockchainId;
+        } else {
+            blockchainId = parseBlockchainId(blockchainId);
+            if (!blockchainId) return res.status(400).json({ success: false, error: 'txHash or an integer blockchainId is required' });
+        }
+
+        const { details: medicineDetails, error: catalogError, status: catalogStatus } = await resolveLineItems(req.body.medicineDetails);
+        if (catalogError) return res.status(catalogStatus || 422).json({ success: false, error: catalogError });
+
+        const patient = await findPatient(patientId);
+        if (!patient) return res.status(422).json({ success: false, error: 'Unknown patientId (look the patient up or register them first)' });
+        const { name: patientName, dateOfBirth } = patient.decryptPii();
+        const patientAge = ageOn(dateOfBirth);
+
+        // The prescription is already on chain, so warnings are recorded rather than refused; the
+        // dashboard had the doctor confirm them in the pre-issue check (POST /check)
+        const warnings = await checkInteractions({ patientId: patient.patientId, medicineNames: medicineDetails.items.map(item => item.name) });
+
+        // Only accept metadata that hashes to what the doctor actually put on chain
+        let verification;
+        try {
+            verification = await verifyAgainstChain({ blockchainId, doctorAddress, patientRef: patient.ref, medicineDetails, salt });
+        } catch (err) {
+            return res.status(503).json({ success: false, error: 'Could not verify against blockchain: ' + err.message });
+        }
+        if (!verification.verified) {
+            return res.status(422).json({
+                success: false,
+                error: 'Metadata does not match the on-chain record: ' + verification.mismatches.join(', '),
+                mismatches: verification.mismatches
+            });
+        }
 
         const newLog = new PrescriptionLog({
             blockchainId,
+            txHash,
             doctorAddress,
             patientName,
             patientAge,
             medicineDetails,
-            notes
+            notes,
+            validUntil: verification.onChain.expiresAt, // the registry's expiresAt, not the client's clock
+            salt,
+            patientId: patient.patientId,
+            patientRef: patient.ref,
+            clinicalWarnings: warnings,
+            warningsAcknowledgedAt: warnings.length && warningsAcknowledged ? new Date() : undefined,
+            verifiedAt: new Date(),
+            handoff: { secretHash: String(handoffSecretHash).toLowerCase() }
         });
 
-        await newLog.save();
-        res.status(201).json({ success: true, data: newLog });
+        try {
+            await newLog.save();
+        } catch (err) {
+            if (err.code !== 11000) throw err;
+            // A concurrent retry of the same issuance got there first
+            const stored = txHash && await PrescriptionLog.findOne({ txHash });
+            if (stored && isSameAddress(stored.doctorAddress, req.user.address)) {
+                return res.json({ success: true, data: stored.toAuthorizedJSON() });
+            }
+            return res.status(409).json({ success: false, error: 'Metadata for this prescription is already stored' });
+        }
+
+        // The indexer may have seen this prescription's events before the metadata arrived
+        try {
+            await rebuildPrescription(newLog.blockchainId);
+        } catch (err) {
+            console.warn('Chain state sync skipped:', err.message);
+        }
+
+        // Scoring must never block issuance; the prescription just stays unscored
+        try {
+            await monitorIssuance(newLog);
+        } catch (err) {
+            console.warn('Risk assessment skipped:', err.message);
+        }
+
+        // Issued from a FHIR import: take it off the doctor's queue
+        await markImportIssued(importId, req.user.address, { kind: 'prescription', ref: String(newLog.blockchainId) });
+
+        const saved = await PrescriptionLog.findById(newLog._id);
+        res.status(201).json({ success: true, data: saved.toAuthorizedJSON() });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// Get Metadata by Blockchain ID
-router.get('/:id', async (req, res) => {
+// Redeem the patient's QR code. The first pharmacy to redeem it keeps access for later fills.
+router.post('/:id/handoff', authenticate, requireRole('pharmacy'), async (req, res) => {
+    try {
+        const { secret } = req.body;
+        const blockchainId = parseBlockchainId(req.params.id);
+        if (!blockchainId) return res.status(400).json({ success: false, error: 'Invalid prescription ID' });
+        const log = await PrescriptionLog.findOne({ blockchainId });
+        if (!log || !log.handoff?.secretHash) return res.status(404).json({ success: false, error: 'Not found' });
+
+        if (log.handoff.claimedBy && !isSameAddress(log.handoff.claimedBy, req.user.address)) {
+            return res.status(409).json({ success: false, error: 'This QR code was already redeemed by another pharmacy' });
+        }
+
+        const { contract } = await getRegistry();
+        const onChain = await contract.getPrescription(log.blockchainId);
+        let expected;
+        try {
+            expected = handoffHash(log.blockchainId, onChain.patientHash, secret);
+        } catch (err) {
+            return res.status(400).json({ success: false, error: 'Malformed QR code' });
+        }
+        if (expected !== log.handoff.secretHash) {
+            return res.status(403).json({ success: false, error: 'QR code does not match this prescription' });
+        }
+
+        if (!log.handoff.claimedBy) {
+            log.handoff.claimedBy = req.user.address;
+            log.handoff.claimedAt = new Date();
+            await log.save();
+        }
+        res.json({ success: true, data: log.toAuthorizedJSON() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Act on a high-risk flag: the pharmacy overrides (with a reason) or escalates, the issuing doctor confirms
+router.post('/:id/review', authenticate, async (req, res) => {
+    try {
+        const blockchainId = parseBlockchainId(req.params.id);
+        if (!blockchainId) return res.status(400).json({ success: false, error: 'Invalid prescription ID' });
+        const log = await PrescriptionLog.findOne({ blockchainId });
+        if (!log) return res.status(404).json({ success: false, error: 'Not found' });
+        const isIssuer = isSameAddress(log.doctorAddress, req.user.address);
+        if (!isIssuer && !(req.user.roles.pharmacy && pharmacyMayRead(log, req.user.address))) {
+            return res.status(403).json({ success: false, error: 'Scan the patient\'s QR code to open this prescription' });
+        }
+
+        const updated = await decide(log, { action: req.body.action, reason: req.body.reason, user: req.user });
+        res.json({ success: true, data: updated.toAuthorizedJSON() });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Get Metadata by Blockchain ID (the issuing doctor, or a pharmacy that redeemed the QR code)
+router.get('/:id', authenticate, async (req, res) => {
     try {
-        const log = await PrescriptionLog.findOne({ blockchainId: req.params.id });
-        if (!log) return res.status(404).json({ success: false, message: 'Not found' });
-        res.json({ success: true, data: log });
+        const blockchainId = parseBlockchainId(req.params.id);
+        if (!blockchainId) return res.status(400).json({ success: false, error: 'Invalid prescription ID' });
+        const log = await PrescriptionLog.findOne({ blockchainId });
+        if (!log) return res.status(404).json({ success: false, error: 'Not found' });
+        const isIssuer = isSameAddress(log.doctorAddress, req.user.address);
+        const isPharmacy = req.user.roles.pharmacy && pharmacyMayRead(log, req.user.address);
+        if (!isIssuer && !isPharmacy) {
+            return res.status(403).json({ success: false, error: 'Scan the patient\'s QR code to open this prescription' });
+        }
+        res.json({ success: true, data: log.toAuthorizedJSON() });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
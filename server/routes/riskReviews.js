@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const { openFlags, auditTrail } = require('../services/riskReview');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+// Queue views; admins see every flag, the others only their own prescriptions'
+const QUEUE_VIEWS = ['admin', 'doctor', 'pharmacy'];
+
+// Review queue: open and escalated flags. Admins see all of them, doctors their own prescriptions'
+// and pharmacies those on prescriptions they redeemed or filled (?as= picks the view for
+// accounts holding several roles).
+router.get('/', authenticate, requireRole('admin', 'doctor', 'pharmacy'), async (req, res) => {
+    try {
+        const { roles, address } = req.user;
+        const as = req.query.as || (roles.admin ? 'admin' : roles.doctor ? 'doctor' : 'pharmacy');
+        if (!QUEUE_VIEWS.includes(as)) {
+            return res.status(400).json({ success: false, error: `as must be one of ${QUEUE_VIEWS.join(', ')}` });
+        }
+        if (!Object.prototype.hasOwnProperty.call(roles, as) || !roles[as]) return res.status(403).json({ success: false, error: `Requires role: ${as}` });
+
+        const limit = Math.min(Number(req.query.limit) || 100, 500);
+        const scope = as === 'doctor' ? { doctor: address } : as === 'pharmacy' ? { pharmacy: address } : {};
+        res.json({ success: true, data: await openFlags({ ...scope, limit }) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Full decision history of one prescription (blockchainId or digest)
+router.get('/:ref/audit', authenticate, requireRole('admin'), async (req, res) => {
+    try {
+        res.json({ success: true, data: await auditTrail(req.params.ref.toLowerCase()) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,147 @@
+const express = require('express');
+const router = express.Router();
+const SignedPrescription = require('../models/SignedPrescription');
+const { getRegistry } = require('../services/blockchain');
+const { getDomain, digestOf, recoverSigner } = require('../services/eip712');
+const { patientRefHash, medicationHash } = require('../services/hashing');
+const { resolveMedicine } = require('../services/catalog');
+const { checkInteractions } = require('../services/interactions');
+const { anchorPendingBatch } = require('../services/batcher');
+const { findPatient, ageOn } = require('../services/patients');
+const { monitorIssuance } = require('../services/monitoring');
+const { markImportIssued } = require('../services/fhir');
+const { decide } = require('../services/riskReview');
+const { authenticate, requireRole, isSameAddress } = require('../middleware/auth');
+
+// Queue an EIP-712 signed prescription for the next Merkle batch
+router.post('/', authenticate, requireRole('doctor'), async (req, res) => {
+    try {
+        const { prescription, signature, patientId, notes, salt, warningsAcknowledged, importId } = req.body;
+        if (!prescription || !signature || !salt) {
+            return res.status(400).json({ success: false, error: 'prescription, signature and salt are required' });
+        }
+        if (!isSameAddress(prescription.doctor, req.user.address)) {
+            return res.status(403).json({ success: false, error: 'prescription.doctor must be the signed-in wallet' });
+        }
+
+        const { details: medicineDetails, error: catalogError, status: catalogStatus } = await resolveMedicine(req.body.medicineDetails);
+        if (catalogError) return res.status(catalogStatus || 422).json({ success: false, error: catalogError });
+
+        const { chainId, deployment, contract } = await getRegistry();
+        const domain = getDomain(chainId, deployment.address);
+
+        let signer;
+        try {
+            signer = recoverSigner(domain, prescription, signature);
+        } catch (err) {
+            return res.status(400).json({ success: false, error: 'Malformed signature: ' + err.message });
+        }
+        if (signer.toLowerCase() !== String(prescription.doctor).toLowerCase()) {
+            return res.status(422).json({ success: false, error: 'Signature was not made by the named doctor' });
+        }
+        if (!(await contract.isActiveDoctor(signer))) {
+            return res.status(403).json({ success: false, error: 'Signer is not an active doctor' });
+        }
+
+        const patient = await findPatient(patientId);
+        if (!patient) return res.status(422).json({ success: false, error: 'Unknown patientId (look the patient up or register them first)' });
+        const { name: patientName, dateOfBirth } = patient.decryptPii();
+
+        const mismatches = [];
+        if (patientRefHash(salt, patient.ref) !== prescription.patientHash) mismatches.push('patient details');
+        if (medicationHash(salt, medicineDetails.code) !== prescription.medicationHash) mismatches.push('medicine');
+        if (Number(medicineDetails?.quantity) !== Number(prescription.quantity)) mismatches.push('quantity');
+        if (mismatches.length) {
+            return res.status(422).json({ success: false, error: 'Metadata does not match the signed prescription: ' + mismatches.join(', '), mismatches });
+        }
+
+        const digest = digestOf(domain, prescription);
+        if (await SignedPrescription.exists({ digest })) {
+            return res.status(409).json({ success: false, error: 'Prescription already queued' });
+        }
+
+        const warnings = await checkInteractions({ patientId: patient.patientId, medicineNames: [medicineDetails.name] });
+        if (warnings.length && !warningsAcknowledged) {
+            return res.status(409).json({ success: false, error: 'Clinical warnings must be acknowledged', warnings });
+        }
+
+        const record = await SignedPrescription.create({
+            digest,
+            prescription: {
+                doctor: signer,
+                patientHash: prescription.patientHash,
+                medicationHash: prescription.medicationHash,
+                quantity: String(prescription.quantity),
+                validUntil: String(prescription.validUntil),
+                nonce: prescription.nonce
+            },
+            signature,
+            patientName,
+            patientAge: ageOn(dateOfBirth),
+            medicineDetails,
+            notes,
+            salt,
+            patientId: patient.patientId,
+            patientRef: patient.ref,
+            clinicalWarnings: warnings,
+            warningsAcknowledgedAt: warnings.length ? new Date() : undefined
+        });
+
+        try {
+            await monitorIssuance(record);
+        } catch (err) {
+            console.warn('Risk assessment skipped:', err.message);
+        }
+
+        await markImportIssued(importId, req.user.address, { kind: 'signed', ref: digest });
+
+        const saved = await SignedPrescription.findById(record._id);
+        res.status(201).json({ success: true, data: saved.toAuthorizedJSON() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Anchor queued prescriptions now instead of waiting for the interval
+router.post('/batches', authenticate, requireRole('admin'), async (req, res) => {
+    try {
+        const batch = await anchorPendingBatch();
+        if (!batch) return res.json({ success: true, data: null, message: 'Nothing to anchor' });
+        if (batch.busy) return res.status(409).json({ success: false, error: 'A batch is already being anchored; try again shortly' });
+        res.status(201).json({ success: true, data: batch });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Get a signed prescription (with its Merkle proof once anchored) by EIP-712 digest
+router.get('/:digest', authenticate, async (req, res) => {
+    try {
+        const record = await SignedPrescription.findOne({ digest: req.params.digest.toLowerCase() });
+        if (!record) return res.status(404).json({ success: false, error: 'Not found' });
+        if (!req.user.roles.pharmacy && !isSameAddress(record.prescription.doctor, req.user.address)) {
+            return res.status(403).json({ success: false, error: 'Not allowed to view this prescription' });
+        }
+        res.json({ success: true, data: record.toAuthorizedJSON() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Override / escalate / confirm a high-risk flag, same rules as /api/prescriptions/:id/review
+router.post('/:digest/review', authenticate, async (req, res) => {
+    try {
+        const record = await SignedPrescription.findOne({ digest: req.params.digest.toLowerCase() });
+        if (!record) return res.status(404).json({ success: false, error: 'Not found' });
+        if (!req.user.roles.pharmacy && !isSameAddress(record.prescription.doctor, req.user.address)) {
+            return res.status(403).json({ success: false, error: 'Not allowed to view this prescription' });
+        }
+
+        const updated = await decide(record, { action: req.body.action, reason: req.body.reason, user: req.user });
+        res.json({ success: true, data: updated.toAuthorizedJSON() });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
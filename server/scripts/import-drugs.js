@@ -0,0 +1,25 @@
+// Loads a drug catalog (CSV or JSON array with code,name,strength,unit,form,schedule)
+// into Mongo. Rows are upserted by code, so re-importing an updated file is safe.
+//   npm run drugs:import -- [file]   (default data/drug-catalog.csv)
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const { parseCatalog, importDrugs } = require('../services/catalog');
+
+const file = process.argv[2] || path.join(__dirname, '..', 'data', 'drug-catalog.csv');
+
+async function main() {
+    const rows = parseCatalog(fs.readFileSync(file, 'utf8'), path.extname(file).toLowerCase() === '.json' ? 'json' : 'csv');
+    await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/blockchain-prescription');
+    const { imported, rejected } = await importDrugs(rows);
+    console.log(`Imported ${imported} drugs from ${file}`);
+    for (const { row, error } of rejected) console.warn(`  row ${row} skipped: ${error}`);
+    await mongoose.disconnect();
+}
+
+main().catch(async (err) => {
+    console.error('Drug import failed:', err);
+    await mongoose.disconnect();
+    process.exitCode = 1;
+});
@@ -0,0 +1,40 @@
+// Adds a fresh AES-256 key to the PII keyring and makes it the current one.
+// Existing records keep decrypting with their old key until `npm run pii:reencrypt`.
+//
+// With --index-key (`npm run pii:index-key`) it only adds the blind index key to a keyring
+// made before there was one, and leaves the data keys as they are.
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const { KEYRING_FILE } = require('../services/encryption');
+
+const indexKeyOnly = process.argv.includes('--index-key');
+
+if (indexKeyOnly && !fs.existsSync(KEYRING_FILE)) {
+    console.error(`No keyring at ${KEYRING_FILE}; run "npm run pii:keygen" to create one`);
+    process.exit(1);
+}
+
+const keyring = fs.existsSync(KEYRING_FILE)
+    ? JSON.parse(fs.readFileSync(KEYRING_FILE, 'utf8'))
+    : { current: 0, keys: {} };
+
+if (indexKeyOnly && keyring.indexKey) {
+    console.log(`${KEYRING_FILE} already has a blind index key; nothing changed`);
+    process.exit(0);
+}
+
+// The blind index key is created once and never rotated, or lookups would break
+if (!keyring.indexKey) keyring.indexKey = crypto.randomBytes(32).toString('base64');
+
+let version;
+if (!indexKeyOnly) {
+    version = Math.max(0, ...Object.keys(keyring.keys).map(Number)) + 1;
+    keyring.keys[version] = crypto.randomBytes(32).toString('base64');
+    keyring.current = version;
+}
+
+fs.writeFileSync(KEYRING_FILE, JSON.stringify(keyring, null, 2) + '\n', { mode: 0o600 });
+console.log(indexKeyOnly
+    ? `Added a blind index key to ${KEYRING_FILE} (data key v${keyring.current} unchanged)`
+    : `Added PII key v${version} to ${KEYRING_FILE} (now current)`);
@@ -0,0 +1,57 @@
+// Moves every PII record onto the current keyring version, and encrypts rows
+// written before field encryption existed. Safe to re-run; the server can stay up.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const PrescriptionLog = require('../models/PrescriptionLog');
+const SignedPrescription = require('../models/SignedPrescription');
+const { currentKeyVersion } = require('../services/encryption');
+
+const LEGACY_FIELDS = ['patientName', 'patientAge', 'notes'];
+
+async function migrate(Model) {
+    const current = currentKeyVersion();
+    let legacy = 0;
+    let rotated = 0;
+
+    // 1. Plaintext rows: seal them and drop the clear-text columns
+    const plaintext = Model.collection.find({ 'pii.data': { $exists: false } });
+    for await (const row of plaintext) {
+        const doc = Model.hydrate(row);
+        doc.$locals.pii = Object.fromEntries(LEGACY_FIELDS.filter(f => row[f] !== undefined).map(f => [f, row[f]]));
+        doc.sealPii();
+        await Model.collection.updateOne(
+            { _id: row._id },
+            { $set: { pii: doc.pii, keyVersion: doc.keyVersion }, $unset: Object.fromEntries(LEGACY_FIELDS.map(f => [f, ''])) }
+        );
+        legacy++;
+    }
+
+    // 2. Rows sealed with an older key
+    const stale = Model.find({ 'pii.data': { $exists: true }, keyVersion: { $ne: current } }).cursor();
+    for await (const doc of stale) {
+        const previous = doc.keyVersion;
+        doc.decryptPii();
+        doc.sealPii();
+        // Guard on the old version in case the server re-sealed the row meanwhile
+        await Model.collection.updateOne(
+            { _id: doc._id, keyVersion: previous },
+            { $set: { pii: doc.pii, keyVersion: doc.keyVersion } }
+        );
+        rotated++;
+    }
+
+    console.log(`${Model.modelName}: ${legacy} plaintext row(s) encrypted, ${rotated} row(s) moved to key v${current}`);
+}
+
+async function main() {
+    await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/blockchain-prescription');
+    await migrate(PrescriptionLog);
+    await migrate(SignedPrescription);
+    await mongoose.disconnect();
+}
+
+main().catch(async (err) => {
+    console.error('Re-encryption failed:', err);
+    await mongoose.disconnect();
+    process.exitCode = 1;
+});
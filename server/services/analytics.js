@@ -0,0 +1,172 @@
+const PrescriptionLog = require('../models/PrescriptionLog');
+const DirectoryEntry = require('../models/DirectoryEntry');
+const { buildListFilter } = require('./prescriptionQuery');
+
+// Buckets are UTC calendar days, ISO weeks and months
+const INTERVALS = { day: '%Y-%m-%d', week: '%G-W%V', month: '%Y-%m' };
+const MAX_TOP = 50;
+const HOUR_MS = 3600 * 1000;
+
+const analyticsError = (message, status) => Object.assign(new Error(message), { status });
+
+// Legacy records hold their single medicine flat on medicineDetails; treat it as a one-item list
+const LINE_ITEMS = {
+    $cond: [
+        { $gt: [{ $size: { $ifNull: ['$medicineDetails.items', []] } }, 0] },
+        '$medicineDetails.items',
+        [{ code: '$medicineDetails.code', name: '$medicineDetails.name', quantity: '$medicineDetails.quantity' }]
+    ]
+};
+
+const median = (values) => {
+    if (!values.length) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const round = (value) => (value === null ? null : Math.round(value * 10) / 10);
+
+// Display names from the owner's directory, keyed by lowercased address
+const directoryNames = async (addresses) => {
+    const entries = await DirectoryEntry.find({ address: { $in: addresses } });
+    return new Map(entries.map(entry => [entry.address, entry.name]));
+};
+
+// Issued prescriptions per bucket, split by current status
+const volume = async (match, interval) => {
+    const rows = await PrescriptionLog.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: { $dateToString: { format: INTERVALS[interval], date: '$issuedAt' } },
+                issued: { $sum: 1 },
+                dispensed: { $sum: { $cond: [{ $eq: ['$chain.status', 'DISPENSED'] }, 1, 0] } },
+                cancelled: { $sum: { $cond: [{ $eq: ['$chain.status', 'CANCELLED'] }, 1, 0] } }
+            }
+        },
+        { $sort: { _id: 1 } }
+    ]);
+    return rows.map(({ _id, ...counts }) => ({ period: _id, ...counts }));
+};
+
+// Most prescribed medicines by catalog code: prescriptions naming them and units per fill prescribed
+const topMedicines = async (match, limit) => {
+    const rows = await PrescriptionLog.aggregate([
+        { $match: match },
+        { $project: { items: LINE_ITEMS } },
+        { $unwind: '$items' },
+        { $match: { 'items.code': { $ne: null } } },
+        {
+            $group: {
+                _id: '$items.code',
+                name: { $first: '$items.name' },
+                prescriptions: { $addToSet: '$_id' },
+                quantity: { $sum: { $ifNull: ['$items.quantity', 0] } }
+            }
+        },
+        { $project: { name: 1, quantity: 1, prescriptions: { $size: '$prescriptions' } } },
+        { $sort: { prescriptions: -1, quantity: -1, _id: 1 } },
+        { $limit: limit }
+    ]);
+    return rows.map(({ _id, ...row }) => ({ code: _id, ...row }));
+};
+
+// Prescriptions issued per doctor
+const byDoctor = async (match) => {
+    const rows = await PrescriptionLog.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: { $toLower: '$doctorAddress' },
+                issued: { $sum: 1 },
+                cancelled: { $sum: { $cond: [{ $eq: ['$chain.status', 'CANCELLED'] }, 1, 0] } }
+            }
+        },
+        { $sort: { issued: -1, _id: 1 } }
+    ]);
+    const names = await directoryNames(rows.map(row => row._id));
+    return rows.map(({ _id, ...counts }) => ({ address: _id, name: names.get(_id) || null, ...counts }));
+};
+
+// Fills per pharmacy on the prescriptions in range, wherever the fill itself falls
+const byPharmacy = async (match) => {
+    const rows = await PrescriptionLog.aggregate([
+        { $match: match },
+        { $unwind: '$chain.fills' },
+        {
+            $group: {
+                _id: { $toLower: '$chain.fills.pharmacy' },
+                fills: { $sum: 1 },
+                units: { $sum: '$chain.fills.amount' },
+                prescriptions: { $addToSet: '$_id' }
+            }
+        },
+        { $project: { fills: 1, units: 1, prescriptions: { $size: '$prescriptions' } } },
+        { $sort: { fills: -1, _id: 1 } }
+    ]);
+    const names = await directoryNames(rows.map(row => row._id));
+    return rows.map(({ _id, ...counts }) => ({ address: _id, name: names.get(_id) || null, ...counts }));
+};
+
+// Median hours from the on-chain issuance to the first fill and to full dispense, all block
+// timestamps. Metadata can be saved well after the transaction (outbox retries), so issuedAt is
+// no use here. Events indexed before block timestamps were recorded have no time and are left out.
+// `incomplete` counts the filled prescriptions skipped that way.
+const timeToDispense = async (match) => {
+    const [row] = await PrescriptionLog.aggregate([
+        { $match: match },
+        {
+            $project: {
+                filled: { $gt: [{ $size: { $ifNull: ['$chain.fills', []] } }, 0] },
+                toFirstFill: { $subtract: [{ $min: '$chain.fills.at' }, '$chain.issuedAt'] },
+                toDispensed: { $subtract: ['$chain.dispensedAt', '$chain.issuedAt'] }
+            }
+        },
+        {
+            $group: {
+                _id: null,
+                filled: { $sum: { $cond: ['$filled', 1, 0] } },
+                toFirstFill: { $push: '$toFirstFill' },
+                toDispensed: { $push: '$toDispensed' }
+            }
+        }
+    ]);
+    const hours = (values = []) => values.filter(ms => typeof ms === 'number').map(ms => ms / HOUR_MS);
+    const firstFill = hours(row?.toFirstFill);
+    const dispensed = hours(row?.toDispensed);
+    return {
+        medianHoursToFirstFill: round(median(firstFill)),
+        medianHoursToDispensed: round(median(dispensed)),
+        filledCount: firstFill.length,
+        dispensedCount: dispensed.length,
+        incomplete: (row?.filled || 0) - firstFill.length
+    };
+};
+
+// Every dataset for the analytics page. Takes the GET /api/prescriptions filters (from, to,
+// doctor, pharmacy, medicine, status...) plus interval=day|week|month and top (medicine count).
+const prescribingAnalytics = async (query) => {
+    const interval = query.interval || 'week';
+    if (!INTERVALS[interval]) throw analyticsError('interval must be day, week or month', 400);
+    const limit = Math.min(MAX_TOP, Math.max(1, parseInt(query.top, 10) || 10));
+    const match = buildListFilter(query);
+
+    const [series, medicines, doctors, pharmacies, dispenseTimes] = await Promise.all([
+        volume(match, interval),
+        topMedicines(match, limit),
+        byDoctor(match),
+        byPharmacy(match),
+        timeToDispense(match)
+    ]);
+    return {
+        range: { from: query.from || null, to: query.to || null, interval },
+        volume: series,
+        topMedicines: medicines,
+        doctors,
+        pharmacies,
+        dispenseTimes
+    };
+};
+
+module.exports = { INTERVALS, prescribingAnalytics };
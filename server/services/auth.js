@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { ethers } = require('ethers');
+const AuthNonce = require('../models/AuthNonce');
+const { getRegistry } = require('./blockchain');
+
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '8h';
+const APP_DOMAIN = process.env.APP_DOMAIN || 'localhost:5173';
+
+let jwtSecret = process.env.JWT_SECRET;
+if (!jwtSecret) {
+    jwtSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('JWT_SECRET not set; using a random secret (sessions end when the server restarts)');
+}
+
+// Sign-In with Ethereum (EIP-4361) style message; the wallet signs it verbatim
+const buildMessage = (address, nonce, chainId) => [
+    `${APP_DOMAIN} wants you to sign in with your Ethereum account:`,
+    address,
+    '',
+    'Sign in to BlockRx. This request will not trigger a blockchain transaction or cost any gas.',
+    '',
+    `URI: http://${APP_DOMAIN}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${new Date().toISOString()}`
+].join('\n');
+
+const createChallenge = async (address) => {
+    const checksummed = ethers.getAddress(address);
+    const { chainId } = await getRegistry();
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const message = buildMessage(checksummed, nonce, chainId);
+
+    await AuthNonce.findOneAndUpdate(
+        { address: checksummed.toLowerCase() },
+        { nonce, message, createdAt: new Date() },
+        { upsert: true }
+    );
+    return { nonce, message };
+};
+
+// Consumes the challenge; resolves to the checksummed address or throws
+const verifyChallenge = async (address, signature) => {
+    const checksummed = ethers.getAddress(address);
+    const challenge = await AuthNonce.findOneAndDelete({ address: checksummed.toLowerCase() });
+    if (!challenge) throw new Error('No pending sign-in challenge (request a new nonce)');
+
+    const signer = ethers.verifyMessage(challenge.message, signature);
+    if (signer !== checksummed) throw new Error('Signature does not match address');
+    return checksummed;
+};
+
+const issueToken = (address) => jwt.sign({ sub: address }, jwtSecret, { expiresIn: JWT_EXPIRES_IN });
+
+const verifyToken = (token) => {
+    const { sub } = jwt.verify(token, jwtSecret);
+    if (!sub) throw new Error('Not a wallet session');
+    return sub;
+};
+
+// Short portal sessions for patients who signed in with a one-time access code
+const issuePatientToken = (patientId) => jwt.sign({ pid: patientId }, jwtSecret, { expiresIn: '1h' });
+
+const verifyPatientToken = (token) => {
+    const { pid } = jwt.verify(token, jwtSecret);
+    if (!pid) throw new Error('Not a patient session');
+    return pid;
+};
+
+// Roles are read from the registry on every call so revocations apply immediately
+const resolveRoles = async (address) => {
+    const { contract } = await getRegistry();
+    const [doctor, pharmacy, admin, owner] = await Promise.all([
+        contract.isActiveDoctor(address),
+        contract.isActivePharmacy(address),
+        contract.admins(address),
+        contract.owner()
+    ]);
+    const isOwner = owner.toLowerCase() === address.toLowerCase();
+    return { doctor, pharmacy, admin: admin || isOwner, owner: isOwner };
+};
+
+module.exports = { createChallenge, verifyChallenge, issueToken, verifyToken, issuePatientToken, verifyPatientToken, resolveRoles };
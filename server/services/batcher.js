@@ -0,0 +1,61 @@
+const SignedPrescription = require('../models/SignedPrescription');
+const { getWritableRegistry } = require('./blockchain');
+const { leafOf, buildTree, getRoot, getProof } = require('./merkle');
+
+const BATCH_INTERVAL_MS = Number(process.env.BATCH_INTERVAL_MS) || 60000;
+const BATCH_MAX_SIZE = Number(process.env.BATCH_MAX_SIZE) || 256;
+
+let anchoring = false;
+
+// Anchor the oldest queued signed prescriptions under one Merkle root.
+// Resolves to the batch summary, { busy: true } while another run is still anchoring,
+// or null when there was nothing to do.
+const anchorPendingBatch = async () => {
+    if (anchoring) return { busy: true };
+    anchoring = true;
+    try {
+        const pending = await SignedPrescription.find({ status: 'QUEUED' }).sort({ createdAt: 1 }).limit(BATCH_MAX_SIZE);
+        if (!pending.length) return null;
+
+        const layers = buildTree(pending.map(p => leafOf(p.digest)));
+        const root = getRoot(layers);
+
+        const registry = await getWritableRegistry();
+        const tx = await registry.anchorBatch(root, pending.length);
+        const receipt = await tx.wait();
+
+        let batchId = null;
+        for (const log of receipt.logs) {
+            const parsed = registry.interface.parseLog(log);
+            if (parsed && parsed.name === 'BatchAnchored') {
+                batchId = Number(parsed.args.batchId);
+                break;
+            }
+        }
+        if (batchId === null) throw new Error(`BatchAnchored event missing from ${receipt.hash}`);
+
+        await SignedPrescription.bulkWrite(pending.map((p, i) => ({
+            updateOne: {
+                filter: { _id: p._id, status: 'QUEUED' },
+                update: { $set: { status: 'ANCHORED', batchId, proof: getProof(layers, i), anchorTxHash: receipt.hash } }
+            }
+        })));
+
+        console.log(`Anchored batch #${batchId} (${pending.length} prescriptions) in ${receipt.hash}`);
+        return { batchId, root, size: pending.length, txHash: receipt.hash };
+    } finally {
+        anchoring = false;
+    }
+};
+
+let timer = null;
+
+const startBatcher = () => {
+    if (timer) return;
+    timer = setInterval(() => {
+        anchorPendingBatch().catch(err => console.error('Batch Anchor Error:', err.message));
+    }, BATCH_INTERVAL_MS);
+    console.log(`Batcher started (every ${BATCH_INTERVAL_MS}ms, max ${BATCH_MAX_SIZE} per batch)`);
+};
+
+module.exports = { anchorPendingBatch, startBatcher };
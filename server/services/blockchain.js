@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+// Manifests written by blockchain/scripts/deploy.js, one <chainId>.json per network
+const DEPLOYMENTS_DIR = process.env.DEPLOYMENTS_DIR || path.join(__dirname, '..', '..', 'blockchain', 'deployments');
+
+let provider;
+let registryPromise;
+let wallet;
+
+const loadDeployment = (chainId) => {
+    const file = path.join(DEPLOYMENTS_DIR, `${chainId}.json`);
+    if (!fs.existsSync(file)) {
+        throw new Error(`No PrescriptionRegistry deployment manifest for chain ${chainId} (looked in ${file})`);
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+};
+
+const getProvider = () => {
+    if (!provider) provider = new ethers.JsonRpcProvider(process.env.RPC_URL || 'http://127.0.0.1:8545');
+    return provider;
+};
+
+// Read-only registry for whichever chain RPC_URL points at. Cached after the first successful lookup.
+const getRegistry = () => {
+    if (!registryPromise) {
+        registryPromise = (async () => {
+            const { chainId } = await getProvider().getNetwork();
+            const deployment = loadDeployment(chainId);
+            return {
+                chainId: Number(chainId),
+                deployment,
+                contract: new ethers.Contract(deployment.address, deployment.abi, getProvider())
+            };
+        })().catch(err => {
+            registryPromise = null; // allow a retry once the node / manifest is available
+            throw err;
+        });
+    }
+    return registryPromise;
+};
+
+// Registry connected to the server's own wallet (PRIVATE_KEY), used for batch anchoring
+const getWritableRegistry = async () => {
+    if (!process.env.PRIVATE_KEY) throw new Error('PRIVATE_KEY is not configured');
+    if (!wallet) wallet = new ethers.Wallet(process.env.PRIVATE_KEY, getProvider());
+    const { contract } = await getRegistry();
+    return contract.connect(wallet);
+};
+
+module.exports = { DEPLOYMENTS_DIR, loadDeployment, getProvider, getRegistry, getWritableRegistry };
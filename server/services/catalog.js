@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const Drug = require('../models/Drug');
+
+// Per-schedule limits; edit config/schedules.json (or point SCHEDULES_CONFIG_FILE elsewhere)
+const SCHEDULES_FILE = process.env.SCHEDULES_CONFIG_FILE || path.join(__dirname, '..', 'config', 'schedules.json');
+const COLUMNS = ['code', 'name', 'strength', 'unit', 'form', 'schedule'];
+
+const loadSchedules = () => JSON.parse(fs.readFileSync(SCHEDULES_FILE, 'utf8'));
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Name or code prefix, case-insensitive. Numbers narrow by strength, so
+// "amoxicillin 500mg" finds the 500 mg entries.
+const searchDrugs = (query, limit = 10) => {
+    const words = String(query || '').trim().split(/\s+/);
+    const strengths = words.filter(w => /^\d/.test(w)).map(w => String(parseFloat(w)));
+    const pattern = new RegExp('^' + escapeRegex(words.filter(w => !/^\d/.test(w)).join(' ')), 'i');
+
+    const filter = { active: true, $or: [{ name: pattern }, { code: pattern }] };
+    if (strengths.length) filter.strength = { $in: strengths };
+    return Drug.find(filter).sort({ name: 1, strength: 1 }).limit(limit);
+};
+
+const findDrug = (code) => Drug.findOne({ code: String(code || '').toUpperCase(), active: true });
+
+const dosageOf = (drug) => `${drug.strength} ${drug.unit} ${drug.form}`;
+
+// Problems with the requested quantity under the drug's schedule (empty when allowed)
+const checkLimits = (drug, { quantity, refills = 0 }) => {
+    const schedule = loadSchedules()[drug.schedule];
+    if (!schedule) return [`Unknown schedule ${drug.schedule} for ${drug.code}`];
+    const problems = [];
+    if (Number(quantity) > schedule.maxQuantity) {
+        problems.push(`${schedule.label} allows at most ${schedule.maxQuantity} per fill (requested ${quantity})`);
+    }
+    if (Number(refills) > schedule.maxRefills) {
+        problems.push(`${schedule.label} allows at most ${schedule.maxRefills} refills (requested ${refills})`);
+    }
+    return problems;
+};
+
+// Whole numbers only, as numbers or digit strings; NaN for anything else ('', 1.5, 'abc', -1)
+const wholeNumber = (value) => (/^\d+$/.test(String(value ?? '').trim()) ? Number(value) : NaN);
+
+// A quantity of at least 1 and a whole number of refills (none means 0). NaN would slip past every
+// limit, so this runs first. Returns the problem, or null.
+const checkCounts = ({ quantity, refills }) => {
+    if (!(wholeNumber(quantity) >= 1)) return `Quantity must be a whole number of at least 1 (got ${quantity ?? 'none'})`;
+    if (Number.isNaN(wholeNumber(refills ?? 0))) return `Refills must be a whole number (got ${refills})`;
+    return null;
+};
+
+// Resolve submitted medicineDetails against the catalog. The code is all that is trusted;
+// name and dosage are replaced with the catalog's. Resolves to { details } or { error }, with
+// status 400 when the quantity or refills aren't whole numbers (the limits can't judge those).
+const resolveMedicine = async (medicineDetails) => {
+    if (!medicineDetails?.code) return { error: 'medicineDetails.code is required (pick the medicine from the catalog)' };
+    const countError = checkCounts(medicineDetails);
+    if (countError) return { error: countError, status: 400 };
+    const quantity = wholeNumber(medicineDetails.quantity);
+    const refills = wholeNumber(medicineDetails.refills ?? 0);
+    const drug = await findDrug(medicineDetails.code);
+    if (!drug) return { error: `Unknown catalog code ${medicineDetails.code}` };
+
+    const problems = checkLimits(drug, { quantity, refills });
+    if (problems.length) return { error: problems.join('; ') };
+
+    return {
+        details: {
+            ...medicineDetails,
+            quantity,
+            code: drug.code,
+            name: drug.name,
+            dosage: dosageOf(drug),
+            schedule: drug.schedule
+        }
+    };
+};
+
+const MAX_LINE_ITEMS = 10; // PrescriptionRegistry.MAX_LINE_ITEMS
+
+// Resolve a prescription's line items (medicineDetails.items, or a single medicine in the flat fields)
+// with resolveMedicine. Resolves to { details: { items, refills } } or { error, status }.
+const resolveLineItems = async (medicineDetails) => {
+    const requested = medicineDetails?.items?.length ? medicineDetails.items : [medicineDetails];
+    if (requested.length > MAX_LINE_ITEMS) return { error: `A prescription holds at most ${MAX_LINE_ITEMS} medicines` };
+    const { refills } = medicineDetails || {};
+
+    const items = [];
+    for (const [i, item] of requested.entries()) {
+        const { details, error, status } = await resolveMedicine({ ...item, refills });
+        if (error) return { error: requested.length > 1 ? `Item ${i + 1}: ${error}` : error, status };
+        if (items.some(other => other.code === details.code)) return { error: `${details.name} ${details.dosage} is listed twice` };
+        const { code, name, dosage, schedule, quantity } = details;
+        items.push({ code, name, dosage, schedule, quantity });
+    }
+    return { details: { items, refills: wholeNumber(refills ?? 0) } };
+};
+
+// Minimal CSV reader: header row, comma separated, double quotes for fields containing commas
+const parseCsv = (text) => {
+    const rows = text.split(/\r?\n/).filter(line => line.trim()).map(line => {
+        const cells = [];
+        let cell = '';
+        let quoted = false;
+        for (let i = 0; i < line.length; i++) {
+            const ch = line[i];
+            if (ch === '"' && quoted && line[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = !quoted;
+            } else if (ch === ',' && !quoted) {
+                cells.push(cell.trim());
+                cell = '';
+            } else {
+                cell += ch;
+            }
+        }
+        cells.push(cell.trim());
+        return cells;
+    });
+    const [header, ...body] = rows;
+    return body.map(cells => Object.fromEntries(header.map((name, i) => [name.trim(), cells[i]])));
+};
+
+const parseCatalog = (text, format) => (format === 'json' ? JSON.parse(text) : parseCsv(text));
+
+// Upsert by code; rows with missing columns or an unknown schedule are reported, not imported
+const importDrugs = async (rows) => {
+    const schedules = loadSchedules();
+    const result = { imported: 0, rejected: [] };
+    for (const [i, row] of rows.entries()) {
+        const missing = COLUMNS.filter(c => row[c] === undefined || String(row[c]).trim() === '');
+        if (missing.length) {
+            result.rejected.push({ row: i + 1, error: `missing ${missing.join(', ')}` });
+            continue;
+        }
+        const drug = Object.fromEntries(COLUMNS.map(c => [c, String(row[c]).trim()]));
+        drug.code = drug.code.toUpperCase();
+        drug.schedule = drug.schedule.toUpperCase();
+        if (!schedules[drug.schedule]) {
+            result.rejected.push({ row: i + 1, error: `unknown schedule ${drug.schedule}` });
+            continue;
+        }
+        drug.active = row.active === undefined ? true : !['false', '0', 'no'].includes(String(row.active).toLowerCase());
+        await Drug.updateOne({ code: drug.code }, { $set: drug }, { upsert: true });
+        result.imported++;
+    }
+    return result;
+};
+
+module.exports = { loadSchedules, searchDrugs, findDrug, dosageOf, checkCounts, checkLimits, resolveMedicine, resolveLineItems, parseCsv, parseCatalog, importDrugs };
@@ -0,0 +1,29 @@
+const { ethers } = require('ethers');
+
+// Must stay in sync with client/src/utils/eip712.js and the contract's SIGNED_PRESCRIPTION_TYPEHASH
+
+const SIGNED_PRESCRIPTION_TYPES = {
+    SignedPrescription: [
+        { name: 'doctor', type: 'address' },
+        { name: 'patientHash', type: 'bytes32' },
+        { name: 'medicationHash', type: 'bytes32' },
+        { name: 'quantity', type: 'uint256' },
+        { name: 'validUntil', type: 'uint256' },
+        { name: 'nonce', type: 'bytes32' }
+    ]
+};
+
+const getDomain = (chainId, verifyingContract) => ({
+    name: 'PrescriptionRegistry',
+    version: '1',
+    chainId,
+    verifyingContract
+});
+
+const digestOf = (domain, prescription) =>
+    ethers.TypedDataEncoder.hash(domain, SIGNED_PRESCRIPTION_TYPES, prescription);
+
+const recoverSigner = (domain, prescription, signature) =>
+    ethers.verifyTypedData(domain, SIGNED_PRESCRIPTION_TYPES, prescription, signature);
+
+module.exports = { SIGNED_PRESCRIPTION_TYPES, getDomain, digestOf, recoverSigner };
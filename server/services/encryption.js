@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// AES-256-GCM for patient PII at rest.
+//
+// Keys come from a keyring file (PII_KEYRING_FILE, default server/keyring.json):
+//   { "current": 2, "keys": { "1": "<base64 32 bytes>", "2": "<base64 32 bytes>" } }
+// or from env: PII_KEYS="1:<base64>,2:<base64>" and optional PII_KEY_CURRENT.
+// Every record stores the version it was sealed with, so old keys keep decrypting
+// until `npm run pii:reencrypt` has moved everything to the current one.
+//
+// A separate, never-rotated `indexKey` (or PII_INDEX_KEY) keys the blind indexes
+// used to look patients up by name and date of birth without decrypting anything.
+// Keyrings made before it existed get one from `npm run pii:index-key`, which leaves
+// the data keys alone.
+
+const KEYRING_FILE = process.env.PII_KEYRING_FILE || path.join(__dirname, '..', 'keyring.json');
+const ALGORITHM = 'aes-256-gcm';
+
+let cached = null; // { mtimeMs, current, keys, indexKey }
+
+const parseKeys = (entries) => {
+    const keys = {};
+    for (const [version, b64] of entries) {
+        const key = Buffer.from(b64, 'base64');
+        if (key.length !== 32) throw new Error(`PII key v${version} must be 32 bytes (base64)`);
+        keys[Number(version)] = key;
+    }
+    return keys;
+};
+
+// Re-read the keyring file when it changes so a new key can be rolled in without a restart
+const loadKeyring = () => {
+    if (process.env.PII_KEYS) {
+        if (!cached) {
+            const keys = parseKeys(process.env.PII_KEYS.split(',').map(pair => pair.trim().split(':')));
+            const current = Number(process.env.PII_KEY_CURRENT) || Math.max(...Object.keys(keys).map(Number));
+            cached = { mtimeMs: 0, current, keys, indexKey: process.env.PII_INDEX_KEY };
+        }
+    } else {
+        if (!fs.existsSync(KEYRING_FILE)) {
+            throw new Error(`No PII keyring configured (run "npm run pii:keygen" or set PII_KEYS)`);
+        }
+        const { mtimeMs } = fs.statSync(KEYRING_FILE);
+        if (!cached || cached.mtimeMs !== mtimeMs) {
+            const file = JSON.parse(fs.readFileSync(KEYRING_FILE, 'utf8'));
+            cached = {
+                mtimeMs,
+                current: Number(file.current),
+                keys: parseKeys(Object.entries(file.keys)),
+                indexKey: process.env.PII_INDEX_KEY || file.indexKey
+            };
+        }
+    }
+    if (!cached.keys[cached.current]) throw new Error(`PII key v${cached.current} is not in the keyring`);
+    return cached;
+};
+
+const currentKeyVersion = () => loadKeyring().current;
+
+// `aad` binds the ciphertext to its record so it can't be pasted onto another one
+const encrypt = (plaintext, aad) => {
+    const { current, keys } = loadKeyring();
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, keys[current], iv);
+    cipher.setAAD(Buffer.from(aad));
+    const data = Buffer.concat([cipher.update(JSON.stringify(plaintext), 'utf8'), cipher.final()]);
+    return {
+        keyVersion: current,
+        sealed: { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') }
+    };
+};
+
+const decrypt = (sealed, keyVersion, aad) => {
+    const key = loadKeyring().keys[keyVersion];
+    if (!key) throw new Error(`PII key v${keyVersion} is not in the keyring`);
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(sealed.iv, 'base64'));
+    decipher.setAAD(Buffer.from(aad));
+    decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+    const data = Buffer.concat([decipher.update(Buffer.from(sealed.data, 'base64')), decipher.final()]);
+    return JSON.parse(data.toString('utf8'));
+};
+
+const indexKeyOf = () => {
+    const { indexKey } = loadKeyring();
+    if (!indexKey) {
+        throw new Error(process.env.PII_KEYS
+            ? 'No blind index key configured: set PII_INDEX_KEY to 32 random bytes (base64)'
+            : `The keyring ${KEYRING_FILE} has no blind index key: run "npm run pii:index-key" to add one without rotating the data key`);
+    }
+    const key = Buffer.from(indexKey, 'base64');
+    if (key.length !== 32) throw new Error('The blind index key must be 32 bytes (base64)');
+    return key;
+};
+
+// Called at startup, so a keyring from before blind indexes fails there and not on the first patient lookup
+const checkKeyring = () => {
+    indexKeyOf();
+};
+
+// Deterministic keyed hash for equality lookups (HMAC-SHA256, hex)
+const blindIndex = (value) => crypto.createHmac('sha256', indexKeyOf()).update(value).digest('hex');
+
+module.exports = { KEYRING_FILE, currentKeyVersion, encrypt, decrypt, blindIndex, checkKeyring };
@@ -0,0 +1,72 @@
+const { verifyToken, resolveRoles } = require('./auth');
+
+// Server-Sent Events push to the dashboards. Events carry references and statuses, never patient
+// details, and only reach wallets allowed to read the prescription; dashboards refetch the rest
+// through the normal API.
+const HEARTBEAT_MS = Number(process.env.EVENTS_HEARTBEAT_MS) || 25000;
+const ROLES = ['doctor', 'pharmacy', 'admin'];
+
+const clients = new Set(); // { address, roles, res }
+
+const lower = (address) => String(address).toLowerCase();
+
+// Wallets that may hear about a prescription: the issuing doctor, the pharmacy that redeemed its
+// QR code and every pharmacy that filled it (a signed one: its doctor and dispensing pharmacy).
+// Admins hear about everything.
+const audienceOf = (record) => {
+    if (!record) return [];
+    if (record.digest) return [record.prescription.doctor, record.dispensedBy];
+    return [
+        record.doctorAddress,
+        record.chain?.issuer,
+        record.handoff?.claimedBy,
+        ...(record.chain?.fills || []).map(fill => fill.pharmacy)
+    ];
+};
+
+// `event` is { type, kind, ref, ... }; `addresses` are the wallets allowed to receive it
+const publish = (event, addresses) => {
+    const allowed = new Set(addresses.filter(Boolean).map(lower));
+    const payload = `event: ${event.type}\ndata: ${JSON.stringify({ ...event, at: new Date().toISOString() })}\n\n`;
+    for (const client of clients) {
+        if (client.roles.admin || allowed.has(client.address)) client.res.write(payload);
+    }
+};
+
+// Keep the response open as an event stream for the signed-in wallet. The session and roles are
+// checked again on every heartbeat, so an expired session or a revoked role ends the stream.
+const subscribe = (req, res, token) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no' // don't let a proxy buffer the stream
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const client = { address: lower(req.user.address), roles: req.user.roles, res };
+    clients.add(client);
+
+    const heartbeat = setInterval(async () => {
+        try {
+            verifyToken(token);
+        } catch (err) {
+            return res.end();
+        }
+        try {
+            client.roles = await resolveRoles(req.user.address);
+        } catch (err) {
+            // chain unreachable: keep the roles we have
+        }
+        if (!ROLES.some(role => client.roles[role])) return res.end();
+        res.write(': ping\n\n');
+    }, HEARTBEAT_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        clients.delete(client);
+    });
+};
+
+module.exports = { audienceOf, publish, subscribe };
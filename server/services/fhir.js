@@ -0,0 +1,297 @@
+const ImportedRequest = require('../models/ImportedRequest');
+const { findDrug, resolveMedicine } = require('./catalog');
+const { findPatient } = require('./patients');
+const { lineItemsOf } = require('./hashing');
+
+// Identifier systems used on exported resources and recognised on import
+const SYSTEMS = {
+    prescription: 'urn:blockrx:prescription-id', // registry prescription ID
+    signed: 'urn:blockrx:signed-digest', // EIP-712 digest of a signed prescription
+    tx: 'urn:blockrx:tx-hash',
+    wallet: 'urn:blockrx:wallet',
+    patient: 'urn:blockrx:patient-id',
+    drug: 'urn:blockrx:drug-code'
+};
+
+const fail = (status, message) => Object.assign(new Error(message), { status });
+
+// ---- Export ----------------------------------------------------------------
+
+// Resource id: "rx-<blockchainId>" for registry prescriptions, "signed-<digest>" for signed ones.
+// Each line item of a prescription with several medicines is its own MedicationRequest, "rx-<blockchainId>.<n>".
+const resourceIdOf = (record, item) => {
+    if (record.digest) return `signed-${record.digest}`;
+    const multi = item !== undefined && lineItemsOf(record.medicineDetails).length > 1;
+    return multi ? `rx-${record.blockchainId}.${item + 1}` : `rx-${record.blockchainId}`;
+};
+
+// { blockchainId, item } or { digest }; item is zero-based and only set for "rx-12.3" style ids
+const parseResourceId = (id) => {
+    const match = /^(rx-(\d+)(?:\.(\d+))?|signed-(0x[0-9a-fA-F]{64}))$/.exec(id);
+    if (!match) throw fail(400, 'Expected a resource id like rx-12, rx-12.1 or signed-0x…');
+    if (match[4]) return { digest: match[4].toLowerCase() };
+    return { blockchainId: Number(match[2]), item: match[3] ? Number(match[3]) - 1 : undefined };
+};
+
+// Signed prescriptions carry a single medicine in the flat fields
+const itemsOf = (record) => (record.digest ? [record.medicineDetails] : lineItemsOf(record.medicineDetails));
+
+const medicationOf = ({ code, name, dosage }) => ({
+    coding: [{ system: SYSTEMS.drug, code, display: [name, dosage].filter(Boolean).join(' ') }],
+    text: name
+});
+
+const subjectOf = (record) => ({
+    identifier: { system: SYSTEMS.patient, value: record.patientId },
+    display: record.patientName
+});
+
+const walletRef = (address) => ({ identifier: { system: SYSTEMS.wallet, value: address } });
+
+const txIdentifier = (hash, use = 'secondary') => ({ use, system: SYSTEMS.tx, value: hash });
+
+// R4 MedicationRequest.status from the indexed chain state
+const requestStatusOf = (record, validUntil, now = new Date()) => {
+    const state = record.digest ? record.status : record.chain?.status;
+    if (state === 'CANCELLED') return 'cancelled';
+    if (state === 'DISPENSED') return 'completed';
+    if (!state) return 'unknown';
+    if (validUntil && new Date(validUntil) < now) return 'stopped';
+    return 'active';
+};
+
+// Expects a record whose PII has been decrypted by the caller
+const medicationRequestOf = (record, item = 0) => {
+    const items = itemsOf(record);
+    const med = items[item];
+    const signed = Boolean(record.digest);
+    const identifier = signed
+        ? [{ use: 'official', system: SYSTEMS.signed, value: record.digest }]
+        : [{ use: 'official', system: SYSTEMS.prescription, value: String(record.blockchainId) }];
+    const issuedTx = signed ? record.anchorTxHash : record.chain?.issuedTxHash;
+    if (issuedTx) identifier.push(txIdentifier(issuedTx));
+
+    const validUntil = signed
+        ? (Number(record.prescription.validUntil) ? new Date(Number(record.prescription.validUntil) * 1000) : null)
+        : record.validUntil;
+
+    const resource = {
+        resourceType: 'MedicationRequest',
+        id: resourceIdOf(record, item),
+        identifier,
+        status: requestStatusOf(record, validUntil),
+        intent: 'order',
+        medicationCodeableConcept: medicationOf(med),
+        subject: subjectOf(record),
+        authoredOn: (record.issuedAt || record.createdAt).toISOString(),
+        requester: walletRef(signed ? record.prescription.doctor : record.doctorAddress),
+        dispenseRequest: {
+            quantity: { value: med.quantity },
+            numberOfRepeatsAllowed: record.medicineDetails.refills || 0
+        }
+    };
+    // The items of one prescription share its identifier as their group
+    if (items.length > 1) resource.groupIdentifier = identifier[0];
+    if (med.dosage || record.notes) {
+        resource.dosageInstruction = [{ text: [med.dosage, record.notes].filter(Boolean).join(' — ') }];
+    }
+    if (validUntil) resource.dispenseRequest.validityPeriod = { end: new Date(validUntil).toISOString() };
+    return resource;
+};
+
+const medicationRequestsOf = (record) => itemsOf(record).map((_, i) => medicationRequestOf(record, i));
+
+// One MedicationDispense per on-chain fill, optionally only those of one line item
+const medicationDispensesOf = (record, item) => {
+    const items = itemsOf(record);
+    const baseOf = (i) => ({
+        status: 'completed',
+        medicationCodeableConcept: medicationOf(items[i]),
+        subject: subjectOf(record),
+        authorizingPrescription: [{ reference: `MedicationRequest/${resourceIdOf(record, i)}` }]
+    });
+
+    if (record.digest) {
+        if (!record.dispensedTxHash) return [];
+        return [{
+            resourceType: 'MedicationDispense',
+            id: `${resourceIdOf(record)}-1`,
+            ...baseOf(0),
+            identifier: [txIdentifier(record.dispensedTxHash, 'official')],
+            performer: [{ actor: walletRef(record.dispensedBy) }],
+            quantity: { value: record.medicineDetails.quantity }
+        }];
+    }
+
+    // Numbered across the whole prescription so ids don't change with the filter
+    return (record.chain?.fills || [])
+        .map((fill, i) => ({ fill, n: i + 1 }))
+        .filter(({ fill }) => item === undefined || (fill.item || 0) === item)
+        .map(({ fill, n }) => ({
+            resourceType: 'MedicationDispense',
+            id: `${resourceIdOf(record)}-${n}`,
+            ...baseOf(fill.item || 0),
+            identifier: [txIdentifier(fill.txHash, 'official')],
+            performer: [{ actor: walletRef(fill.pharmacy) }],
+            quantity: { value: fill.amount }
+        }));
+};
+
+const bundleOf = (type, resources) => ({
+    resourceType: 'Bundle',
+    type,
+    ...(type === 'searchset' ? { total: resources.length } : {}),
+    entry: resources.map(resource => ({ fullUrl: `${resource.resourceType}/${resource.id}`, resource }))
+});
+
+const operationOutcome = (message, code = 'invalid') => ({
+    resourceType: 'OperationOutcome',
+    issue: [].concat(message).map(diagnostics => ({ severity: 'error', code, diagnostics }))
+});
+
+// ---- Import ----------------------------------------------------------------
+
+const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+
+const identifierValue = (identifiers, system) => [].concat(identifiers || []).find(i => i?.system === system)?.value;
+
+// The patient is named by registry ID, either as an identifier or as a "Patient/<id>" reference
+const patientIdOf = (subject) =>
+    identifierValue(subject?.identifier, SYSTEMS.patient)
+    || (/^Patient\/(P-[A-Z0-9]+)$/i.exec(subject?.reference || '') || [])[1];
+
+// Catalog code from our own coding system, else the first coding that matches the catalog
+const drugOf = async (concept) => {
+    const codings = concept?.coding || [];
+    const own = codings.find(c => c.system === SYSTEMS.drug);
+    for (const coding of own ? [own] : codings) {
+        const drug = coding.code && await findDrug(coding.code);
+        if (drug) return drug;
+    }
+    return null;
+};
+
+// Validate one MedicationRequest and turn it into the fields of an ImportedRequest.
+// Resolves to { request } or { errors }.
+const readMedicationRequest = async (resource, doctorAddress, now = new Date()) => {
+    const errors = [];
+    if (!['active', 'draft'].includes(resource.status)) errors.push('status must be active or draft');
+    if (!['order', 'original-order'].includes(resource.intent)) errors.push('intent must be order or original-order');
+
+    const requester = identifierValue(resource.requester?.identifier, SYSTEMS.wallet);
+    if (requester && requester.toLowerCase() !== doctorAddress.toLowerCase()) {
+        errors.push('requester is a different prescriber than the signed-in doctor');
+    }
+
+    const patientId = patientIdOf(resource.subject);
+    const patient = patientId && await findPatient(patientId);
+    if (!patient) errors.push(`subject must identify a registered patient (${SYSTEMS.patient})`);
+
+    let drug = null;
+    if (resource.medicationReference) errors.push('medicationReference is not supported, send medicationCodeableConcept');
+    else if (!(drug = await drugOf(resource.medicationCodeableConcept))) {
+        errors.push(`medicationCodeableConcept has no coding from the drug catalog (${SYSTEMS.drug})`);
+    }
+
+    const dispense = resource.dispenseRequest || {};
+    const quantity = dispense.quantity?.value;
+    const refills = dispense.numberOfRepeatsAllowed ?? 0;
+    if (!Number.isInteger(quantity) || quantity < 1) errors.push('dispenseRequest.quantity.value must be a positive integer');
+    if (!isNonNegativeInteger(refills)) errors.push('dispenseRequest.numberOfRepeatsAllowed must be a non-negative integer');
+
+    const end = dispense.validityPeriod?.end;
+    const validUntil = end ? new Date(end) : null;
+    if (validUntil && (Number.isNaN(validUntil.getTime()) || validUntil <= now)) {
+        errors.push('dispenseRequest.validityPeriod.end must be a date in the future');
+    }
+
+    if (errors.length) return { errors };
+
+    const { details, error } = await resolveMedicine({ code: drug.code, quantity, refills });
+    if (error) return { errors: [error] };
+
+    const notes = [
+        ...(resource.dosageInstruction || []).map(d => d.text),
+        ...(resource.note || []).map(n => n.text)
+    ].filter(Boolean).join('\n');
+
+    return { request: { patientId: patient.patientId, medicineDetails: details, validUntil, notes } };
+};
+
+const sourceKeyOf = (entry, index) => {
+    const id = [].concat(entry.resource.identifier || []).find(i => i?.value);
+    if (id) return `${id.system || ''}|${id.value}`;
+    if (entry.fullUrl) return entry.fullUrl;
+    return entry.resource.id ? `MedicationRequest/${entry.resource.id}` : `#${index}`;
+};
+
+// Validate a Bundle's MedicationRequests and queue the valid ones for the doctor to issue.
+// A `transaction` Bundle is all or nothing; `batch` and `collection` queue what they can.
+// Returns a batch-response Bundle with one entry per MedicationRequest.
+const importBundle = async (bundle, doctorAddress) => {
+    if (bundle?.resourceType !== 'Bundle') throw fail(400, 'Expected a FHIR Bundle');
+    if (!['transaction', 'batch', 'collection'].includes(bundle.type)) {
+        throw fail(400, 'Bundle.type must be transaction, batch or collection');
+    }
+
+    const entries = (bundle.entry || []).filter(e => e?.resource?.resourceType === 'MedicationRequest');
+    if (!entries.length) throw fail(400, 'Bundle contains no MedicationRequest');
+
+    const results = [];
+    for (const [index, entry] of entries.entries()) {
+        const { request, errors } = await readMedicationRequest(entry.resource, doctorAddress);
+        results.push({ entry, sourceKey: sourceKeyOf(entry, index), request, errors });
+    }
+
+    const invalid = results.filter(r => r.errors);
+    if (bundle.type === 'transaction' && invalid.length) {
+        throw Object.assign(fail(422, 'Bundle rejected: ' + invalid.map(r => `${r.sourceKey}: ${r.errors.join('; ')}`).join(' | ')), {
+            outcome: operationOutcome(invalid.flatMap(r => r.errors.map(e => `${r.sourceKey}: ${e}`)))
+        });
+    }
+
+    const response = [];
+    for (const result of results) {
+        if (result.errors) {
+            response.push({ response: { status: '422 Unprocessable Entity', outcome: operationOutcome(result.errors) } });
+            continue;
+        }
+        const existing = await ImportedRequest.findOne({ doctorAddress, sourceKey: result.sourceKey });
+        if (existing) {
+            response.push({ response: { status: '200 OK', location: `imports/${existing._id}` } });
+            continue;
+        }
+        const queued = await ImportedRequest.create({
+            doctorAddress,
+            sourceKey: result.sourceKey,
+            bundleId: bundle.id,
+            ...result.request
+        });
+        response.push({ response: { status: '201 Created', location: `imports/${queued._id}` } });
+    }
+
+    return { resourceType: 'Bundle', type: bundle.type === 'transaction' ? 'transaction-response' : 'batch-response', entry: response };
+};
+
+// Mark a queued import as issued once its prescription metadata is stored. Quietly ignores
+// unknown IDs and other doctors' imports, since the prescription itself is already valid.
+const markImportIssued = (importId, doctorAddress, issuedAs) => {
+    if (!importId) return null;
+    return ImportedRequest.findOneAndUpdate(
+        { _id: importId, doctorAddress, status: 'QUEUED' },
+        { status: 'ISSUED', issuedAs, resolvedAt: new Date() },
+        { new: true }
+    ).catch(err => console.warn('Import status not updated:', err.message));
+};
+
+module.exports = {
+    SYSTEMS,
+    parseResourceId,
+    medicationRequestOf,
+    medicationRequestsOf,
+    medicationDispensesOf,
+    bundleOf,
+    operationOutcome,
+    importBundle,
+    markImportIssued
+};
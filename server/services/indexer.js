@@ -0,0 +1,360 @@
+const { ethers } = require('ethers');
+const ChainEvent = require('../models/ChainEvent');
+const IndexerState = require('../models/IndexerState');
+const PrescriptionLog = require('../models/PrescriptionLog');
+const SignedPrescription = require('../models/SignedPrescription');
+const { getRegistry, getProvider } = require('./blockchain');
+const { monitorFill } = require('./monitoring');
+const { commitForFill } = require('./inventory');
+const { audienceOf, publish } = require('./events');
+
+const POLL_MS = Number(process.env.INDEXER_POLL_MS) || 5000;
+const BATCH_BLOCKS = Number(process.env.INDEXER_BATCH_BLOCKS) || 2000;
+const CONFIRMATIONS = Number(process.env.INDEXER_CONFIRMATIONS) || 0;
+const REORG_DEPTH = 20; // checkpoints remembered for finding a fork point
+
+const PRESCRIPTION_EVENTS = ['PrescriptionIssued', 'PrescriptionFilled', 'PrescriptionDispensed', 'PrescriptionCancelled'];
+const SIGNED_EVENTS = ['SignedPrescriptionDispensed', 'SignedPrescriptionCancelled'];
+const ROLE_EVENTS = ['RoleGranted', 'RoleRevoked', 'RoleSuspended'];
+const FILL_EVENTS = ['PrescriptionFilled', 'SignedPrescriptionDispensed'];
+// Pushed to the dashboards as they are indexed
+const LIVE_EVENTS = {
+    PrescriptionIssued: 'prescription.issued',
+    PrescriptionFilled: 'prescription.filled',
+    PrescriptionDispensed: 'prescription.dispensed',
+    PrescriptionCancelled: 'prescription.cancelled',
+    SignedPrescriptionDispensed: 'signed.dispensed',
+    SignedPrescriptionCancelled: 'signed.cancelled'
+};
+const ROLE_NAMES = {
+    [ethers.id('DOCTOR')]: 'DOCTOR',
+    [ethers.id('PHARMACY')]: 'PHARMACY',
+    [ethers.id('ADMIN')]: 'ADMIN'
+};
+
+// Named event args as JSON-safe values (uint256 -> decimal string)
+const serializeArgs = (parsed) => Object.fromEntries(
+    parsed.fragment.inputs.map((input, i) => {
+        const value = parsed.args[i];
+        return [input.name, typeof value === 'bigint' ? value.toString() : value];
+    })
+);
+
+const toEventDoc = (chainId, parsed, log, at) => {
+    const args = serializeArgs(parsed);
+    const doc = {
+        chainId,
+        name: parsed.name,
+        args,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        at,
+        txHash: log.transactionHash,
+        logIndex: log.index
+    };
+    if (PRESCRIPTION_EVENTS.includes(parsed.name)) doc.blockchainId = Number(args.id);
+    if (SIGNED_EVENTS.includes(parsed.name)) doc.digest = args.digest.toLowerCase();
+    if (ROLE_EVENTS.includes(parsed.name)) {
+        doc.account = args.account.toLowerCase();
+        doc.role = ROLE_NAMES[args.role] || args.role;
+    }
+    return doc;
+};
+
+// Fold a prescription's events (oldest first) into the `chain` sub-document
+const foldChainState = (events) => {
+    const chain = { dispensedQuantity: 0, itemsDispensed: [], fills: [] };
+    for (const e of events) {
+        switch (e.name) {
+            case 'PrescriptionIssued':
+                chain.status = 'ISSUED';
+                chain.issuer = e.args.issuer;
+                chain.issuedTxHash = e.txHash;
+                chain.issuedBlock = e.blockNumber;
+                chain.issuedAt = e.at;
+                break;
+            case 'PrescriptionFilled': {
+                const item = Number(e.args.item);
+                chain.status = 'PARTIALLY_DISPENSED';
+                chain.dispensedQuantity = Number(e.args.dispensedQuantity);
+                chain.itemsDispensed[item] = (chain.itemsDispensed[item] || 0) + Number(e.args.amount);
+                chain.fills.push({ pharmacy: e.args.pharmacy, item, amount: Number(e.args.amount), txHash: e.txHash, blockNumber: e.blockNumber, at: e.at });
+                break;
+            }
+            case 'PrescriptionDispensed':
+                chain.status = 'DISPENSED';
+                chain.dispensedBy = e.args.pharmacy;
+                chain.dispensedTxHash = e.txHash;
+                chain.dispensedAt = e.at;
+                break;
+            case 'PrescriptionCancelled':
+                chain.status = 'CANCELLED';
+                chain.cancelledTxHash = e.txHash;
+                break;
+        }
+    }
+    chain.itemsDispensed = Array.from(chain.itemsDispensed, n => n || 0); // items never filled count 0
+    chain.syncedAt = new Date();
+    return chain;
+};
+
+// Recompute PrescriptionLog.chain for one prescription from the stored events
+const rebuildPrescription = async (blockchainId, chainId) => {
+    if (chainId === undefined) ({ chainId } = await getRegistry());
+    const events = await ChainEvent.find({ chainId, blockchainId }).sort({ blockNumber: 1, logIndex: 1 });
+    const update = events.length ? { $set: { chain: foldChainState(events) } } : { $unset: { chain: 1 } };
+    await PrescriptionLog.updateOne({ blockchainId }, update);
+};
+
+// Same idea for signed prescriptions; QUEUED/ANCHORED are owned by the batcher
+const rebuildSigned = async (digest, chainId) => {
+    const events = await ChainEvent.find({ chainId, digest }).sort({ blockNumber: 1, logIndex: 1 });
+    const record = await SignedPrescription.findOne({ digest });
+    if (!record) return;
+
+    record.status = record.batchId ? 'ANCHORED' : 'QUEUED';
+    record.dispensedBy = record.dispensedTxHash = record.cancelledTxHash = undefined;
+    for (const e of events) {
+        if (e.name === 'SignedPrescriptionDispensed') {
+            record.status = 'DISPENSED';
+            record.dispensedBy = e.args.pharmacy;
+            record.dispensedTxHash = e.txHash;
+        } else if (e.name === 'SignedPrescriptionCancelled') {
+            record.status = 'CANCELLED';
+            record.cancelledTxHash = e.txHash;
+        }
+    }
+    await record.save();
+};
+
+const loadState = async (chainId, deployment) => {
+    let state = await IndexerState.findOne({ chainId });
+    if (state && state.contractAddress.toLowerCase() === deployment.address.toLowerCase()) return state;
+
+    // First run, or the contract was redeployed on this chain: start over from the deploy block
+    if (state) {
+        console.warn(`Indexer: contract changed on chain ${chainId}, re-indexing from block ${deployment.deployBlock}`);
+        await ChainEvent.deleteMany({ chainId });
+        await state.deleteOne();
+    }
+    state = new IndexerState({
+        chainId,
+        contractAddress: deployment.address,
+        lastBlock: (deployment.deployBlock || 0) - 1,
+        recentBlocks: []
+    });
+    return state.save();
+};
+
+// Walk back through remembered checkpoints to the newest one still on the canonical chain,
+// drop everything indexed after it and rebuild the prescriptions those events touched.
+const rewind = async (state, deployment) => {
+    const provider = getProvider();
+    let ancestor = (deployment.deployBlock || 0) - 1;
+
+    for (let i = state.recentBlocks.length - 1; i >= 0; i--) {
+        const { number, hash } = state.recentBlocks[i];
+        const block = await provider.getBlock(number);
+        if (block && block.hash === hash) {
+            ancestor = number;
+            break;
+        }
+    }
+
+    const query = { chainId: state.chainId, blockNumber: { $gt: ancestor } };
+    const touched = await ChainEvent.distinct('blockchainId', query);
+    const touchedDigests = await ChainEvent.distinct('digest', query);
+    await ChainEvent.deleteMany(query);
+
+    state.lastBlock = ancestor;
+    state.recentBlocks = state.recentBlocks.filter(b => b.number <= ancestor);
+    state.updatedAt = new Date();
+    await state.save();
+
+    for (const id of touched.filter(id => id != null)) await rebuildPrescription(id, state.chainId);
+    for (const digest of touchedDigests.filter(d => d != null)) await rebuildSigned(digest, state.chainId);
+    console.warn(`Indexer: reorg detected on chain ${state.chainId}, rewound to block ${ancestor}`);
+};
+
+// Feed a newly indexed fill to the fraud monitor (replays of known events are skipped by the caller)
+const monitorNewFill = async (doc) => {
+    const record = doc.name === 'PrescriptionFilled'
+        ? await PrescriptionLog.findOne({ blockchainId: doc.blockchainId })
+        : await SignedPrescription.findOne({ digest: doc.digest });
+    if (!record) return;
+    try {
+        await monitorFill(record, {
+            pharmacy: doc.args.pharmacy,
+            item: doc.name === 'PrescriptionFilled' ? Number(doc.args.item) : 0,
+            amount: doc.name === 'PrescriptionFilled' ? doc.args.amount : record.medicineDetails.quantity,
+            txHash: doc.txHash,
+            logIndex: doc.logIndex,
+            at: doc.at
+        });
+    } catch (err) {
+        console.warn('Risk assessment skipped:', err.message);
+    }
+};
+
+// Take a fill's units off the pharmacy's shelf if its own commit never arrived
+const commitStock = async (doc) => {
+    try {
+        await commitForFill(doc);
+    } catch (err) {
+        console.warn('Stock commit skipped:', err.message);
+    }
+};
+
+// Tell the wallets allowed to see the prescription (the issuer is in the event itself, in case
+// the metadata hasn't been stored yet)
+const announce = async (doc) => {
+    try {
+        const signed = doc.digest != null;
+        const record = signed
+            ? await SignedPrescription.findOne({ digest: doc.digest })
+            : await PrescriptionLog.findOne({ blockchainId: doc.blockchainId });
+        const event = {
+            type: LIVE_EVENTS[doc.name],
+            kind: signed ? 'signed' : 'prescription',
+            ref: signed ? doc.digest : String(doc.blockchainId),
+            status: signed ? record?.status : record?.chain?.status,
+            txHash: doc.txHash
+        };
+        if (doc.name === 'PrescriptionFilled') Object.assign(event, { item: Number(doc.args.item), amount: Number(doc.args.amount) });
+        publish(event, [...audienceOf(record), doc.args.issuer, doc.args.doctor, doc.args.pharmacy]);
+    } catch (err) {
+        console.warn('Live event skipped:', err.message);
+    }
+};
+
+// Index everything between the checkpoint and the (confirmed) head
+const syncOnce = async () => {
+    const { chainId, deployment, contract } = await getRegistry();
+    const provider = getProvider();
+    const state = await loadState(chainId, deployment);
+
+    const tip = state.recentBlocks[state.recentBlocks.length - 1];
+    if (tip) {
+        const block = await provider.getBlock(tip.number);
+        if (!block || block.hash !== tip.hash) await rewind(state, deployment);
+    }
+
+    const head = (await provider.getBlockNumber()) - CONFIRMATIONS;
+    // A long catch-up (first run, redeploy, downtime) replays history without pushing it live
+    const live = head - state.lastBlock <= BATCH_BLOCKS;
+
+    while (state.lastBlock < head) {
+        const fromBlock = state.lastBlock + 1;
+        const toBlock = Math.min(fromBlock + BATCH_BLOCKS - 1, head);
+
+        const logs = await provider.getLogs({ address: deployment.address, fromBlock, toBlock });
+        const blockTimes = new Map(); // block number -> Date, one lookup per block with events
+        const touched = new Set();
+        const touchedDigests = new Set();
+        const fresh = [];
+
+        for (const log of logs) {
+            const parsed = contract.interface.parseLog(log);
+            if (!parsed) continue;
+            if (!blockTimes.has(log.blockNumber)) {
+                const block = await provider.getBlock(log.blockNumber);
+                blockTimes.set(log.blockNumber, block ? new Date(block.timestamp * 1000) : undefined);
+            }
+            const doc = toEventDoc(chainId, parsed, log, blockTimes.get(log.blockNumber));
+            const { upsertedCount } = await ChainEvent.updateOne(
+                { chainId, txHash: doc.txHash, logIndex: doc.logIndex },
+                { $set: doc },
+                { upsert: true }
+            );
+            if (doc.blockchainId != null) touched.add(doc.blockchainId);
+            if (doc.digest) touchedDigests.add(doc.digest);
+            if (upsertedCount && LIVE_EVENTS[doc.name]) fresh.push(doc);
+        }
+
+        for (const id of touched) await rebuildPrescription(id, chainId);
+        for (const digest of touchedDigests) await rebuildSigned(digest, chainId);
+        for (const doc of fresh) {
+            if (FILL_EVENTS.includes(doc.name)) {
+                await monitorNewFill(doc);
+                await commitStock(doc);
+            }
+            if (live) await announce(doc);
+        }
+
+        const block = await provider.getBlock(toBlock);
+        state.lastBlock = toBlock;
+        state.recentBlocks.push({ number: toBlock, hash: block.hash });
+        state.recentBlocks = state.recentBlocks.slice(-REORG_DEPTH);
+        state.updatedAt = new Date();
+        await state.save();
+    }
+
+    return state;
+};
+
+let timer = null;
+
+const startIndexer = () => {
+    if (timer) return;
+    let lastError = null;
+
+    const tick = async () => {
+        try {
+            await syncOnce();
+            lastError = null;
+        } catch (err) {
+            // Don't flood the console while the node is down
+            if (err.message !== lastError) console.error('Indexer Error:', err.message);
+            lastError = err.message;
+        }
+        timer = setTimeout(tick, POLL_MS);
+    };
+
+    timer = setTimeout(tick, 0);
+    console.log(`Indexer started (poll ${POLL_MS}ms, ${CONFIRMATIONS} confirmations)`);
+};
+
+const getIndexerStatus = async () => {
+    const { chainId, deployment } = await getRegistry();
+    const state = await IndexerState.findOne({ chainId });
+    const head = await getProvider().getBlockNumber();
+    return {
+        chainId,
+        contractAddress: deployment.address,
+        deployBlock: deployment.deployBlock,
+        lastBlock: state ? state.lastBlock : null,
+        head,
+        lag: state ? head - state.lastBlock : null,
+        updatedAt: state ? state.updatedAt : null
+    };
+};
+
+// Compare indexed issuances with stored metadata
+const reconciliationReport = async () => {
+    const { chainId } = await getRegistry();
+    const state = await IndexerState.findOne({ chainId });
+
+    const issuedIds = await ChainEvent.distinct('blockchainId', { chainId, name: 'PrescriptionIssued' });
+    const logIds = await PrescriptionLog.distinct('blockchainId');
+    const issued = new Set(issuedIds);
+    const logged = new Set(logIds);
+
+    const mismatched = await PrescriptionLog.find(
+        { 'chain.issuer': { $exists: true } },
+        { blockchainId: 1, doctorAddress: 1, 'chain.issuer': 1 }
+    );
+
+    return {
+        chainId,
+        indexedToBlock: state ? state.lastBlock : null,
+        // Issued on chain but no metadata was ever saved
+        orphanedOnChain: issuedIds.filter(id => !logged.has(id)).sort((a, b) => a - b),
+        // Metadata rows pointing at an ID the chain never issued
+        missingOnChain: logIds.filter(id => !issued.has(id)).sort((a, b) => a - b),
+        issuerMismatches: mismatched
+            .filter(log => log.chain.issuer.toLowerCase() !== String(log.doctorAddress).toLowerCase())
+            .map(log => ({ blockchainId: log.blockchainId, doctorAddress: log.doctorAddress, issuer: log.chain.issuer }))
+    };
+};
+
+module.exports = { startIndexer, syncOnce, rebuildPrescription, getIndexerStatus, reconciliationReport };
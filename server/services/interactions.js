@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const PrescriptionLog = require('../models/PrescriptionLog');
+const SignedPrescription = require('../models/SignedPrescription');
+const { lineItemsOf } = require('./hashing');
+
+// Local interaction table: therapeutic classes plus drug/class pairs (see data/interactions.json).
+// Drugs are matched on the catalog's generic name.
+const TABLE_FILE = process.env.INTERACTIONS_FILE || path.join(__dirname, '..', 'data', 'interactions.json');
+
+let cached = null; // { mtimeMs, table }
+
+const loadTable = () => {
+    const { mtimeMs } = fs.statSync(TABLE_FILE);
+    if (!cached || cached.mtimeMs !== mtimeMs) {
+        const raw = JSON.parse(fs.readFileSync(TABLE_FILE, 'utf8'));
+        const classesOf = {};
+        for (const [cls, drugs] of Object.entries(raw.classes)) {
+            for (const drug of drugs) (classesOf[drug.toLowerCase()] ||= []).push(cls);
+        }
+        cached = { mtimeMs, table: { classesOf, interactions: raw.interactions } };
+    }
+    return cached.table;
+};
+
+const SEVERITY_ORDER = { major: 0, moderate: 1, minor: 2 };
+
+// Does a table entry ("Warfarin" or "class:nsaid") cover this drug?
+const matches = (entry, name, classes) =>
+    entry.startsWith('class:') ? classes.includes(entry.slice(6)) : entry.toLowerCase() === name;
+
+// Prescriptions the patient can still collect medicine for. A record the indexer hasn't reached
+// yet (or with the indexer off) has no chain status and counts as ISSUED.
+const activePrescriptions = async (patientId, now = new Date()) => {
+    const notExpired = { $or: [{ validUntil: null }, { validUntil: { $gt: now } }] };
+    const [logs, signed] = await Promise.all([
+        PrescriptionLog.find(
+            { patientId, 'chain.status': { $in: ['ISSUED', 'PARTIALLY_DISPENSED', null] }, ...notExpired },
+            { blockchainId: 1, medicineDetails: 1, chain: 1 }
+        ),
+        SignedPrescription.find({ patientId, status: { $in: ['QUEUED', 'ANCHORED'] } }, { digest: 1, medicineDetails: 1, prescription: 1 })
+    ]);
+
+    const nowSeconds = Math.floor(now.getTime() / 1000);
+    return [
+        ...logs.flatMap(log => lineItemsOf(log.medicineDetails).map((item, i) => ({
+            ref: `#${log.blockchainId}`,
+            name: item.name,
+            supply: `${log.chain?.itemsDispensed?.[i] || 0} of ${item.quantity * ((log.medicineDetails.refills || 0) + 1)} dispensed`
+        }))),
+        ...signed
+            .filter(s => s.prescription.validUntil === '0' || Number(s.prescription.validUntil) > nowSeconds)
+            .map(s => ({ ref: s.digest.slice(0, 10) + '…', name: s.medicineDetails.name, supply: `${s.medicineDetails.quantity} not yet dispensed` }))
+    ];
+};
+
+// Warnings for prescribing `medicineName` alongside `other` ({ name, ref, supply }; no supply when
+// `other` is an item of the same prescription)
+const warningsFor = ({ classesOf, interactions }, medicineName, other) => {
+    const name = medicineName.toLowerCase();
+    const classes = classesOf[name] || [];
+    const otherName = other.name.toLowerCase();
+    const otherClasses = classesOf[otherName] || [];
+
+    if (otherName === name) {
+        return [{
+            type: 'OVERLAPPING_SUPPLY',
+            severity: 'moderate',
+            ref: other.ref,
+            message: other.supply
+                ? `Patient already has an active prescription for ${other.name} (${other.ref}, ${other.supply}).`
+                : `${other.name} is listed more than once on ${other.ref}.`
+        }];
+    }
+
+    const warnings = [];
+    const shared = classes.filter(c => otherClasses.includes(c));
+    if (shared.length) {
+        warnings.push({
+            type: 'DUPLICATE_THERAPY',
+            severity: 'moderate',
+            ref: other.ref,
+            message: `Duplicate therapy: ${medicineName} and ${other.name} (${other.ref}) are both ${shared.join('/')}.`
+        });
+    }
+
+    for (const rule of interactions) {
+        const hit = (matches(rule.a, name, classes) && matches(rule.b, otherName, otherClasses))
+            || (matches(rule.b, name, classes) && matches(rule.a, otherName, otherClasses));
+        if (hit) {
+            warnings.push({
+                type: 'INTERACTION',
+                severity: rule.severity,
+                ref: other.ref,
+                message: `${medicineName} + ${other.name} (${other.ref}): ${rule.description}`
+            });
+        }
+    }
+    return warnings;
+};
+
+// Warnings for prescribing `medicineNames` (the items of one prescription) to the patient, against
+// what they already have and against each other
+const checkInteractions = async ({ patientId, medicineNames }) => {
+    const names = (medicineNames || []).filter(Boolean);
+    if (!names.length) return [];
+    const table = loadTable();
+    const active = patientId ? await activePrescriptions(patientId) : [];
+    const warnings = [];
+
+    names.forEach((medicineName, i) => {
+        for (const other of active) warnings.push(...warningsFor(table, medicineName, other));
+        for (const otherName of names.slice(i + 1)) {
+            warnings.push(...warningsFor(table, medicineName, { name: otherName, ref: 'this prescription' }));
+        }
+    });
+
+    return warnings.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+};
+
+module.exports = { loadTable, checkInteractions };
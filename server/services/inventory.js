@@ -0,0 +1,280 @@
+const fs = require('fs');
+const path = require('path');
+const StockLot = require('../models/StockLot');
+const StockReservation = require('../models/StockReservation');
+const { findDrug, dosageOf, parseCsv } = require('./catalog');
+const { getRegistry, getProvider } = require('./blockchain');
+
+// Hold time and alert thresholds live in config/inventory.json (or INVENTORY_CONFIG_FILE)
+const CONFIG_FILE = process.env.INVENTORY_CONFIG_FILE || path.join(__dirname, '..', 'config', 'inventory.json');
+const LOT_COLUMNS = ['code', 'lotNumber', 'expiresAt', 'quantity'];
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+let cached = null; // { mtimeMs, config }
+
+const loadConfig = () => {
+    const { mtimeMs } = fs.statSync(CONFIG_FILE);
+    if (!cached || cached.mtimeMs !== mtimeMs) {
+        cached = { mtimeMs, config: JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8')) };
+    }
+    return cached.config;
+};
+
+const lower = (address) => String(address).toLowerCase();
+
+const inventoryError = (message, status) => Object.assign(new Error(message), { status });
+
+// A stock row (code, lotNumber, expiresAt, quantity) checked against the catalog.
+// Resolves to { lot } or { error }.
+const checkLotRow = async (row) => {
+    const missing = LOT_COLUMNS.filter(c => row?.[c] === undefined || row[c] === null || String(row[c]).trim() === '');
+    if (missing.length) return { error: `Missing ${missing.join(', ')}` };
+
+    const drug = await findDrug(row.code);
+    if (!drug) return { error: `Unknown catalog code ${row.code}` };
+    const expiresAt = new Date(String(row.expiresAt).trim());
+    if (Number.isNaN(expiresAt.getTime())) return { error: `Invalid expiry date ${row.expiresAt}` };
+    const quantity = Number(row.quantity);
+    if (!Number.isInteger(quantity) || quantity < 0) return { error: `Invalid quantity ${row.quantity}` };
+
+    return {
+        lot: { code: drug.code, name: drug.name, dosage: dosageOf(drug), lotNumber: String(row.lotNumber).trim(), expiresAt, quantity }
+    };
+};
+
+// Upsert one lot by (code, lotNumber). The quantity is the count now on the shelf, not a delivery
+// to add, so re-importing a stock take is safe. It can't drop below what pending dispenses hold.
+const saveLot = async (pharmacy, row) => {
+    const { lot, error } = await checkLotRow(row);
+    if (error) throw inventoryError(error, 422);
+
+    const key = { pharmacy: lower(pharmacy), code: lot.code, lotNumber: lot.lotNumber };
+    try {
+        return await StockLot.findOneAndUpdate(
+            { ...key, reserved: { $lte: lot.quantity } },
+            { $set: { ...lot, updatedAt: new Date() }, $setOnInsert: { reserved: 0 } },
+            { upsert: true, new: true }
+        );
+    } catch (err) {
+        if (err.name === 'ValidationError' || err.name === 'CastError') throw inventoryError(err.message, 422);
+        // The lot exists but the filter didn't match it, so the upsert collided with it
+        if (err.code !== 11000) throw err;
+        const existing = await StockLot.findOne(key);
+        throw inventoryError(`Lot ${lot.lotNumber} has ${existing?.reserved} units reserved for pending dispenses`, 409);
+    }
+};
+
+// CSV with a header row: code,lotNumber,expiresAt,quantity. Bad rows are reported, not imported;
+// a file without the header or without any rows is refused as a whole.
+const importStock = async (pharmacy, text) => {
+    const rows = parseCsv(String(text || ''));
+    if (!rows.length) throw inventoryError('The CSV has no stock rows', 400);
+    const missing = LOT_COLUMNS.filter(c => !(c in rows[0]));
+    if (missing.length) throw inventoryError(`The CSV header is missing ${missing.join(', ')}`, 400);
+
+    const result = { imported: 0, rejected: [] };
+    for (const [i, row] of rows.entries()) {
+        try {
+            await saveLot(pharmacy, row);
+            result.imported++;
+        } catch (err) {
+            if (!err.status) throw err;
+            result.rejected.push({ row: i + 1, error: err.message });
+        }
+    }
+    return result;
+};
+
+// Move a reservation to `status` and adjust its lots to match. Releasing only applies to a HELD
+// reservation; a commit also applies to a RELEASED or EXPIRED one, because the units left the shelf
+// all the same. The status change is atomic, so a commit racing a release (or the indexer racing the
+// pharmacist's own commit) adjusts the lots exactly once. A lot never goes below zero: if a late
+// commit finds fewer units than it took (the lot was re-counted after the hold lapsed), the lot
+// keeps only what other holds have reserved.
+const settle = async (reservation, status, txHash) => {
+    const update = { status, resolvedAt: new Date() };
+    if (txHash) update.txHash = txHash;
+    const previous = await StockReservation.findOneAndUpdate(
+        { _id: reservation._id, status: { $in: status === 'COMMITTED' ? ['HELD', 'RELEASED', 'EXPIRED'] : ['HELD'] } },
+        { $set: update }
+    );
+
+    if (previous) {
+        for (const { lot, quantity } of previous.allocations) {
+            const inc = status === 'COMMITTED' ? { quantity: -quantity } : {};
+            if (previous.status === 'HELD') inc.reserved = -quantity;
+            const enough = status === 'COMMITTED' ? { quantity: { $gte: quantity } } : {};
+            const { matchedCount } = await StockLot.updateOne({ _id: lot, ...enough }, { $inc: inc, $set: { updatedAt: new Date() } });
+            if (!matchedCount && status === 'COMMITTED') {
+                console.warn(`Inventory: lot ${lot} held fewer than the ${quantity} units committed by reservation ${reservation._id}`);
+                const reserved = previous.status === 'HELD' ? { $max: [0, { $subtract: ['$reserved', quantity] }] } : '$reserved';
+                await StockLot.updateOne({ _id: lot }, [{ $set: { reserved, quantity: reserved, updatedAt: new Date() } }]);
+            }
+        }
+    }
+    return StockReservation.findById(reservation._id);
+};
+
+// Give back the units of holds that ran out (the dispense was abandoned part way)
+const expireHolds = async (pharmacy) => {
+    const stale = await StockReservation.find({ pharmacy: lower(pharmacy), status: 'HELD', holdUntil: { $lt: new Date() } });
+    for (const reservation of stale) await settle(reservation, 'EXPIRED');
+};
+
+// Set `amount` units of `code` aside for one dispense, first-expiry-first-out from unexpired lots.
+// Replaces any hold this pharmacy still has on the same item. Throws 409 when there isn't enough.
+const reserve = async ({ pharmacy, kind, ref, item = 0, code, amount }) => {
+    if (!Number.isInteger(amount) || amount < 1) throw inventoryError('Amount must be a positive whole number', 400);
+    const owner = lower(pharmacy);
+    await expireHolds(owner);
+    for (const previous of await StockReservation.find({ pharmacy: owner, kind, ref, item, status: 'HELD' })) {
+        await settle(previous, 'RELEASED');
+    }
+
+    const allocations = [];
+    let needed = amount;
+    const lots = await StockLot.find({ pharmacy: owner, code, expiresAt: { $gt: new Date() } }).sort({ expiresAt: 1 });
+    for (const lot of lots) {
+        if (!needed) break;
+        const take = Math.min(needed, lot.quantity - lot.reserved);
+        if (take <= 0) continue;
+        // Only succeeds if nobody reserved from this lot since it was read
+        const { modifiedCount } = await StockLot.updateOne(
+            { _id: lot._id, $expr: { $gte: [{ $subtract: ['$quantity', '$reserved'] }, take] } },
+            { $inc: { reserved: take } }
+        );
+        if (!modifiedCount) continue;
+        allocations.push({ lot: lot._id, lotNumber: lot.lotNumber, expiresAt: lot.expiresAt, quantity: take });
+        needed -= take;
+    }
+
+    if (needed) {
+        for (const { lot, quantity } of allocations) await StockLot.updateOne({ _id: lot }, { $inc: { reserved: -quantity } });
+        const found = amount - needed;
+        throw inventoryError(found
+            ? `Only ${found} of ${code} in stock (unexpired and not reserved), ${amount} needed`
+            : `${code} is out of stock`, 409);
+    }
+
+    return StockReservation.create({
+        pharmacy: owner,
+        kind,
+        ref,
+        item,
+        code,
+        amount,
+        allocations,
+        holdUntil: new Date(Date.now() + loadConfig().holdMinutes * MINUTE)
+    });
+};
+
+// Does the transaction carry this reservation's dispense, made by the reserving pharmacy?
+const confirmsDispense = async (reservation, txHash) => {
+    const { deployment, contract } = await getRegistry();
+    const receipt = await getProvider().getTransactionReceipt(txHash);
+    if (!receipt || receipt.status !== 1) return false;
+
+    return receipt.logs.some(log => {
+        if (log.address.toLowerCase() !== deployment.address.toLowerCase()) return false;
+        const parsed = contract.interface.parseLog(log);
+        if (!parsed || lower(parsed.args.pharmacy) !== reservation.pharmacy) return false;
+        if (reservation.kind === 'signed') {
+            return parsed.name === 'SignedPrescriptionDispensed' && lower(parsed.args.digest) === reservation.ref;
+        }
+        return parsed.name === 'PrescriptionFilled'
+            && String(parsed.args.id) === reservation.ref
+            && Number(parsed.args.item) === reservation.item
+            && Number(parsed.args.amount) === reservation.amount;
+    });
+};
+
+// The pharmacist's dispense transaction confirmed: take the reserved units off the lots. One
+// transaction commits one reservation, so a released hold and the one that replaced it can't both
+// take the same fill off the shelf.
+const commitReservation = async (reservation, txHash) => {
+    if (reservation.status === 'COMMITTED') return reservation;
+    if (!/^0x[0-9a-fA-F]{64}$/.test(String(txHash))) throw inventoryError('txHash is required', 400);
+    const hash = txHash.toLowerCase();
+    if (await StockReservation.exists({ txHash: hash, _id: { $ne: reservation._id } })) {
+        throw inventoryError('That transaction already committed another reservation', 409);
+    }
+    if (!(await confirmsDispense(reservation, hash))) {
+        throw inventoryError('That transaction did not dispense this reservation', 422);
+    }
+    return settle(reservation, 'COMMITTED', hash);
+};
+
+const releaseReservation = (reservation) => settle(reservation, 'RELEASED');
+
+// Called by the indexer for each new fill, so stock still goes down when the pharmacist's browser
+// closed before it could commit. Picks the newest unfinished reservation for the same dispense.
+const commitForFill = async (doc) => {
+    if (await StockReservation.exists({ txHash: doc.txHash })) return;
+    const match = doc.name === 'PrescriptionFilled'
+        ? { kind: 'prescription', ref: String(doc.blockchainId), item: Number(doc.args.item), amount: Number(doc.args.amount) }
+        : { kind: 'signed', ref: doc.digest };
+    const reservation = await StockReservation
+        .findOne({ pharmacy: lower(doc.args.pharmacy), ...match, status: { $in: ['HELD', 'EXPIRED'] } })
+        .sort({ createdAt: -1 });
+    if (reservation) await settle(reservation, 'COMMITTED', doc.txHash);
+};
+
+const listLots = async (pharmacy, { code } = {}) => {
+    await expireHolds(pharmacy);
+    const filter = { pharmacy: lower(pharmacy) };
+    if (code) filter.code = String(code).toUpperCase();
+    return StockLot.find(filter).sort({ code: 1, expiresAt: 1 });
+};
+
+// Units that can still be promised per catalog code: unexpired and not reserved
+const availability = async (pharmacy, codes) => {
+    await expireHolds(pharmacy);
+    const lots = await StockLot.find({
+        pharmacy: lower(pharmacy),
+        code: { $in: codes.map(c => String(c).toUpperCase()) },
+        expiresAt: { $gt: new Date() }
+    });
+    const available = Object.fromEntries(codes.map(c => [String(c).toUpperCase(), 0]));
+    for (const lot of lots) available[lot.code] += lot.quantity - lot.reserved;
+    return available;
+};
+
+// Drugs whose available units are under their threshold (lowStock.perMedicine by catalog code,
+// else lowStock.default), lots expiring within nearExpiryDays and expired lots still on the shelf
+const stockAlerts = async (pharmacy) => {
+    const { nearExpiryDays, lowStock } = loadConfig();
+    const lots = await listLots(pharmacy);
+    const now = new Date();
+    const soon = new Date(now.getTime() + nearExpiryDays * DAY);
+
+    const byCode = new Map();
+    for (const lot of lots) {
+        const entry = byCode.get(lot.code) || { code: lot.code, name: lot.name, dosage: lot.dosage, available: 0 };
+        if (lot.expiresAt > now) entry.available += lot.quantity - lot.reserved;
+        byCode.set(lot.code, entry);
+    }
+
+    return {
+        lowStock: [...byCode.values()]
+            .map(entry => ({ ...entry, threshold: lowStock.perMedicine?.[entry.code] ?? lowStock.default }))
+            .filter(entry => entry.available < entry.threshold),
+        nearExpiry: lots.filter(lot => lot.quantity > 0 && lot.expiresAt > now && lot.expiresAt <= soon),
+        expired: lots.filter(lot => lot.quantity > 0 && lot.expiresAt <= now)
+    };
+};
+
+module.exports = {
+    CONFIG_FILE,
+    loadConfig,
+    saveLot,
+    importStock,
+    reserve,
+    commitReservation,
+    releaseReservation,
+    commitForFill,
+    listLots,
+    availability,
+    stockAlerts
+};
@@ -0,0 +1,42 @@
+const { ethers } = require('ethers');
+
+// Sorted-pair Merkle tree matching PrescriptionRegistry._verifyProof.
+// Leaves are keccak256(digest) so a leaf can never be confused with an inner node.
+
+const leafOf = (digest) => ethers.keccak256(digest);
+
+const hashPair = (a, b) => (a.toLowerCase() < b.toLowerCase()
+    ? ethers.keccak256(ethers.concat([a, b]))
+    : ethers.keccak256(ethers.concat([b, a])));
+
+// Returns every layer, leaves first and [root] last. An odd node is carried up unchanged.
+const buildTree = (leaves) => {
+    if (!leaves.length) throw new Error('Cannot build a Merkle tree without leaves');
+    const layers = [leaves];
+    while (layers[layers.length - 1].length > 1) {
+        const prev = layers[layers.length - 1];
+        const next = [];
+        for (let i = 0; i < prev.length; i += 2) {
+            next.push(i + 1 < prev.length ? hashPair(prev[i], prev[i + 1]) : prev[i]);
+        }
+        layers.push(next);
+    }
+    return layers;
+};
+
+const getRoot = (layers) => layers[layers.length - 1][0];
+
+const getProof = (layers, index) => {
+    const proof = [];
+    for (let level = 0; level < layers.length - 1; level++) {
+        const layer = layers[level];
+        const sibling = index % 2 === 0 ? index + 1 : index - 1;
+        if (sibling < layer.length) proof.push(layer[sibling]);
+        index = Math.floor(index / 2);
+    }
+    return proof;
+};
+
+const verifyProof = (proof, root, leaf) => proof.reduce(hashPair, leaf) === root;
+
+module.exports = { leafOf, buildTree, getRoot, getProof, verifyProof };
@@ -0,0 +1,198 @@
+const fs = require('fs');
+const path = require('path');
+const MonitoringEvent = require('../models/MonitoringEvent');
+const PrescriptionLog = require('../models/PrescriptionLog');
+const SignedPrescription = require('../models/SignedPrescription');
+const { flagIfNeeded } = require('./riskReview');
+const { lineItemsOf } = require('./hashing');
+
+// Rules and thresholds live in config/monitoring.json (or MONITORING_CONFIG_FILE)
+const CONFIG_FILE = process.env.MONITORING_CONFIG_FILE || path.join(__dirname, '..', 'config', 'monitoring.json');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+let cached = null; // { mtimeMs, config }
+
+const loadConfig = () => {
+    const { mtimeMs } = fs.statSync(CONFIG_FILE);
+    if (!cached || cached.mtimeMs !== mtimeMs) {
+        cached = { mtimeMs, config: JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8')) };
+    }
+    return cached.config;
+};
+
+const normaliseMedicine = (name) => String(name || '').trim().toLowerCase();
+const lower = (address) => (address ? String(address).toLowerCase() : undefined);
+
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const itemsOf = (record) => lineItemsOf(record.medicineDetails).map(item => ({
+    medicine: item.code || normaliseMedicine(item.name),
+    quantity: Number(item.quantity)
+}));
+
+// What the rules need to know about a prescription, for either storage model
+const subjectOf = (record) => record.digest
+    ? {
+        Model: SignedPrescription,
+        ref: record.digest,
+        doctor: lower(record.prescription.doctor),
+        items: itemsOf(record),
+        patientId: record.patientId
+    }
+    : {
+        Model: PrescriptionLog,
+        ref: String(record.blockchainId),
+        doctor: lower(record.doctorAddress),
+        items: itemsOf(record),
+        patientId: record.patientId
+    };
+
+// Each rule resolves to null (nothing unusual) or a human-readable reason
+const RULES = {
+    // Ported from the old analytics service: a burst of prescriptions for one patient
+    patientFrequency: async (subject, cfg, now) => {
+        if (!subject.patientId) return null;
+        const count = await MonitoringEvent.countDocuments({
+            patientId: subject.patientId,
+            kind: 'ISSUE',
+            at: { $gte: new Date(now - cfg.windowMinutes * MINUTE) }
+        });
+        if (count <= cfg.maxPrescriptions) return null;
+        return `High frequency: ${count} prescriptions for this patient in the last ${cfg.windowMinutes} minutes.`;
+    },
+
+    doctorShopping: async (subject, cfg, now) => {
+        if (!subject.patientId) return null;
+        const doctors = await MonitoringEvent.distinct('doctor', {
+            patientId: subject.patientId,
+            kind: 'ISSUE',
+            at: { $gte: new Date(now - cfg.windowDays * DAY) }
+        });
+        if (doctors.length <= cfg.maxDoctors) return null;
+        return `Doctor shopping: patient received prescriptions from ${doctors.length} different doctors in the last ${cfg.windowDays} days.`;
+    },
+
+    pharmacyHopping: async (subject, cfg, now) => {
+        if (!subject.patientId) return null;
+        const pharmacies = await MonitoringEvent.distinct('pharmacy', {
+            patientId: subject.patientId,
+            kind: 'FILL',
+            at: { $gte: new Date(now - cfg.windowDays * DAY) }
+        });
+        if (pharmacies.length <= cfg.maxPharmacies) return null;
+        return `Pharmacy hopping: patient's prescriptions were filled at ${pharmacies.length} different pharmacies in the last ${cfg.windowDays} days.`;
+    },
+
+    unusualQuantity: async (subject, cfg) => {
+        const reasons = [];
+        for (const { medicine, quantity } of subject.items) {
+            const max = cfg.perMedicine?.[medicine] ?? cfg.defaultMax;
+            if (max != null && quantity > max) {
+                reasons.push(`Unusual quantity: ${quantity} exceeds the configured maximum of ${max} for ${medicine}.`);
+                continue;
+            }
+
+            // Compare with what is normally prescribed for this medicine
+            const history = await MonitoringEvent.find(
+                { medicine, kind: { $in: ['ISSUE', 'ITEM'] }, ref: { $ne: subject.ref } },
+                { quantity: 1 }
+            ).sort({ at: -1 }).limit(500);
+            if (history.length < cfg.minSamples) continue;
+            const typical = median(history.map(e => e.quantity));
+            if (quantity <= typical * cfg.medianMultiplier) continue;
+            reasons.push(`Unusual quantity: ${quantity} is more than ${cfg.medianMultiplier}x the usual ${typical} for ${medicine}.`);
+        }
+        return reasons.length ? reasons.join(' ') : null;
+    },
+
+    prescriberSpike: async (subject, cfg, now) => {
+        const recent = await MonitoringEvent.countDocuments({
+            doctor: subject.doctor,
+            kind: 'ISSUE',
+            at: { $gte: new Date(now - cfg.windowHours * HOUR) }
+        });
+        if (recent < cfg.minCount) return null;
+
+        const baselineStart = new Date(now - cfg.windowHours * HOUR - cfg.baselineDays * DAY);
+        const baselineTotal = await MonitoringEvent.countDocuments({
+            doctor: subject.doctor,
+            kind: 'ISSUE',
+            at: { $gte: baselineStart, $lt: new Date(now - cfg.windowHours * HOUR) }
+        });
+        const expected = baselineTotal / (cfg.baselineDays * 24 / cfg.windowHours);
+        if (recent <= expected * cfg.multiplier) return null;
+        return `Prescriber volume spike: ${recent} prescriptions in the last ${cfg.windowHours} hours against a usual ${expected.toFixed(1)}.`;
+    }
+};
+
+const levelOf = (score, levels) => {
+    if (score >= levels.high) return 'HIGH';
+    if (score >= levels.medium) return 'MEDIUM';
+    return 'LOW';
+};
+
+// Run every enabled rule, store the result on the prescription and open a review flag if it scores HIGH
+const assess = async (record, now = Date.now()) => {
+    const config = loadConfig();
+    const subject = subjectOf(record);
+    const reasons = [];
+    const rules = [];
+    let score = 0;
+
+    for (const [name, cfg] of Object.entries(config.rules)) {
+        if (!cfg.enabled || !RULES[name]) continue;
+        const reason = await RULES[name](subject, cfg, now);
+        if (reason) {
+            rules.push(name);
+            reasons.push(reason);
+            score += cfg.weight;
+        }
+    }
+
+    score = Math.min(1, Math.round(score * 100) / 100);
+    const risk = { score, level: levelOf(score, config.levels), rules, reasons, evaluatedAt: new Date(now) };
+    // updateOne skips the PII hooks, which have nothing to do here
+    await subject.Model.updateOne({ _id: record._id }, { $set: { risk } });
+    await flagIfNeeded(subject.Model, record, risk);
+    return risk;
+};
+
+const record = (event) => MonitoringEvent.updateOne({ key: event.key }, { $setOnInsert: event }, { upsert: true });
+
+// Called once a prescription's metadata is stored
+const monitorIssuance = async (prescription) => {
+    const subject = subjectOf(prescription);
+    const at = prescription.issuedAt || prescription.createdAt || new Date();
+    const base = { ref: subject.ref, patientId: subject.patientId, doctor: subject.doctor, at };
+    await record({ ...base, key: `issue:${subject.ref}`, kind: 'ISSUE' });
+    for (const [i, item] of subject.items.entries()) {
+        await record({ ...base, key: `item:${subject.ref}:${i}`, kind: 'ITEM', ...item });
+    }
+    return assess(prescription);
+};
+
+// Called by the indexer for each new fill event
+const monitorFill = async (prescription, { pharmacy, item = 0, amount, txHash, logIndex, at }) => {
+    const subject = subjectOf(prescription);
+    await record({
+        key: `fill:${txHash}:${logIndex}`,
+        kind: 'FILL',
+        ref: subject.ref,
+        patientId: subject.patientId,
+        doctor: subject.doctor,
+        pharmacy: lower(pharmacy),
+        medicine: subject.items[item]?.medicine,
+        quantity: Number(amount),
+        at: at || new Date()
+    });
+    return assess(prescription);
+};
+
+module.exports = { CONFIG_FILE, loadConfig, assess, monitorIssuance, monitorFill };
@@ -0,0 +1,160 @@
+// Deterministic, offline parser for dictated prescriptions such as
+// "Patient John Doe age 40 medicine Aspirin 500 mg quantity 10 twice daily medicine Omeprazole 20 mg quantity 14".
+// Values are read from the text that follows each keyword; anything it cannot
+// place is left null with zero confidence.
+
+const KEYWORDS = [
+    ['patientName', /\b(?:patient(?:'s)?\s+name|patient|name)\b/],
+    ['age', /\b(?:age[d]?)\b/],
+    ['medicine', /\b(?:medicine|medication|drug|prescribe)\b/],
+    ['dosage', /\b(?:dosage|dose|strength)\b/],
+    ['quantity', /\b(?:quantity|qty|count|dispense)\b/],
+    ['notes', /\b(?:notes?|instructions?)\b/]
+];
+
+const FREQUENCIES = [
+    /\b(?:once|twice|thrice|(?:one|two|three|four|\d+) times)\s+(?:a\s+|per\s+)?(?:day|daily)\b/,
+    /\bevery\s+\d+\s+hours?\b/,
+    /\b(?:daily|nightly|at night|at bedtime|in the morning|as needed|when required|with meals)\b/
+];
+const DURATION = /\bfor\s+\d+\s+(?:days?|weeks?|months?)\b/;
+const STRENGTH = /(\d+(?:\.\d+)?)\s*(mg|mcg|g|ml|units?|iu)\b/i;
+const FILLER = /^(?:is|of|named|called|:|-|,)\s+/i;
+
+const titleCase = (text) => text.replace(/\b([a-z])/g, c => c.toUpperCase());
+
+// Take the first match of `pattern` out of `text`
+const extract = (text, pattern) => {
+    const match = pattern.exec(text);
+    if (!match) return { value: null, rest: text };
+    return { value: match[0], rest: (text.slice(0, match.index) + ' ' + text.slice(match.index + match[0].length)).replace(/\s+/g, ' ').trim() };
+};
+
+const ITEM_FIELDS = ['medicine', 'dosage', 'quantity'];
+
+// Split "keyword value keyword value ..." into { field: value, items: [{ field: value }] }. Each
+// "medicine" keyword starts a line item; for the other fields the first keyword wins. Text before
+// the first keyword is kept as `lead` so frequencies there aren't lost.
+const segment = (text) => {
+    const hits = [];
+    for (const [field, pattern] of KEYWORDS) {
+        const re = new RegExp(pattern.source, 'gi');
+        for (let match = re.exec(text); match; match = ITEM_FIELDS.includes(field) ? re.exec(text) : null) {
+            hits.push({ field, start: match.index, end: match.index + match[0].length });
+        }
+    }
+    hits.sort((a, b) => a.start - b.start);
+    const segments = { lead: hits.length ? text.slice(0, hits[0].start).trim() : text, items: [] };
+    hits.forEach((hit, i) => {
+        if (hits[i - 1] && hit.start < hits[i - 1].end) return; // "patient name" also matched "name"
+        const end = hits[i + 1] ? hits[i + 1].start : text.length;
+        const value = text.slice(hit.end, end).trim().replace(FILLER, '').replace(/[,.;]+$/, '').replace(/\s+and$/i, '').trim();
+        if (!ITEM_FIELDS.includes(hit.field)) {
+            segments[hit.field] ??= value;
+            return;
+        }
+        if (hit.field === 'medicine' || !segments.items.length) segments.items.push({});
+        segments.items[segments.items.length - 1][hit.field] ??= value;
+    });
+    return segments;
+};
+
+// Take the first frequency and the first duration out of `text`
+const pullTiming = (text) => {
+    let rest = text || '';
+    let frequency = null;
+    for (const pattern of FREQUENCIES) {
+        ({ value: frequency, rest } = extract(rest, new RegExp(pattern.source, 'i')));
+        if (frequency) break;
+    }
+    let duration;
+    ({ value: duration, rest } = extract(rest, new RegExp(DURATION.source, 'i')));
+    return { frequency: frequency?.toLowerCase() || null, duration: duration?.toLowerCase() || null, rest };
+};
+
+// "Aspirin 500 mg quantity 10 twice daily" -> { medicine, dosage, quantity, frequency } with confidences
+const parseItem = (segments) => {
+    const values = {};
+    let frequency = null;
+    let duration = null;
+    for (const field of ITEM_FIELDS) {
+        const timing = pullTiming(segments[field]);
+        frequency ||= timing.frequency;
+        duration ||= timing.duration;
+        values[field] = timing.rest || null;
+    }
+
+    // "Aspirin 500 mg" -> medicine Aspirin, dosage 500 mg
+    let { medicine, dosage } = values;
+    if (medicine) {
+        const strength = STRENGTH.exec(medicine);
+        if (strength) {
+            dosage ??= `${strength[1]} ${strength[2].toLowerCase()}`;
+            medicine = medicine.slice(0, strength.index).trim() || null;
+        }
+    }
+    const quantity = (values.quantity || '').match(/^\d+/)?.[0];
+
+    const item = {
+        medicine: medicine ? titleCase(medicine) : null,
+        dosage,
+        quantity: quantity ? Number(quantity) : null,
+        frequency
+    };
+    const confidence = {
+        medicine: item.medicine ? (/^[A-Za-z][A-Za-z -]*$/.test(medicine) ? 0.85 : 0.5) : 0,
+        dosage: dosage ? (values.dosage ? 0.9 : 0.8) : 0,
+        quantity: item.quantity ? 0.9 : 0,
+        frequency: item.frequency ? 0.9 : 0
+    };
+    return { item, confidence, duration };
+};
+
+const parse = async (transcript) => {
+    const fields = {};
+    const confidence = {};
+    const set = (field, value, score) => {
+        fields[field] = value;
+        confidence[field] = value === null ? 0 : score;
+    };
+
+    const text = String(transcript).replace(/\s+/g, ' ').trim();
+    const segments = segment(text);
+
+    // Frequency and duration can appear anywhere; pull them out of the patient fields so they don't
+    // end up in a name, and give them to the first medicine if it has none of its own
+    const loose = [];
+    for (const field of ['lead', 'patientName', 'age']) {
+        const { frequency, duration, rest } = pullTiming(segments[field]);
+        loose.push({ frequency, duration });
+        if (field !== 'lead') segments[field] = segments[field] === undefined ? undefined : rest;
+    }
+
+    const name = segments.patientName?.match(/^[A-Za-z][A-Za-z'-]*(?:\s+[A-Za-z][A-Za-z'-]*){0,3}/)?.[0];
+    set('patientName', name ? titleCase(name) : null, name && name === segments.patientName ? 0.9 : 0.6);
+
+    const age = (segments.age || '').match(/^\d{1,3}\b/)?.[0] || text.match(/\b(\d{1,3})\s+years?\s+old\b/i)?.[1];
+    set('age', age ? Number(age) : null, segments.age ? 0.95 : 0.7);
+
+    const parsed = segments.items.map(parseItem);
+    const looseFrequency = loose.map(l => l.frequency).find(Boolean);
+    if (parsed.length && !parsed[0].item.frequency && looseFrequency) {
+        parsed[0].item.frequency = looseFrequency;
+        parsed[0].confidence.frequency = 0.7;
+    }
+    fields.items = parsed.map(p => p.item);
+    confidence.items = parsed.map(p => p.confidence);
+
+    // Without explicit notes, the timing goes there so the doctor sees it on the form
+    const timing = [
+        ...parsed.filter(p => p.item.frequency).map(p => (parsed.length > 1 && p.item.medicine ? `${p.item.medicine}: ${p.item.frequency}` : p.item.frequency)),
+        ...[...parsed.map(p => p.duration), ...loose.map(l => l.duration)].filter(Boolean)
+    ];
+    if (!parsed.length && looseFrequency) timing.unshift(looseFrequency);
+    const notes = segments.notes || timing.join(', ') || null;
+    set('notes', notes, segments.notes ? 0.9 : 0.7);
+
+    return { fields, confidence };
+};
+
+module.exports = { name: 'rules', parse };
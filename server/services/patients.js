@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const Patient = require('../models/Patient');
+const PatientAccessCode = require('../models/PatientAccessCode');
+const PatientAudit = require('../models/PatientAudit');
+const PrescriptionLog = require('../models/PrescriptionLog');
+const SignedPrescription = require('../models/SignedPrescription');
+const { blindIndex } = require('./encryption');
+
+const ACCESS_CODE_TTL_MS = Number(process.env.PATIENT_CODE_TTL_HOURS || 72) * 60 * 60 * 1000;
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789'; // no 0/O, 1/I/L
+
+const randomString = (length) =>
+    Array.from(crypto.randomBytes(length), b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+
+const normaliseName = (name) => String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(new Date(value).getTime());
+
+// Whole years between the date of birth and `at`
+const ageOn = (dateOfBirth, at = new Date()) => {
+    const dob = new Date(dateOfBirth);
+    let age = at.getUTCFullYear() - dob.getUTCFullYear();
+    const beforeBirthday = at.getUTCMonth() < dob.getUTCMonth()
+        || (at.getUTCMonth() === dob.getUTCMonth() && at.getUTCDate() < dob.getUTCDate());
+    return beforeBirthday ? age - 1 : age;
+};
+
+const summaryOf = (patient) => {
+    const { name, dateOfBirth } = patient.decryptPii();
+    return {
+        patientId: patient.patientId,
+        ref: patient.ref,
+        name,
+        dateOfBirth,
+        age: ageOn(dateOfBirth),
+        wallet: patient.wallet
+    };
+};
+
+const createPatient = async ({ name, dateOfBirth, wallet, createdBy }) => {
+    if (!normaliseName(name)) throw Object.assign(new Error('name is required'), { status: 400 });
+    if (!isDate(dateOfBirth)) throw Object.assign(new Error('dateOfBirth must be YYYY-MM-DD'), { status: 400 });
+    if (wallet && !ethers.isAddress(wallet)) throw Object.assign(new Error('wallet is not a valid address'), { status: 400 });
+
+    const patientId = `P-${randomString(8)}`;
+    const identifierSalt = ethers.hexlify(ethers.randomBytes(32));
+    return Patient.create({
+        patientId,
+        ref: ethers.solidityPackedKeccak256(['bytes32', 'string'], [identifierSalt, patientId]),
+        identifierSalt,
+        nameKey: blindIndex(normaliseName(name)),
+        lookupKey: blindIndex(`${normaliseName(name)}|${dateOfBirth}`),
+        wallet: wallet ? ethers.getAddress(wallet) : undefined,
+        createdBy,
+        name: String(name).trim(),
+        dateOfBirth
+    });
+};
+
+// Exact lookups only: by patient ID, or by name (optionally narrowed by date of birth)
+const findPatients = ({ patientId, name, dateOfBirth }) => {
+    if (patientId) return Patient.find({ patientId: String(patientId).toUpperCase() });
+    if (!normaliseName(name)) return Promise.resolve([]);
+    const filter = dateOfBirth
+        ? { lookupKey: blindIndex(`${normaliseName(name)}|${dateOfBirth}`) }
+        : { nameKey: blindIndex(normaliseName(name)) };
+    return Patient.find(filter).limit(20);
+};
+
+const findPatient = (patientId) => Patient.findOne({ patientId: String(patientId || '').toUpperCase() });
+
+// Admins, the doctor who registered the patient and doctors who have prescribed for them
+const mayManagePatient = async (patient, user) => {
+    if (user.roles.admin) return true;
+    if (!user.roles.doctor) return false;
+    const address = ethers.getAddress(user.address);
+    if (patient.createdBy && ethers.getAddress(patient.createdBy) === address) return true;
+    const doctor = { $in: [address, address.toLowerCase()] };
+    const [issued, signed] = await Promise.all([
+        PrescriptionLog.exists({ patientId: patient.patientId, doctorAddress: doctor }),
+        SignedPrescription.exists({ patientId: patient.patientId, 'prescription.doctor': doctor })
+    ]);
+    return Boolean(issued || signed);
+};
+
+// Link, change or (with no wallet) remove the wallet that opens the patient's portal, with an audit entry
+const linkWallet = async (patient, wallet, actor) => {
+    if (wallet && !ethers.isAddress(wallet)) throw Object.assign(new Error('wallet is not a valid address'), { status: 400 });
+    const previousWallet = patient.wallet;
+    patient.wallet = wallet ? ethers.getAddress(wallet) : undefined;
+    await patient.save();
+    await PatientAudit.create({
+        patientId: patient.patientId,
+        action: patient.wallet ? 'WALLET_LINKED' : 'WALLET_UNLINKED',
+        actor,
+        previousWallet,
+        wallet: patient.wallet
+    });
+    return patient;
+};
+
+const hashCode = (code) => crypto.createHash('sha256').update(String(code).replace(/[\s-]/g, '').toUpperCase()).digest('hex');
+
+// Returns the plain code once; the patient uses it (with their patient ID) to open the portal.
+// The audit trail records that a code was handed out and by whom, never the code.
+const createAccessCode = async (patientId, createdBy) => {
+    const raw = randomString(8);
+    const expiresAt = new Date(Date.now() + ACCESS_CODE_TTL_MS);
+    await PatientAccessCode.create({ patientId, codeHash: hashCode(raw), createdBy, expiresAt });
+    await PatientAudit.create({ patientId, action: 'ACCESS_CODE_CREATED', actor: createdBy });
+    return { code: `${raw.slice(0, 4)}-${raw.slice(4)}`, expiresAt };
+};
+
+// Consumes the code; resolves to true if it was valid
+const redeemAccessCode = async (patientId, code) => {
+    const used = await PatientAccessCode.findOneAndDelete({
+        patientId: String(patientId || '').toUpperCase(),
+        codeHash: hashCode(code),
+        expiresAt: { $gt: new Date() }
+    });
+    return Boolean(used);
+};
+
+module.exports = { ageOn, summaryOf, createPatient, findPatients, findPatient, mayManagePatient, linkWallet, createAccessCode, redeemAccessCode };
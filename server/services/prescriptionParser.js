@@ -0,0 +1,124 @@
+const ruleBased = require('./parsers/ruleBased');
+const gemini = require('./parsers/gemini');
+
+// Providers take a transcript and resolve to { fields, confidence }. Register more with
+// registerProvider and list them in PARSER_PROVIDERS (comma separated, tried in order).
+const PROVIDERS = { [ruleBased.name]: ruleBased, [gemini.name]: gemini };
+
+const MAX_TRANSCRIPT = 2000;
+const MAX_ITEMS = 10; // PrescriptionRegistry.MAX_LINE_ITEMS
+const GROUNDING_CAP = 0.3; // confidence ceiling for values that don't appear in the transcript
+
+// Every provider's output is checked against these before it reaches the client:
+// { ...SCHEMA fields, items: [ITEM_SCHEMA fields] }, with confidences in the same shape
+const SCHEMA = {
+    patientName: { type: 'string', max: 100, pattern: /^\p{L}[\p{L}' .-]*$/u, grounded: true },
+    age: { type: 'integer', min: 0, max: 130, grounded: true },
+    notes: { type: 'string', max: 500 }
+};
+
+const ITEM_SCHEMA = {
+    medicine: { type: 'string', max: 100, grounded: true },
+    dosage: { type: 'string', max: 50 },
+    quantity: { type: 'integer', min: 1, max: 10000, grounded: true },
+    frequency: { type: 'string', max: 100 }
+};
+
+const registerProvider = (provider) => {
+    PROVIDERS[provider.name] = provider;
+};
+
+// The rule-based parser always ends the chain, so parsing works offline
+const providerChain = () => {
+    const names = (process.env.PARSER_PROVIDERS || ruleBased.name).split(',').map(n => n.trim()).filter(Boolean);
+    const chain = names.filter(name => {
+        if (!PROVIDERS[name]) console.warn(`Unknown parser provider "${name}" in PARSER_PROVIDERS`);
+        return PROVIDERS[name] && name !== ruleBased.name;
+    }).map(name => PROVIDERS[name]);
+    return [...chain, ruleBased];
+};
+
+const checkValue = (rule, value) => {
+    if (rule.type === 'integer') {
+        return Number.isInteger(value) && value >= rule.min && value <= rule.max ? value : undefined;
+    }
+    if (typeof value !== 'string') return undefined;
+    const text = value.trim();
+    if (!text || text.length > rule.max || (rule.pattern && !rule.pattern.test(text))) return undefined;
+    return text;
+};
+
+// Does the value actually occur in what the doctor said?
+const isGrounded = (value, transcript) => {
+    const haystack = transcript.toLowerCase();
+    return String(value).toLowerCase().split(/\s+/).every(word => haystack.includes(word));
+};
+
+// Check `values` against `schema`, reporting failures as `<prefix><field>`
+const checkFields = (schema, values, scores, transcript, prefix = '') => {
+    const fields = {};
+    const confidence = {};
+    const rejected = [];
+
+    for (const [field, rule] of Object.entries(schema)) {
+        const value = values?.[field];
+        const checked = value === null || value === undefined || value === '' ? null : checkValue(rule, value);
+        if (checked === undefined) rejected.push(prefix + field);
+        fields[field] = checked ?? null;
+
+        let score = Number(scores?.[field]);
+        score = Number.isFinite(score) ? Math.min(Math.max(score, 0), 1) : 0.5;
+        if (fields[field] === null) score = 0;
+        else if (rule.grounded && !isGrounded(fields[field], transcript)) score = Math.min(score, GROUNDING_CAP);
+        confidence[field] = score;
+    }
+    return { fields, confidence, rejected };
+};
+
+// Strict schema and type check. Values that fail are dropped (null, confidence 0) and reported in
+// `rejected` ("items.1.quantity" for line items); unknown keys are ignored, as are items with nothing
+// valid in them. Confidences are clamped to [0, 1] and capped for values the transcript doesn't
+// contain, so a provider can't invent a confident answer.
+const validateParse = (raw, transcript) => {
+    if (!raw || typeof raw !== 'object' || !raw.fields || typeof raw.fields !== 'object') {
+        throw new Error('Parser returned malformed output');
+    }
+    const result = checkFields(SCHEMA, raw.fields, raw.confidence, transcript);
+    result.fields.items = [];
+    result.confidence.items = [];
+
+    const items = raw.fields.items ?? [];
+    if (!Array.isArray(items) || items.length > MAX_ITEMS) result.rejected.push('items');
+    if (!Array.isArray(items)) return result;
+
+    items.slice(0, MAX_ITEMS).forEach((item, i) => {
+        const checked = checkFields(ITEM_SCHEMA, item, raw.confidence?.items?.[i], transcript, `items.${i}.`);
+        result.rejected.push(...checked.rejected);
+        if (Object.values(checked.fields).every(value => value === null)) return;
+        result.fields.items.push(checked.fields);
+        result.confidence.items.push(checked.confidence);
+    });
+    return result;
+};
+
+// Try each provider in turn; a failure or malformed reply falls through to the next one
+const parsePrescription = async (transcript) => {
+    if (typeof transcript !== 'string' || !transcript.trim()) {
+        throw Object.assign(new Error('No transcript provided'), { status: 400 });
+    }
+    if (transcript.length > MAX_TRANSCRIPT) {
+        throw Object.assign(new Error(`Transcript is longer than ${MAX_TRANSCRIPT} characters`), { status: 400 });
+    }
+
+    for (const provider of providerChain()) {
+        try {
+            const result = validateParse(await provider.parse(transcript), transcript);
+            return { ...result, provider: provider.name };
+        } catch (err) {
+            if (provider === ruleBased) throw err;
+            console.warn(`Parser "${provider.name}" failed, trying the next one:`, err.message);
+        }
+    }
+};
+
+module.exports = { SCHEMA, ITEM_SCHEMA, registerProvider, validateParse, parsePrescription };
@@ -0,0 +1,70 @@
+const { ethers } = require('ethers');
+
+const STATUSES = ['ISSUED', 'PARTIALLY_DISPENSED', 'DISPENSED', 'CANCELLED'];
+const MAX_LIMIT = 100;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Addresses arrive in whatever case the wallet used; match both stored forms so the index still applies
+const addressVariants = (address) => {
+    const checksummed = ethers.getAddress(address);
+    return { $in: [checksummed, checksummed.toLowerCase()] };
+};
+
+const parseDate = (value, name) => {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) throw Object.assign(new Error(`${name} is not a valid date`), { status: 400 });
+    return date;
+};
+
+// Mongo filter for GET /api/prescriptions. Supported query params:
+// doctor, pharmacy, patient (registry ID), medicine (catalog code or name prefix),
+// status (comma separated), from, to (issuedAt range)
+const buildListFilter = (query) => {
+    const and = [];
+    try {
+        if (query.doctor) and.push({ doctorAddress: addressVariants(query.doctor) });
+        if (query.pharmacy) {
+            const pharmacy = addressVariants(query.pharmacy);
+            and.push({ $or: [{ 'chain.fills.pharmacy': pharmacy }, { 'handoff.claimedBy': pharmacy }] });
+        }
+    } catch (err) {
+        throw Object.assign(new Error('Invalid address filter'), { status: 400 });
+    }
+
+    if (query.patient) and.push({ patientId: String(query.patient).trim().toUpperCase() });
+
+    if (query.medicine) {
+        const medicine = String(query.medicine).trim();
+        and.push({
+            $or: [
+                { 'medicineDetails.items.code': medicine.toUpperCase() },
+                { 'medicineDetails.items.name': new RegExp('^' + escapeRegex(medicine), 'i') },
+                { 'medicineDetails.code': medicine.toUpperCase() },
+                { 'medicineDetails.name': new RegExp('^' + escapeRegex(medicine), 'i') }
+            ]
+        });
+    }
+
+    if (query.status) {
+        const statuses = String(query.status).split(',').map(s => s.trim().toUpperCase()).filter(Boolean);
+        const unknown = statuses.filter(s => !STATUSES.includes(s));
+        if (unknown.length) throw Object.assign(new Error(`Unknown status ${unknown.join(', ')}`), { status: 400 });
+        and.push({ 'chain.status': { $in: statuses } });
+    }
+
+    const issuedAt = {};
+    if (query.from) issuedAt.$gte = parseDate(query.from, 'from');
+    if (query.to) issuedAt.$lte = parseDate(query.to, 'to');
+    if (Object.keys(issuedAt).length) and.push({ issuedAt });
+
+    return and.length ? { $and: and } : {};
+};
+
+const parsePage = (query) => {
+    const page = Math.max(1, parseInt(query.page, 10) || 1);
+    const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(query.limit, 10) || 20));
+    return { page, limit, skip: (page - 1) * limit };
+};
+
+module.exports = { addressVariants, buildListFilter, parsePage };
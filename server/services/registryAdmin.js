@@ -0,0 +1,147 @@
+const { ethers } = require('ethers');
+const ChainEvent = require('../models/ChainEvent');
+const DirectoryEntry = require('../models/DirectoryEntry');
+const SignedPrescription = require('../models/SignedPrescription');
+const { getRegistry } = require('./blockchain');
+
+const ROLE_KEYS = { DOCTOR: 'doctor', PHARMACY: 'pharmacy', ADMIN: 'admin' };
+const DIRECTORY_FIELDS = ['organisationType', 'name', 'licenseNumber', 'contact'];
+
+const lower = (address) => String(address).toLowerCase();
+
+const adminError = (message, status) => Object.assign(new Error(message), { status });
+
+// Replay the indexed RoleGranted / RoleRevoked / RoleSuspended events into each account's roles:
+// { address, roles: { doctor: { held, grantedBlock, revokedBlock, suspendedUntil } } }
+const replayRoles = async (chainId) => {
+    const events = await ChainEvent
+        .find({ chainId, name: { $in: ['RoleGranted', 'RoleRevoked', 'RoleSuspended'] } })
+        .sort({ blockNumber: 1, logIndex: 1 });
+
+    const accounts = new Map();
+    for (const e of events) {
+        const key = ROLE_KEYS[e.role];
+        if (!key) continue;
+        const account = accounts.get(e.account) || { address: e.account, roles: {} };
+        const role = account.roles[key] || { held: false };
+        if (e.name === 'RoleGranted') Object.assign(role, { held: true, grantedBlock: e.blockNumber, revokedBlock: undefined });
+        if (e.name === 'RoleRevoked') Object.assign(role, { held: false, revokedBlock: e.blockNumber });
+        if (e.name === 'RoleSuspended') role.suspendedUntil = Number(e.args.until) || undefined;
+        account.roles[key] = role;
+        accounts.set(e.account, account);
+    }
+    return [...accounts.values()];
+};
+
+// Issuances, cancellations and fills per wallet, from the indexed events and signed prescriptions
+const activityByAccount = async (chainId) => {
+    const [onChain, signed] = await Promise.all([
+        ChainEvent.aggregate([
+            { $match: { chainId, name: { $in: ['PrescriptionIssued', 'PrescriptionCancelled', 'PrescriptionFilled', 'SignedPrescriptionDispensed'] } } },
+            {
+                $group: {
+                    _id: { name: '$name', account: { $toLower: { $ifNull: ['$args.issuer', '$args.pharmacy'] } } },
+                    count: { $sum: 1 },
+                    lastBlock: { $max: '$blockNumber' }
+                }
+            }
+        ]),
+        SignedPrescription.aggregate([
+            { $group: { _id: { $toLower: '$prescription.doctor' }, count: { $sum: 1 } } }
+        ])
+    ]);
+
+    const activity = new Map();
+    const entryOf = (account) => {
+        if (!activity.has(account)) activity.set(account, { issued: 0, signed: 0, cancelled: 0, fills: 0, lastBlock: null });
+        return activity.get(account);
+    };
+    const FIELDS = { PrescriptionIssued: 'issued', PrescriptionCancelled: 'cancelled', PrescriptionFilled: 'fills', SignedPrescriptionDispensed: 'fills' };
+    for (const { _id, count, lastBlock } of onChain) {
+        const entry = entryOf(_id.account);
+        entry[FIELDS[_id.name]] += count;
+        entry.lastBlock = Math.max(entry.lastBlock ?? 0, lastBlock);
+    }
+    for (const { _id, count } of signed) entryOf(_id).signed = count;
+    return activity;
+};
+
+// Accounts that hold (or, with includeRevoked, ever held) a registry role, with their directory
+// entry and activity. `q` matches an address prefix, or the directory name or licence number.
+const roleHolders = async ({ q, role, includeRevoked = false } = {}) => {
+    const { chainId } = await getRegistry();
+    const [accounts, activity, directory] = await Promise.all([
+        replayRoles(chainId),
+        activityByAccount(chainId),
+        DirectoryEntry.find()
+    ]);
+    const entries = new Map(directory.map(entry => [entry.address, entry]));
+
+    const query = String(q || '').trim().toLowerCase();
+    return accounts
+        .filter(account => Object.entries(account.roles).some(([key, state]) => (includeRevoked || state.held) && (!role || key === role)))
+        .map(account => ({
+            ...account,
+            directory: entries.get(account.address) || null,
+            activity: activity.get(account.address) || { issued: 0, signed: 0, cancelled: 0, fills: 0, lastBlock: null }
+        }))
+        .filter(account => !query
+            || account.address.startsWith(query)
+            || account.directory?.name.toLowerCase().includes(query)
+            || account.directory?.licenseNumber?.toLowerCase().includes(query))
+        .sort((a, b) => (a.directory?.name || a.address).localeCompare(b.directory?.name || b.address));
+};
+
+// Registry-wide numbers: prescriptionCount from the contract, holders and activity per role
+const registryStats = async () => {
+    const { chainId, deployment, contract } = await getRegistry();
+    const [prescriptionCount, batchCount, owner, holders] = await Promise.all([
+        contract.prescriptionCount(),
+        contract.batchCount(),
+        contract.owner(),
+        roleHolders()
+    ]);
+
+    const now = Date.now() / 1000;
+    const roles = {};
+    for (const key of Object.values(ROLE_KEYS)) {
+        const members = holders.filter(account => account.roles[key]?.held);
+        roles[key] = {
+            holders: members.length,
+            suspended: members.filter(account => account.roles[key].suspendedUntil > now).length
+        };
+    }
+    const sum = (field) => holders.reduce((total, account) => total + account.activity[field], 0);
+    roles.doctor.issued = sum('issued');
+    roles.doctor.signed = sum('signed');
+    roles.doctor.cancelled = sum('cancelled');
+    roles.pharmacy.fills = sum('fills');
+    roles.admin.batchesAnchored = Number(batchCount);
+
+    return {
+        chainId,
+        contractAddress: deployment.address,
+        owner,
+        prescriptionCount: Number(prescriptionCount),
+        roles
+    };
+};
+
+// Create or update the directory entry for a wallet
+const saveDirectoryEntry = async (address, fields, updatedBy) => {
+    if (!ethers.isAddress(address)) throw adminError('Not a valid address', 400);
+    const entry = await DirectoryEntry.findOne({ address: lower(address) }) || new DirectoryEntry({ address: lower(address) });
+    for (const field of DIRECTORY_FIELDS) {
+        if (fields[field] !== undefined) entry[field] = fields[field];
+    }
+    entry.updatedBy = updatedBy;
+    entry.updatedAt = new Date();
+    try {
+        return await entry.save();
+    } catch (err) {
+        if (err.name === 'ValidationError') throw adminError(err.message, 422);
+        throw err;
+    }
+};
+
+module.exports = { roleHolders, registryStats, saveDirectoryEntry };
@@ -0,0 +1,118 @@
+const RiskAudit = require('../models/RiskAudit');
+const PrescriptionLog = require('../models/PrescriptionLog');
+const SignedPrescription = require('../models/SignedPrescription');
+const { lineItemsOf } = require('./hashing');
+const { addressVariants } = require('./prescriptionQuery');
+const { audienceOf, publish } = require('./events');
+
+// OPEN: waiting for the pharmacist. ESCALATED: waiting for the issuing doctor.
+const BLOCKING = ['OPEN', 'ESCALATED'];
+
+const TRANSITIONS = {
+    OVERRIDE: { from: ['OPEN'], to: 'OVERRIDDEN', by: 'pharmacy', reasonRequired: true },
+    ESCALATE: { from: ['OPEN'], to: 'ESCALATED', by: 'pharmacy', reasonRequired: false },
+    CONFIRM: { from: ['ESCALATED'], to: 'CONFIRMED', by: 'issuer', reasonRequired: false }
+};
+
+const kindOf = (record) => (record.digest ? 'signed' : 'prescription');
+const refOf = (record) => record.digest || String(record.blockchainId);
+const issuerOf = (record) => (record.digest ? record.prescription.doctor : record.doctorAddress);
+const snapshot = (risk) => (risk ? { score: risk.score, level: risk.level, reasons: risk.reasons } : undefined);
+
+// Error carrying the HTTP status the route should answer with
+const reviewError = (status, message) => Object.assign(new Error(message), { status });
+
+// Called after every assessment: a HIGH score opens a flag unless an earlier
+// flag (decided or not) already covered the same rules
+const flagIfNeeded = async (Model, record, risk) => {
+    if (risk.level !== 'HIGH') return null;
+    const known = record.review?.rules || [];
+    if (record.review?.status && risk.rules.every(rule => known.includes(rule))) return null;
+
+    const review = { status: 'OPEN', rules: [...new Set([...known, ...risk.rules])], openedAt: new Date() };
+    await Model.updateOne({ _id: record._id }, { $set: { review } });
+    await RiskAudit.create({ kind: kindOf(record), ref: refOf(record), action: 'FLAGGED', actor: 'monitor', risk: snapshot(risk) });
+    publish({ type: 'risk.flagged', kind: kindOf(record), ref: refOf(record), level: risk.level, status: review.status }, audienceOf(record));
+    return review;
+};
+
+// Apply a pharmacist or doctor decision to an open flag and log it
+const decide = async (record, { action, reason, user }) => {
+    const transition = TRANSITIONS[action];
+    if (!transition) throw reviewError(400, `action must be one of ${Object.keys(TRANSITIONS).join(', ')}`);
+    reason = typeof reason === 'string' ? reason.trim() : '';
+    if (transition.reasonRequired && !reason) throw reviewError(400, 'A reason is required to override a risk flag');
+
+    const allowed = transition.by === 'issuer'
+        ? String(issuerOf(record)).toLowerCase() === user.address.toLowerCase()
+        : user.roles[transition.by];
+    if (!allowed) {
+        throw reviewError(403, transition.by === 'issuer' ? 'Only the issuing doctor can confirm an escalated flag' : `Requires role: ${transition.by}`);
+    }
+
+    // Conditional on the current status so two pharmacists can't both decide
+    const Model = record.constructor;
+    const updated = await Model.findOneAndUpdate(
+        { _id: record._id, 'review.status': { $in: transition.from } },
+        {
+            $set: {
+                'review.status': transition.to,
+                'review.decidedBy': user.address,
+                'review.decidedAt': new Date(),
+                'review.reason': reason || undefined
+            }
+        },
+        { new: true }
+    );
+    if (!updated) throw reviewError(409, `No ${transition.from.join('/').toLowerCase()} risk flag on this prescription`);
+
+    await RiskAudit.create({
+        kind: kindOf(record),
+        ref: refOf(record),
+        action,
+        actor: user.address,
+        reason: reason || undefined,
+        risk: snapshot(record.risk)
+    });
+    publish({ type: 'risk.reviewed', kind: kindOf(record), ref: refOf(record), action, status: transition.to }, audienceOf(updated));
+    return updated;
+};
+
+// Flags still waiting for someone; never includes patient details. `doctor` narrows to that
+// doctor's prescriptions, `pharmacy` to prescriptions that pharmacy redeemed or filled (signed
+// prescriptions have no redemption, so none of those).
+const openFlags = async ({ doctor, pharmacy, limit = 100 } = {}) => {
+    const fields = { blockchainId: 1, digest: 1, doctorAddress: 1, 'prescription.doctor': 1, 'medicineDetails.name': 1, 'medicineDetails.items.name': 1, risk: 1, review: 1 };
+    const base = { 'review.status': { $in: BLOCKING } };
+    let logFilter = base;
+    let signedFilter = base;
+    if (doctor) {
+        logFilter = { ...base, doctorAddress: addressVariants(doctor) };
+        signedFilter = { ...base, 'prescription.doctor': addressVariants(doctor) };
+    } else if (pharmacy) {
+        const variants = addressVariants(pharmacy);
+        logFilter = { ...base, $or: [{ 'handoff.claimedBy': variants }, { 'chain.fills.pharmacy': variants }] };
+        signedFilter = null;
+    }
+
+    const [logs, signed] = await Promise.all([
+        PrescriptionLog.find(logFilter, fields).sort({ 'review.openedAt': 1 }).limit(limit),
+        signedFilter ? SignedPrescription.find(signedFilter, fields).sort({ 'review.openedAt': 1 }).limit(limit) : []
+    ]);
+
+    return [...logs, ...signed]
+        .map(record => ({
+            kind: kindOf(record),
+            ref: refOf(record),
+            doctor: issuerOf(record),
+            medicine: lineItemsOf(record.medicineDetails).map(item => item.name).join(', '),
+            risk: record.risk,
+            review: record.review
+        }))
+        .sort((a, b) => a.review.openedAt - b.review.openedAt)
+        .slice(0, limit);
+};
+
+const auditTrail = (ref) => RiskAudit.find({ ref: String(ref) }).sort({ createdAt: 1 });
+
+module.exports = { BLOCKING, flagIfNeeded, decide, openFlags, auditTrail };
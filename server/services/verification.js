@@ -0,0 +1,60 @@
+const { getRegistry, getProvider } = require('./blockchain');
+const { patientHashOf, medicationHash, medicineKeyOf, lineItemsOf } = require('./hashing');
+
+// Recompute the hashes from submitted metadata and compare them with the
+// registry's record. Resolves to { verified, mismatches, onChain }.
+// Patients are identified by `patientRef` (registry) or, for older records, patientName + patientAge.
+const verifyAgainstChain = async ({ blockchainId, doctorAddress, patientRef, patientName, patientAge, medicineDetails, salt }) => {
+    const { contract } = await getRegistry();
+    const p = await contract.getPrescription(blockchainId);
+
+    if (p.id === 0n) {
+        return { verified: false, mismatches: ['prescription does not exist on chain'], onChain: null };
+    }
+
+    const mismatches = [];
+    if (!salt) mismatches.push('salt missing');
+    else if (patientHashOf(salt, { patientRef, patientName, patientAge }) !== p.patientHash) mismatches.push('patient details');
+
+    // Line items are compared one by one, in order
+    const items = lineItemsOf(medicineDetails);
+    const onChainItems = await contract.getLineItems(blockchainId);
+    if (items.length !== onChainItems.length) {
+        mismatches.push(`number of items (${onChainItems.length} on chain)`);
+    } else {
+        items.forEach((item, i) => {
+            const label = items.length > 1 ? `item ${i + 1} ` : '';
+            if (salt && medicationHash(salt, medicineKeyOf(item)) !== onChainItems[i].medicationHash) mismatches.push(`${label}medicine`);
+            if (Number(item.quantity) !== Number(onChainItems[i].quantity)) mismatches.push(`${label}quantity`);
+        });
+    }
+    if (String(doctorAddress).toLowerCase() !== p.issuer.toLowerCase()) mismatches.push('doctorAddress is not the on-chain issuer');
+    if (Number(medicineDetails?.refills || 0) !== Number(p.refillsAllowed)) mismatches.push('refills');
+
+    return {
+        verified: mismatches.length === 0,
+        mismatches,
+        onChain: {
+            issuer: p.issuer,
+            patientHash: p.patientHash,
+            medicationHash: p.medicationHash,
+            expiresAt: p.expiresAt === 0n ? null : new Date(Number(p.expiresAt) * 1000)
+        }
+    };
+};
+
+// The prescription a mined issuance transaction created: { blockchainId, issuer }, or null when the
+// transaction is unknown, still pending, reverted or didn't call the registry
+const issuanceFromTx = async (txHash) => {
+    const { deployment, contract } = await getRegistry();
+    const receipt = await getProvider().getTransactionReceipt(txHash);
+    if (!receipt || receipt.status !== 1) return null;
+    for (const log of receipt.logs) {
+        if (log.address.toLowerCase() !== deployment.address.toLowerCase()) continue;
+        const parsed = contract.interface.parseLog(log);
+        if (parsed?.name === 'PrescriptionIssued') return { blockchainId: Number(parsed.args.id), issuer: parsed.args.issuer };
+    }
+    return null;
+};
+
+module.exports = { verifyAgainstChain, issuanceFromTx };
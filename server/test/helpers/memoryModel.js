@@ -0,0 +1,175 @@
+const { mock } = require('node:test');
+
+// In-memory stand-ins for the mongoose model methods the services call, so service logic can be
+// tested without a MongoDB server. Filters understand equality and $in, $ne, $gt, $gte, $lt, $lte
+// and $expr; updates understand $set, $inc, $unset, $setOnInsert and $set-only pipelines.
+// Documents come back as copies with save() and deleteOne() that write to the store.
+
+const plain = (value) => (value instanceof Date ? value.getTime() : value);
+const same = (a, b) => plain(a) === plain(b) || (a != null && b != null && String(a) === String(b));
+const valueAt = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+const evaluate = (expr, doc) => {
+    if (typeof expr === 'string' && expr.startsWith('$')) return valueAt(doc, expr.slice(1));
+    if (!expr || typeof expr !== 'object' || expr instanceof Date || Array.isArray(expr)) return expr;
+    const [[op, args]] = Object.entries(expr);
+    const values = [].concat(args).map(arg => evaluate(arg, doc));
+    switch (op) {
+        case '$max': return Math.max(...values);
+        case '$subtract': return values[0] - values[1];
+        case '$gte': return plain(values[0]) >= plain(values[1]);
+        default: throw new Error(`memoryModel: unsupported expression ${op}`);
+    }
+};
+
+const matchesCondition = (value, condition) => {
+    const isOperators = condition && typeof condition === 'object' && !(condition instanceof Date)
+        && Object.keys(condition).every(key => key.startsWith('$'));
+    if (!isOperators) return same(value, condition);
+    return Object.entries(condition).every(([op, arg]) => {
+        switch (op) {
+            case '$in': return arg.some(candidate => same(value, candidate));
+            case '$ne': return !same(value, arg);
+            case '$gt': return value != null && plain(value) > plain(arg);
+            case '$gte': return value != null && plain(value) >= plain(arg);
+            case '$lt': return value != null && plain(value) < plain(arg);
+            case '$lte': return value != null && plain(value) <= plain(arg);
+            default: throw new Error(`memoryModel: unsupported operator ${op}`);
+        }
+    });
+};
+
+const matches = (doc, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+    if (key === '$expr') return Boolean(evaluate(condition, doc));
+    return matchesCondition(valueAt(doc, key), condition);
+});
+
+const applyUpdate = (doc, update, inserting) => {
+    if (Array.isArray(update)) {
+        for (const stage of update) {
+            const computed = Object.entries(stage.$set).map(([key, expr]) => [key, evaluate(expr, doc)]);
+            for (const [key, value] of computed) doc[key] = value;
+        }
+        return;
+    }
+    Object.assign(doc, update.$set);
+    if (inserting) Object.assign(doc, update.$setOnInsert);
+    for (const [key, amount] of Object.entries(update.$inc || {})) doc[key] = (doc[key] || 0) + amount;
+    for (const key of Object.keys(update.$unset || {})) delete doc[key];
+};
+
+const compareBy = (spec) => (a, b) => {
+    for (const [key, direction] of Object.entries(spec)) {
+        const x = plain(valueAt(a, key));
+        const y = plain(valueAt(b, key));
+        if (x < y) return -direction;
+        if (x > y) return direction;
+    }
+    return 0;
+};
+
+// Top-level schema defaults, as mongoose would fill them in on create
+const defaultsOf = (Model) => {
+    const defaults = {};
+    Model.schema.eachPath((name, type) => {
+        if (name === '_id' || name.includes('.') || type.defaultValue === undefined) return;
+        const value = typeof type.defaultValue === 'function' ? type.defaultValue() : type.defaultValue;
+        defaults[name] = type.instance === 'Date' ? new Date(value) : value;
+    });
+    return defaults;
+};
+
+// A chainable, awaitable query over a snapshot of matching documents
+const query = (found, single, wrap) => {
+    let sort = null;
+    let limit = Infinity;
+    const q = {
+        sort(spec) { sort = spec; return q; },
+        limit(n) { limit = n; return q; },
+        then(resolve, reject) {
+            const list = sort ? [...found].sort(compareBy(sort)) : found;
+            const result = single ? (list[0] ? wrap(list[0]) : null) : list.slice(0, limit).map(wrap);
+            return Promise.resolve(result).then(resolve, reject);
+        }
+    };
+    return q;
+};
+
+// Replace `Model`'s query methods with ones backed by an array; returns the store
+const useMemoryModel = (Model, seed = []) => {
+    const store = { docs: seed.map(doc => structuredClone(doc)) };
+    let nextId = 1;
+    const byId = (id) => store.docs.find(doc => same(doc._id, id));
+
+    const wrap = (doc) => {
+        const copy = structuredClone(doc);
+        Object.defineProperties(copy, {
+            save: {
+                value: async () => {
+                    const index = store.docs.findIndex(stored => same(stored._id, copy._id));
+                    const saved = structuredClone({ ...copy });
+                    if (index === -1) store.docs.push(saved); else store.docs[index] = saved;
+                    return copy;
+                }
+            },
+            deleteOne: {
+                value: async () => {
+                    store.docs = store.docs.filter(stored => !same(stored._id, copy._id));
+                }
+            }
+        });
+        return copy;
+    };
+
+    const upsert = (filter, update) => {
+        const equalities = Object.fromEntries(Object.entries(filter).filter(([key, value]) =>
+            !key.startsWith('$') && !(value && typeof value === 'object' && !(value instanceof Date))));
+        const doc = { _id: `${Model.modelName}-${nextId++}`, ...equalities };
+        applyUpdate(doc, update, true);
+        store.docs.push(doc);
+        return doc;
+    };
+
+    const methods = {
+        find: (filter) => query(store.docs.filter(doc => matches(doc, filter)), false, wrap),
+        findOne: (filter) => query(store.docs.filter(doc => matches(doc, filter)), true, wrap),
+        findById: async (id) => (byId(id) ? wrap(byId(id)) : null),
+        exists: async (filter) => {
+            const doc = store.docs.find(stored => matches(stored, filter));
+            return doc ? { _id: doc._id } : null;
+        },
+        countDocuments: async (filter) => store.docs.filter(doc => matches(doc, filter)).length,
+        distinct: async (field, filter) => [...new Set(store.docs.filter(doc => matches(doc, filter)).map(doc => valueAt(doc, field)))],
+        create: async (doc) => {
+            const created = { _id: `${Model.modelName}-${nextId++}`, ...defaultsOf(Model), ...structuredClone(doc) };
+            store.docs.push(created);
+            return wrap(created);
+        },
+        findOneAndUpdate: async (filter, update, options = {}) => {
+            const doc = store.docs.find(stored => matches(stored, filter));
+            if (!doc) return options.upsert ? wrap(upsert(filter, update)) : null;
+            const before = wrap(doc);
+            applyUpdate(doc, update, false);
+            return options.new ? wrap(doc) : before;
+        },
+        updateOne: async (filter, update, options = {}) => {
+            const doc = store.docs.find(stored => matches(stored, filter));
+            if (!doc) {
+                if (!options.upsert) return { matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+                upsert(filter, update);
+                return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1 };
+            }
+            applyUpdate(doc, update, false);
+            return { matchedCount: 1, modifiedCount: 1, upsertedCount: 0 };
+        },
+        deleteMany: async (filter) => {
+            const before = store.docs.length;
+            store.docs = store.docs.filter(doc => !matches(doc, filter));
+            return { deletedCount: before - store.docs.length };
+        }
+    };
+    for (const [name, implementation] of Object.entries(methods)) mock.method(Model, name, implementation);
+    return store;
+};
+
+module.exports = { useMemoryModel };
@@ -0,0 +1,168 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const blockchain = require('../services/blockchain');
+const monitoring = require('../services/monitoring');
+const inventory = require('../services/inventory');
+const events = require('../services/events');
+const ChainEvent = require('../models/ChainEvent');
+const IndexerState = require('../models/IndexerState');
+const PrescriptionLog = require('../models/PrescriptionLog');
+const SignedPrescription = require('../models/SignedPrescription');
+
+const CHAIN_ID = 31337;
+const REGISTRY = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const DOCTOR = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const PHARMACY = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+const iface = new ethers.Interface([
+    'event PrescriptionIssued(uint256 indexed id, address indexed issuer, bytes32 patientHash)',
+    'event PrescriptionFilled(uint256 indexed id, address indexed pharmacy, uint256 item, uint256 amount, uint256 dispensedQuantity)'
+]);
+
+// A fake node: block hashes per number, and the registry's logs. Blocks after `forkedAfter`
+// belong to the fork, so their hashes differ from the ones the indexer saw before it.
+const node = { head: 0, blocks: new Map(), logs: [] };
+
+const setChain = ({ head, fork = 'main', forkedAfter = 0, logs = [] }) => {
+    node.head = head;
+    node.blocks = new Map();
+    for (let n = 1; n <= head; n++) {
+        const branch = n > forkedAfter ? fork : 'main';
+        node.blocks.set(n, { number: n, hash: ethers.id(`${branch}:${n}`), timestamp: 1700000000 + n * 12 });
+    }
+    node.logs = logs.map((log, index) => ({ ...log, index, address: REGISTRY, blockHash: node.blocks.get(log.blockNumber).hash }));
+};
+
+const issued = (blockNumber, id) => ({
+    ...iface.encodeEventLog('PrescriptionIssued', [id, DOCTOR, ethers.id('patient')]),
+    blockNumber,
+    transactionHash: ethers.id(`issue:${id}`)
+});
+
+const filled = (blockNumber, id, amount) => ({
+    ...iface.encodeEventLog('PrescriptionFilled', [id, PHARMACY, 0, amount, amount]),
+    blockNumber,
+    transactionHash: ethers.id(`fill:${id}:${amount}`)
+});
+
+const provider = {
+    getBlock: async (number) => node.blocks.get(number) || null,
+    getBlockNumber: async () => node.head,
+    getLogs: async ({ fromBlock, toBlock }) => node.logs.filter(log => log.blockNumber >= fromBlock && log.blockNumber <= toBlock)
+};
+
+// The indexer keeps its own references to these, so they are replaced before it is loaded
+mock.method(blockchain, 'getRegistry', async () => ({
+    chainId: CHAIN_ID,
+    deployment: { address: REGISTRY, deployBlock: 1 },
+    contract: { interface: iface }
+}));
+mock.method(blockchain, 'getProvider', () => provider);
+const monitorFill = mock.method(monitoring, 'monitorFill', async () => {});
+const commitForFill = mock.method(inventory, 'commitForFill', async () => {});
+const publish = mock.method(events, 'publish', () => {});
+
+const { syncOnce } = require('../services/indexer');
+
+describe('indexer', () => {
+    let stored;
+
+    beforeEach(() => {
+        stored = {
+            events: useMemoryModel(ChainEvent),
+            state: useMemoryModel(IndexerState, [
+                { _id: 'state', chainId: CHAIN_ID, contractAddress: REGISTRY, lastBlock: 0, recentBlocks: [] }
+            ]),
+            logs: useMemoryModel(PrescriptionLog, [{ _id: 'log-1', blockchainId: 1, doctorAddress: DOCTOR }])
+        };
+        useMemoryModel(SignedPrescription);
+        mock.method(console, 'warn', () => {});
+        for (const fn of [monitorFill, commitForFill, publish]) fn.mock.resetCalls();
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const chainOf = (id) => stored.logs.docs.find(doc => doc.blockchainId === id).chain;
+    const checkpoints = () => stored.state.docs[0].recentBlocks.map(({ number, hash }) => ({ number, hash }));
+
+    // Index the issue at block 5, then the fill at block 15
+    const syncIssueThenFill = async () => {
+        setChain({ head: 5, logs: [issued(5, 1)] });
+        await syncOnce();
+        setChain({ head: 15, logs: [issued(5, 1), filled(15, 1, 4)] });
+        await syncOnce();
+    };
+
+    it('folds new events into the prescription and hands fresh fills on once', async () => {
+        await syncIssueThenFill();
+
+        const chain = chainOf(1);
+        assert.equal(chain.status, 'PARTIALLY_DISPENSED');
+        assert.equal(chain.issuer, DOCTOR);
+        assert.deepEqual(chain.itemsDispensed, [4]);
+        assert.deepEqual(chain.fills.map(fill => [fill.pharmacy, fill.amount, fill.blockNumber]), [[PHARMACY, 4, 15]]);
+        assert.deepEqual(checkpoints(), [
+            { number: 5, hash: ethers.id('main:5') },
+            { number: 15, hash: ethers.id('main:15') }
+        ]);
+        assert.equal(monitorFill.mock.callCount(), 1);
+        assert.equal(commitForFill.mock.callCount(), 1);
+        assert.deepEqual(publish.mock.calls.map(call => call.arguments[0].type), ['prescription.issued', 'prescription.filled']);
+
+        // Nothing new: a second pass changes nothing and replays nothing
+        await syncOnce();
+        assert.equal(stored.events.docs.length, 2);
+        assert.equal(commitForFill.mock.callCount(), 1);
+    });
+
+    it('rewinds to the last checkpoint still on the chain and drops the orphaned fill', async () => {
+        await syncIssueThenFill();
+
+        // Block 15 is replaced by a fork that doesn't carry the fill
+        setChain({ head: 16, fork: 'reorg', forkedAfter: 5, logs: [issued(5, 1)] });
+        const state = await syncOnce();
+
+        assert.equal(stored.events.docs.length, 1);
+        assert.equal(stored.events.docs[0].name, 'PrescriptionIssued');
+        const chain = chainOf(1);
+        assert.equal(chain.status, 'ISSUED');
+        assert.deepEqual(chain.fills, []);
+        assert.equal(chain.dispensedQuantity, 0);
+        assert.equal(state.lastBlock, 16);
+        assert.deepEqual(checkpoints(), [
+            { number: 5, hash: ethers.id('main:5') },
+            { number: 16, hash: ethers.id('reorg:16') }
+        ]);
+        assert.match(console.warn.mock.calls[0].arguments[0], /reorg detected on chain 31337, rewound to block 5/);
+    });
+
+    it('indexes a fill again when the fork mines it in a later block', async () => {
+        await syncIssueThenFill();
+
+        setChain({ head: 17, fork: 'reorg', forkedAfter: 5, logs: [issued(5, 1), filled(17, 1, 4)] });
+        await syncOnce();
+
+        const fills = stored.events.docs.filter(doc => doc.name === 'PrescriptionFilled');
+        assert.deepEqual(fills.map(doc => [doc.blockNumber, doc.blockHash]), [[17, ethers.id('reorg:17')]]);
+        assert.deepEqual(chainOf(1).fills.map(fill => fill.blockNumber), [17]);
+        // It is new to the index, so inventory sees it again and decides by txHash
+        assert.equal(commitForFill.mock.callCount(), 2);
+        assert.equal(commitForFill.mock.calls[1].arguments[0].txHash, filled(17, 1, 4).transactionHash);
+    });
+
+    it('starts over from the deploy block when the fork is older than every checkpoint', async () => {
+        await syncIssueThenFill();
+
+        // Nothing after genesis survives; the prescription was never issued on the new chain
+        setChain({ head: 18, fork: 'reorg', forkedAfter: 0 });
+        const state = await syncOnce();
+
+        assert.deepEqual(stored.events.docs, []);
+        assert.equal(chainOf(1), undefined);
+        assert.equal(state.lastBlock, 18);
+        assert.deepEqual(checkpoints(), [{ number: 18, hash: ethers.id('reorg:18') }]);
+        assert.match(console.warn.mock.calls[0].arguments[0], /rewound to block 0/);
+    });
+});
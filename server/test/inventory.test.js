@@ -0,0 +1,230 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const blockchain = require('../services/blockchain');
+const StockLot = require('../models/StockLot');
+const StockReservation = require('../models/StockReservation');
+
+const REGISTRY = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const PHARMACY = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const OTHER_PHARMACY = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+const DIGEST = ethers.id('signed prescription');
+const DAY = 24 * 60 * 60 * 1000;
+
+const iface = new ethers.Interface([
+    'event PrescriptionFilled(uint256 indexed id, address indexed pharmacy, uint256 item, uint256 amount, uint256 dispensedQuantity)',
+    'event SignedPrescriptionDispensed(bytes32 indexed digest, uint256 indexed batchId, address indexed pharmacy)'
+]);
+
+// Transaction receipts by hash, as the node would return them
+const receipts = new Map();
+
+const mined = (name, args, { status = 1 } = {}) => {
+    const hash = ethers.id(`tx:${receipts.size}`);
+    receipts.set(hash, { status, logs: [{ address: REGISTRY, ...iface.encodeEventLog(name, args) }] });
+    return hash;
+};
+const fillTx = ({ id = 7, pharmacy = PHARMACY, item = 0, amount = 8 } = {}) =>
+    mined('PrescriptionFilled', [id, pharmacy, item, amount, amount]);
+
+// The inventory service keeps its own references to these, so they are replaced before it is loaded
+mock.method(blockchain, 'getRegistry', async () => ({
+    deployment: { address: REGISTRY },
+    contract: { interface: iface }
+}));
+mock.method(blockchain, 'getProvider', () => ({
+    getTransactionReceipt: async (hash) => receipts.get(hash) || null
+}));
+
+const { reserve, commitReservation, releaseReservation, commitForFill, listLots } = require('../services/inventory');
+
+const lot = (lotNumber, quantity, expiresInDays) => ({
+    _id: lotNumber,
+    pharmacy: PHARMACY.toLowerCase(),
+    code: 'AMOX',
+    name: 'Amoxicillin',
+    lotNumber,
+    expiresAt: new Date(Date.now() + expiresInDays * DAY),
+    quantity,
+    reserved: 0
+});
+
+describe('inventory reservations', () => {
+    let lots;
+    let reservations;
+
+    beforeEach(() => {
+        receipts.clear();
+        lots = useMemoryModel(StockLot, [lot('SOON', 5, 10), lot('LATER', 10, 100), lot('EXPIRED', 50, -1)]);
+        reservations = useMemoryModel(StockReservation);
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const shelf = () => Object.fromEntries(lots.docs.map(doc => [doc.lotNumber, [doc.quantity, doc.reserved]]));
+    const hold = (amount = 8, fields = {}) =>
+        reserve({ pharmacy: PHARMACY, kind: 'prescription', ref: '7', item: 0, code: 'AMOX', amount, ...fields });
+
+    describe('reserve', () => {
+        it('holds units first-expiry-first-out from unexpired lots', async () => {
+            const reservation = await hold(8);
+
+            assert.equal(reservation.status, 'HELD');
+            assert.equal(reservation.pharmacy, PHARMACY.toLowerCase());
+            assert.deepEqual(reservation.allocations.map(a => [a.lot, a.quantity]), [['SOON', 5], ['LATER', 3]]);
+            assert.deepEqual(shelf(), { SOON: [5, 5], LATER: [10, 3], EXPIRED: [50, 0] });
+            assert.ok(reservation.holdUntil > new Date());
+        });
+
+        it('refuses with 409 and gives the units back when there is not enough stock', async () => {
+            await assert.rejects(hold(16), { status: 409, message: 'Only 15 of AMOX in stock (unexpired and not reserved), 16 needed' });
+            assert.deepEqual(shelf(), { SOON: [5, 0], LATER: [10, 0], EXPIRED: [50, 0] });
+            assert.equal(reservations.docs.length, 0);
+        });
+
+        it('replaces the pharmacy\'s earlier hold on the same item', async () => {
+            const first = await hold(8);
+            await hold(2);
+
+            assert.equal((await StockReservation.findById(first._id)).status, 'RELEASED');
+            assert.deepEqual(shelf(), { SOON: [5, 2], LATER: [10, 0], EXPIRED: [50, 0] });
+        });
+
+        it('rejects amounts that are not positive whole numbers', async () => {
+            await assert.rejects(hold(0), { status: 400 });
+            await assert.rejects(hold(2.5), { status: 400 });
+        });
+    });
+
+    describe('release', () => {
+        it('gives the held units back once', async () => {
+            const reservation = await hold(8);
+            const released = await releaseReservation(reservation);
+
+            assert.equal(released.status, 'RELEASED');
+            assert.deepEqual(shelf(), { SOON: [5, 0], LATER: [10, 0], EXPIRED: [50, 0] });
+
+            await releaseReservation(reservation);
+            assert.deepEqual(shelf(), { SOON: [5, 0], LATER: [10, 0], EXPIRED: [50, 0] });
+        });
+    });
+
+    describe('commitReservation', () => {
+        it('takes a held reservation\'s units off the lots once', async () => {
+            const reservation = await hold(8);
+            const tx = fillTx();
+            const committed = await commitReservation(reservation, tx.toUpperCase().replace('0X', '0x'));
+
+            assert.equal(committed.status, 'COMMITTED');
+            assert.equal(committed.txHash, tx);
+            assert.deepEqual(shelf(), { SOON: [0, 0], LATER: [7, 0], EXPIRED: [50, 0] });
+
+            await commitReservation(committed, tx);
+            await commitReservation(reservation, tx);
+            assert.deepEqual(shelf(), { SOON: [0, 0], LATER: [7, 0], EXPIRED: [50, 0] });
+        });
+
+        it('still commits a reservation released before the transaction confirmed', async () => {
+            const reservation = await hold(8);
+            await releaseReservation(reservation);
+            const committed = await commitReservation(reservation, fillTx());
+
+            assert.equal(committed.status, 'COMMITTED');
+            assert.deepEqual(shelf(), { SOON: [0, 0], LATER: [7, 0], EXPIRED: [50, 0] });
+        });
+
+        it('refuses a transaction that already committed another reservation', async () => {
+            const tx = fillTx();
+            await commitReservation(await hold(8), tx);
+            const replacement = await hold(2);
+
+            await assert.rejects(commitReservation(replacement, tx), { status: 409 });
+            assert.equal((await StockReservation.findById(replacement._id)).status, 'HELD');
+            assert.deepEqual(shelf(), { SOON: [0, 0], LATER: [7, 2], EXPIRED: [50, 0] });
+        });
+
+        it('never takes a re-counted lot below zero', async () => {
+            const warn = mock.method(console, 'warn', () => {});
+            const reservation = await hold(8);
+            await releaseReservation(reservation);
+            lots.docs.find(doc => doc.lotNumber === 'SOON').quantity = 2;
+
+            await commitReservation(reservation, fillTx());
+            assert.deepEqual(shelf(), { SOON: [0, 0], LATER: [7, 0], EXPIRED: [50, 0] });
+            assert.equal(warn.mock.callCount(), 1);
+        });
+
+        it('only accepts a confirmed dispense of this reservation by this pharmacy', async () => {
+            const reservation = await hold(8);
+
+            await assert.rejects(commitReservation(reservation, 'not-a-hash'), { status: 400 });
+            await assert.rejects(commitReservation(reservation, ethers.id('unknown tx')), { status: 422 });
+            for (const tx of [
+                fillTx({ amount: 7 }),
+                fillTx({ item: 1 }),
+                fillTx({ id: 8 }),
+                fillTx({ pharmacy: OTHER_PHARMACY }),
+                mined('PrescriptionFilled', [7, PHARMACY, 0, 8, 8], { status: 0 })
+            ]) {
+                await assert.rejects(commitReservation(reservation, tx), { status: 422 });
+            }
+            assert.equal((await StockReservation.findById(reservation._id)).status, 'HELD');
+            assert.deepEqual(shelf(), { SOON: [5, 5], LATER: [10, 3], EXPIRED: [50, 0] });
+        });
+
+        it('matches a signed prescription\'s dispense by digest', async () => {
+            const reservation = await hold(3, { kind: 'signed', ref: DIGEST });
+            const committed = await commitReservation(reservation, mined('SignedPrescriptionDispensed', [DIGEST, 1, PHARMACY]));
+
+            assert.equal(committed.status, 'COMMITTED');
+            assert.deepEqual(shelf(), { SOON: [2, 0], LATER: [10, 0], EXPIRED: [50, 0] });
+        });
+    });
+
+    describe('commitForFill', () => {
+        const fillEvent = (txHash, amount = 8) => ({
+            name: 'PrescriptionFilled',
+            blockchainId: 7,
+            args: { pharmacy: PHARMACY, item: '0', amount: String(amount) },
+            txHash
+        });
+
+        it('commits the pending reservation for a fill the pharmacist never confirmed', async () => {
+            const reservation = await hold(8);
+            await commitForFill(fillEvent(ethers.id('indexed fill')));
+
+            const committed = await StockReservation.findById(reservation._id);
+            assert.equal(committed.status, 'COMMITTED');
+            assert.equal(committed.txHash, ethers.id('indexed fill'));
+            assert.deepEqual(shelf(), { SOON: [0, 0], LATER: [7, 0], EXPIRED: [50, 0] });
+        });
+
+        it('commits a hold that ran out but leaves released ones alone', async () => {
+            const released = await hold(8);
+            await releaseReservation(released);
+            await commitForFill(fillEvent(ethers.id('after release')));
+            assert.equal((await StockReservation.findById(released._id)).status, 'RELEASED');
+
+            const lapsed = await hold(8);
+            reservations.docs.find(doc => doc._id === lapsed._id).holdUntil = new Date(Date.now() - 1000);
+            await listLots(PHARMACY);
+            assert.equal((await StockReservation.findById(lapsed._id)).status, 'EXPIRED');
+            assert.deepEqual(shelf(), { SOON: [5, 0], LATER: [10, 0], EXPIRED: [50, 0] });
+
+            await commitForFill(fillEvent(ethers.id('after expiry')));
+            assert.equal((await StockReservation.findById(lapsed._id)).status, 'COMMITTED');
+            assert.deepEqual(shelf(), { SOON: [0, 0], LATER: [7, 0], EXPIRED: [50, 0] });
+        });
+
+        it('skips a fill whose transaction already committed a reservation', async () => {
+            const tx = fillTx();
+            await commitReservation(await hold(8), tx);
+            const next = await hold(2);
+
+            await commitForFill(fillEvent(tx, 2));
+            assert.equal((await StockReservation.findById(next._id)).status, 'HELD');
+            assert.deepEqual(shelf(), { SOON: [0, 0], LATER: [7, 2], EXPIRED: [50, 0] });
+        });
+    });
+});